@@ -26,4 +26,21 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Canvas 호스팅이 페이지에 넣어 주는 값 (src/data/index.js)
+    files: ['src/data/index.js'],
+    languageOptions: {
+      globals: {
+        __app_id: 'readonly',
+        __initial_auth_token: 'readonly',
+        __firebase_config: 'readonly',
+      },
+    },
+  },
+  {
+    files: ['scripts/**/*.js', 'tests/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
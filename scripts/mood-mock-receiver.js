@@ -0,0 +1,89 @@
+/**
+ * [무드 출력 확인용 수신기]
+ * 사용법: node scripts/mood-mock-receiver.js [--port 8765] [--host 127.0.0.1]
+ *
+ * 관리 화면 설정 > 무드 출력을 켜고 월(?view=display)을 열면, 받은 이벤트를 형식 검사와 함께 보여 줍니다.
+ * mood 는 1초에 한 줄로 줄여서, hello/message 와 형식 오류는 모두 찍습니다.
+ */
+import { DEFAULT_PORT, MOOD_FORMAT_VERSION, parseArgs, startMoodServer } from './mood-server.js';
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port) || DEFAULT_PORT;
+const host = args.host || '127.0.0.1';
+
+const isUnit = (n) => typeof n === 'number' && n >= 0 && n <= 1;
+const isVector = (v) => v && typeof v === 'object' && Object.values(v).length > 0 && Object.values(v).every(isUnit);
+const isColor = (c) => c && ['r', 'g', 'b'].every(k => Number.isInteger(c[k]) && c[k] >= 0 && c[k] <= 255);
+
+// 이벤트 종류별로 빠진 항목을 찾습니다. 비어 있으면 올바른 이벤트입니다.
+const CHECKS = {
+  hello: (e) => [
+    !Array.isArray(e.themes) && 'themes',
+    Array.isArray(e.themes) && !e.themes.every(t => t.key && t.color) && 'themes[].key/color'
+  ],
+  mood: (e) => [
+    !isVector(e.vector) && 'vector',
+    isVector(e.vector) && Math.abs(Object.values(e.vector).reduce((s, n) => s + n, 0) - 1) > 0.01 && 'vector sum',
+    !(e.dominant in (e.vector || {})) && 'dominant',
+    !isColor(e.color) && 'color',
+    !Number.isInteger(e.count) && 'count',
+    typeof e.at !== 'number' && 'at'
+  ],
+  message: (e) => [
+    !e.id && 'id',
+    !isVector(e.scores) && 'scores',
+    !(e.dominant in (e.scores || {})) && 'dominant',
+    !isColor(e.color) && 'color',
+    typeof e.featured !== 'boolean' && 'featured',
+    typeof e.at !== 'number' && 'at'
+  ]
+};
+
+const validate = (e) => {
+  if (!CHECKS[e?.type]) return [`unknown type ${JSON.stringify(e?.type)}`];
+  return [
+    e.v !== MOOD_FORMAT_VERSION && `v (expected ${MOOD_FORMAT_VERSION}, got ${e.v})`,
+    typeof e.wall !== 'string' && 'wall',
+    ...CHECKS[e.type](e)
+  ].filter(Boolean);
+};
+
+const swatch = ({ r, g, b }) => `\x1b[48;2;${r};${g};${b}m    \x1b[0m`;
+const bars = (vector) => Object.entries(vector).map(([k, n]) => `${k} ${'█'.repeat(Math.round(n * 20)).padEnd(20, '·')} ${n.toFixed(2)}`).join('  ');
+const time = () => new Date().toLocaleTimeString();
+
+let lastMood = 0;
+const counts = { hello: 0, mood: 0, message: 0, invalid: 0 };
+
+startMoodServer({
+  port,
+  host,
+  onConnect: (c) => console.log(`${time()} [${c.id}] connected ${c.address}${c.origin ? ` (${c.origin})` : ''}`),
+  onDisconnect: (c) => console.log(`${time()} [${c.id}] disconnected`),
+  onInvalid: (text, e, c) => {
+    counts.invalid++;
+    console.warn(`${time()} [${c.id}] not JSON: ${text.slice(0, 80)}`);
+  },
+  onEvent: (event, c) => {
+    const problems = validate(event);
+    if (problems.length) {
+      counts.invalid++;
+      console.warn(`${time()} [${c.id}] invalid ${event?.type}: ${problems.join(', ')}`);
+      return;
+    }
+    counts[event.type]++;
+    if (event.type === 'hello') {
+      console.log(`${time()} [${c.id}] hello wall=${event.wall} screen=${event.screen ?? '-'} themes=${event.themes.map(t => t.key).join(',')}`);
+    } else if (event.type === 'message') {
+      console.log(`${time()} [${c.id}] message ${event.id} ${swatch(event.color)} ${event.dominant}${event.featured ? ' ★' : ''} (${event.length} chars)`);
+    } else if (Date.now() - lastMood >= 1000) {
+      lastMood = Date.now();
+      console.log(`${time()} [${c.id}] mood ${swatch(event.color)} ${event.dominant} n=${event.count}  ${bars(event.vector)}`);
+    }
+  }
+}).on('listening', () => console.log(`Mood mock receiver on ws://${host}:${port}  (Ctrl+C to stop)`));
+
+process.on('SIGINT', () => {
+  console.log(`\n${Object.entries(counts).map(([k, n]) => `${k}=${n}`).join(' ')}`);
+  process.exit(0);
+});
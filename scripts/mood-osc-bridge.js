@@ -0,0 +1,61 @@
+/**
+ * [무드 출력 → OSC 브리지]
+ * 사용법: node scripts/mood-osc-bridge.js [--port 8765] [--osc 127.0.0.1:9000] [--prefix /unframe]
+ *
+ * 월이 보내는 WebSocket 이벤트를 받아 UDP OSC 로 다시 보냅니다. (TouchDesigner, Max, QLab, Ableton 등)
+ *   {prefix}/mood/<KEY>  f        감정별 비율 0~1 (mood 마다)
+ *   {prefix}/color       f f f    무드 색 r g b 0~1
+ *   {prefix}/dominant    s        가장 큰 감정 키
+ *   {prefix}/count       i        무드에 쓰인 흔적 수
+ *   {prefix}/message     s f f f i  새 흔적: 감정 키, 색 r g b, 추천이면 1
+ */
+import { createSocket } from 'node:dgram';
+import { DEFAULT_PORT, MOOD_FORMAT_VERSION, parseArgs, startMoodServer } from './mood-server.js';
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port) || DEFAULT_PORT;
+const [oscHost, oscPort] = (args.osc || '127.0.0.1:9000').split(':');
+const prefix = (args.prefix || '/unframe').replace(/\/$/, '');
+
+// OSC 문자열은 널 문자로 끝나고 4바이트 단위로 채웁니다.
+const oscString = (s) => {
+  const raw = Buffer.from(`${s}\0`, 'utf8');
+  return Buffer.concat([raw, Buffer.alloc((4 - (raw.length % 4)) % 4)]);
+};
+
+const oscArg = ([type, value]) => {
+  if (type === 's') return oscString(value);
+  const b = Buffer.alloc(4);
+  if (type === 'f') b.writeFloatBE(value); else b.writeInt32BE(value);
+  return b;
+};
+
+// args: [['f', 0.5], ['s', 'CALM'], ...]
+const oscMessage = (address, oscArgs) => Buffer.concat([oscString(address), oscString(`,${oscArgs.map(a => a[0]).join('')}`), ...oscArgs.map(oscArg)]);
+
+const udp = createSocket('udp4');
+const send = (address, oscArgs) => udp.send(oscMessage(`${prefix}${address}`, oscArgs), Number(oscPort) || 9000, oscHost);
+
+const color = ({ r, g, b }) => [['f', r / 255], ['f', g / 255], ['f', b / 255]];
+
+startMoodServer({
+  port,
+  onConnect: (c) => console.log(`[${c.id}] wall connected ${c.address}`),
+  onDisconnect: (c) => console.log(`[${c.id}] wall disconnected`),
+  onEvent: (event) => {
+    if (event?.v !== MOOD_FORMAT_VERSION) {
+      console.warn(`Skipping event with format v=${event?.v} (bridge speaks v${MOOD_FORMAT_VERSION})`);
+      return;
+    }
+    if (event.type === 'hello') {
+      console.log(`wall=${event.wall} channels: ${event.themes.map(t => `${prefix}/mood/${t.key}`).join(' ')}`);
+    } else if (event.type === 'mood') {
+      Object.entries(event.vector).forEach(([key, n]) => send(`/mood/${key}`, [['f', n]]));
+      send('/color', color(event.color));
+      send('/dominant', [['s', event.dominant]]);
+      send('/count', [['i', event.count]]);
+    } else if (event.type === 'message') {
+      send('/message', [['s', event.dominant], ...color(event.color), ['i', event.featured ? 1 : 0]]);
+    }
+  }
+}).on('listening', () => console.log(`Mood OSC bridge: ws://127.0.0.1:${port} -> osc://${oscHost}:${Number(oscPort) || 9000}${prefix}`));
@@ -0,0 +1,113 @@
+/**
+ * [무드 수신용 최소 WebSocket 서버]
+ * 월(브라우저)이 클라이언트로 붙고, 이 서버는 받은 JSON 텍스트 메시지를 onEvent 로 넘깁니다.
+ * 의존성 없이 node 내장 모듈만 씁니다. 수신 전용이라 서버에서 보내는 것은 pong/close 뿐입니다.
+ * mood-mock-receiver.js, mood-osc-bridge.js 가 함께 씁니다.
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+// 형식 버전은 src/lib/moodOutput.js 의 MOOD_FORMAT_VERSION 과 같아야 합니다.
+export const MOOD_FORMAT_VERSION = 1;
+export const DEFAULT_PORT = 8765;
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1 << 20;
+
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+  const head = payload.length < 126 ? Buffer.from([0x80 | opcode, payload.length]) : Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([head, payload]);
+};
+
+// 버퍼 앞에서 완성된 프레임 하나를 읽습니다. 아직 덜 왔으면 null 입니다.
+const readFrame = (buffer) => {
+  if (buffer.length < 2) return null;
+  const fin = Boolean(buffer[0] & 0x80);
+  const opcode = buffer[0] & 0x0f;
+  const masked = Boolean(buffer[1] & 0x80);
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_PAYLOAD) throw new Error('frame too large');
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return { fin, opcode, payload, size: offset + length };
+};
+
+/**
+ * onEvent(event, client) 는 JSON 으로 읽힌 메시지마다, onInvalid(text, error, client) 는 읽지 못한 메시지마다 불립니다.
+ * 돌려주는 http.Server 를 close() 하면 끝납니다.
+ */
+export const startMoodServer = ({ port = DEFAULT_PORT, host = '127.0.0.1', onEvent, onInvalid, onConnect, onDisconnect } = {}) => {
+  let nextId = 1;
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket only\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = createHash('sha1').update(key + GUID).digest('base64');
+    socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+
+    const client = { id: nextId++, address: `${req.socket.remoteAddress}:${req.socket.remotePort}`, origin: req.headers.origin || null };
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    onConnect?.(client);
+
+    const handleText = (text) => {
+      try {
+        onEvent?.(JSON.parse(text), client);
+      } catch (e) {
+        onInvalid?.(text, e, client);
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        for (let f = readFrame(buffer); f; f = readFrame(buffer)) {
+          buffer = buffer.subarray(f.size);
+          if (f.opcode === 0x8) {
+            socket.end(frame(0x8));
+            return;
+          }
+          if (f.opcode === 0x9) socket.write(frame(0xa, f.payload));
+          if (f.opcode === 0x1 || f.opcode === 0x0) {
+            fragments.push(f.payload);
+            if (f.fin) {
+              handleText(Buffer.concat(fragments).toString('utf8'));
+              fragments = [];
+            }
+          }
+        }
+      } catch (e) {
+        console.warn(`[${client.id}] ${e.message}`);
+        socket.destroy();
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => onDisconnect?.(client));
+  });
+
+  server.listen(port, host);
+  return server;
+};
+
+// 스크립트 공통 인자: --port 8765 --host 127.0.0.1 같은 형식
+export const parseArgs = (argv) => argv.reduce((acc, arg, i) => (arg.startsWith('--') ? { ...acc, [arg.slice(2)]: argv[i + 1] } : acc), {});
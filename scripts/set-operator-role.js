@@ -0,0 +1,33 @@
+/**
+ * [운영자 역할 부여]
+ * 사용법: node scripts/set-operator-role.js <email> <owner|moderator|none>
+ *
+ * 실제 프로젝트: GOOGLE_APPLICATION_CREDENTIALS 에 서비스 계정 키 경로를 지정합니다.
+ * 에뮬레이터:   FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 를 지정하면 로컬 계정에 적용됩니다.
+ */
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+
+const ROLES = ['owner', 'moderator'];
+const [email, role] = process.argv.slice(2);
+
+if (!email || !(ROLES.includes(role) || role === 'none')) {
+  console.error('Usage: node scripts/set-operator-role.js <email> <owner|moderator|none>');
+  process.exit(1);
+}
+
+const projectId = process.env.GCLOUD_PROJECT || process.env.VITE_FIREBASE_PROJECT_ID;
+initializeApp(process.env.FIREBASE_AUTH_EMULATOR_HOST ? { projectId: projectId || 'demo-unframe' } : { credential: applicationDefault(), projectId });
+
+try {
+  const auth = getAuth();
+  const user = await auth.getUserByEmail(email);
+  const claims = { ...(user.customClaims || {}) };
+  if (role === 'none') delete claims.role; else claims.role = role;
+  await auth.setCustomUserClaims(user.uid, claims);
+  console.log(`${email} (${user.uid}) -> ${role}`);
+  console.log('다음 로그인(또는 토큰 갱신)부터 적용됩니다.');
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
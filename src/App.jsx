@@ -1,80 +1,114 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { initializeApp, getApps, getApp } from 'firebase/app';
-import { 
-  getFirestore, 
-  collection, 
-  addDoc, 
-  onSnapshot, 
-  serverTimestamp, 
-  doc, 
-  setDoc,
-  updateDoc,
-  increment,
-  query,
-  orderBy,
-  limit,
-  deleteDoc,
-  getDoc,
-  where,
-  writeBatch,
-  getDocs
-} from 'firebase/firestore';
-import { 
-  getAuth, 
-  signInAnonymously, 
-  signInWithCustomToken,
-  onAuthStateChanged 
-} from 'firebase/auth';
-import { Send, Settings, Smartphone, Monitor, Heart, Sparkles, BrainCircuit, Download, CheckCircle2, UserCircle, MessageSquare, X, Trash2, Sliders, AlertCircle, BarChart3, FileJson, History, Info } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef, useSyncExternalStore, memo } from 'react';
+import { Send, Settings, Smartphone, Monitor, Heart, Sparkles, BrainCircuit, Download, CheckCircle2, UserCircle, MessageSquare, X, Trash2, Sliders, AlertCircle, BarChart3, FileJson, History, Info, ShieldCheck, Check, Ban, Lock, LogOut, Layers, Plus, Archive, CloudOff, CloudUpload, Globe, Share2, Megaphone, Pause, Play, Eraser, PartyPopper, RotateCw, Tv, Star, Search, ChevronLeft, ChevronRight, Undo2, Eye, Save, Upload, Radio, ListChecks } from 'lucide-react';
+import { appId, data, getEnv, initialAuthToken, isCanvas } from './data';
+import { DEFAULT_PALETTE, MAX_THEMES, MIN_THEMES, averageScores, dominantTheme, getPalette, mixColor, hexToRgb, normalizeThemeKey, paletteKeys, themeFor, validatePalette } from './lib/themes';
+import { DISPLAY_LAYOUTS, JOIN_QR_SIZE, OVERLAY_POSITIONS, clusterCenter, constellationPosition, getLayout, getOverlayOptions } from './lib/layouts';
+import { analyzeMood, createGeminiAnalyzer } from './lib/analyzer';
+import { MESSAGE_STATUS, getStatus, isApproved, isDeleted, parseBlocklist, resolveInitialStatus } from './lib/moderation';
+import { can, isOperator, readRole } from './lib/roles';
+import { ROTATION_POLICIES, MAX_POOL_SIZE, createDisplayEngine, getPoolOptions } from './lib/displayEngine';
+import { createRandom, createSyntheticMessage, createSyntheticMessages } from './lib/benchmark';
+import { createOutbox, permanentError, withTimeout } from './lib/outbox';
+import { REACTION_CATALOG, MAX_REACTIONS, LEGACY_REACTION, applyReaction, getReactions, reactionCounts, reactionTypesOf } from './lib/reactions';
+import { GRANULARITIES, buildTimeSeries, countSince, messageTime, filterByRange, formatBucket, frequentTerms, peakHours, reportToCSV, startOfToday, topLiked } from './lib/analytics';
+import { IMPORT_MODES, buildArchive, decodeValue, planImport, validateArchive } from './lib/archive';
+import { VIOLATION_TYPES, checkSubmission, getLimits, recordSubmission } from './lib/spam';
+import { ADMIN_LANGUAGES, DEFAULT_LANGUAGE, LANGUAGES, LOCALIZED_FIELDS, createLanguageStore, getLanguages, localize, pickLanguage, translator } from './lib/i18n';
+import { TICKET_TEMPLATES, getTicketTemplate, ticketFileName, ticketUrl } from './lib/tickets';
+import { DEFAULT_WALL, EXHIBITION_STATUS, exhibitionsPath, getExhibitionPhase, getWallFromUrl, rateLimitPath, slugify, updateUrl, wallPaths, wallUrl } from './lib/walls';
+import { encodeQR } from './lib/qr';
+import { FEATURE_DURATIONS, featuredFirst, featuredUntilMillis, isFeatured } from './lib/featured';
+import { EMPTY_QUERY, MESSAGE_SORTS, paginate, queryMessages } from './lib/messageQuery';
+import { DEFAULT_SETTINGS, SETTINGS_VERSION_LIMIT, isSameSettings, validateSettings, withDefaults } from './lib/settings';
+import { MIN_PASSWORD_LENGTH, canWithdraw, getWithdrawMinutes, myTraces, withdrawDeadline } from './lib/traces';
+import { OUTPUT_RANGES, createMoodStream, getOutputOptions } from './lib/moodOutput';
+import { DEFAULT_PROMPTS, MAX_OPTIONS, MAX_PROMPTS, OPTION_MAX_LENGTH, PROMPT_TYPES, SCALE_VALUES, SHORT_MAX_LENGTH, buildResponse, getActivePrompt, getPrompts, isChoice, isFreeText, isPicked, livePromptFields, newOption, newPrompt, promptTypeOf, tallyResponses, validatePrompts } from './lib/prompts';
+import { AUDIT_ACTIONS, AUDIT_LIMIT, buildAuditEntry, countBy, diffFields, messageDigest, summarizeIds } from './lib/audit';
+import { ALL_SCREENS, ANNOUNCE_SECONDS, HEARTBEAT_INTERVAL, INITIAL_CONTROL, applyCommand, expireControl, formatDuration, getScreen, isForScreen, isOnline, isStale, nextExpiry } from './lib/screens';
+
+const apiKey = isCanvas ? "" : getEnv('VITE_GEMINI_API_KEY');
+
+// Gemini 는 키가 있을 때만 시도하고, 실패하면 로컬 어휘 분석기로 넘어갑니다.
+const moodAnalyzers = [createGeminiAnalyzer({ apiKey, enabled: isCanvas || Boolean(apiKey) })];
 
 /**
- * [환경 변수 정적 맵핑]
- * Vite의 정적 치환 기능을 활용하여 Firebase API Key 에러를 원천 차단합니다.
+ * [오프라인 대기열 핸들러]
+ * 메시지 id 는 클라이언트에서 미리 만들어 두므로, 재시도 전에 서버에 이미 있는지 확인하면
+ * 같은 메시지가 두 번 올라가지 않습니다. (lib/outbox.js)
  */
-const getEnv = (key) => {
-  try {
-    const env = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env : {};
-    return env[key] || "";
-  } catch (e) {
-    return "";
-  }
-};
+const NETWORK_TIMEOUT = 15000;
+// 서버 간격 제한으로 거부된 직후라면 영구 실패 대신 재시도합니다.
+const HARD_RETRY_WINDOW = 5 * 60 * 1000;
 
-const isCanvas = typeof __firebase_config !== 'undefined';
-
-const firebaseConfig = isCanvas 
-  ? JSON.parse(__firebase_config)
-  : {
-      apiKey: getEnv('VITE_FIREBASE_API_KEY'),
-      authDomain: getEnv('VITE_FIREBASE_AUTH_DOMAIN'),
-      projectId: getEnv('VITE_FIREBASE_PROJECT_ID'),
-      storageBucket: getEnv('VITE_FIREBASE_STORAGE_BUCKET'),
-      messagingSenderId: getEnv('VITE_FIREBASE_MESSAGING_SENDER_ID'),
-      appId: getEnv('VITE_FIREBASE_APP_ID')
-    };
+const isDenied = (err) => err?.code === 'permission-denied';
 
-let app, auth, db;
-const isValidKey = isCanvas || (firebaseConfig && firebaseConfig.apiKey && firebaseConfig.apiKey.length > 10);
+// 위반 카운터는 관리자 화면에서만 읽습니다. 실패해도 관객 흐름에는 영향을 주지 않습니다.
+const recordViolation = (violationsPath, type) => {
+  if (!data) return;
+  data.setDoc(violationsPath, { [type]: data.increment(1) }, { merge: true }).catch(e => console.warn("Violation log failed:", e));
+};
 
-if (isValidKey) {
+// 메시지 카운터와 내 반응 문서를 한 트랜잭션에서 함께 바꿉니다. (lib/reactions.js)
+const sendReaction = async ({ uid, wallId, messageId, messagesPath, reaction, on }) => {
+  const likePath = ['artifacts', appId, 'users', uid, 'user_likes', messageId];
+  const messagePath = [...messagesPath, messageId];
   try {
-    app = getApps().length === 0 ? initializeApp(firebaseConfig) : getApp();
-    auth = getAuth(app);
-    db = getFirestore(app);
-  } catch (e) {
-    console.error("Firebase Init Error:", e);
+    await withTimeout(data.transaction(async (tx) => {
+      const [mine, message] = [await tx.get(likePath), await tx.get(messagePath)];
+      if (!message.exists()) throw permanentError('Message not found');
+      const next = applyReaction({ message: message.data(), types: mine.exists() ? reactionTypesOf(mine.data()) : [], reaction, on });
+      if (!next) return;
+      tx.update(messagePath, next.message);
+      if (next.types.length === 0) tx.delete(likePath);
+      else tx.set(likePath, { messageId, wallId, types: next.types, timestamp: data.serverTimestamp() });
+    }), NETWORK_TIMEOUT);
+    return { reaction, on };
+  } catch (err) {
+    if (err?.permanent) throw err;
+    if (isDenied(err) || err?.code === 'not-found') throw permanentError('Reaction rejected', err);
+    throw err;
   }
-}
+};
 
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'unframe-interactive-wall';
-const apiKey = isCanvas ? "" : getEnv('VITE_GEMINI_API_KEY');
+const outbox = createOutbox({
+  submit: async ({ id, wallId, messagesPath, violationsPath, data: message, palette, reanalyze }, job) => {
+    const path = [...messagesPath, id];
+    const ratePath = rateLimitPath(appId, message.userId, wallId);
+    const synced = (snap) => ({ id, scores: snap.data().scores, analyzer: snap.data().analyzer });
+    if (job.attempts > 0) {
+      const existing = await withTimeout(data.getDoc(path, { fromServer: true }), NETWORK_TIMEOUT);
+      if (existing.exists()) return synced(existing);
+    }
+    // 오프라인에서 로컬 분석으로 대신했던 메시지는 전송 직전에 다시 분석합니다.
+    const { scores, analyzer } = reanalyze ? await analyzeMood(message.text, moodAnalyzers, palette) : message;
+    // 서버가 최소 제출 간격을 검사할 수 있도록 rate_limits 문서를 같은 배치로 갱신합니다.
+    const batch = data.batch();
+    batch.set(path, { ...message, scores, analyzer, timestamp: data.serverTimestamp() });
+    batch.set(ratePath, { lastSubmitAt: data.serverTimestamp() });
+    try {
+      await withTimeout(batch.commit(), NETWORK_TIMEOUT);
+    } catch (err) {
+      if (!isDenied(err)) throw err;
+      // 앞선 시도가 늦게 반영된 경우 두 번째 쓰기는 "수정"으로 간주되어 거부됩니다.
+      const existing = await data.getDoc(path, { fromServer: true });
+      if (existing.exists()) return synced(existing);
+      // 대기열에 쌓였던 메시지가 연달아 나가며 간격 제한에 걸린 경우는 나중에 다시 시도합니다.
+      const rate = await data.getDoc(ratePath, { fromServer: true });
+      const last = rate.exists() ? rate.data().lastSubmitAt?.toMillis() : 0;
+      if (last && Date.now() - last < HARD_RETRY_WINDOW) throw err;
+      recordViolation(violationsPath, 'server');
+      throw permanentError('Submission rejected', err);
+    }
+    return { id, scores, analyzer };
+  },
+  react: sendReaction,
+  // 이전 버전에서 대기열에 남은 좋아요 작업
+  like: (payload) => sendReaction({ ...payload, reaction: LEGACY_REACTION, on: payload.liked })
+}, { networked: data?.networked ?? true });
 
-const BASE_THEMES = {
-  POSITIVE: { r: 0, g: 74, b: 173, label: 'Joy', color: '#004aad' },
-  CALM: { r: 45, g: 212, b: 191, label: 'Calm', color: '#2dd4bf' },
-  ENERGETIC: { r: 245, g: 158, b: 11, label: 'Power', color: '#f59e0b' },
-  DEEP: { r: 139, g: 92, b: 246, label: 'Deep', color: '#8b5cf6' }
-};
+// 방문자와 운영자가 고른 언어는 따로 기억합니다. (lib/i18n.js)
+const visitorLanguage = createLanguageStore('unframe-language');
+const adminLanguage = createLanguageStore('unframe-admin-language');
 
 // --- 라이브러리 동적 로드 엔진 (html-to-image 교체) ---
 const loadScript = (id, src) =>
@@ -104,85 +138,537 @@ const loadExternalLibs = async () => {
 
 export default function App() {
   const [user, setUser] = useState(null);
+  const [role, setRole] = useState(null);
   const [messages, setMessages] = useState([]);
   const [settings, setSettings] = useState(null);
-  const [likedMessageIds, setLikedMessageIds] = useState(new Set());
+  const [settingsMissing, setSettingsMissing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [settingsVersions, setSettingsVersions] = useState([]);
+  const [myReactions, setMyReactions] = useState(new Map());
   const [view, setView] = useState(() => new URLSearchParams(window.location.search).get('view') || 'input');
+  const [wallId, setWallId] = useState(getWallFromUrl);
+  const [exhibitions, setExhibitions] = useState([]);
+  const [violations, setViolations] = useState({});
   const [showSuccess, setShowSuccess] = useState(null);
+  const [syncedAt, setSyncedAt] = useState(null);
+  const [control, setControl] = useState(INITIAL_CONTROL);
+  const [screens, setScreens] = useState([]);
+  const [livePrompt, setLivePrompt] = useState(null);
+  const [auditLog, setAuditLog] = useState([]);
+  const [snapshots, setSnapshots] = useState([]);
+  const [startedAt] = useState(() => Date.now());
+  const outboxState = useSyncExternalStore(outbox.subscribe, outbox.getSnapshot);
+  const paths = useMemo(() => wallPaths(appId, wallId), [wallId]);
+  const exhibition = exhibitions.find(e => e.id === wallId) || null;
+  const palette = useMemo(() => getPalette(settings), [settings]);
+  const prompts = useMemo(() => getPrompts(settings), [settings]);
+  const activePrompt = getActivePrompt(prompts, livePrompt);
+  const languages = useMemo(() => getLanguages(settings), [settings]);
+  const preferredLanguage = useSyncExternalStore(visitorLanguage.subscribe, visitorLanguage.getSnapshot);
+  const preferredAdminLanguage = useSyncExternalStore(adminLanguage.subscribe, adminLanguage.getSnapshot);
+  const lang = pickLanguage(languages, preferredLanguage);
+  const adminLang = pickLanguage(ADMIN_LANGUAGES, preferredAdminLanguage);
+  const t = useMemo(() => translator(lang), [lang]);
+  const adminT = useMemo(() => translator(adminLang), [adminLang]);
 
   useEffect(() => {
-    if (!auth) return;
-    const initAuth = async () => {
-      try {
-        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-          await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-          await signInAnonymously(auth);
-        }
-        await loadExternalLibs(); // 라이브러리 로드 대기
-      } catch (err) { console.error("Auth error:", err); }
-    };
-    initAuth();
-    const unsubscribeAuth = onAuthStateChanged(auth, setUser);
+    document.documentElement.lang = view === 'admin' ? adminLang : lang;
+  }, [view, lang, adminLang]);
+
+  useEffect(() => {
+    if (!data) return;
+    loadExternalLibs();
+    // 저장된 세션(운영자 포함)이 없을 때만 익명 로그인합니다.
+    // 항상 signInAnonymously 를 호출하면 운영자 세션이 익명 계정으로 덮어써집니다.
+    const unsubscribeAuth = data.auth.onChange(async (nextUser) => {
+      if (!nextUser) {
+        setRole(null);
+        try {
+          if (initialAuthToken) {
+            await data.auth.signInWithToken(initialAuthToken);
+          } else {
+            await data.auth.signInAnonymously();
+          }
+        } catch (err) { console.error("Auth error:", err); }
+        return;
+      }
+      setUser(nextUser);
+      setRole(await readRole(nextUser));
+    });
     return () => unsubscribeAuth();
   }, []);
 
+  const signInOperator = async (email, password) => {
+    const operator = await data.auth.signInWithPassword(email, password);
+    const nextRole = await readRole(operator, true);
+    if (!nextRole) {
+      await data.auth.signOut();
+      throw new Error('not-operator');
+    }
+    setRole(nextRole);
+  };
+
+  const signOutOperator = () => data.auth.signOut();
+
   useEffect(() => {
-    if (!user || !db) return;
-    const settingsDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'settings', 'appSettings');
-    const unsubscribeSettings = onSnapshot(settingsDocRef, (docSnap) => {
-      if (docSnap.exists()) setSettings(docSnap.data());
+    if (!user || !data) return;
+    // 설정 문서가 없으면(첫 실행) 기본값으로 동작합니다. 캐시만 보고는 없다고 단정하지 않습니다. (lib/settings.js)
+    const unsubscribeSettings = data.watchDoc(paths.settings, (docSnap) => {
+      setSettings(docSnap.exists() ? withDefaults(docSnap.data()) : DEFAULT_SETTINGS);
+      setSettingsMissing(!docSnap.exists() && !docSnap.metadata.fromCache);
     });
-    const likesCollection = collection(db, 'artifacts', appId, 'users', user.uid, 'user_likes');
-    const unsubscribeLikes = onSnapshot(likesCollection, (snapshot) => {
-      setLikedMessageIds(new Set(snapshot.docs.map(doc => doc.id)));
+    const unsubscribeLivePrompt = data.watchDoc(paths.livePrompt, (snap) => setLivePrompt(snap.exists() ? snap.data() : null), () => setLivePrompt(null));
+    const unsubscribeLikes = data.watchCollection(['artifacts', appId, 'users', user.uid, 'user_likes'], {}, (snapshot) => {
+      setMyReactions(new Map(snapshot.docs.map(doc => [doc.id, reactionTypesOf(doc.data())])));
     });
-    const msgCollection = collection(db, 'artifacts', appId, 'public', 'data', 'messages');
-    const unsubscribeMsgs = onSnapshot(msgCollection, (snapshot) => {
+    const unsubscribeMsgs = data.watchCollection(paths.messages, {}, (snapshot) => {
       const msgs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
       setMessages(msgs.sort((a, b) => (b.timestamp?.seconds || 0) - (a.timestamp?.seconds || 0)));
+      if (!snapshot.metadata.fromCache) setSyncedAt(Date.now());
+    });
+    return () => { unsubscribeSettings(); unsubscribeLivePrompt(); unsubscribeLikes(); unsubscribeMsgs(); };
+  }, [user, paths]);
+
+  useEffect(() => {
+    if (!user || !data) return;
+    return data.watchCollection(exhibitionsPath(appId), {}, (snapshot) => {
+      setExhibitions(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
     });
-    return () => { unsubscribeSettings(); unsubscribeLikes(); unsubscribeMsgs(); };
   }, [user]);
 
-  const toggleLike = async (messageId) => {
-    if (!user || !db) return;
-    const likeDocRef = doc(db, 'artifacts', appId, 'users', user.uid, 'user_likes', messageId);
-    const messageDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'messages', messageId);
-    try {
-      const likeDoc = await getDoc(likeDocRef);
-      if (likeDoc.exists()) {
-        await deleteDoc(likeDocRef);
-        await updateDoc(messageDocRef, { likes: increment(-1) });
-      } else {
-        await setDoc(likeDocRef, { messageId, timestamp: serverTimestamp() });
-        await updateDoc(messageDocRef, { likes: increment(1) });
+  // 위반 카운터는 운영자만 읽을 수 있습니다.
+  useEffect(() => {
+    if (!data || !isOperator(role)) return;
+    return data.watchDoc(paths.violations, (docSnap) => setViolations(docSnap.exists() ? docSnap.data() : {}));
+  }, [role, paths]);
+
+  // --- 월 원격 제어 (lib/screens.js) ---
+  const screen = useMemo(() => (view === 'display' ? getScreen() : null), [view]);
+
+  // 서버와 처음 맞춘 시점에 이미 있던 명령은 실행하지 않습니다. (새로고침 명령이 반복되지 않도록)
+  useEffect(() => {
+    if (!screen || !user || !data) return;
+    let synced = false;
+    return data.watchCollection(paths.commands, { orderBy: ['createdAt', 'desc'], limit: 20, includeMetadataChanges: true }, (snapshot) => {
+      if (!synced) {
+        synced = !snapshot.metadata.fromCache;
+        return;
       }
-    } catch (err) { console.error(err); }
+      snapshot.docChanges().filter(c => c.type === 'added').reverse().forEach(({ doc: d }) => {
+        const command = d.data();
+        if (!isForScreen(command, screen.id) || isStale(command)) return;
+        if (command.type === 'reload') window.location.reload();
+        else if (command.type === 'confetti') window.confetti?.({ particleCount: 300, spread: 120, startVelocity: 45, origin: { y: 0.6 }, colors: palette.map(theme => theme.color) });
+        else setControl(c => applyCommand(c, command));
+      });
+    });
+  }, [screen, user, paths, palette]);
+
+  useEffect(() => {
+    const at = nextExpiry(control);
+    if (at === null) return;
+    const timer = setTimeout(() => setControl(c => expireControl(c)), Math.max(0, at - Date.now()));
+    return () => clearTimeout(timer);
+  }, [control]);
+
+  useEffect(() => {
+    if (!data || view !== 'admin' || !can(role, 'screens')) return;
+    return data.watchCollection(paths.screens, {}, (snapshot) => setScreens(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+  }, [role, view, paths]);
+
+  useEffect(() => {
+    if (!data || view !== 'admin' || !isOperator(role)) return;
+    return data.watchCollection(paths.audit, { orderBy: ['at', 'desc'], limit: AUDIT_LIMIT }, (snapshot) => setAuditLog(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+  }, [role, view, paths]);
+
+  // 소유자가 처음 접속하면 기본 설정을 저장해 둡니다. 그 사이 다른 곳에서 만들었으면 건드리지 않습니다.
+  useEffect(() => {
+    if (!data || !settingsMissing || !can(role, 'settings')) return;
+    data.transaction(async (tx) => {
+      if (!(await tx.get(paths.settings)).exists()) tx.set(paths.settings, DEFAULT_SETTINGS);
+    }).catch(e => console.warn("Settings seed failed:", e));
+  }, [settingsMissing, role, paths]);
+
+  useEffect(() => {
+    if (!data || view !== 'admin' || !can(role, 'settings')) return;
+    const unsubscribeDraft = data.watchDoc(paths.draft, (snap) => setDraft(snap.exists() ? snap.data() : null));
+    const unsubscribeVersions = data.watchCollection(paths.settingsVersions, { orderBy: ['publishedAt', 'desc'], limit: SETTINGS_VERSION_LIMIT }, (snapshot) => setSettingsVersions(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+    return () => { unsubscribeDraft(); unsubscribeVersions(); };
+  }, [role, view, paths]);
+
+  useEffect(() => {
+    if (!data || view !== 'admin' || !can(role, 'wipe')) return;
+    return data.watchCollection(paths.snapshots, { orderBy: ['createdAt', 'desc'] }, (snapshot) => setSnapshots(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+  }, [role, view, paths]);
+
+  // 관리 작업 기록 (lib/audit.js). 기록이 실패해도 작업 자체는 막지 않습니다.
+  const audit = (action, details = {}) => {
+    if (!data || !user) return;
+    data.addDoc(paths.audit, { ...buildAuditEntry({ action, actor: user, ...details }), at: data.serverTimestamp() })
+      .catch(e => console.warn("Audit log failed:", e));
   };
 
-  const deleteMessage = async (msgId) => {
-    if (!db || !window.confirm("이 메시지를 삭제하시겠습니까?")) return;
+  const sendCommand = async (type, target = ALL_SCREENS, payload = {}) => {
+    if (!data || !can(role, 'screens')) return;
     try {
-      await deleteDoc(doc(db, 'artifacts', appId, 'public', 'data', 'messages', msgId));
+      await data.addDoc(paths.commands, { type, target, payload, by: user.uid, createdAt: data.serverTimestamp() });
+      audit('screen.command', { target: { screen: target }, after: { type, payload } });
     } catch (e) { console.error(e); }
   };
 
-  const clearAllMessages = async () => {
-    if (!db || !window.confirm("모든 메시지를 초기화하시겠습니까?")) return;
-    const q = collection(db, 'artifacts', appId, 'public', 'data', 'messages');
-    const snapshot = await getDocs(q);
-    const batch = writeBatch(db);
-    snapshot.docs.forEach(d => batch.delete(d.ref));
+  // 진행 중인 질문 전환 (lib/prompts.js): 관객 앱과 월이 바로 따라 바뀝니다.
+  const activatePrompt = async (promptId) => {
+    const prompt = prompts.find(p => p.id === promptId);
+    if (!data || !can(role, 'prompts') || !prompt || promptId === activePrompt.id) return;
+    try {
+      await data.setDoc(paths.livePrompt, { ...livePromptFields(prompt), by: user.uid, changedAt: data.serverTimestamp() });
+      audit('prompt.activate', { target: { prompt: promptId }, before: { promptId: activePrompt.id }, after: { promptId } });
+    } catch (e) {
+      console.error(e);
+      alert(adminT('prompts.activateFailed'));
+    }
+  };
+
+  const forgetScreen = async (id) => {
+    if (!data || !can(role, 'screens')) return;
+    try {
+      await data.deleteDoc([...paths.screens, id]);
+      audit('screen.forget', { target: { screen: id } });
+    } catch (e) { console.error(e); }
+  };
+
+  // 전시 전환: 이전 월의 데이터가 잠깐이라도 섞여 보이지 않도록 먼저 비웁니다.
+  const switchWall = (nextWallId) => {
+    if (nextWallId === wallId) return;
+    setSettings(null);
+    setLivePrompt(null);
+    setMessages([]);
+    setAuditLog([]);
+    setSnapshots([]);
+    setDraft(null);
+    setSettingsVersions([]);
+    setWallId(nextWallId);
+    updateUrl({ wall: nextWallId });
+  };
+
+  // 새 전시는 현재 월의 설정을 복사해 시작합니다.
+  const createExhibition = async ({ title, slug, startsAt, endsAt }) => {
+    const id = slugify(slug || title);
+    if (!data || !can(role, 'settings') || !id) return null;
+    if (id === DEFAULT_WALL || exhibitions.some(e => e.id === id)) throw new Error('slug-taken');
+    await data.setDoc(wallPaths(appId, id).settings, settings);
+    await data.setDoc(wallPaths(appId, id).livePrompt, { ...livePromptFields(getActivePrompt(prompts, null)), by: user.uid, changedAt: data.serverTimestamp() });
+    const entry = { title: title || id, status: EXHIBITION_STATUS.ACTIVE, startsAt: startsAt || null, endsAt: endsAt || null };
+    await data.setDoc([...exhibitionsPath(appId), id], { ...entry, createdAt: data.serverTimestamp() });
+    audit('exhibition.create', { target: { exhibition: id }, after: entry });
+    return id;
+  };
+
+  const updateExhibition = async (id, changes) => {
+    if (!data || !can(role, 'settings')) return;
+    const before = exhibitions.find(e => e.id === id);
+    try {
+      await data.setDoc([...exhibitionsPath(appId), id], changes, { merge: true });
+      audit('exhibition.update', { target: { exhibition: id }, ...diffFields(before, { ...before, ...changes }) });
+    } catch (e) { console.error(e); }
+  };
+
+  // 초안은 게시 전까지 관객과 월에 보이지 않습니다.
+  const saveDraft = async (next) => {
+    if (!data || !can(role, 'settings')) return;
+    await data.setDoc(paths.draft, { settings: next, by: user.uid, byName: user.email || null, updatedAt: data.serverTimestamp() });
+    audit('settings.draft', { target: { settings: wallId }, ...diffFields(settings, next) });
+  };
+
+  const discardDraft = async () => {
+    if (!data || !can(role, 'settings')) return;
+    try {
+      await data.deleteDoc(paths.draft);
+    } catch (e) { console.error(e); }
+  };
+
+  // 게시: 공개 설정을 바꾸고, 버전을 남기고, 초안을 지우는 일을 한 배치로 합니다.
+  // 이력이 비어 있으면 게시 직전의 설정도 첫 버전으로 남겨 처음 상태로 되돌릴 수 있게 합니다.
+  // 질문 목록의 보기가 바뀌었을 수 있으므로 진행 중인 질문(livePrompt)도 함께 다시 적습니다.
+  const publishSettings = async (next, { rollbackOf = null } = {}) => {
+    if (!data || !can(role, 'settings') || validateSettings(next).length > 0) return false;
+    const version = () => [...paths.settingsVersions, data.newId(paths.settingsVersions)];
+    const batch = data.batch();
+    if (settingsVersions.length === 0 && !settingsMissing) batch.set(version(), { settings, by: null, byName: null, baseline: true, publishedAt: data.timestampFromMillis(Date.now() - 1000) });
+    batch.set(paths.settings, next);
+    batch.set(paths.livePrompt, { ...livePromptFields(getActivePrompt(getPrompts(next), livePrompt)), by: user.uid, changedAt: data.serverTimestamp() });
+    batch.set(version(), { settings: next, by: user.uid, byName: user.email || null, rollbackOf, publishedAt: data.serverTimestamp() });
+    batch.delete(paths.draft);
     await batch.commit();
+    audit(rollbackOf ? 'settings.rollback' : 'settings.publish', { target: { settings: wallId, ...(rollbackOf ? { version: rollbackOf } : {}) }, ...diffFields(settings, next) });
+    return true;
+  };
+
+  const rollbackSettings = async (version) => {
+    if (!window.confirm(adminT('settings.confirmRollback', { time: version.publishedAt?.seconds ? new Date(version.publishedAt.seconds * 1000).toLocaleString(adminLang) : '' }))) return false;
+    const errors = validateSettings(version.settings, adminT);
+    if (errors.length > 0) {
+      alert(`${adminT('settings.invalid', { count: errors.length })}\n${errors.join('\n')}`);
+      return false;
+    }
+    try {
+      return await publishSettings(version.settings, { rollbackOf: version.id });
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  };
+
+  // 대기 중인 반응을 먼저 반영해 오프라인에서도 버튼이 바로 바뀌게 합니다.
+  const effectiveReactions = useMemo(() => {
+    const next = new Map(myReactions);
+    outboxState.jobs.filter(j => j.type === 'react' && j.payload.uid === user?.uid).forEach(({ payload: { messageId, reaction, on } }) => {
+      const types = (next.get(messageId) || []).filter(t => t !== reaction);
+      next.set(messageId, on ? [...types, reaction] : types);
+    });
+    return next;
+  }, [myReactions, outboxState, user]);
+
+  // 작업에는 "원하는 상태"를 담으므로 연타해도 마지막 상태 하나만 전송됩니다.
+  const toggleReaction = (messageId, reaction) => {
+    if (!user || !data) return;
+    outbox.enqueue({
+      type: 'react',
+      dedupeKey: `react:${user.uid}:${messageId}:${reaction}`,
+      payload: { uid: user.uid, wallId, messageId, messagesPath: paths.messages, reaction, on: !(effectiveReactions.get(messageId) || []).includes(reaction) }
+    });
+  };
+
+  // --- 내 흔적 (lib/traces.js) ---
+  // 거두기 시간 제한은 firestore.rules(canWithdraw)가 다시 확인합니다.
+  // 내 반응 기록이 있으면 같은 배치로 지웁니다. 다른 방문자의 기록은 읽을 때 걸러냅니다.
+  const withdrawMessage = async (msg) => {
+    if (!data || !user || msg.userId !== user.uid || !canWithdraw(msg, getWithdrawMinutes(settings))) return false;
+    try {
+      const batch = data.batch();
+      batch.delete([...paths.messages, msg.id]);
+      if (myReactions.has(msg.id)) batch.delete(['artifacts', appId, 'users', user.uid, 'user_likes', msg.id]);
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  };
+
+  // 연결해도 uid 가 그대로라 흔적이 따라옵니다. 다른 기기에서는 같은 이메일로 로그인합니다.
+  const linkVisitorAccount = (email, password) => data.auth.linkWithPassword(email, password);
+  const signInVisitor = (email, password) => data.auth.signInWithPassword(email, password);
+
+  // 반응 기록은 방문자별 문서에 흩어져 있으므로 컬렉션 그룹으로 모아 이 월의 메시지(msgIds) 것만 남깁니다.
+  const wallLikes = async (msgIds) => {
+    const ids = new Set(msgIds);
+    const { docs } = await data.getCollectionGroup('user_likes');
+    return docs
+      .filter(d => d.ref.path.startsWith(`artifacts/${appId}/users/`) && ids.has(d.id) && (d.data().wallId || DEFAULT_WALL) === wallId)
+      .map(d => ({ uid: d.ref.parent.parent.id, messageId: d.id, types: reactionTypesOf(d.data()), timestamp: d.data().timestamp || null }));
+  };
+  const likePathOf = (l) => ['artifacts', appId, 'users', l.uid, 'user_likes', l.messageId];
+
+  const exportArchive = async () => {
+    if (!data || !can(role, 'archive')) return null;
+    const [settingsSnap, likes] = await Promise.all([data.getDoc(paths.settings, { fromServer: true }), wallLikes(messages.map(m => m.id))]);
+    audit('archive.export', { after: { messages: messages.length, likes: likes.length } });
+    return buildArchive({ appId, wallId, exhibition, settings: settingsSnap.exists() ? settingsSnap.data() : settings, messages, likes });
+  };
+
+  // 화면의 미리보기와 달리 서버에서 현재 메시지 id 를 다시 읽어 충돌을 판단합니다.
+  const importArchive = async (archive, mode) => {
+    if (!data || !can(role, 'archive')) return null;
+    const existing = await data.getCollection(paths.messages);
+    const plan = planImport(archive, { existingIds: new Set(existing.docs.map(d => d.id)), mode });
+    if (plan.blocked) return plan;
+    const toTimestamp = (date) => data.timestampFromDate(date);
+    const writes = [
+      ...(plan.settings ? [[paths.settings, decodeValue(plan.settings, toTimestamp)]] : []),
+      ...plan.messages.map(({ id, ...fields }) => [[...paths.messages, id], decodeValue(fields, toTimestamp)]),
+      ...plan.likes.map(l => [likePathOf(l), { messageId: l.messageId, wallId, types: reactionTypesOf(l), timestamp: l.timestamp ? decodeValue(l.timestamp, toTimestamp) : data.serverTimestamp() }])
+    ];
+    for (let i = 0; i < writes.length; i += 450) {
+      const batch = data.batch();
+      writes.slice(i, i + 450).forEach(([path, value]) => batch.set(path, value));
+      await batch.commit();
+    }
+    audit('archive.import', { target: { mode }, after: { settings: Boolean(plan.settings), messages: plan.messages.length, likes: plan.likes.length } });
+    return plan;
+  };
+
+  // 배치 한도(500) 아래로 나눠 커밋합니다. 문서 하나에 두 번 쓰는 작업은 size 를 줄여 넘깁니다.
+  const commitInChunks = async (items, write, size = 450) => {
+    for (let i = 0; i < items.length; i += size) {
+      const batch = data.batch();
+      items.slice(i, i + size).forEach(item => write(batch, item));
+      await batch.commit();
+    }
+  };
+  const updateMessages = (msgIds, changes) => commitInChunks(msgIds, (batch, id) => batch.update([...paths.messages, id], changes));
+  const messagesById = (msgIds) => messages.filter(m => msgIds.includes(m.id));
+
+  // 삭제는 휴지통으로 옮기는 소프트 삭제입니다. 되살리기 전까지 관객 화면과 월에서 빠집니다.
+  const deleteMessages = async (msgIds) => {
+    if (!data || !can(role, 'delete') || msgIds.length === 0) return false;
+    try {
+      await updateMessages(msgIds, { deletedAt: data.serverTimestamp(), deletedBy: user.uid });
+      audit('messages.trash', { target: summarizeIds(msgIds) });
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  };
+
+  const restoreMessages = async (msgIds) => {
+    if (!data || !can(role, 'delete') || msgIds.length === 0) return false;
+    try {
+      await updateMessages(msgIds, { deletedAt: data.deleteField(), deletedBy: data.deleteField() });
+      audit('messages.restore', { target: summarizeIds(msgIds) });
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  };
+
+  // 휴지통에서 영구 삭제합니다. 되돌릴 수 없으므로 기록에 본문을 남기고, 확인은 한 번만 묻습니다.
+  // 방문자들의 반응 기록도 같이 지웁니다. 규칙은 메시지가 없어진 뒤에만 허락하므로 메시지를 먼저 씁니다.
+  const purgeMessages = async (msgIds) => {
+    if (!data || !can(role, 'delete') || msgIds.length === 0) return false;
+    if (!window.confirm(msgIds.length === 1 ? adminT('admin.confirmDelete') : adminT('admin.confirmDeleteMany', { count: msgIds.length }))) return false;
+    const before = messageDigest(messagesById(msgIds));
+    try {
+      const likes = await wallLikes(msgIds);
+      await commitInChunks([...msgIds.map(id => [...paths.messages, id]), ...likes.map(likePathOf)], (batch, path) => batch.delete(path));
+      audit('messages.purge', { target: summarizeIds(msgIds), before: { messages: before } });
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  };
+
+  // hours: null 이면 만료 없이, false 면 추천 해제 (lib/featured.js)
+  const setFeatured = async (msgIds, hours) => {
+    if (!data || !can(role, 'moderate') || msgIds.length === 0) return;
+    const changes = hours === false
+      ? { featured: false, featuredUntil: null }
+      : { featured: true, featuredUntil: hours ? data.timestampFromMillis(Date.now() + hours * 3600 * 1000) : null };
+    const before = countBy(messagesById(msgIds), m => isFeatured(m));
+    try {
+      await updateMessages(msgIds, changes);
+      audit('messages.feature', { target: summarizeIds(msgIds), before: { featured: before }, after: { featured: hours !== false, hours: hours || null } });
+    } catch (e) { console.error(e); }
+  };
+
+  // 승인/거절은 여러 건을 한 번에 처리합니다.
+  const setMessagesStatus = async (msgIds, status) => {
+    if (!data || !can(role, 'moderate') || msgIds.length === 0) return;
+    const before = countBy(messagesById(msgIds), getStatus);
+    try {
+      await updateMessages(msgIds, { status, reviewedAt: data.serverTimestamp() });
+      audit('messages.status', { target: summarizeIds(msgIds), before: { status: before }, after: { status } });
+    } catch (e) { console.error(e); }
+  };
+
+  // "전체 비우기"는 현재 세션을 이름 붙인 스냅샷으로 옮깁니다.
+  // 메시지마다 복사와 삭제 두 번을 쓰므로 200건씩 커밋하며, 다 옮긴 뒤에 complete 로 표시합니다.
+  // 반응 기록은 스냅샷에 넣지 않고 메시지 뒤에 이어서 지웁니다.
+  const clearAllMessages = async () => {
+    if (!data || !can(role, 'wipe')) return;
+    const snapshot = await data.getCollection(paths.messages);
+    const name = window.prompt(adminT('admin.confirmClear', { count: snapshot.size }), new Date().toLocaleString(adminLang));
+    if (name === null) return;
+    const snapshotId = data.newId(paths.snapshots);
+    const entry = { name: name.trim() || new Date().toLocaleString(adminLang), count: snapshot.size };
+    try {
+      const likes = await wallLikes(snapshot.docs.map(d => d.id));
+      await data.setDoc([...paths.snapshots, snapshotId], { ...entry, by: user.uid, createdAt: data.serverTimestamp(), complete: false });
+      await commitInChunks([...snapshot.docs, ...likes], (batch, item) => {
+        if (item.messageId) {
+          batch.delete(likePathOf(item));
+          return;
+        }
+        batch.set([...paths.snapshots, snapshotId, 'messages', item.id], item.data());
+        batch.delete([...paths.messages, item.id]);
+      }, 200);
+      await data.setDoc([...paths.snapshots, snapshotId], { complete: true }, { merge: true });
+      audit('messages.clear', { target: { snapshot: snapshotId }, before: { messages: snapshot.size }, after: { messages: 0, ...entry } });
+    } catch (e) {
+      console.error(e);
+      alert(adminT('admin.clearFailed'));
+    }
+  };
+
+  // 스냅샷의 메시지를 월로 되돌립니다. 같은 id 의 메시지는 덮어쓰고, 스냅샷은 그대로 둡니다.
+  const restoreSnapshot = async (snap) => {
+    if (!data || !can(role, 'wipe') || !window.confirm(adminT('admin.confirmRestoreSnapshot', { name: snap.name, count: snap.count }))) return;
+    try {
+      const { docs } = await data.getCollection([...paths.snapshots, snap.id, 'messages']);
+      await commitInChunks(docs, (batch, d) => batch.set([...paths.messages, d.id], d.data()));
+      audit('snapshot.restore', { target: { snapshot: snap.id }, after: { name: snap.name, messages: docs.length } });
+    } catch (e) {
+      console.error(e);
+      alert(adminT('admin.restoreFailed'));
+    }
   };
 
-  if (!isValidKey && !isCanvas) {
+  // 관객 화면과 월에는 승인된 메시지만 노출합니다.
+  const approvedMessages = useMemo(() => messages.filter(isApproved), [messages]);
+  // 관리 화면은 휴지통과 나머지를 나눠 봅니다.
+  const liveMessages = useMemo(() => messages.filter(m => !isDeleted(m)), [messages]);
+  const trashedMessages = useMemo(() => messages.filter(isDeleted), [messages]);
+  // 원격 clear 이후에는 그 뒤에 도착한 흔적만 월에 올립니다.
+  const wallMessages = useMemo(() => (control.clearedAt ? approvedMessages.filter(m => (messageTime(m) ?? Infinity) > control.clearedAt) : approvedMessages), [approvedMessages, control.clearedAt]);
+
+  // 하트비트는 주기적으로, 그리고 명령을 받아 상태가 바뀔 때 바로 보냅니다.
+  const heartbeat = useRef(null);
+  useEffect(() => {
+    heartbeat.current = { messageCount: wallMessages.length, lastSyncAt: syncedAt, paused: control.paused, announcement: control.announcement?.text || null };
+  });
+  useEffect(() => {
+    if (!screen || !user || !data) return;
+    const beat = () => data.setDoc([...paths.screens, screen.id], {
+      name: screen.name,
+      wallId: paths.wallId,
+      startedAt,
+      userAgent: navigator.userAgent.slice(0, 200),
+      lastSeen: data.serverTimestamp(),
+      ...heartbeat.current
+    }).catch(e => console.warn("Heartbeat failed:", e));
+    beat();
+    const timer = setInterval(beat, HEARTBEAT_INTERVAL);
+    return () => clearInterval(timer);
+  }, [screen, user, paths, startedAt, control]);
+
+  // --- 무드 출력 (lib/moodOutput.js): 월 화면만 조명/사운드 쪽으로 보냅니다. ---
+  const output = useMemo(() => getOutputOptions(settings), [settings]);
+  // 무드는 월의 카드처럼 자유 글로만 계산합니다. (lib/prompts.js)
+  const moodStream = useRef(null);
+  useEffect(() => {
+    moodStream.current?.update({ messages: wallMessages.filter(isFreeText), palette, window: output.window, smoothing: output.smoothing, rate: output.rate });
+  });
+  useEffect(() => {
+    if (view !== 'display' || !output.enabled) return;
+    const stream = createMoodStream({ url: output.url, wallId, screen: screen?.id });
+    moodStream.current = stream;
+    return () => {
+      stream.close();
+      moodStream.current = null;
+    };
+  }, [view, output.enabled, output.url, wallId, screen]);
+
+  if (view === 'bench') return <DisplayBenchmark />;
+
+  if (!data) {
     return (
       <div className="min-h-screen bg-[#f3efea] text-[#004aad] flex flex-col items-center justify-center p-8 text-center font-sans">
         <AlertCircle className="w-16 h-16 mb-6" />
-        <h1 className="text-2xl font-bold mb-4 italic">Environment Required</h1>
-        <p className="text-neutral-600 mb-8 max-w-sm">Firebase 설정이 비어있습니다.</p>
+        <h1 className="text-2xl font-bold mb-4 italic">{adminT('env.title')}</h1>
+        <p className="text-neutral-600 mb-8 max-w-sm">{adminT('env.body')}</p>
       </div>
     );
   }
@@ -198,135 +684,313 @@ export default function App() {
     <div className="min-h-screen bg-[#f3efea] text-[#111] overflow-hidden font-sans selection:bg-[#004aad] selection:text-white">
       {view === 'input' && (
         <VisitorInput 
-          settings={settings.input} 
-          messages={messages.slice(0, 10)} 
+          settings={localize(settings.input, lang, languages)} 
+          languages={languages}
+          lang={lang}
+          onLanguage={visitorLanguage.set}
+          t={t}
+          moderation={settings.moderation}
+          limits={settings.limits}
+          paths={paths}
+          recentMessages={messages}
+          onViolation={(type) => recordViolation(paths.violations, type)}
+          phase={getExhibitionPhase(exhibition)}
+          messages={(settings.input?.featuredOnTop ? featuredFirst(approvedMessages) : approvedMessages).filter(isFreeText).slice(0, 10)} 
+          key={activePrompt.id}
+          prompt={activePrompt}
           user={user} 
-          likedMessageIds={likedMessageIds} 
-          onToggleLike={toggleLike} 
+          palette={palette}
+          reactions={getReactions(settings)}
+          myReactions={effectiveReactions}
+          outboxState={outboxState}
+          onToggleReaction={toggleReaction}
           onSuccess={(data) => setShowSuccess(data)}
+          mineUrl={wallUrl(wallId, { view: 'mine' })}
+        />
+      )}
+      {view === 'mine' && (
+        <MyTraces
+          t={t}
+          lang={lang}
+          user={user}
+          messages={myTraces(messages, user?.uid)}
+          reactedCount={messages.filter(m => (effectiveReactions.get(m.id) || []).length > 0).length}
+          palette={palette}
+          template={getTicketTemplate(settings)}
+          wallId={wallId}
+          withdrawMinutes={getWithdrawMinutes(settings)}
+          accountLink={Boolean(settings.input?.accountLink) && data.kind !== 'local'}
+          onWithdraw={withdrawMessage}
+          onLink={linkVisitorAccount}
+          onSignIn={signInVisitor}
+          onSignOut={signOutOperator}
+        />
+      )}
+      {view === 'ticket' && <TicketView id={new URLSearchParams(window.location.search).get('id')} paths={paths} user={user} palette={palette} template={getTicketTemplate(settings)} t={t} />}
+      {view === 'display' && (
+        <DisplayWall
+          settings={settings.display}
+          languages={languages}
+          palette={palette}
+          messages={wallMessages}
+          prompt={activePrompt}
+          joinUrl={wallUrl(wallId, { view: 'input' })}
+          paused={control.paused}
+          spotlightMessage={control.spotlight && approvedMessages.find(m => m.id === control.spotlight.messageId)}
+          announcement={control.announcement?.text}
         />
       )}
-      {view === 'display' && <DisplayWall settings={settings.display} messages={messages} />}
-      {view === 'admin' && (
+      {view === 'admin' && (isOperator(role) ? (
         <AdminPanel 
+          role={role}
+          t={adminT}
+          lang={adminLang}
+          onLanguage={adminLanguage.set}
           settings={settings} 
-          messages={messages}
-          onUpdate={(s) => setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'settings', 'appSettings'), s)} 
-          onDelete={deleteMessage}
+          messages={liveMessages}
+          trash={trashedMessages}
+          auditLog={auditLog}
+          snapshots={snapshots}
+          violations={violations}
+          draft={draft}
+          settingsVersions={settingsVersions}
+          onSaveDraft={saveDraft}
+          onDiscardDraft={discardDraft}
+          onPublish={publishSettings}
+          onRollback={rollbackSettings}
+          wallId={wallId}
+          exhibitions={exhibitions}
+          onSwitchWall={switchWall}
+          onCreateExhibition={createExhibition}
+          onUpdateExhibition={updateExhibition}
+          onDelete={deleteMessages}
+          onRestore={restoreMessages}
+          onPurge={purgeMessages}
+          onRestoreSnapshot={restoreSnapshot}
+          onSetStatus={setMessagesStatus}
+          onSetFeatured={setFeatured}
           onClearAll={clearAllMessages}
+          onExportArchive={exportArchive}
+          onImportArchive={importArchive}
+          screens={screens}
+          onCommand={sendCommand}
+          onForgetScreen={forgetScreen}
+          activePrompt={activePrompt}
+          onActivatePrompt={activatePrompt}
+          onSignOut={signOutOperator}
           onBack={() => setView('display')} 
         />
-      )}
+      ) : (
+        <OperatorLogin t={adminT} local={data.kind === 'local'} onSignIn={signInOperator} onBack={() => setView('display')} />
+      ))}
 
-      {showSuccess && <SuccessTicket data={showSuccess} onClose={() => setShowSuccess(null)} />}
+      {showSuccess && (
+        <SuccessTicket 
+          data={{ ...showSuccess, ...outboxState.results.get(showSuccess.id) }} 
+          palette={palette}
+          template={getTicketTemplate(settings)}
+          url={ticketUrl(wallId, showSuccess.id)}
+          t={t}
+          syncState={outboxState.jobs.some(j => j.id === showSuccess.id) ? 'queued' : outboxState.results.get(showSuccess.id)?.error ? 'failed' : 'synced'}
+          onClose={() => setShowSuccess(null)} 
+        />
+      )}
       
-      <style>{`
-        @keyframes float-down {
-          0% { transform: translateY(-120%); opacity: 0; }
-          10% { opacity: 1; }
-          90% { opacity: 1; }
-          100% { transform: translateY(110vh); opacity: 0; }
-        }
-        @keyframes heart-beat {
-          0%, 100% { transform: scale(1); }
-          50% { transform: scale(1.3); filter: brightness(1.2); }
-        }
-        .animate-float { animation: float-down linear infinite; }
-        .animate-beat { animation: heart-beat 0.6s ease-in-out; }
-        .aura-glow { box-shadow: 0 0 60px var(--aura-color); }
-        .ticket-mask { 
-          mask-image: radial-gradient(circle at 0% 65%, transparent 15px, black 16px), 
-                      radial-gradient(circle at 100% 65%, transparent 15px, black 16px); 
-          -webkit-mask-image: radial-gradient(circle at 0% 65%, transparent 15px, black 16px), 
-                              radial-gradient(circle at 100% 65%, transparent 15px, black 16px);
-        }
-      `}</style>
+      <WallStyles />
     </div>
   );
 }
 
+function WallStyles() {
+  return (
+    <style>{`
+      @keyframes float-down {
+        0% { transform: translateY(-120%); opacity: 0; }
+        10% { opacity: 1; }
+        90% { opacity: 1; }
+        100% { transform: translateY(110vh); opacity: 0; }
+      }
+      @keyframes heart-beat {
+        0%, 100% { transform: scale(1); }
+        50% { transform: scale(1.3); filter: brightness(1.2); }
+      }
+      .animate-float { animation: float-down linear infinite; }
+      .animate-beat { animation: heart-beat 0.6s ease-in-out; }
+      @keyframes drift {
+        0%, 100% { transform: translate(0, 0); }
+        50% { transform: translate(6px, -10px); }
+      }
+      @keyframes breathe {
+        0%, 100% { scale: 1; }
+        50% { scale: 1.12; }
+      }
+      @keyframes arrive {
+        0% { transform: translateY(24px) scale(0.95); opacity: 0; }
+        8% { transform: translateY(0) scale(1.04); opacity: 1; }
+        14% { transform: scale(1); }
+        85% { opacity: 1; }
+        100% { transform: translateY(-8px); opacity: 0; }
+      }
+      .animate-drift { animation: drift ease-in-out infinite; }
+      .animate-arrive { animation: arrive 6s ease-in-out forwards; }
+      /* 원격 일시정지: 계속 움직이는 애니메이션만 멈추고, 공지/스포트라이트의 등장 효과는 그대로 둡니다. */
+      .wall-paused .animate-float, .wall-paused .animate-drift, .wall-paused .animate-breathe, .wall-paused .animate-arrive { animation-play-state: paused; }
+      .animate-breathe { animation: breathe 12s ease-in-out infinite; }
+      .aura-glow { box-shadow: 0 0 60px var(--aura-color); }
+      .ticket-mask { 
+        mask-image: radial-gradient(circle at 0% 65%, transparent 15px, black 16px), 
+                    radial-gradient(circle at 100% 65%, transparent 15px, black 16px); 
+        -webkit-mask-image: radial-gradient(circle at 0% 65%, transparent 15px, black 16px), 
+                            radial-gradient(circle at 100% 65%, transparent 15px, black 16px);
+      }
+    `}</style>
+  );
+}
+
 // --- Component: 관객 입력창 ---
-function VisitorInput({ settings, messages, user, likedMessageIds, onToggleLike, onSuccess }) {
+function VisitorInput({ settings, languages, lang, onLanguage, t, moderation, limits, paths, recentMessages, phase, messages, user, palette, reactions, myReactions, outboxState, onToggleReaction, onViolation, onSuccess, mineUrl = null, prompt = DEFAULT_PROMPTS[0] }) {
   const [text, setText] = useState('');
+  // 고르기는 옵션 id 목록, 척도는 [숫자] 입니다. (lib/prompts.js)
+  const [picked, setPicked] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-
-  const callGeminiAI = async (inputText) => {
-    const systemPrompt = `Analyze mood for art exhibition. Provide contrast scores. Return JSON: {"POSITIVE": score, "CALM": score, "ENERGETIC": score, "DEEP": score}. Total 100.`;
-    try {
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: `${systemPrompt}\n\nUser: "${inputText}"` }] }],
-          generationConfig: { responseMimeType: "application/json" }
-        })
-      });
-      if (response.ok) {
-        const result = await response.json();
-        let raw = result.candidates[0].content.parts[0].text;
-        const clean = raw.replace(/```json/g, "").replace(/```/g, "").trim();
-        const parsed = JSON.parse(clean);
-        if (Object.values(parsed).every(v => v === 25)) return { POSITIVE: 45, CALM: 20, ENERGETIC: 10, DEEP: 25 };
-        return parsed;
-      }
-      throw new Error();
-    } catch (err) { 
-      const r = () => Math.floor(Math.random() * 50);
-      return { POSITIVE: r(), CALM: r(), ENERGETIC: r(), DEEP: r() };
-    }
-  };
+  const [notice, setNotice] = useState('');
+  const pendingSubmissions = outboxState.jobs.filter(j => j.type === 'submit').length;
+  const pickedType = isPicked(prompt.type);
+  const response = buildResponse(prompt, pickedType ? (prompt.type === 'scale' ? picked[0] : picked) : text);
+  const maxLength = prompt.type === 'short' ? Math.min(SHORT_MAX_LENGTH, getLimits(limits).maxLength) : getLimits(limits).maxLength;
+  const pick = (id) => setPicked(prev => {
+    if (prompt.type !== 'multiple') return [id];
+    return prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id];
+  });
 
   const send = async (e) => {
     e.preventDefault();
-    if (!text.trim() || isAnalyzing || !user) return;
+    if (!response || isAnalyzing || !user || phase !== 'open') return;
+    const { text } = response;
+    const check = checkSubmission(text, { limits, uid: user.uid, messages: recentMessages, checkLength: !pickedType, checkDuplicate: prompt.type === 'text' });
+    if (!check.ok) {
+      const { minLength, maxLength } = getLimits(limits);
+      setNotice(t(`violation.${check.reason}`, { min: minLength, max: maxLength, seconds: check.retryInSeconds }));
+      onViolation(check.reason);
+      return;
+    }
+    setNotice('');
     setIsAnalyzing(true);
-    const scores = await callGeminiAI(text);
+    // 오프라인이면 네트워크 분석기를 건너뛰고, 전송 시점에 다시 분석하도록 표시합니다.
+    const offline = !navigator.onLine;
+    const { scores, analyzer } = await analyzeMood(text, offline ? [] : moodAnalyzers, palette);
     const msgData = {
-      text,
-      timestamp: serverTimestamp(),
+      ...response,
       scores,
+      analyzer,
+      ...resolveInitialStatus(text, moderation),
       likes: 0,
       userId: user.uid
     };
     try {
-      const docRef = await addDoc(collection(db, 'artifacts', appId, 'public', 'data', 'messages'), msgData);
-      onSuccess({ ...msgData, id: docRef.id });
+      // 문서 id 를 미리 발급받아 임시 티켓 번호로 쓰고, 동기화 후에도 그대로 유지됩니다.
+      const id = data.newId(paths.messages);
+      await outbox.enqueue({ id, type: 'submit', payload: { id, wallId: paths.wallId, messagesPath: paths.messages, violationsPath: paths.violations, data: msgData, palette, reanalyze: offline && moodAnalyzers.some(p => p.isAvailable()) } });
+      recordSubmission(text);
+      onSuccess({ ...msgData, id });
       setText('');
+      setPicked([]);
+    } catch (err) {
+      console.error(err);
+      alert(t('visitor.saveFailed'));
     } finally { setIsAnalyzing(false); }
   };
 
   return (
     <div className={`flex flex-col min-h-screen p-8 max-w-md mx-auto py-16 ${settings.fontFamily}`}>
       <header className="mb-12">
+        {languages.length > 1 && (
+          <div className="flex items-center gap-1 mb-10 text-neutral-400" title={t('common.language')}>
+            <Globe size={14} className="mr-2" />
+            {languages.map(l => <button key={l} type="button" onClick={() => onLanguage(l)} className={`px-3 py-1.5 rounded-full text-[10px] font-bold tracking-widest transition-all ${l === lang ? 'bg-[#004aad] text-white' : 'hover:text-[#004aad]'}`}>{LANGUAGES[l].label}</button>)}
+          </div>
+        )}
         <div className="w-12 h-px bg-[#004aad] mb-6"></div>
-        <h1 className="text-3xl font-light mb-3 leading-tight text-[#004aad]">{settings.question}</h1>
+        <h1 className="text-3xl font-light mb-3 leading-tight text-[#004aad]">{prompt.question || settings.question}</h1>
         <p className="text-neutral-500 text-[10px] tracking-[0.2em] uppercase font-bold">{settings.subtitle}</p>
       </header>
+
+      {(!outboxState.online || pendingSubmissions > 0) && (
+        <div className="-mt-6 mb-8 flex items-center gap-3 px-5 py-3 rounded-2xl bg-amber-50 border border-amber-100 text-amber-700 text-xs font-bold">
+          {outboxState.online ? <CloudUpload size={16} className="animate-pulse" /> : <CloudOff size={16} />}
+          <span>{outboxState.online ? t('visitor.sending', { count: pendingSubmissions }) : `${t('visitor.offline')}${pendingSubmissions > 0 ? t('visitor.offlinePending', { count: pendingSubmissions }) : ''}`}</span>
+        </div>
+      )}
       
+      {phase !== 'open' ? (
+        <div className="mb-16 bg-white/40 border border-neutral-200 rounded-4xl p-10 text-center text-[#004aad]">
+          <Info className="mx-auto mb-4" size={28} />
+          <p className="text-sm font-bold">{t(`phase.${phase}`)}</p>
+        </div>
+      ) : (
       <form onSubmit={send} className="mb-16">
         <div className="relative group">
-          <textarea value={text} onChange={(e) => setText(e.target.value)} className="w-full bg-white/50 border border-neutral-200 rounded-4xl p-7 h-48 focus:border-[#004aad] outline-none transition-all mb-6 text-lg font-light backdrop-blur-sm shadow-sm" placeholder={settings.placeholder} maxLength={150} />
+          {prompt.type === 'text' && <textarea value={text} onChange={(e) => setText(e.target.value)} className="w-full bg-white/50 border border-neutral-200 rounded-4xl p-7 h-48 focus:border-[#004aad] outline-none transition-all mb-6 text-lg font-light backdrop-blur-sm shadow-sm" placeholder={settings.placeholder} maxLength={maxLength} />}
+          {prompt.type === 'short' && (
+            <div className="mb-6 space-y-4">
+              <input value={text} onChange={(e) => setText(e.target.value)} className="w-full bg-white/50 border border-neutral-200 rounded-4xl px-7 py-5 focus:border-[#004aad] outline-none transition-all text-lg font-light backdrop-blur-sm shadow-sm" placeholder={settings.placeholder} maxLength={maxLength} />
+              {prompt.options.length > 0 && <div className="flex flex-wrap gap-2">{prompt.options.map(o => <button key={o.id} type="button" onClick={() => setText(o.label)} className={`px-4 py-2 rounded-full text-xs font-bold border transition-all ${text.trim() === o.label ? 'border-[#004aad] bg-[#004aad] text-white' : 'border-neutral-200 bg-white/50 text-neutral-500 hover:text-[#004aad]'}`}>{o.label}</button>)}</div>}
+            </div>
+          )}
+          {isChoice(prompt.type) && (
+            <div className="mb-6 space-y-3">
+              <p className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold">{t(prompt.type === 'single' ? 'prompt.pickOne' : 'prompt.pickMany')}</p>
+              {prompt.options.map(o => {
+                const on = picked.includes(o.id);
+                return (
+                  <button key={o.id} type="button" aria-pressed={on} onClick={() => pick(o.id)} className={`w-full flex items-center gap-4 px-6 py-5 rounded-3xl border text-left transition-all active:scale-[0.98] ${on ? 'border-[#004aad] bg-[#004aad]/10 text-[#004aad]' : 'border-neutral-200 bg-white/50 text-neutral-700 hover:border-neutral-300'}`}>
+                    <span className={`shrink-0 w-5 h-5 border-2 flex items-center justify-center transition-all ${prompt.type === 'single' ? 'rounded-full' : 'rounded-md'} ${on ? 'border-[#004aad] bg-[#004aad] text-white' : 'border-neutral-300'}`}>{on && <Check size={12} />}</span>
+                    <span className="font-bold">{o.label}</span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+          {prompt.type === 'scale' && (
+            <div className="mb-6">
+              <div className="grid grid-cols-5 gap-2">{SCALE_VALUES.map(n => <button key={n} type="button" aria-pressed={picked[0] === n} onClick={() => pick(n)} className={`aspect-square rounded-3xl border text-2xl font-light transition-all active:scale-95 ${picked[0] === n ? 'border-[#004aad] bg-[#004aad] text-white shadow-xl shadow-blue-200' : 'border-neutral-200 bg-white/50 text-[#004aad] hover:border-neutral-300'}`}>{n}</button>)}</div>
+              {(prompt.low || prompt.high) && <div className="mt-3 flex justify-between text-[10px] text-neutral-400 uppercase tracking-widest font-bold"><span>{prompt.low}</span><span>{prompt.high}</span></div>}
+            </div>
+          )}
           {isAnalyzing && (
             <div className="absolute inset-0 bg-white/70 rounded-4xl flex flex-col items-center justify-center backdrop-blur-md z-20">
               <BrainCircuit className="text-[#004aad] animate-pulse mb-3" size={32} />
-              <p className="text-[10px] font-bold tracking-widest text-[#004aad]">ANALYZING AURA...</p>
+              <p className="text-[10px] font-bold tracking-widest text-[#004aad]">{t('visitor.analyzing')}</p>
             </div>
           )}
         </div>
-        <button disabled={!text.trim() || isAnalyzing} className="w-full bg-[#004aad] text-white py-5 rounded-2xl font-bold flex items-center justify-center gap-2 active:scale-95 disabled:opacity-50 transition-all shadow-xl shadow-blue-200">
-          <Send size={18} /> {isAnalyzing ? "처리 중..." : settings.buttonText}
+        {notice && (
+          <p className="-mt-2 mb-5 flex items-center gap-2 text-xs font-bold text-rose-500"><AlertCircle size={14} /> {notice}</p>
+        )}
+        <button disabled={!response || isAnalyzing} className="w-full bg-[#004aad] text-white py-5 rounded-2xl font-bold flex items-center justify-center gap-2 active:scale-95 disabled:opacity-50 transition-all shadow-xl shadow-blue-200">
+          <Send size={18} /> {isAnalyzing ? t('common.processing') : settings.buttonText}
         </button>
       </form>
+      )}
+
+      {mineUrl && <a href={mineUrl} className="-mt-10 mb-12 self-end inline-flex items-center gap-2 text-[10px] text-neutral-400 uppercase tracking-widest font-bold hover:text-[#004aad]"><History size={12} /> {t('mine.link')}</a>}
 
       <div className="space-y-5">
-        <h3 className="text-[10px] text-neutral-400 uppercase tracking-widest flex items-center gap-2 mb-6 font-bold"><Sparkles size={14} className="text-[#004aad]"/> Recent Traces</h3>
+        <h3 className="text-[10px] text-neutral-400 uppercase tracking-widest flex items-center gap-2 mb-6 font-bold"><Sparkles size={14} className="text-[#004aad]"/> {t('visitor.recent')}</h3>
         {messages.map(msg => (
-          <div key={msg.id} className="bg-white/40 border border-neutral-200 p-6 rounded-3xl flex items-center justify-between transition-all hover:border-neutral-300 shadow-sm animate-in fade-in duration-500">
-            <p className="text-sm font-light text-neutral-700 pr-6 leading-relaxed">{msg.text}</p>
-            <button onClick={() => onToggleLike(msg.id)} className="flex flex-col items-center gap-1 group/heart">
-              <Heart size={18} className={likedMessageIds.has(msg.id) ? "fill-[#004aad] text-[#004aad] scale-110 transition-all" : "text-neutral-300 hover:text-neutral-400"} />
-              <span className="text-[10px] font-mono text-neutral-400 font-bold">{msg.likes || 0}</span>
-            </button>
+          <div key={msg.id} className={`border p-6 rounded-3xl flex items-center justify-between transition-all shadow-sm animate-in fade-in duration-500 ${isFeatured(msg) ? 'bg-amber-50/60 border-amber-200' : 'bg-white/40 border-neutral-200 hover:border-neutral-300'}`}>
+            <p className="text-sm font-light text-neutral-700 pr-6 leading-relaxed">{isFeatured(msg) && <Star size={12} className="inline mr-2 -mt-0.5 text-amber-500 fill-amber-400" />}{msg.text}</p>
+            <div className="flex gap-1.5 shrink-0">
+              {reactions.map(r => {
+                const active = (myReactions.get(msg.id) || []).includes(r);
+                return (
+                  <button key={r} onClick={() => onToggleReaction(msg.id, r)} title={t(`reaction.${r}`)} className={`flex flex-col items-center gap-1 px-2 py-1.5 rounded-2xl transition-all ${active ? 'bg-[#004aad]/10 scale-110' : 'grayscale opacity-50 hover:opacity-80'}`}>
+                    <span className="text-lg leading-none">{REACTION_CATALOG[r].emoji}</span>
+                    <span className={`text-[10px] font-mono font-bold ${active ? 'text-[#004aad]' : 'text-neutral-400'}`}>{reactionCounts(msg)[r] || 0}</span>
+                  </button>
+                );
+              })}
+            </div>
           </div>
         ))}
       </div>
@@ -335,200 +999,1490 @@ function VisitorInput({ settings, messages, user, likedMessageIds, onToggleLike,
 }
 
 // --- Component: 전시 메인 화면 ---
-function DisplayWall({ settings, messages }) {
+function DisplayWall({ settings, languages = [DEFAULT_LANGUAGE], palette = DEFAULT_PALETTE, messages, prompt = null, joinUrl, paused = false, spotlightMessage = null, announcement = null, preview = false }) {
+  // 카드는 자유 글로만 만들고, 고르기/척도/짧은 답은 아래 결과 화면에 모읍니다. (lib/prompts.js)
+  const cards = useMemo(() => messages.filter(isFreeText), [messages]);
+  const results = useMemo(() => (prompt && prompt.type !== 'text' ? tallyResponses(prompt, messages) : null), [prompt, messages]);
+
+  // 전체 기록 대신 제한된 수의 카드 슬롯만 렌더링합니다. (lib/displayEngine.js)
+  const { size, policy } = getPoolOptions(settings);
+  const [engine] = useState(() => createDisplayEngine({ poolSize: size, rotation: policy }));
+  const slots = useSyncExternalStore(engine.subscribe, engine.getSnapshot);
+  useEffect(() => { engine.configure({ size, policy }); }, [engine, size, policy]);
+  useEffect(() => { engine.sync(cards); }, [engine, cards]);
+
+  // 낙하 애니메이션이 없는 레이아웃은 타이머로 슬롯을 교체합니다.
+  const layout = getLayout(settings);
+  const { rotateEvery } = DISPLAY_LAYOUTS[layout];
+  useEffect(() => {
+    if (!rotateEvery || paused) return;
+    const timer = setInterval(() => (layout === 'spotlight' ? engine.advance(0) : engine.rotate()), rotateEvery);
+    return () => clearInterval(timer);
+  }, [engine, layout, rotateEvery, paused]);
+
+  // 질문 번역이 있는 언어만 차례로 보여 줍니다. (lib/i18n.js)
+  const cycle = settings.cycleLanguages ? languages.filter((l, i) => i === 0 || String(settings.translations?.[l]?.question || '').trim()) : [];
+  const cycleSeconds = Number(settings.cycleSeconds) || 12;
+  const [cycleIndex, setCycleIndex] = useState(0);
+  useEffect(() => {
+    if (cycle.length < 2 || paused) return;
+    const timer = setInterval(() => setCycleIndex(i => i + 1), cycleSeconds * 1000);
+    return () => clearInterval(timer);
+  }, [cycle.length, cycleSeconds, paused]);
+  const shownLang = cycle.length > 1 ? cycle[cycleIndex % cycle.length] : languages[0];
+  const localized = localize(settings, shownLang, languages);
+  const text = prompt?.question ? { ...localized, question: prompt.question } : localized;
+
+  // 참여 안내 오버레이와 새 흔적 강조 (lib/layouts.js)
+  const overlay = getOverlayOptions(settings);
+  const t = useMemo(() => translator(shownLang), [shownLang]);
+  const [dayStart, setDayStart] = useState(startOfToday);
+  useEffect(() => {
+    if (!overlay.todayCount) return;
+    const timer = setInterval(() => setDayStart(startOfToday()), 60000);
+    return () => clearInterval(timer);
+  }, [overlay.todayCount]);
+  const todayCount = useMemo(() => (overlay.todayCount ? countSince(messages, dayStart) : 0), [overlay.todayCount, messages, dayStart]);
+
+  // 처음 받은 목록은 새 흔적으로 보지 않습니다.
+  const seenIds = useRef(null);
+  const [arrival, setArrival] = useState(null);
+  useEffect(() => {
+    const seen = seenIds.current;
+    seenIds.current = new Set(cards.map(m => m.id));
+    const arrived = seen && overlay.highlightNew ? cards.find(m => !seen.has(m.id)) : null;
+    if (!arrived) return;
+    const timer = setTimeout(() => setArrival(arrived), 0);
+    return () => clearTimeout(timer);
+  }, [cards, overlay.highlightNew]);
+  useEffect(() => {
+    if (!arrival) return;
+    const timer = setTimeout(() => setArrival(null), 6000);
+    return () => clearTimeout(timer);
+  }, [arrival]);
+
+  const moodWindow = Number(settings.moodWindow) || 50;
+  const mood = useMemo(() => (layout === 'moodfield' ? averageScores(cards.slice(0, moodWindow), paletteKeys(palette)) : null), [layout, cards, moodWindow, palette]);
+
   const qStyle = {
     fontSize: settings.questionSize || '72px',
     fontFamily: settings.fontFamily || 'inherit'
   };
+  const spotlight = layout === 'spotlight';
   return (
-    <div className={`relative w-full h-screen bg-[#f3efea] flex items-center justify-center`}>
-      <div className="absolute inset-0 bg-[radial-gradient(circle_at_center,rgba(0,74,173,0.05)_0%,transparent_80%)] z-0"></div>
+    <div className={`relative w-full ${preview ? 'h-full' : 'h-screen'} bg-[#f3efea] flex items-center justify-center ${paused ? 'wall-paused' : ''}`}>
+      {mood ? <MoodField scores={mood} palette={palette} /> : <div className="absolute inset-0 bg-[radial-gradient(circle_at_center,rgba(0,74,173,0.05)_0%,transparent_80%)] z-0"></div>}
+      {results ? (
+        <div key={prompt.id} className="relative z-30 w-full max-w-5xl px-12 pointer-events-none">
+          <div className="bg-[#f3efea]/90 backdrop-blur-xl p-16 rounded-[4rem] border border-[#004aad]/5 shadow-2xl shadow-[#004aad]/10 animate-in fade-in zoom-in duration-1000">
+            <h2 className="text-5xl font-light mb-12 tracking-tighter leading-tight text-[#004aad] text-center" style={{ fontFamily: qStyle.fontFamily }}>{prompt.question}</h2>
+            <PromptResults prompt={prompt} results={results} palette={palette} t={t} />
+          </div>
+        </div>
+      ) : spotlight ? (
+        <div className="absolute top-12 inset-x-0 z-30 text-center pointer-events-none text-[#004aad]">
+          <div key={shownLang} lang={shownLang} className="animate-in fade-in duration-1000">
+            <h2 className="text-3xl font-light tracking-tight" style={{ fontFamily: qStyle.fontFamily }}>{text.question}</h2>
+            <p className="mt-3 text-sm tracking-[0.4em] uppercase font-light italic opacity-40">{text.subtitle}</p>
+          </div>
+        </div>
+      ) : (
       <div className="relative z-30 flex flex-col items-center pointer-events-none px-12 max-w-7xl">
-        <div className="bg-[#f3efea]/90 backdrop-blur-xl p-16 rounded-[4rem] border border-[#004aad]/5 shadow-2xl shadow-[#004aad]/10 text-center animate-in fade-in zoom-in duration-1000">
-          <h2 style={qStyle} className="font-light mb-10 tracking-tighter leading-tight text-[#004aad] drop-shadow-sm">{settings.question}</h2>
-          <div className="flex items-center justify-center gap-8 text-[#004aad]/40 font-bold">
-            <div className="h-px w-24 bg-current"></div>
-            <p className="text-2xl tracking-[0.4em] uppercase font-light italic">{settings.subtitle}</p>
-            <div className="h-px w-24 bg-current"></div>
+        <div className={`${layout === 'masonry' ? 'bg-[#f3efea] p-12' : 'bg-[#f3efea]/90 backdrop-blur-xl p-16'} rounded-[4rem] border border-[#004aad]/5 shadow-2xl shadow-[#004aad]/10 text-center animate-in fade-in zoom-in duration-1000`}>
+          <div key={shownLang} lang={shownLang} className="animate-in fade-in duration-1000">
+            <h2 style={qStyle} className="font-light mb-10 tracking-tighter leading-tight text-[#004aad] drop-shadow-sm">{text.question}</h2>
+            <div className="flex items-center justify-center gap-8 text-[#004aad]/40 font-bold">
+              <div className="h-px w-24 bg-current"></div>
+              <p className="text-2xl tracking-[0.4em] uppercase font-light italic">{text.subtitle}</p>
+              <div className="h-px w-24 bg-current"></div>
+            </div>
           </div>
         </div>
       </div>
+      )}
       <div className="absolute inset-0 overflow-hidden pointer-events-none z-10">
-        {messages.map((msg, i) => <MessageCard key={msg.id + i} msg={msg} index={i} />)}
+        {(layout === 'float' || layout === 'moodfield') && slots.map(slot => slot.msg && <MessageCard key={slot.key} msg={slot.msg} slot={slot} palette={palette} featured={isFeatured(slot.msg)} onCycle={engine.advance} />)}
+        {layout === 'constellation' && <Constellation slots={slots} palette={palette} />}
+        {layout === 'masonry' && (
+          <div className="absolute inset-0 p-10 columns-2 md:columns-3 xl:columns-4 gap-6 opacity-90">
+            {slots.map(slot => slot.msg && <GridCard key={slot.msg.id} msg={slot.msg} palette={palette} featured={isFeatured(slot.msg)} />)}
+          </div>
+        )}
+        {spotlight && !results && slots[0]?.msg && <SpotlightCard key={slots[0].msg.id} msg={slots[0].msg} palette={palette} />}
       </div>
       <div className="absolute inset-x-0 bottom-0 h-40 bg-gradient-to-t from-[#f3efea] to-transparent z-40 pointer-events-none"></div>
+      {(overlay.joinQr || overlay.todayCount) && <JoinOverlay url={joinUrl} options={overlay} todayCount={todayCount} t={t} />}
+      {arrival && <ArrivalHighlight key={arrival.id} msg={arrival} palette={palette} t={t} />}
+      {spotlightMessage && (
+        <div key={spotlightMessage.id} className="absolute inset-0 z-[60] bg-[#f3efea]/85 backdrop-blur-xl animate-in fade-in duration-700">
+          <SpotlightCard msg={spotlightMessage} palette={palette} />
+        </div>
+      )}
+      {announcement && (
+        <div className="absolute top-0 inset-x-0 z-[70] flex justify-center p-10 pointer-events-none">
+          <div key={announcement} className="max-w-5xl flex items-center gap-5 px-12 py-6 rounded-[2rem] bg-[#004aad] text-white text-3xl font-bold tracking-tight shadow-2xl shadow-[#004aad]/30 animate-in fade-in slide-in-from-top-8 duration-700"><Megaphone size={28} className="shrink-0 opacity-60" />{announcement}</div>
+        </div>
+      )}
     </div>
   );
 }
 
-function MessageCard({ msg, index }) {
-  const [pulse, setPulse] = useState(false);
-  const [pos, setPos] = useState({ x: Math.random() * 80 + 10, rot: Math.random() * 10 - 5 });
-  const handleIteration = () => setPos({ x: Math.random() * 80 + 10, rot: Math.random() * 10 - 5 });
-  const mixedColor = useMemo(() => {
-    const s = msg.scores || { POSITIVE: 25, CALM: 25, ENERGETIC: 25, DEEP: 25 };
-    const r = (s.POSITIVE * BASE_THEMES.POSITIVE.r + s.CALM * BASE_THEMES.CALM.r + s.ENERGETIC * BASE_THEMES.ENERGETIC.r + s.DEEP * BASE_THEMES.DEEP.r) / 100;
-    const g = (s.POSITIVE * BASE_THEMES.POSITIVE.g + s.CALM * BASE_THEMES.CALM.g + s.ENERGETIC * BASE_THEMES.ENERGETIC.g + s.DEEP * BASE_THEMES.DEEP.g) / 100;
-    const b = (s.POSITIVE * BASE_THEMES.POSITIVE.b + s.CALM * BASE_THEMES.CALM.b + s.ENERGETIC * BASE_THEMES.ENERGETIC.b + s.DEEP * BASE_THEMES.DEEP.b) / 100;
-    return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
-  }, [msg.scores]);
-  useEffect(() => { if (msg.likes > 0) { setPulse(true); setTimeout(() => setPulse(false), 600); } }, [msg.likes]);
+// --- 질문 결과: 고르기/척도/짧은 답을 실시간으로 그립니다. (lib/prompts.js) ---
+// 보기 색은 감정 팔레트를 차례로 돌려 씁니다.
+const optionColor = (i, palette) => palette[i % palette.length].color;
 
+function PromptResults({ prompt, results, palette, t, compact = false }) {
+  const top = Math.max(1, ...(results.options || results.buckets || results.answers || []).map(r => r.count));
   return (
-    <div 
-      onAnimationIteration={handleIteration}
-      className={`absolute p-10 rounded-[2.5rem] border border-[#004aad]/5 backdrop-blur-3xl animate-float transition-all duration-700 ${pulse ? 'animate-beat z-20 brightness-110' : 'z-0'}`} 
-      style={{ left: `${pos.x}%`, animationDuration: `${28 + (index % 8) * 5}s`, animationDelay: `${(index % 15) * 1.8}s`, backgroundColor: 'rgba(255, 255, 255, 0.6)', boxShadow: `0 0 40px ${mixedColor.replace('rgb', 'rgba').replace(')', ', 0.25)')}`, transform: `rotate(${pos.rot}deg)`, maxWidth: '380px' }}
-    >
-      <p className="text-2xl font-light leading-relaxed text-[#004aad] mb-8 font-bold tracking-tight">{msg.text}</p>
-      <div className="flex items-center justify-between opacity-30">
-        <div className="flex flex-wrap gap-2">
-          {msg.scores && Object.entries(msg.scores).sort((a,b)=>b[1]-a[1]).slice(0,2).filter(([_, v]) => v > 20).map(([k, _]) => (
-            <div key={k} className="flex items-center gap-1.5">
-              <div className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: `rgb(${BASE_THEMES[k].r}, ${BASE_THEMES[k].g}, ${BASE_THEMES[k].b})` }}></div>
-              <span className="text-[8px] font-mono tracking-widest uppercase font-bold">{BASE_THEMES[k].label}</span>
+    <div className={`w-full ${compact ? 'space-y-4' : 'space-y-10'}`}>
+      {isChoice(prompt.type) && (
+        <div className={compact ? 'space-y-3' : 'space-y-6'}>
+          {results.options.map((o, i) => (
+            <div key={o.id}>
+              <div className={`flex justify-between items-baseline gap-6 font-bold text-[#004aad] ${compact ? 'text-sm mb-1' : 'text-3xl mb-3'}`}>
+                <span className="flex items-center gap-3">{o.label}{o.count === top && o.count > 0 && <Star size={compact ? 12 : 24} className="text-amber-500 fill-amber-400" />}</span>
+                <span className="font-mono shrink-0"><span key={o.count} className="inline-block animate-beat">{Math.round(o.share * 100)}%</span> <span className="opacity-40 text-[0.6em]">({o.count})</span></span>
+              </div>
+              <div className={`${compact ? 'h-2' : 'h-6'} rounded-full bg-[#004aad]/5 overflow-hidden`}><div className="h-full rounded-full transition-all duration-1000 ease-out" style={{ width: `${o.share * 100}%`, backgroundColor: optionColor(i, palette) }}></div></div>
             </div>
           ))}
         </div>
-        {msg.likes > 0 && <div className="flex items-center gap-1.5 text-[#004aad] animate-in zoom-in font-bold font-mono text-xs"><Heart size={12} className="fill-current" />{msg.likes}</div>}
-      </div>
+      )}
+      {prompt.type === 'scale' && (
+        <div>
+          <div className={`flex items-end ${compact ? 'h-28 gap-2' : 'h-[32vh] gap-6'}`}>
+            {results.buckets.map((b, i) => (
+              <div key={b.value} className="flex-1 h-full flex flex-col justify-end items-center gap-2">
+                <span key={b.count} className={`inline-block animate-beat font-mono font-bold text-[#004aad]/60 ${compact ? 'text-[10px]' : 'text-xl'}`}>{b.count}</span>
+                <div className={`w-full transition-all duration-1000 ease-out ${compact ? 'rounded-t-lg' : 'rounded-t-3xl'}`} style={{ height: `${(b.count / top) * 85}%`, minHeight: 4, backgroundColor: optionColor(i, palette) }}></div>
+              </div>
+            ))}
+          </div>
+          <div className={`flex mt-3 font-bold text-[#004aad] ${compact ? 'gap-2 text-xs' : 'gap-6 text-3xl'}`}>{results.buckets.map(b => <span key={b.value} className="flex-1 text-center">{b.value}</span>)}</div>
+          {(prompt.low || prompt.high) && <div className={`mt-2 flex justify-between uppercase tracking-widest font-bold text-[#004aad]/40 ${compact ? 'text-[10px]' : 'text-sm'}`}><span>{prompt.low}</span><span>{prompt.high}</span></div>}
+          {results.average !== null && <p className={`text-center font-bold text-[#004aad] ${compact ? 'mt-3 text-sm' : 'mt-8 text-2xl'}`}>{t('prompt.average', { value: results.average.toFixed(1) })}</p>}
+        </div>
+      )}
+      {prompt.type === 'short' && (
+        <div className={`flex flex-wrap justify-center items-center ${compact ? 'gap-2' : 'gap-5'}`}>
+          {results.answers.map((a, i) => (
+            <span key={a.text} className={`inline-flex items-center gap-3 rounded-full bg-white/80 border border-[#004aad]/10 font-bold text-[#004aad] transition-all duration-700 animate-in zoom-in ${compact ? 'px-3 py-1.5 shadow-sm' : 'px-7 py-4 shadow-xl'}`} style={{ fontSize: `${compact ? 0.75 + (a.count / top) * 0.5 : 1.25 + (a.count / top) * 2}rem` }}>
+              <span className="w-[0.5em] h-[0.5em] rounded-full shrink-0" style={{ backgroundColor: optionColor(i, palette) }}></span>
+              {a.text}
+              <span key={a.count} className="inline-block animate-beat font-mono text-[0.5em] opacity-50">{a.count}</span>
+            </span>
+          ))}
+        </div>
+      )}
+      <p className={`text-center uppercase tracking-[0.3em] font-bold text-[#004aad]/40 ${compact ? 'text-[10px]' : 'text-sm'}`}>{results.total > 0 ? t('prompt.responses', { count: results.total }) : t('prompt.waiting')}</p>
     </div>
   );
 }
 
-// --- Component: 축포 및 티켓 저장 팝업 (html-to-image 최종형) ---
-function SuccessTicket({ data, onClose }) {
-  const ticketRef = useRef(null);
-  const [isSaving, setIsSaving] = useState(false);
-
-  useEffect(() => {
-    if (window.confetti) {
-      window.confetti({ particleCount: 150, spread: 80, origin: { y: 0.75 }, colors: ['#004aad', '#f3efea', '#2dd4bf', '#8b5cf6'] });
-    }
-  }, []);
-
-  const saveTicket = async () => {
-    const node = ticketRef.current;
-    if (!node || !window.htmlToImage) return;
-
-    setIsSaving(true);
-    
-    // 캡처 최적화를 위해 임시 스타일 조정
-    const prevMask = node.style.maskImage;
-    const prevWebkitMask = node.style.webkitMaskImage;
-    node.style.maskImage = 'none';
-    node.style.webkitMaskImage = 'none';
-
-    try {
-      // html-to-image는 SVG 마스크보다 PNG/JPEG 변환에 강점이 있음
-      const dataUrl = await window.htmlToImage.toPng(node, {
-        quality: 1,
-        pixelRatio: 3, // 고해상도
-        backgroundColor: '#ffffff',
-      });
-      
-      const link = document.createElement('a');
-      link.download = `Unframe-Ticket-${data.id.slice(0, 5).toUpperCase()}.png`;
-      link.href = dataUrl;
-      link.click();
-    } catch (e) {
-      console.error("Capture Failed:", e);
-      alert("이미지 저장에 실패했습니다. 브라우저 설정을 확인해 주세요.");
-    } finally {
-      node.style.maskImage = prevMask;
-      node.style.webkitMaskImage = prevWebkitMask;
-      setIsSaving(false);
-    }
-  };
-
-  const mixedColor = useMemo(() => {
-    const s = data.scores;
-    const r = (s.POSITIVE * BASE_THEMES.POSITIVE.r + s.CALM * BASE_THEMES.CALM.r + s.ENERGETIC * BASE_THEMES.ENERGETIC.r + s.DEEP * BASE_THEMES.DEEP.r) / 100;
-    const g = (s.POSITIVE * BASE_THEMES.POSITIVE.g + s.CALM * BASE_THEMES.CALM.g + s.ENERGETIC * BASE_THEMES.ENERGETIC.g + s.DEEP * BASE_THEMES.DEEP.g) / 100;
-    const b = (s.POSITIVE * BASE_THEMES.POSITIVE.b + s.CALM * BASE_THEMES.CALM.b + s.ENERGETIC * BASE_THEMES.ENERGETIC.b + s.DEEP * BASE_THEMES.DEEP.b) / 100;
-    return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
-  }, [data]);
+// --- 참여 안내: 입력 페이지 QR 코드와 오늘의 흔적 수 ---
+const OVERLAY_CORNERS = {
+  'bottom-right': 'bottom-10 right-10 items-end',
+  'bottom-left': 'bottom-10 left-10 items-start',
+  'top-right': 'top-10 right-10 items-end',
+  'top-left': 'top-10 left-10 items-start'
+};
 
+function JoinOverlay({ url, options, todayCount, t }) {
   return (
-    <div className="fixed inset-0 z-[100] flex items-center justify-center p-6 bg-[#f3efea]/95 backdrop-blur-2xl animate-in fade-in duration-500 font-sans text-center">
-      <div className="max-w-xs w-full flex flex-col items-center">
-        <div className="mb-8 animate-in slide-in-from-top-4 duration-700 text-[#004aad]">
-          <CheckCircle2 className="w-12 h-12 mx-auto mb-4 animate-bounce" />
-          <h2 className="text-xl font-bold tracking-tight">생각이 전달되었습니다</h2>
-          <p className="text-neutral-500 text-sm mt-1">분석된 당신의 아우라 티켓을 보관하세요.</p>
+    <div className={`absolute z-50 flex flex-col gap-4 pointer-events-none animate-in fade-in duration-1000 ${OVERLAY_CORNERS[options.position]}`}>
+      {options.joinQr && (
+        <div className="p-4 rounded-[2rem] bg-white border border-[#004aad]/5 shadow-2xl shadow-[#004aad]/10 text-center">
+          <div style={{ width: options.qrSize, height: options.qrSize }}><QRCode value={url} className="w-full h-full" /></div>
+          <p className="mt-3 text-[10px] font-bold uppercase tracking-[0.2em] text-[#004aad] leading-relaxed" style={{ maxWidth: options.qrSize }}>{t('wall.join')}</p>
         </div>
+      )}
+      {options.todayCount && (
+        <div className="px-6 py-3 rounded-full bg-[#f3efea]/90 backdrop-blur-xl border border-[#004aad]/10 shadow-xl text-[#004aad] text-sm font-bold tracking-widest">
+          <span key={todayCount} className="inline-block animate-beat">{t('wall.today', { count: todayCount })}</span>
+        </div>
+      )}
+    </div>
+  );
+}
 
-        <div ref={ticketRef} className="relative w-full bg-white rounded-[2.5rem] overflow-hidden shadow-2xl border border-neutral-100 ticket-mask p-9 flex flex-col gap-8 text-[#004aad] min-h-[420px]">
-          <div className="flex justify-between items-start text-left">
-            <div><p className="text-[9px] text-neutral-400 font-mono uppercase tracking-widest font-bold leading-none">Unframe Ticket</p><h3 className="text-2xl font-black tracking-tighter mt-1.5 italic leading-none">Aura Spectrum</h3></div>
-            <div className="w-14 h-14 rounded-full blur-3xl opacity-60" style={{ backgroundColor: mixedColor }}></div>
-          </div>
-          <div className="h-px w-full border-dashed border-t border-neutral-100"></div>
-          <div className="space-y-4 text-left">
-            <p className="text-[10px] text-neutral-400 font-mono uppercase tracking-widest font-bold">Exhibition Trace</p>
-            <p className="text-base font-light leading-relaxed italic text-neutral-800 line-clamp-6">"{data.text}"</p>
-          </div>
-          <div className="mt-auto pt-8 flex justify-between items-end border-t border-neutral-50 text-left">
-            <div><p className="text-[8px] text-neutral-300 font-mono uppercase font-bold text-[#004aad]">Ticket ID</p><p className="text-[10px] text-neutral-400 font-mono font-bold">#{data.id.slice(0,10).toUpperCase()}</p></div>
-            <p className="text-[10px] font-black uppercase tracking-widest leading-none mb-1" style={{ color: mixedColor }}>Visualized</p>
+// 새 흔적이 도착하면 아래쪽에 잠깐 떠올랐다 사라집니다.
+function ArrivalHighlight({ msg, palette, t }) {
+  const color = mixColor(msg.scores, palette);
+  return (
+    <div className="absolute bottom-12 inset-x-0 z-50 flex justify-center pointer-events-none px-12">
+      <div className="animate-arrive max-w-xl px-8 py-5 rounded-[2rem] bg-white/90 border border-white text-[#004aad] text-center" style={{ boxShadow: `0 0 60px ${color}` }}>
+        <p className="mb-2 flex items-center justify-center gap-2 text-[10px] font-mono font-bold uppercase tracking-[0.4em] opacity-40"><Sparkles size={12} /> {t('wall.new')}</p>
+        <p className="text-xl font-bold leading-snug tracking-tight line-clamp-2">{msg.text}</p>
+      </div>
+    </div>
+  );
+}
+
+// --- 레이아웃: 감정 성단 ---
+function Constellation({ slots, palette }) {
+  const keys = paletteKeys(palette);
+  return (
+    <>
+      {palette.map(t => {
+        const c = clusterCenter(t.key, keys);
+        return <div key={t.key} className="absolute -translate-x-1/2 -translate-y-1/2 text-[10px] font-mono font-bold tracking-[0.5em] uppercase opacity-20" style={{ left: `${c.x}%`, top: `${c.y}%`, color: t.color }}>{t.label}</div>;
+      })}
+      {slots.map(slot => {
+        if (!slot.msg) return null;
+        // 예전 팔레트 키로 분석된 메시지는 첫 번째 성단에 모입니다.
+        const key = dominantTheme(slot.msg.scores) || keys[0];
+        const theme = themeFor(key, palette);
+        const pos = constellationPosition(slot.msg.id, key, keys);
+        return (
+          <div key={slot.msg.id} className="absolute max-w-[260px] -translate-x-1/2 -translate-y-1/2 animate-in fade-in duration-1000" style={{ left: `${pos.x}%`, top: `${pos.y}%` }}>
+            <div className="animate-drift px-5 py-4 rounded-3xl bg-white/80 border border-white text-[#004aad] text-sm font-bold leading-snug" style={{ animationDuration: `${pos.drift}s`, boxShadow: `0 0 30px ${theme.color}40` }}>
+              <span className="inline-block w-1.5 h-1.5 rounded-full mr-2 align-middle" style={{ backgroundColor: theme.color }}></span>{slot.msg.text}
+            </div>
           </div>
+        );
+      })}
+    </>
+  );
+}
+
+// --- 레이아웃: 메이슨리 그리드 ---
+function GridCard({ msg, palette, featured = false }) {
+  const color = mixColor(msg.scores, palette);
+  return (
+    <div className={`break-inside-avoid mb-6 p-7 rounded-[2rem] bg-white/85 border animate-in fade-in zoom-in duration-700 ${featured ? 'border-2 border-amber-300/80' : 'border-[#004aad]/5'}`} style={{ boxShadow: `0 0 30px ${color.replace('rgb', 'rgba').replace(')', ', 0.2)')}` }}>
+      <p className={`${featured ? 'text-2xl' : 'text-lg'} leading-relaxed text-[#004aad] font-bold tracking-tight`}>{msg.text}</p>
+      <div className="mt-4 flex items-center justify-between text-[10px] font-mono font-bold opacity-40 text-[#004aad]"><span className="flex items-center gap-2"><span className="w-8 h-1 rounded-full" style={{ backgroundColor: color }}></span>{featured && <Star size={12} className="text-amber-500 fill-amber-400" />}</span><ReactionCounts msg={msg} className="gap-2" /></div>
+    </div>
+  );
+}
+
+// --- 레이아웃: 스포트라이트 ---
+function SpotlightCard({ msg, palette }) {
+  const color = mixColor(msg.scores, palette);
+  return (
+    <div className="absolute inset-0 flex items-center justify-center px-24 animate-in fade-in zoom-in-95 duration-1000">
+      <div className="absolute w-[60vmin] h-[60vmin] rounded-full blur-[120px] opacity-40" style={{ backgroundColor: color }}></div>
+      <div className="relative max-w-5xl text-center">
+        <p className="text-6xl font-bold leading-tight tracking-tight text-[#004aad]">“{msg.text}”</p>
+        <div className="mt-12 flex items-center justify-center gap-6 text-[#004aad]/50 text-xs font-mono font-bold uppercase tracking-[0.4em]">
+          {msg.scores && Object.keys(msg.scores).filter(k => (msg.scores[k] || 0) > 20).map(k => themeFor(k, palette)).map(t => <span key={t.key} className="flex items-center gap-2"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: t.color }}></span>{t.label}</span>)}
+          <ReactionCounts msg={msg} className="gap-4" />
         </div>
+      </div>
+    </div>
+  );
+}
+
+// --- 레이아웃: 무드 필드 (최근 메시지 평균 점수로 배경을 칠합니다) ---
+function MoodField({ scores, palette }) {
+  const keys = paletteKeys(palette);
+  const total = keys.reduce((sum, k) => sum + (scores[k] || 0), 0) || 1;
+  return (
+    <div className="absolute inset-0 z-0 overflow-hidden">
+      {palette.map(({ key: k, color }, i) => {
+        const share = (scores[k] || 0) / total;
+        const c = clusterCenter(k, keys);
+        return <div key={k} className="absolute rounded-full blur-[120px] animate-breathe transition-all duration-[3000ms]" style={{ left: `${c.x}%`, top: `${c.y}%`, width: `${30 + share * 90}vmax`, height: `${30 + share * 90}vmax`, transform: 'translate(-50%, -50%)', backgroundColor: color, opacity: 0.15 + share * 0.5, animationDelay: `${i * -3}s` }}></div>;
+      })}
+    </div>
+  );
+}
 
-        <div className="mt-10 flex gap-3 w-full">
-          <button onClick={saveTicket} disabled={isSaving} className="flex-1 bg-[#004aad] text-white py-4 rounded-2xl font-bold flex items-center justify-center gap-2 shadow-xl shadow-blue-200 active:scale-95 transition-all"><Download size={18} /> {isSaving ? "처리 중..." : "이미지로 저장"}</button>
-          <button onClick={onClose} className="w-14 h-14 bg-white border border-neutral-100 text-neutral-400 rounded-2xl flex items-center justify-center active:scale-95 transition-all"><X size={24} /></button>
+// 슬롯 위치/회전은 엔진이 정하고, 낙하 한 바퀴가 끝나면 onCycle 로 다음 메시지를 요청합니다.
+// 추천 메시지는 더 큰 카드와 금색 테두리로 구분합니다. (lib/featured.js)
+const MessageCard = memo(function MessageCard({ msg, slot, palette, featured = false, onCycle }) {
+  const [pulse, setPulse] = useState(null); // 방금 늘어난 반응 종류
+  const mixedColor = useMemo(() => mixColor(msg.scores, palette), [msg.scores, palette]);
+  const counts = reactionCounts(msg);
+  const countsKey = JSON.stringify(counts);
+  const lastCounts = useRef(counts);
+  useEffect(() => {
+    const prev = lastCounts.current;
+    const next = JSON.parse(countsKey);
+    lastCounts.current = next;
+    const grown = Object.keys(next).find(k => (next[k] || 0) > (prev[k] || 0));
+    if (!grown) return;
+    const on = setTimeout(() => setPulse(grown), 0);
+    const off = setTimeout(() => setPulse(null), 600);
+    return () => { clearTimeout(on); clearTimeout(off); };
+  }, [countsKey]);
+
+  return (
+    <div 
+      onAnimationIteration={() => onCycle(slot.key)}
+      className={`absolute p-10 rounded-[2.5rem] border animate-float transition-[filter] duration-700 ${featured ? 'border-2 border-amber-300/80' : 'border-[#004aad]/5'} ${pulse ? 'animate-beat z-20 brightness-110' : featured ? 'z-10' : 'z-0'}`} 
+      style={{ left: `${slot.x}%`, animationDuration: `${slot.duration}s`, animationDelay: `${slot.delay}s`, backgroundColor: featured ? 'rgba(255, 251, 235, 0.92)' : 'rgba(255, 255, 255, 0.85)', boxShadow: featured ? `0 0 60px rgba(251, 191, 36, 0.35), 0 0 40px ${mixedColor.replace('rgb', 'rgba').replace(')', ', 0.25)')}` : `0 0 40px ${mixedColor.replace('rgb', 'rgba').replace(')', ', 0.25)')}`, rotate: `${slot.rot}deg`, maxWidth: featured ? '480px' : '380px', willChange: 'transform', contain: 'layout paint' }}
+    >
+      {featured && <Star size={18} className="mb-4 text-amber-500 fill-amber-400" />}
+      <p className={`${featured ? 'text-3xl' : 'text-2xl'} font-light leading-relaxed text-[#004aad] mb-8 font-bold tracking-tight`}>{msg.text}</p>
+      <div className="flex items-center justify-between opacity-30">
+        <div className="flex flex-wrap gap-2">
+          {msg.scores && Object.entries(msg.scores).sort((a,b)=>b[1]-a[1]).slice(0,2).filter(([_, v]) => v > 20).map(([k, _]) => themeFor(k, palette)).map(t => (
+            <div key={t.key} className="flex items-center gap-1.5">
+              <div className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: `rgb(${t.r}, ${t.g}, ${t.b})` }}></div>
+              <span className="text-[8px] font-mono tracking-widest uppercase font-bold">{t.label}</span>
+            </div>
+          ))}
         </div>
+        <ReactionCounts msg={msg} pulse={pulse} className="gap-3 text-xs" />
       </div>
     </div>
   );
+});
+
+// 0 보다 큰 반응만 이모지와 숫자로 보여 줍니다. pulse 로 지정된 종류는 한 번 뛰어오릅니다.
+function ReactionCounts({ msg, pulse = null, className = '' }) {
+  const entries = Object.entries(reactionCounts(msg)).filter(([k, n]) => n > 0 && REACTION_CATALOG[k]);
+  if (entries.length === 0) return null;
+  return (
+    <div className={`flex items-center font-mono font-bold text-[#004aad] ${className}`}>
+      {entries.map(([k, n]) => <span key={k} className={`flex items-center gap-1 ${pulse === k ? 'animate-beat' : ''}`}>{REACTION_CATALOG[k].emoji}{n}</span>)}
+    </div>
+  );
+}
+
+// --- Component: 디스플레이 스트레스 테스트 (?view=bench&count=5000) ---
+function DisplayBenchmark() {
+  const [count, setCount] = useState(() => Number(new URLSearchParams(window.location.search).get('count')) || 5000);
+  const [poolSize, setPoolSize] = useState(24);
+  const [rotation, setRotation] = useState('balanced');
+  const [layout, setLayout] = useState('float');
+  const [rate, setRate] = useState(1);
+  const [live, setLive] = useState([]);
+  const [fps, setFps] = useState({ current: 0, min: Infinity });
+  const [random] = useState(() => createRandom(7));
+  const base = useMemo(() => createSyntheticMessages(count), [count]);
+  const messages = useMemo(() => [...live, ...base], [live, base]);
+
+  // 초당 rate 건씩 새 메시지를 흘려보내 실시간 유입을 흉내 냅니다.
+  useEffect(() => {
+    if (rate <= 0) return;
+    const timer = setInterval(() => {
+      setLive(prev => [createSyntheticMessage(random, count + prev.length, Math.floor(Date.now() / 1000)), ...prev]);
+    }, 1000 / rate);
+    return () => clearInterval(timer);
+  }, [rate, count, random]);
+
+  useEffect(() => {
+    let frames = 0;
+    let last = performance.now();
+    let raf;
+    const loop = (t) => {
+      frames += 1;
+      if (t - last >= 1000) {
+        const current = Math.round((frames * 1000) / (t - last));
+        setFps(prev => ({ current, min: Math.min(prev.min, current) }));
+        frames = 0;
+        last = t;
+      }
+      raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(raf);
+  }, []);
+
+  const settings = { question: 'Stress Test', subtitle: `${messages.length} traces`, questionSize: '56px', poolSize, rotation, layout };
+
+  return (
+    <div className="min-h-screen bg-[#f3efea] overflow-hidden font-sans">
+      <DisplayWall settings={settings} messages={messages} />
+      <div className="fixed top-6 left-6 z-50 bg-white/90 rounded-3xl border border-neutral-200 shadow-xl p-6 w-72 space-y-4 text-[#004aad] text-xs font-bold">
+        <div className="flex justify-between items-end"><span className="uppercase tracking-widest text-neutral-400 text-[10px]">FPS</span><span className="font-mono text-3xl">{fps.current}<span className="text-xs text-neutral-300"> / min {Number.isFinite(fps.min) ? fps.min : '-'}</span></span></div>
+        <label className="block space-y-1"><span className="uppercase tracking-widest text-neutral-400 text-[10px]">History</span><select value={count} onChange={e => { setCount(Number(e.target.value)); setLive([]); setFps({ current: 0, min: Infinity }); }} className="w-full bg-neutral-50 border border-neutral-100 p-2 rounded-xl">{[500, 1000, 5000, 10000, 20000].map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}</select></label>
+        <label className="block space-y-1"><span className="uppercase tracking-widest text-neutral-400 text-[10px]">Pool size {poolSize}</span><input type="range" min="4" max={MAX_POOL_SIZE} value={poolSize} onChange={e => setPoolSize(Number(e.target.value))} className="w-full accent-[#004aad]" /></label>
+        <label className="block space-y-1"><span className="uppercase tracking-widest text-neutral-400 text-[10px]">Layout</span><select value={layout} onChange={e => setLayout(e.target.value)} className="w-full bg-neutral-50 border border-neutral-100 p-2 rounded-xl">{Object.entries(DISPLAY_LAYOUTS).map(([k, l]) => <option key={k} value={k}>{l.label}</option>)}</select></label>
+        <label className="block space-y-1"><span className="uppercase tracking-widest text-neutral-400 text-[10px]">Rotation</span><select value={rotation} onChange={e => setRotation(e.target.value)} className="w-full bg-neutral-50 border border-neutral-100 p-2 rounded-xl">{Object.entries(ROTATION_POLICIES).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}</select></label>
+        <label className="block space-y-1"><span className="uppercase tracking-widest text-neutral-400 text-[10px]">New per second {rate}</span><input type="range" min="0" max="10" value={rate} onChange={e => setRate(Number(e.target.value))} className="w-full accent-[#004aad]" /></label>
+      </div>
+      <WallStyles />
+    </div>
+  );
+}
+
+// --- 티켓 캡처 (html-to-image 최종형) ---
+// 캡처 최적화를 위해 마스크를 잠시 끄고, PNG data URL 을 돌려줍니다.
+const captureTicket = async (node) => {
+  const prevMask = node.style.maskImage;
+  const prevWebkitMask = node.style.webkitMaskImage;
+  node.style.maskImage = 'none';
+  node.style.webkitMaskImage = 'none';
+  try {
+    // html-to-image는 SVG 마스크보다 PNG/JPEG 변환에 강점이 있음
+    return await window.htmlToImage.toPng(node, {
+      quality: 1,
+      pixelRatio: 3, // 고해상도
+      backgroundColor: '#ffffff',
+    });
+  } finally {
+    node.style.maskImage = prevMask;
+    node.style.webkitMaskImage = prevWebkitMask;
+  }
+};
+
+// 이미지 첨부 공유를 지원하지 않는 브라우저는 링크만 공유하고, 그것도 안 되면 링크를 복사합니다.
+function TicketActions({ ticketRef, data, url, t, onClose }) {
+  const [busy, setBusy] = useState(null); // 'save' | 'share'
+  const [notice, setNotice] = useState('');
+
+  const saveTicket = async () => {
+    const node = ticketRef.current;
+    if (!node || !window.htmlToImage) return;
+    setBusy('save');
+    try {
+      const link = document.createElement('a');
+      link.download = ticketFileName(data.id);
+      link.href = await captureTicket(node);
+      link.click();
+    } catch (e) {
+      console.error("Capture Failed:", e);
+      alert(t('ticket.saveFailed'));
+    } finally { setBusy(null); }
+  };
+
+  const shareTicket = async () => {
+    const node = ticketRef.current;
+    if (!node) return;
+    setBusy('share');
+    setNotice('');
+    const title = t('ticket.shareTitle');
+    try {
+      const file = window.htmlToImage ? new File([await (await fetch(await captureTicket(node))).blob()], ticketFileName(data.id), { type: 'image/png' }) : null;
+      if (file && navigator.canShare?.({ files: [file] })) await navigator.share({ files: [file], title, text: url });
+      else if (navigator.share) await navigator.share({ title, url });
+      else {
+        await navigator.clipboard.writeText(url);
+        setNotice(t('ticket.linkCopied'));
+      }
+    } catch (e) {
+      // 공유 시트를 닫은 경우는 오류가 아닙니다.
+      if (e?.name !== 'AbortError') {
+        console.error("Share Failed:", e);
+        setNotice(t('ticket.shareFailed'));
+      }
+    } finally { setBusy(null); }
+  };
+
+  return (
+    <>
+      <div className="mt-10 flex gap-3 w-full">
+        <button onClick={saveTicket} disabled={Boolean(busy)} className="flex-1 bg-[#004aad] text-white py-4 rounded-2xl font-bold flex items-center justify-center gap-2 shadow-xl shadow-blue-200 active:scale-95 transition-all"><Download size={18} /> {busy === 'save' ? t('common.processing') : t('ticket.save')}</button>
+        <button onClick={shareTicket} disabled={Boolean(busy)} title={t('ticket.share')} className="w-14 h-14 bg-white border border-neutral-100 text-[#004aad] rounded-2xl flex items-center justify-center active:scale-95 disabled:opacity-50 transition-all"><Share2 size={22} /></button>
+        {onClose && <button onClick={onClose} className="w-14 h-14 bg-white border border-neutral-100 text-neutral-400 rounded-2xl flex items-center justify-center active:scale-95 transition-all"><X size={24} /></button>}
+      </div>
+      {notice && <p className="mt-4 text-[11px] font-bold text-neutral-500">{notice}</p>}
+    </>
+  );
+}
+
+// 캡처에 그대로 담기도록 SVG 로 그립니다. (lib/qr.js)
+function QRCode({ value, className = '' }) {
+  const modules = useMemo(() => {
+    const qr = encodeQR(value);
+    let d = '';
+    for (let y = 0; y < qr.size; y += 1) for (let x = 0; x < qr.size; x += 1) if (qr.dark(x, y)) d += `M${x + 2},${y + 2}h1v1h-1z`;
+    return { n: qr.size + 4, d };
+  }, [value]);
+
+  return (
+    <svg viewBox={`0 0 ${modules.n} ${modules.n}`} shapeRendering="crispEdges" className={className}>
+      <rect width={modules.n} height={modules.n} fill="#ffffff" />
+      <path d={modules.d} fill="#111111" />
+    </svg>
+  );
+}
+
+// --- 티켓 템플릿 (lib/tickets.js) ---
+function TicketCard({ ticketRef, data, palette, template, url }) {
+  const mixedColor = useMemo(() => mixColor(data.scores, palette), [data, palette]);
+  const shortId = data.id.slice(0, 10).toUpperCase();
+  const { aspect } = TICKET_TEMPLATES[template];
+
+  if (template === 'minimal') return (
+    <div ref={ticketRef} className="relative w-full bg-white rounded-3xl border border-neutral-100 shadow-2xl p-8 flex flex-col gap-8 text-left">
+      <div className="h-1 w-12 rounded-full" style={{ backgroundColor: mixedColor }}></div>
+      <p className="text-lg font-light leading-relaxed text-neutral-800 line-clamp-8">{data.text}</p>
+      <div className="flex justify-between items-end"><p className="text-[10px] text-neutral-400 font-mono font-bold">#{shortId}</p><QRCode value={url} className="w-14 h-14" /></div>
+    </div>
+  );
+
+  if (template === 'poster' || template === 'story') return (
+    <div ref={ticketRef} className="relative w-full rounded-[2rem] overflow-hidden shadow-2xl flex flex-col text-left text-white" style={{ aspectRatio: aspect, background: `linear-gradient(160deg, ${mixedColor} 0%, #004aad 100%)` }}>
+      <div className="absolute -top-1/4 -right-1/4 w-3/4 aspect-square rounded-full blur-3xl opacity-50 bg-white/40"></div>
+      <div className="relative flex-1 flex flex-col p-9">
+        <p className="text-[9px] font-mono uppercase tracking-[0.4em] font-bold opacity-70">Unframe · Aura Spectrum</p>
+        <p className={`my-auto font-bold leading-snug tracking-tight ${template === 'story' ? 'text-3xl line-clamp-10' : 'text-2xl line-clamp-6'}`}>“{data.text}”</p>
+        <div className="flex justify-between items-end">
+          <div><p className="text-[8px] font-mono uppercase font-bold opacity-60">Ticket ID</p><p className="text-[10px] font-mono font-bold">#{shortId}</p></div>
+          <div className="p-1.5 bg-white rounded-xl"><QRCode value={url} className={template === 'story' ? 'w-20 h-20' : 'w-16 h-16'} /></div>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div ref={ticketRef} className="relative w-full bg-white rounded-[2.5rem] overflow-hidden shadow-2xl border border-neutral-100 ticket-mask p-9 flex flex-col gap-8 text-[#004aad] min-h-[420px]">
+      <div className="flex justify-between items-start text-left">
+        <div><p className="text-[9px] text-neutral-400 font-mono uppercase tracking-widest font-bold leading-none">Unframe Ticket</p><h3 className="text-2xl font-black tracking-tighter mt-1.5 italic leading-none">Aura Spectrum</h3></div>
+        <div className="w-14 h-14 rounded-full blur-3xl opacity-60" style={{ backgroundColor: mixedColor }}></div>
+      </div>
+      <div className="h-px w-full border-dashed border-t border-neutral-100"></div>
+      <div className="space-y-4 text-left">
+        <p className="text-[10px] text-neutral-400 font-mono uppercase tracking-widest font-bold">Exhibition Trace</p>
+        <p className="text-base font-light leading-relaxed italic text-neutral-800 line-clamp-6">"{data.text}"</p>
+      </div>
+      <div className="mt-auto pt-8 flex justify-between items-end border-t border-neutral-50 text-left">
+        <div><p className="text-[8px] text-neutral-300 font-mono uppercase font-bold text-[#004aad]">Ticket ID</p><p className="text-[10px] text-neutral-400 font-mono font-bold">#{shortId}</p><p className="text-[10px] font-black uppercase tracking-widest leading-none mt-3" style={{ color: mixedColor }}>Visualized</p></div>
+        <QRCode value={url} className="w-16 h-16" />
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 축포 및 티켓 저장 팝업 ---
+function SuccessTicket({ data, palette, template, url, t, syncState, onClose }) {
+  const ticketRef = useRef(null);
+
+  useEffect(() => {
+    if (window.confetti) {
+      window.confetti({ particleCount: 150, spread: 80, origin: { y: 0.75 }, colors: ['#004aad', '#f3efea', '#2dd4bf', '#8b5cf6'] });
+    }
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-6 bg-[#f3efea]/95 backdrop-blur-2xl animate-in fade-in duration-500 font-sans text-center overflow-y-auto">
+      <div className="max-w-xs w-full flex flex-col items-center my-auto">
+        <div className="mb-8 animate-in slide-in-from-top-4 duration-700 text-[#004aad]">
+          <CheckCircle2 className="w-12 h-12 mx-auto mb-4 animate-bounce" />
+          <h2 className="text-xl font-bold tracking-tight">{t('ticket.title')}</h2>
+          <p className="text-neutral-500 text-sm mt-1">{t('ticket.subtitle')}</p>
+          {data.status && data.status !== MESSAGE_STATUS.APPROVED && <p className="text-amber-600 text-xs mt-3 font-bold">{t('ticket.review')}</p>}
+          {syncState === 'queued' && <p className="mt-3 inline-flex items-center gap-2 px-4 py-1.5 rounded-full bg-amber-50 text-amber-700 text-[11px] font-bold"><CloudOff size={12} /> {t('ticket.queued')}</p>}
+          {syncState === 'failed' && <p className="mt-3 text-red-400 text-[11px] font-bold">{t('ticket.failed')}</p>}
+        </div>
+
+        <TicketCard ticketRef={ticketRef} data={data} palette={palette} template={template} url={url} />
+        <TicketActions ticketRef={ticketRef} data={data} url={url} t={t} onClose={onClose} />
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 티켓 공유 페이지 (?view=ticket&id=...) ---
+// 승인되지 않은 메시지는 작성자 본인에게만 보입니다.
+function TicketView({ id, paths, user, palette, template, t }) {
+  const ticketRef = useRef(null);
+  const [msg, setMsg] = useState(undefined); // undefined: 불러오는 중, null: 없음
+
+  useEffect(() => {
+    if (!data || !id) return;
+    return data.watchDoc([...paths.messages, id], (snap) => setMsg(snap.exists() ? { id: snap.id, ...snap.data() } : null), () => setMsg(null));
+  }, [id, paths]);
+
+  const visible = msg && !isDeleted(msg) && (isApproved(msg) || msg.userId === user?.uid);
+  const inputUrl = wallUrl(paths.wallId, { view: 'input' });
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6 font-sans text-center">
+      <div className="max-w-xs w-full flex flex-col items-center py-10">
+        {id && msg === undefined ? (
+          <div className="w-8 h-8 border-2 border-[#004aad] border-t-transparent rounded-full animate-spin"></div>
+        ) : !visible ? (
+          <div className="text-[#004aad]"><Info className="mx-auto mb-4" size={28} /><p className="text-sm font-bold">{t('ticket.notFound')}</p></div>
+        ) : (
+          <>
+            {!isApproved(msg) && <p className="mb-6 text-amber-600 text-xs font-bold">{t('ticket.review')}</p>}
+            <TicketCard ticketRef={ticketRef} data={msg} palette={palette} template={template} url={ticketUrl(paths.wallId, msg.id)} />
+            <TicketActions ticketRef={ticketRef} data={msg} url={ticketUrl(paths.wallId, msg.id)} t={t} />
+          </>
+        )}
+        <a href={inputUrl} className="mt-10 text-[10px] text-neutral-400 uppercase tracking-widest font-bold hover:text-[#004aad]">{t('ticket.leaveTrace')}</a>
+        {visible && msg.userId === user?.uid && <a href={wallUrl(paths.wallId, { view: 'mine' })} className="mt-4 text-[10px] text-neutral-400 uppercase tracking-widest font-bold hover:text-[#004aad]">{t('mine.link')}</a>}
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 내 흔적 (?view=mine) ---
+// 이 계정(익명 또는 연결한 이메일)으로 남긴 흔적만 모아 봅니다. (lib/traces.js)
+function MyTraces({ t, lang, user, messages, reactedCount, palette, template, wallId, withdrawMinutes, accountLink, onWithdraw, onLink, onSignIn, onSignOut }) {
+  const ticketRef = useRef(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [ticketId, setTicketId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const ticket = messages.find(m => m.id === ticketId);
+
+  // 거둘 수 있는 남은 시간을 갱신합니다.
+  useEffect(() => {
+    if (withdrawMinutes === 0) return;
+    const timer = setInterval(() => setNow(Date.now()), 15 * 1000);
+    return () => clearInterval(timer);
+  }, [withdrawMinutes]);
+
+  const withdraw = async (msg) => {
+    if (!window.confirm(t('mine.confirmWithdraw'))) return;
+    setBusyId(msg.id);
+    const ok = await onWithdraw(msg);
+    setBusyId(null);
+    if (!ok) alert(t('mine.withdrawFailed'));
+  };
+
+  return (
+    <div className="flex flex-col min-h-screen p-8 max-w-md mx-auto py-16 font-sans">
+      <header className="mb-12">
+        <div className="w-12 h-px bg-[#004aad] mb-6"></div>
+        <h1 className="text-3xl font-light mb-3 leading-tight text-[#004aad]">{t('mine.title')}</h1>
+        <p className="text-neutral-500 text-[10px] tracking-[0.2em] uppercase font-bold">{t('mine.subtitle', { count: messages.length })}{reactedCount > 0 && ` · ${t('mine.reactedTo', { count: reactedCount })}`}</p>
+      </header>
+
+      <div className="space-y-5 mb-16">
+        {messages.length === 0 && <p className="text-sm text-neutral-400 font-bold">{t('mine.empty')}</p>}
+        {messages.map(msg => {
+          const at = messageTime(msg);
+          const status = getStatus(msg);
+          const total = Object.values(msg.scores || {}).reduce((sum, v) => sum + (Number(v) || 0), 0);
+          const reactionsGot = Object.entries(reactionCounts(msg)).filter(([, n]) => n > 0);
+          const withdrawable = canWithdraw(msg, withdrawMinutes, now);
+          return (
+            <div key={msg.id} className="bg-white/40 border border-neutral-200 p-6 rounded-3xl shadow-sm space-y-4">
+              <div className="flex items-center justify-between text-[10px] font-bold uppercase tracking-widest text-neutral-400">
+                <span className="font-mono">{at ? new Date(at).toLocaleString(lang) : t('mine.sending')}</span>
+                {status !== MESSAGE_STATUS.APPROVED && <span className={status === MESSAGE_STATUS.PENDING ? 'text-amber-500' : 'text-rose-400'}>{t(`mine.${status}`)}</span>}
+              </div>
+              <p className="text-sm font-light text-neutral-700 leading-relaxed">{msg.text}</p>
+              {total > 0 && (
+                <div className="flex h-1.5 rounded-full overflow-hidden bg-neutral-100">
+                  {Object.entries(msg.scores).filter(([, v]) => v > 0).map(([k, v]) => <span key={k} title={`${themeFor(k, palette).label} ${Math.round((v / total) * 100)}%`} style={{ width: `${(v / total) * 100}%`, backgroundColor: themeFor(k, palette).color }}></span>)}
+                </div>
+              )}
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex flex-wrap gap-2 text-[11px] font-mono font-bold text-neutral-500">
+                  {msg.scores && <span className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: mixColor(msg.scores, palette) }}></span>{themeFor(dominantTheme(msg.scores), palette).label}</span>}
+                  {reactionsGot.map(([id, n]) => <span key={id}>{REACTION_CATALOG[id]?.emoji} {n}</span>)}
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  {withdrawable && <button onClick={() => withdraw(msg)} disabled={busyId === msg.id} className="px-3 py-2 rounded-xl text-[10px] font-bold uppercase tracking-widest text-neutral-400 hover:text-red-500 hover:bg-red-50 disabled:opacity-50 transition-all flex items-center gap-1.5"><Undo2 size={12} /> {t('mine.withdraw')}</button>}
+                  {at && <button onClick={() => setTicketId(msg.id)} className="px-3 py-2 rounded-xl text-[10px] font-bold uppercase tracking-widest text-[#004aad] bg-[#004aad]/5 hover:bg-[#004aad]/10 transition-all flex items-center gap-1.5"><Download size={12} /> {t('mine.ticket')}</button>}
+                </div>
+              </div>
+              {withdrawable && <p className="text-[10px] text-neutral-400 font-bold">{t('mine.withdrawLeft', { minutes: Math.ceil((withdrawDeadline(msg, withdrawMinutes) - now) / 60000) })}</p>}
+            </div>
+          );
+        })}
+      </div>
+
+      {accountLink && <AccountLink key={user?.uid} t={t} user={user} onLink={onLink} onSignIn={onSignIn} onSignOut={onSignOut} />}
+
+      <a href={wallUrl(wallId, { view: 'input' })} className="mt-10 self-center text-[10px] text-neutral-400 uppercase tracking-widest font-bold hover:text-[#004aad]">{t('ticket.leaveTrace')}</a>
+
+      {ticket && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center p-6 bg-[#f3efea]/95 backdrop-blur-2xl animate-in fade-in duration-300 font-sans text-center overflow-y-auto">
+          <div className="max-w-xs w-full flex flex-col items-center my-auto">
+            <TicketCard ticketRef={ticketRef} data={ticket} palette={palette} template={template} url={ticketUrl(wallId, ticket.id)} />
+            <TicketActions ticketRef={ticketRef} data={ticket} url={ticketUrl(wallId, ticket.id)} t={t} onClose={() => setTicketId(null)} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const ACCOUNT_ERRORS = {
+  'auth/email-already-in-use': 'emailInUse',
+  'auth/credential-already-in-use': 'emailInUse',
+  'auth/weak-password': 'weakPassword',
+  'auth/invalid-email': 'invalidEmail',
+  'auth/invalid-credential': 'signIn',
+  'auth/wrong-password': 'signIn',
+  'auth/user-not-found': 'signIn'
+};
+
+// 익명 계정이면 이메일 연결(또는 이미 연결한 계정으로 로그인), 연결된 계정이면 로그아웃을 보여 줍니다.
+function AccountLink({ t, user, onLink, onSignIn, onSignOut }) {
+  const [mode, setMode] = useState('link');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [linkedEmail, setLinkedEmail] = useState(null);
+  const account = user && !user.isAnonymous ? user.email || linkedEmail : null;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password.length < MIN_PASSWORD_LENGTH) return setError(t('mine.error.weakPassword', { min: MIN_PASSWORD_LENGTH }));
+    setIsBusy(true);
+    try {
+      const next = await (mode === 'link' ? onLink : onSignIn)(email.trim(), password);
+      setLinkedEmail(next?.email || email.trim());
+      setPassword('');
+    } catch (err) {
+      setError(t(`mine.error.${ACCOUNT_ERRORS[err?.code] || 'failed'}`, { min: MIN_PASSWORD_LENGTH }));
+    } finally { setIsBusy(false); }
+  };
+
+  if (account) return (
+    <div className="bg-white/40 border border-neutral-200 p-6 rounded-3xl flex items-center justify-between gap-4">
+      <p className="text-xs font-bold text-[#004aad] flex items-center gap-2"><UserCircle size={16} /> {t('mine.linked', { email: account })}</p>
+      <button onClick={onSignOut} className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold hover:text-red-400 flex items-center gap-1.5"><LogOut size={12} /> {t('mine.signOut')}</button>
+    </div>
+  );
+
+  return (
+    <form onSubmit={submit} className="bg-white/40 border border-neutral-200 p-6 rounded-3xl space-y-4">
+      <h3 className="text-[10px] text-neutral-400 uppercase tracking-widest flex items-center gap-2 font-bold"><UserCircle size={14} className="text-[#004aad]" /> {mode === 'link' ? t('mine.account') : t('mine.signInTitle')}</h3>
+      <p className="text-xs text-neutral-500 leading-relaxed">{mode === 'link' ? t('mine.accountBody') : t('mine.signInWarning')}</p>
+      <input type="email" autoComplete="email" value={email} onChange={e => setEmail(e.target.value)} placeholder={t('mine.email')} className="w-full bg-white/60 border border-neutral-200 p-4 rounded-2xl outline-none focus:border-[#004aad] transition-all text-sm" />
+      <input type="password" autoComplete={mode === 'link' ? 'new-password' : 'current-password'} value={password} onChange={e => setPassword(e.target.value)} placeholder={t('mine.password', { min: MIN_PASSWORD_LENGTH })} className="w-full bg-white/60 border border-neutral-200 p-4 rounded-2xl outline-none focus:border-[#004aad] transition-all text-sm" />
+      {error && <p className="text-rose-500 text-xs font-bold flex items-center gap-2"><AlertCircle size={14} /> {error}</p>}
+      <button disabled={isBusy || !email.trim() || !password} className="w-full bg-[#004aad] text-white py-4 rounded-2xl font-bold active:scale-95 disabled:opacity-50 transition-all">{isBusy ? t('common.processing') : t(mode === 'link' ? 'mine.linkSubmit' : 'mine.signIn')}</button>
+      <button type="button" onClick={() => { setMode(mode === 'link' ? 'signIn' : 'link'); setError(''); }} className="w-full text-[10px] text-neutral-400 uppercase tracking-widest font-bold hover:text-[#004aad]">{mode === 'link' ? t('mine.signInTitle') : t('mine.account')}</button>
+    </form>
+  );
 }
 
 // --- Component: 관리자 페이지 ---
-function AdminPanel({ settings, messages, onUpdate, onDelete, onClearAll, onBack }) {
+// 탭/필드 이름은 i18n 의 admin.tab.*, limit.* 에 있습니다.
+const ADMIN_TABS = [
+  { id: 'settings', permission: 'settings' },
+  { id: 'review' },
+  { id: 'screens', permission: 'screens' },
+  { id: 'prompts', permission: 'prompts' },
+  { id: 'analytics' },
+  { id: 'messages' },
+  { id: 'exhibitions', permission: 'settings' },
+  { id: 'history' }
+];
+
+const LIMIT_FIELDS = ['minLength', 'maxLength', 'maxPerWindow', 'windowMinutes', 'minIntervalSeconds', 'duplicateMinutes', 'similarity'];
+
+function AdminPanel({ role, t, lang, onLanguage, settings, draft, settingsVersions, messages, trash, auditLog, snapshots, violations, wallId, exhibitions, screens, onSaveDraft, onDiscardDraft, onPublish, onRollback, onDelete, onRestore, onPurge, onRestoreSnapshot, onSetStatus, onSetFeatured, onClearAll, onExportArchive, onImportArchive, onSwitchWall, onCreateExhibition, onUpdateExhibition, onCommand, onForgetScreen, activePrompt, onActivatePrompt, onSignOut, onBack }) {
   const [local, setLocal] = useState(settings);
-  const [tab, setTab] = useState('settings');
-  const stats = useMemo(() => {
-    const total = messages.length || 1;
-    const sums = { POSITIVE: 0, CALM: 0, ENERGETIC: 0, DEEP: 0 };
-    messages.forEach(m => { if (m.scores) Object.keys(sums).forEach(k => sums[k] += (m.scores[k] || 0)); });
-    return Object.keys(sums).map(k => ({ key: k, value: Math.round(sums[k] / total) }));
-  }, [messages]);
+  const tabs = ADMIN_TABS.filter(({ permission }) => !permission || can(role, permission));
+  const [tab, setTab] = useState(tabs[0].id);
 
-  const exportCSV = () => {
-    const headers = "ID,Content,UID,Likes,Sentiment\n";
-    const rows = messages.map(m => `"${m.id}","${m.text.replace(/"/g, '""')}","${m.userId}",${m.likes || 0},"${Object.entries(m.scores).sort((a,b)=>b[1]-a[1])[0][0]}"`).join("\n");
-    const blob = new Blob(["\ufeff" + headers + rows], { type: 'text/csv;charset=utf-8;' });
+  const [showImport, setShowImport] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const palette = useMemo(() => getPalette(settings), [settings]);
+  const paletteErrors = local.palette ? validatePalette(local.palette, t) : [];
+  const settingsErrors = useMemo(() => validateSettings(local, t), [local, t]);
+  const unpublished = !isSameSettings(local, settings);
+  const draftDiffers = draft && !isSameSettings(draft.settings, local);
+  const overlay = getOverlayOptions(local.display);
+
+  const download = (blob, filename) => {
     const link = document.createElement("a");
     link.href = URL.createObjectURL(blob);
-    link.download = `Unframe-Messages-${Date.now()}.csv`;
+    link.download = filename;
     link.click();
   };
 
+  const exportJSON = async () => {
+    try {
+      const archive = await onExportArchive();
+      if (archive) download(new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' }), `Unframe-Archive-${wallId}-${Date.now()}.json`);
+    } catch (e) {
+      console.error(e);
+      alert(t('admin.exportFailed'));
+    }
+  };
+
+  const exportCSV = (list = messages) => {
+    const headers = "ID,Content,UID,Likes,Reactions,Sentiment,Prompt\n";
+    const rows = list.map(m => `"${m.id}","${m.text.replace(/"/g, '""')}","${m.userId}",${m.likes || 0},"${Object.entries(reactionCounts(m)).map(([k, n]) => `${k}:${n}`).join(' ')}","${m.scores ? themeFor(dominantTheme(m.scores), palette).label : ''}","${promptTypeOf(m)}${m.promptId ? `:${m.promptId}` : ''}"`).join("\n");
+    download(new Blob(["\ufeff" + headers + rows], { type: 'text/csv;charset=utf-8;' }), `Unframe-Messages-${wallId}-${Date.now()}.csv`);
+  };
+
+  const pendingCount = useMemo(() => messages.filter(m => getStatus(m) === MESSAGE_STATUS.PENDING).length, [messages]);
+
   const handleChange = (section, field, value) => setLocal(prev => ({ ...prev, [section]: { ...prev[section], [field]: value } }));
+  const toggleReactionType = (id) => setLocal(prev => {
+    const current = getReactions(prev);
+    const next = current.includes(id) ? current.filter(r => r !== id) : [...current, id];
+    return next.length === 0 || next.length > MAX_REACTIONS ? prev : { ...prev, reactions: next };
+  });
 
   return (
     <div className="p-16 max-w-7xl mx-auto space-y-12 font-sans h-screen overflow-y-auto pb-40 text-neutral-800 animate-in fade-in duration-700">
       <div className="flex items-center justify-between border-b border-neutral-200 pb-10 font-bold">
-        <div><h1 className="text-4xl font-black tracking-tight italic text-[#004aad] leading-none">Management</h1><p className="text-neutral-400 text-xs tracking-widest uppercase mt-3">Unframe Control Hub</p></div>
+        <div><h1 className="text-4xl font-black tracking-tight italic text-[#004aad] leading-none">{t('admin.title')}</h1><p className="text-neutral-400 text-xs tracking-widest uppercase mt-3">Unframe Control Hub · <span className="text-[#004aad]">{role}</span> · <span className="text-[#004aad]">{exhibitions.find(e => e.id === wallId)?.title || wallId}</span></p></div>
         <div className="flex gap-4">
-          <div className="flex bg-white rounded-full p-1 border border-neutral-200 shadow-sm"><button onClick={() => setTab('settings')} className={`px-7 py-2.5 rounded-full text-xs font-bold transition-all ${tab === 'settings' ? 'bg-[#004aad] text-white' : 'text-neutral-400 hover:text-[#004aad]'}`}>Settings</button><button onClick={() => setTab('messages')} className={`px-7 py-2.5 rounded-full text-xs font-bold transition-all ${tab === 'messages' ? 'bg-[#004aad] text-white' : 'text-neutral-400 hover:text-[#004aad]'}`}>Database</button></div>
-          <button onClick={onBack} className="px-6 py-2.5 border border-neutral-200 bg-white rounded-full text-xs font-bold text-neutral-400 hover:text-[#004aad] uppercase tracking-widest transition-all">Exit</button>
+          <div className="flex bg-white rounded-full p-1 border border-neutral-200 shadow-sm">{tabs.map(({ id }) => (<button key={id} onClick={() => setTab(id)} className={`px-7 py-2.5 rounded-full text-xs font-bold transition-all ${tab === id ? 'bg-[#004aad] text-white' : 'text-neutral-400 hover:text-[#004aad]'}`}>{t(`admin.tab.${id}`)}{id === 'review' && pendingCount > 0 && <span className="ml-2 px-1.5 py-0.5 rounded-full bg-amber-400 text-white text-[9px]">{pendingCount}</span>}</button>))}</div>
+          <div className="flex bg-white rounded-full p-1 border border-neutral-200 shadow-sm" title={t('common.language')}>{ADMIN_LANGUAGES.map(l => (<button key={l} onClick={() => onLanguage(l)} className={`px-4 py-2.5 rounded-full text-[10px] font-bold uppercase transition-all ${lang === l ? 'bg-neutral-800 text-white' : 'text-neutral-400 hover:text-[#004aad]'}`}>{l}</button>))}</div>
+          <button onClick={onBack} className="px-6 py-2.5 border border-neutral-200 bg-white rounded-full text-xs font-bold text-neutral-400 hover:text-[#004aad] uppercase tracking-widest transition-all">{t('admin.exit')}</button>
+          <button onClick={onSignOut} title={t('admin.signOut')} className="px-4 py-2.5 border border-neutral-200 bg-white rounded-full text-neutral-400 hover:text-red-400 transition-all"><LogOut size={14} /></button>
         </div>
       </div>
-      {tab === 'settings' ? (
+      {tab === 'settings' && (
         <div className="grid md:grid-cols-3 gap-10">
-          <div className="md:col-span-2 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-10"><h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><Monitor size={14}/> Wall Display</h2><AdminField label="Main Question" value={local.display.question} onChange={v => handleChange('display', 'question', v)} />
-            <div className="grid grid-cols-2 gap-8"><div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">Font Size <span>{local.display.questionSize}</span></label><div className="flex gap-4 items-center"><input type="range" min="30" max="150" value={parseInt(local.display.questionSize) || 72} onChange={e => handleChange('display', 'questionSize', `${e.target.value}px`)} className="flex-1 h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div></div><AdminField label="Subtitle" value={local.display.subtitle} onChange={v => handleChange('display', 'subtitle', v)} /></div>
-            <div className="bg-[#f3efea]/50 p-8 rounded-3xl space-y-4"><h3 className="text-[10px] font-bold uppercase text-[#004aad] flex items-center gap-2"><BarChart3 size={14} /> Aura Analytics</h3><div className="flex items-end gap-3 h-24 pt-4">{stats.map(s => (<div key={s.key} className="flex-1 flex flex-col items-center gap-2 group"><div className="w-full bg-[#004aad]/10 rounded-lg relative overflow-hidden" style={{ height: `${s.value}%` }}><div className="absolute inset-0 opacity-40" style={{ backgroundColor: BASE_THEMES[s.key].color }}></div></div><span className="text-[8px] font-bold text-neutral-400 uppercase tracking-tighter">{s.key} {s.value}%</span></div>))}</div></div>
+          <div className="md:col-span-3 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-4 bg-white/60 px-8 py-4 rounded-full border border-neutral-100 shadow-sm text-xs font-bold">
+              <span className={`flex items-center gap-2 ${unpublished ? 'text-amber-500' : 'text-emerald-500'}`}><span className={`w-2 h-2 rounded-full ${unpublished ? 'bg-amber-400' : 'bg-emerald-400'}`}></span>{t(unpublished ? 'settings.unpublished' : 'settings.inSync')}</span>
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => setShowPreview(v => !v)} className={`flex items-center gap-2 px-5 py-2 rounded-full border transition-all ${showPreview ? 'bg-[#004aad] border-[#004aad] text-white' : 'border-neutral-200 bg-white text-neutral-500 hover:text-[#004aad]'}`}><Eye size={14} /> {t('settings.preview')}</button>
+                <button disabled={!unpublished} onClick={() => setLocal(settings)} className="flex items-center gap-2 px-5 py-2 rounded-full border border-neutral-200 bg-white text-neutral-500 hover:text-red-400 disabled:opacity-30 transition-all"><Undo2 size={14} /> {t('settings.revert')}</button>
+                <button disabled={!unpublished || (draft && !draftDiffers)} onClick={async () => { await onSaveDraft(local); alert(t('settings.draftSaved')); }} className="flex items-center gap-2 px-5 py-2 rounded-full border border-[#004aad] bg-white text-[#004aad] hover:bg-[#004aad]/5 disabled:opacity-30 transition-all"><Save size={14} /> {t('settings.saveDraft')}</button>
+              </div>
+            </div>
+            {draftDiffers && (
+              <div className="flex flex-wrap items-center justify-between gap-4 px-8 py-4 rounded-full bg-amber-50 border border-amber-100 text-amber-700 text-xs font-bold">
+                <span>{t('settings.draftFound', { time: draft.updatedAt?.seconds ? new Date(draft.updatedAt.seconds * 1000).toLocaleString() : '…', name: draft.byName || draft.by })}</span>
+                <div className="flex gap-2"><button onClick={() => setLocal(withDefaults(draft.settings))} className="px-4 py-1.5 rounded-full bg-amber-400 text-white hover:bg-amber-500 transition-all">{t('settings.loadDraft')}</button><button onClick={onDiscardDraft} className="px-4 py-1.5 rounded-full border border-amber-200 bg-white hover:text-red-500 transition-all">{t('settings.discardDraft')}</button></div>
+              </div>
+            )}
+            {settingsErrors.length > 0 && (
+              <div className="px-8 py-4 rounded-[2rem] bg-rose-50 border border-rose-100 text-rose-500 text-xs font-bold space-y-1">
+                <p className="flex items-center gap-2"><AlertCircle size={14} /> {t('settings.invalid', { count: settingsErrors.length })}</p>
+                <ul className="list-disc pl-8 font-medium">{settingsErrors.map(e => <li key={e}>{e}</li>)}</ul>
+              </div>
+            )}
+          </div>
+          {showPreview && <SettingsPreview t={t} settings={local} messages={messages} wallId={wallId} />}
+          <div className="md:col-span-2 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-10"><h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><Monitor size={14}/> {t('settings.wall')}</h2><AdminField label={t('settings.question')} value={local.display.question} onChange={v => handleChange('display', 'question', v)} />
+            <div className="grid grid-cols-2 gap-8"><div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">{t('settings.fontSize')} <span>{local.display.questionSize}</span></label><div className="flex gap-4 items-center"><input type="range" min="30" max="150" value={parseInt(local.display.questionSize) || 72} onChange={e => handleChange('display', 'questionSize', `${e.target.value}px`)} className="flex-1 h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div></div><AdminField label={t('settings.subtitle')} value={local.display.subtitle} onChange={v => handleChange('display', 'subtitle', v)} /></div>
+            <div className="grid grid-cols-2 gap-8"><div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">{t('settings.visibleCards')} <span>{getPoolOptions(local.display).size}</span></label><input type="range" min="4" max={MAX_POOL_SIZE} value={getPoolOptions(local.display).size} onChange={e => handleChange('display', 'poolSize', Number(e.target.value))} className="w-full h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div><AdminSelect label={t('settings.rotation')} value={getPoolOptions(local.display).policy} options={Object.keys(ROTATION_POLICIES).map(value => ({ value, label: t(`rotation.${value}`) }))} onChange={v => handleChange('display', 'rotation', v)} /></div>
+            <div className="grid grid-cols-2 gap-8"><AdminSelect label={t('settings.layout')} value={getLayout(local.display)} options={Object.keys(DISPLAY_LAYOUTS).map(value => ({ value, label: t(`layout.${value}`) }))} onChange={v => handleChange('display', 'layout', v)} />{getLayout(local.display) === 'moodfield' && <div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">{t('settings.moodWindow')} <span>{t('settings.traces', { count: Number(local.display.moodWindow) || 50 })}</span></label><input type="range" min="10" max="300" step="10" value={Number(local.display.moodWindow) || 50} onChange={e => handleChange('display', 'moodWindow', Number(e.target.value))} className="w-full h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div>}</div>
+            <div className="grid grid-cols-2 gap-8"><AdminToggle label={t('settings.joinQr')} value={overlay.joinQr} onChange={v => handleChange('display', 'joinQr', v)} /><AdminSelect label={t('settings.overlayPosition')} value={overlay.position} options={OVERLAY_POSITIONS.map(value => ({ value, label: t(`position.${value}`) }))} onChange={v => handleChange('display', 'overlayPosition', v)} /></div>
+            {overlay.joinQr && <div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">{t('settings.joinQrSize')} <span>{overlay.qrSize}px</span></label><input type="range" min={JOIN_QR_SIZE.min} max={JOIN_QR_SIZE.max} step="4" value={overlay.qrSize} onChange={e => handleChange('display', 'joinQrSize', Number(e.target.value))} className="w-full h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div>}
+            <div className="grid grid-cols-2 gap-8"><AdminToggle label={t('settings.todayCount')} value={overlay.todayCount} onChange={v => handleChange('display', 'showTodayCount', v)} /><AdminToggle label={t('settings.highlightNew')} value={overlay.highlightNew} onChange={v => handleChange('display', 'highlightNew', v)} /></div>
           </div>
-          <div className="bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-8 flex flex-col justify-between"><div className="space-y-8"><h2 className="text-emerald-600 text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><Smartphone size={14}/> Visitor App</h2><AdminField label="App Title" value={local.input.question} onChange={v => handleChange('input', 'question', v)} /><AdminField label="Description" value={local.input.subtitle} onChange={v => handleChange('input', 'subtitle', v)} /><AdminField label="Button Text" value={local.input.buttonText} onChange={v => handleChange('input', 'buttonText', v)} /></div><button onClick={async () => { await onUpdate(local); alert('Updated!'); }} className="w-full bg-[#004aad] text-white py-6 rounded-[2rem] font-bold text-xl hover:brightness-110 active:scale-[0.98] transition-all shadow-2xl shadow-blue-100 uppercase tracking-widest">Apply Config</button></div>
+          <div className="bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-8 flex flex-col justify-between"><div className="space-y-8"><h2 className="text-emerald-600 text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><Smartphone size={14}/> {t('settings.visitor')}</h2><AdminField label={t('settings.appTitle')} value={local.input.question} onChange={v => handleChange('input', 'question', v)} /><AdminField label={t('settings.description')} value={local.input.subtitle} onChange={v => handleChange('input', 'subtitle', v)} /><AdminField label={t('settings.placeholder')} value={local.input.placeholder || ''} onChange={v => handleChange('input', 'placeholder', v)} /><AdminField label={t('settings.buttonText')} value={local.input.buttonText} onChange={v => handleChange('input', 'buttonText', v)} /><AdminSelect label={t('settings.ticketTemplate')} value={getTicketTemplate(local)} options={Object.keys(TICKET_TEMPLATES).map(value => ({ value, label: t(`ticket.template.${value}`) }))} onChange={v => handleChange('ticket', 'template', v)} /><AdminToggle label={t('settings.featuredOnTop')} value={Boolean(local.input.featuredOnTop)} onChange={v => handleChange('input', 'featuredOnTop', v)} /><AdminField label={t('settings.withdrawMinutes')} type="number" value={getWithdrawMinutes(local)} onChange={v => handleChange('input', 'withdrawMinutes', Number(v))} /><AdminToggle label={t('settings.accountLink')} value={Boolean(local.input.accountLink)} onChange={v => handleChange('input', 'accountLink', v)} />
+            <div className="space-y-4 pt-4 border-t border-neutral-100"><h3 className="text-[10px] font-bold uppercase text-amber-500 flex items-center gap-2"><ShieldCheck size={14} /> {t('settings.moderation')}</h3><AdminToggle label={t('settings.reviewFirst')} value={Boolean(local.moderation?.enabled)} onChange={v => handleChange('moderation', 'enabled', v)} /><div className="space-y-2"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold ml-1 font-sans">{t('settings.blocklist')}</label><textarea defaultValue={(local.moderation?.blocklist || []).join(', ')} onBlur={e => handleChange('moderation', 'blocklist', parseBlocklist(e.target.value))} className="w-full h-24 bg-neutral-50 border border-neutral-100 p-5 rounded-2xl outline-none focus:border-[#004aad] transition-all font-bold text-[#004aad] font-sans text-sm" /></div></div>
+            <div className="space-y-4 pt-4 border-t border-neutral-100"><h3 className="text-[10px] font-bold uppercase text-[#004aad] flex items-center gap-2"><Heart size={14} /> {t('settings.reactions')} <span className="text-neutral-300">{t('settings.reactionsMax', { max: MAX_REACTIONS })}</span></h3><div className="flex flex-wrap gap-2">{Object.entries(REACTION_CATALOG).map(([id, r]) => (<button key={id} type="button" title={t(`reaction.${id}`)} onClick={() => toggleReactionType(id)} className={`w-11 h-11 rounded-2xl border text-xl transition-all ${getReactions(local).includes(id) ? 'border-[#004aad] bg-[#004aad]/10' : 'border-neutral-100 bg-neutral-50 grayscale opacity-40'}`}>{r.emoji}</button>))}</div></div>
+            <div className="space-y-4 pt-4 border-t border-neutral-100"><h3 className="text-[10px] font-bold uppercase text-rose-500 flex items-center gap-2"><Ban size={14} /> {t('settings.limits')}</h3><div className="grid grid-cols-2 gap-4">{LIMIT_FIELDS.map(key => <AdminField key={key} label={t(`limit.${key}`)} type="number" value={getLimits(local.limits)[key]} onChange={v => handleChange('limits', key, Number(v))} />)}</div><div className="grid grid-cols-2 gap-2">{Object.keys(VIOLATION_TYPES).map(k => (<div key={k} className="flex justify-between bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl text-[10px] font-bold uppercase tracking-widest text-neutral-400"><span>{t(`violationType.${k}`)}</span><span className="font-mono text-rose-500">{violations?.[k] || 0}</span></div>))}</div></div></div><button disabled={settingsErrors.length > 0 || !unpublished} onClick={async () => { if (await onPublish(local)) alert(t('admin.updated')); }} className="w-full bg-[#004aad] text-white py-6 rounded-[2rem] font-bold text-xl hover:brightness-110 active:scale-[0.98] disabled:opacity-40 transition-all shadow-2xl shadow-blue-100 uppercase tracking-widest flex items-center justify-center gap-3"><Upload size={20} /> {t('settings.publish')}</button></div>
+          <LanguageEditor settings={local} t={t} onChange={setLocal} />
+          <PromptEditor t={t} prompts={local.prompts || DEFAULT_PROMPTS} onChange={next => setLocal(prev => ({ ...prev, prompts: next }))} />
+          <OutputEditor settings={local} t={t} onChange={(field, value) => handleChange('output', field, value)} />
+          <PaletteEditor t={t} palette={local.palette || getPalette(local).map(({ key, label, color, description }) => ({ key, label, color, description }))} errors={paletteErrors} onChange={next => setLocal(prev => ({ ...prev, palette: next }))} />
+          <SettingsHistory t={t} versions={settingsVersions} current={settings} onLoad={v => setLocal(withDefaults(v.settings))} onRollback={onRollback} />
         </div>
-      ) : (
-        <div className="space-y-6"><div className="flex justify-between items-end"><h2 className="text-xl font-black text-[#004aad] flex items-center gap-3"><MessageSquare size={20} /> Collected Traces ({messages.length})</h2><div className="flex gap-3 font-bold"><button onClick={exportCSV} className="flex items-center gap-2 px-5 py-2.5 bg-neutral-800 text-white rounded-full text-xs font-bold hover:bg-neutral-900 transition-all"><Download size={14} /> Export CSV</button><button onClick={onClearAll} className="flex items-center gap-2 px-5 py-2.5 bg-red-500 text-white rounded-full text-xs font-bold hover:bg-red-600 transition-all"><History size={14} /> Reset DB</button></div></div>
+      )}
+      {tab === 'review' && <ReviewQueue t={t} messages={messages} onSetStatus={onSetStatus} />}
+      {tab === 'prompts' && <LivePrompts t={t} prompts={getPrompts(settings)} activePrompt={activePrompt} messages={messages} palette={palette} onActivate={onActivatePrompt} />}
+      {tab === 'screens' && <ScreenManager t={t} screens={screens} messages={messages} onCommand={onCommand} onForget={onForgetScreen} />}
+      {tab === 'analytics' && <AnalyticsDashboard t={t} messages={messages} wallId={wallId} palette={palette} />}
+      {tab === 'history' && <AuditLog t={t} role={role} entries={auditLog} snapshots={snapshots} onRestoreSnapshot={onRestoreSnapshot} />}
+      {tab === 'exhibitions' && <ExhibitionManager t={t} wallId={wallId} exhibitions={exhibitions} onSwitch={onSwitchWall} onCreate={onCreateExhibition} onUpdate={onUpdateExhibition} />}
+      {tab === 'messages' && (
+        <div className="space-y-6"><div className="flex justify-between items-end"><h2 className="text-xl font-black text-[#004aad] flex items-center gap-3"><MessageSquare size={20} /> {t('messages.title')} ({messages.length})</h2><div className="flex gap-3 font-bold"><button onClick={() => exportCSV()} className="flex items-center gap-2 px-5 py-2.5 bg-neutral-800 text-white rounded-full text-xs font-bold hover:bg-neutral-900 transition-all"><Download size={14} /> {t('messages.exportCSV')}</button>{can(role, 'archive') && <><button onClick={exportJSON} className="flex items-center gap-2 px-5 py-2.5 bg-[#004aad] text-white rounded-full text-xs font-bold hover:brightness-110 transition-all"><FileJson size={14} /> {t('messages.exportJSON')}</button><button onClick={() => setShowImport(true)} className="flex items-center gap-2 px-5 py-2.5 border border-[#004aad] text-[#004aad] bg-white rounded-full text-xs font-bold hover:bg-[#004aad]/5 transition-all"><FileJson size={14} /> {t('messages.importJSON')}</button></>}{can(role, 'wipe') && <button onClick={onClearAll} className="flex items-center gap-2 px-5 py-2.5 bg-red-500 text-white rounded-full text-xs font-bold hover:bg-red-600 transition-all"><Archive size={14} /> {t('messages.reset')}</button>}</div></div>
+          <MessageTable t={t} role={role} messages={messages} trash={trash} palette={palette} onDelete={onDelete} onRestore={onRestore} onPurge={onPurge} onSetStatus={onSetStatus} onSetFeatured={onSetFeatured} onExport={exportCSV} />
+        </div>
+      )}
+      {showImport && <ArchiveImport t={t} wallId={wallId} messages={messages} onImport={onImportArchive} onClose={() => setShowImport(false)} />}
+    </div>
+  );
+}
+
+// --- Component: 언어 설정 ---
+// 첫 번째 언어의 문구는 위 기본 필드에, 나머지 언어의 문구는 translations 에 저장됩니다. (lib/i18n.js)
+const TRANSLATION_LABELS = {
+  display: { question: 'settings.question', subtitle: 'settings.subtitle' },
+  input: { question: 'settings.appTitle', subtitle: 'settings.description', placeholder: 'settings.placeholder', buttonText: 'settings.buttonText' }
+};
+
+// 기본 언어를 바꾸면 기본 필드와 번역을 맞바꿔 문구가 원래 언어에 남도록 합니다.
+const swapDefaultLanguage = (section = {}, fields, from, to) => {
+  const incoming = section.translations?.[to] || {};
+  const rest = Object.fromEntries(Object.entries(section.translations || {}).filter(([l]) => l !== to));
+  return {
+    ...section,
+    ...Object.fromEntries(fields.map(f => [f, String(incoming[f] || '').trim() ? incoming[f] : section[f]])),
+    translations: { ...rest, [from]: Object.fromEntries(fields.map(f => [f, section[f] || ''])) }
+  };
+};
+
+function LanguageEditor({ settings, t, onChange }) {
+  const languages = getLanguages(settings);
+  const toggle = (lang) => onChange(prev => {
+    const current = getLanguages(prev);
+    const next = current.includes(lang) ? current.filter(l => l !== lang) : [...current, lang];
+    return next.length === 0 ? prev : { ...prev, languages: next };
+  });
+  const makeDefault = (lang) => onChange(prev => {
+    const current = getLanguages(prev);
+    return {
+      ...prev,
+      languages: [lang, ...current.filter(l => l !== lang)],
+      input: swapDefaultLanguage(prev.input, LOCALIZED_FIELDS.input, current[0], lang),
+      display: swapDefaultLanguage(prev.display, LOCALIZED_FIELDS.display, current[0], lang)
+    };
+  });
+  const setTranslation = (section, lang, field, value) => onChange(prev => ({
+    ...prev,
+    [section]: { ...prev[section], translations: { ...prev[section]?.translations, [lang]: { ...prev[section]?.translations?.[lang], [field]: value } } }
+  }));
+  const setDisplay = (field, value) => onChange(prev => ({ ...prev, display: { ...prev.display, [field]: value } }));
+
+  return (
+    <div className="md:col-span-3 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-4 border-b border-neutral-100 pb-4">
+        <h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest flex items-center gap-2"><Globe size={14}/> {t('settings.languages')}</h2>
+        <div className="flex gap-2">{Object.entries(LANGUAGES).map(([id, l]) => (<button key={id} type="button" onClick={() => toggle(id)} className={`px-4 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold border transition-all ${languages.includes(id) ? 'border-[#004aad] bg-[#004aad] text-white' : 'border-neutral-200 text-neutral-400 hover:text-[#004aad]'}`}>{l.label}{languages[0] === id && ' ★'}</button>))}</div>
+      </div>
+      <p className="text-[10px] text-neutral-400 font-bold">{t('settings.languagesNote')}</p>
+      <div className="grid grid-cols-2 gap-8"><AdminToggle label={t('settings.cycleLanguages')} value={Boolean(settings.display?.cycleLanguages)} onChange={v => setDisplay('cycleLanguages', v)} /><AdminField label={t('settings.cycleSeconds')} type="number" value={Number(settings.display?.cycleSeconds) || 12} onChange={v => setDisplay('cycleSeconds', Math.max(3, Number(v) || 12))} /></div>
+      {languages.slice(1).map(lang => (
+        <div key={lang} className="space-y-4 pt-4 border-t border-neutral-100">
+          <div className="flex justify-between items-center"><h3 className="text-[10px] font-bold uppercase text-[#004aad] tracking-widest">{t('settings.translation', { language: LANGUAGES[lang].label })}</h3><button type="button" onClick={() => makeDefault(lang)} className="px-4 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold border border-neutral-200 text-neutral-400 hover:text-[#004aad] transition-all">{t('settings.makeDefault')}</button></div>
+          <div className="grid md:grid-cols-2 gap-8">
+            {Object.entries(TRANSLATION_LABELS).map(([section, labels]) => (
+              <div key={section} className="space-y-4">
+                <p className="text-[10px] font-bold uppercase text-neutral-300 flex items-center gap-2">{section === 'display' ? <><Monitor size={12} /> {t('settings.wall')}</> : <><Smartphone size={12} /> {t('settings.visitor')}</>}</p>
+                {Object.entries(labels).map(([field, label]) => <AdminField key={field} label={t(label)} value={settings[section]?.translations?.[lang]?.[field] || ''} onChange={v => setTranslation(section, lang, field, v)} />)}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// --- Component: 질문 목록 (lib/prompts.js) ---
+// 목록은 설정과 함께 게시하고, 어느 질문을 받을지는 "질문" 탭에서 바로 바꿉니다.
+function PromptEditor({ t, prompts, onChange }) {
+  const errors = validatePrompts(prompts, t);
+  const update = (i, changes) => onChange(prompts.map((p, j) => (j === i ? { ...p, ...changes } : p)));
+  const optionsOf = (prompt) => prompt.options || [];
+  const setOption = (i, k, label) => update(i, { options: optionsOf(prompts[i]).map((o, j) => (j === k ? { ...o, label } : o)) });
+
+  return (
+    <div className="md:col-span-3 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+      <div className="flex justify-between items-center border-b border-neutral-100 pb-4">
+        <h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest flex items-center gap-2"><ListChecks size={14}/> {t('settings.prompts')} ({prompts.length}/{MAX_PROMPTS})</h2>
+        <button type="button" disabled={prompts.length >= MAX_PROMPTS} onClick={() => onChange([...prompts, newPrompt(prompts)])} className="flex items-center gap-1 px-4 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold bg-[#004aad] text-white disabled:opacity-30 transition-all"><Plus size={12} /> {t('prompts.add')}</button>
+      </div>
+      <p className="text-[10px] text-neutral-400 font-bold">{t('settings.promptsNote')}</p>
+      <div className="space-y-5">
+        {prompts.map((prompt, i) => (
+          <div key={prompt.id || i} className="space-y-3 pt-5 border-t border-neutral-100 first:border-0 first:pt-0">
+            <div className="grid grid-cols-[10rem_1fr_auto] gap-3 items-center">
+              <select value={prompt.type} onChange={e => update(i, { type: e.target.value })} className="bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl outline-none focus:border-[#004aad] text-xs font-bold text-[#004aad]">{PROMPT_TYPES.map(type => <option key={type} value={type}>{t(`prompts.type.${type}`)}</option>)}</select>
+              <input value={prompt.question || ''} onChange={e => update(i, { question: e.target.value })} placeholder={t(prompt.type === 'text' ? 'prompts.defaultQuestion' : 'prompts.question')} className="bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl outline-none focus:border-[#004aad] text-sm font-bold text-[#004aad]" />
+              <button type="button" disabled={prompts.length <= 1} onClick={() => onChange(prompts.filter((p, j) => j !== i))} className="p-2.5 text-neutral-300 hover:text-red-400 disabled:opacity-20 transition-all"><Trash2 size={16} /></button>
+            </div>
+            {(isChoice(prompt.type) || prompt.type === 'short') && (
+              <div className="flex flex-wrap gap-2 items-center pl-[10.75rem]">
+                {optionsOf(prompt).map((o, k) => (
+                  <span key={o.id} className="flex items-center gap-1 bg-neutral-50 border border-neutral-100 rounded-xl pl-3 pr-1">
+                    <input value={o.label} maxLength={OPTION_MAX_LENGTH} onChange={e => setOption(i, k, e.target.value)} placeholder={t('prompts.option')} className="bg-transparent py-2 w-32 outline-none text-xs font-bold text-[#004aad]" />
+                    <button type="button" onClick={() => update(i, { options: optionsOf(prompt).filter((opt, j) => j !== k) })} className="p-1.5 text-neutral-300 hover:text-red-400 transition-all"><X size={12} /></button>
+                  </span>
+                ))}
+                <button type="button" disabled={optionsOf(prompt).length >= MAX_OPTIONS} onClick={() => update(i, { options: [...optionsOf(prompt), newOption(optionsOf(prompt))] })} className="flex items-center gap-1 px-3 py-2 rounded-xl text-[10px] uppercase tracking-widest font-bold border border-dashed border-neutral-200 text-neutral-400 hover:text-[#004aad] disabled:opacity-30 transition-all"><Plus size={12} /> {t(prompt.type === 'short' ? 'prompts.addChip' : 'prompts.addOption')}</button>
+              </div>
+            )}
+            {prompt.type === 'scale' && (
+              <div className="grid grid-cols-2 gap-3 pl-[10.75rem]">
+                <input value={prompt.low || ''} onChange={e => update(i, { low: e.target.value })} placeholder={t('prompts.low')} className="bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl outline-none focus:border-[#004aad] text-xs font-bold text-[#004aad]" />
+                <input value={prompt.high || ''} onChange={e => update(i, { high: e.target.value })} placeholder={t('prompts.high')} className="bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl outline-none focus:border-[#004aad] text-xs font-bold text-[#004aad]" />
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {errors.length > 0 && <ul className="pt-2 space-y-1 text-xs font-bold text-red-400">{errors.map(e => <li key={e} className="flex gap-2"><AlertCircle size={14} /> {e}</li>)}</ul>}
+    </div>
+  );
+}
+
+// --- Component: 무드 출력 설정 (lib/moodOutput.js) ---
+function OutputEditor({ settings, t, onChange }) {
+  const output = getOutputOptions(settings);
+  return (
+    <div className="md:col-span-3 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+      <h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><Radio size={14}/> {t('settings.output')}</h2>
+      <p className="text-[10px] text-neutral-400 font-bold">{t('settings.outputNote')}</p>
+      <div className="grid md:grid-cols-2 gap-8"><AdminToggle label={t('settings.outputEnabled')} value={output.enabled} onChange={v => onChange('enabled', v)} /><AdminField label={t('settings.outputUrl')} value={settings.output?.url ?? output.url} onChange={v => onChange('url', v)} /></div>
+      <div className="grid md:grid-cols-3 gap-8">
+        <div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">{t('settings.outputWindow')} <span>{t('settings.traces', { count: output.window })}</span></label><input type="range" min={OUTPUT_RANGES.window.min} max={OUTPUT_RANGES.window.max} value={output.window} onChange={e => onChange('window', Number(e.target.value))} className="w-full h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div>
+        <div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">{t('settings.outputSmoothing')} <span>{t('settings.seconds', { count: output.smoothing })}</span></label><input type="range" min={OUTPUT_RANGES.smoothing.min} max={OUTPUT_RANGES.smoothing.max} step="0.5" value={output.smoothing} onChange={e => onChange('smoothing', Number(e.target.value))} className="w-full h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div>
+        <div className="space-y-4"><label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold flex justify-between">{t('settings.outputRate')} <span>{output.rate} Hz</span></label><input type="range" min={OUTPUT_RANGES.rate.min} max={OUTPUT_RANGES.rate.max} value={output.rate} onChange={e => onChange('rate', Number(e.target.value))} className="w-full h-1.5 bg-neutral-100 rounded-lg appearance-none cursor-pointer accent-[#004aad]" /></div>
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 감정 팔레트 편집 ---
+function PaletteEditor({ t, palette, errors, onChange }) {
+  const update = (i, field, value) => onChange(palette.map((theme, j) => (j === i ? { ...theme, [field]: value } : theme)));
+  const add = () => {
+    let n = palette.length + 1;
+    while (palette.some(theme => theme.key === `MOOD_${n}`)) n += 1;
+    onChange([...palette, { key: `MOOD_${n}`, label: `Mood ${n}`, color: '#94a3b8', description: '' }]);
+  };
+  // 미리보기는 저장 전 팔레트로 그립니다. 색상 형식이 틀린 항목은 회색으로 보입니다.
+  const preview = palette.map(theme => ({ ...theme, label: theme.label || theme.key, ...(hexToRgb(theme.color) || { color: '#d4d4d4', r: 212, g: 212, b: 212 }) }));
+  const sample = Object.fromEntries(preview.map((theme, i) => [theme.key, palette.length - i]));
+
+  return (
+    <div className="md:col-span-3 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+      <div className="flex justify-between items-center border-b border-neutral-100 pb-4">
+        <h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest flex items-center gap-2"><Sparkles size={14}/> {t('palette.title')} ({palette.length}/{MAX_THEMES})</h2>
+        <div className="flex gap-2">
+          <button type="button" onClick={() => onChange(DEFAULT_PALETTE.map(({ key, label, color, description }) => ({ key, label, color, description })))} className="px-4 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold border border-neutral-200 text-neutral-400 hover:text-[#004aad] transition-all">{t('palette.reset')}</button>
+          <button type="button" disabled={palette.length >= MAX_THEMES} onClick={add} className="flex items-center gap-1 px-4 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold bg-[#004aad] text-white disabled:opacity-30 transition-all"><Plus size={12} /> {t('palette.add')}</button>
+        </div>
+      </div>
+      <div className="grid md:grid-cols-[1fr_auto] gap-8">
+        <div className="space-y-3">
+          {palette.map((theme, i) => (
+            <div key={i} className="grid grid-cols-[auto_8rem_8rem_1fr_auto] gap-3 items-center">
+              <input type="color" value={/^#[0-9a-f]{6}$/i.test(theme.color) ? theme.color : '#000000'} onChange={e => update(i, 'color', e.target.value)} className="w-11 h-11 rounded-xl border border-neutral-100 bg-white cursor-pointer" />
+              <input value={theme.key} onChange={e => update(i, 'key', normalizeThemeKey(e.target.value))} placeholder="KEY" className="bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl outline-none focus:border-[#004aad] font-mono text-xs font-bold text-[#004aad]" />
+              <input value={theme.label} onChange={e => update(i, 'label', e.target.value)} placeholder={t('palette.label')} className="bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl outline-none focus:border-[#004aad] text-sm font-bold text-[#004aad]" />
+              <input value={theme.description || ''} onChange={e => update(i, 'description', e.target.value)} placeholder={t('palette.description')} className="bg-neutral-50 border border-neutral-100 px-4 py-3 rounded-xl outline-none focus:border-[#004aad] text-sm text-neutral-600" />
+              <button type="button" disabled={palette.length <= MIN_THEMES} onClick={() => onChange(palette.filter((_, j) => j !== i))} className="p-2.5 text-neutral-300 hover:text-red-400 disabled:opacity-20 transition-all"><Trash2 size={16} /></button>
+            </div>
+          ))}
+          {errors.length > 0 && <ul className="pt-2 space-y-1 text-xs font-bold text-red-400">{errors.map(e => <li key={e} className="flex gap-2"><AlertCircle size={14} /> {e}</li>)}</ul>}
+          <p className="text-[10px] text-neutral-400 font-bold">{t('palette.note')}</p>
+        </div>
+        <div className="w-64 space-y-4">
+          <div className="p-7 rounded-[2rem] bg-white/85 border border-[#004aad]/5" style={{ boxShadow: `0 0 40px ${mixColor(sample, preview).replace('rgb', 'rgba').replace(')', ', 0.35)')}` }}>
+            <p className="text-lg font-bold text-[#004aad] leading-snug">{t('palette.preview')}</p>
+            <div className="mt-4 flex flex-wrap gap-2">{preview.map((theme, i) => <span key={i} className="flex items-center gap-1.5 text-[9px] font-mono font-bold uppercase tracking-widest text-neutral-400"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: theme.color }}></span>{theme.label}</span>)}</div>
+          </div>
+          <div className="flex h-3 rounded-full overflow-hidden">{preview.map((theme, i) => <div key={i} className="flex-1" style={{ backgroundColor: theme.color }}></div>)}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 설정 미리보기 ---
+// 편집 중인 설정으로 관객 화면과 월을 축소해 그립니다. 관객 화면은 user 가 없으므로 전송되지 않습니다.
+const PREVIEW_OUTBOX = { online: true, jobs: [] };
+const PREVIEW_REACTIONS = new Map();
+const noop = () => {};
+
+// transform 이 걸린 상자 안에서는 fixed 요소도 이 상자를 기준으로 놓입니다.
+function PreviewFrame({ label, width, height, scale, children }) {
+  return (
+    <div className="space-y-3">
+      <p className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold ml-1">{label}</p>
+      <div className="relative overflow-hidden rounded-[2rem] border border-neutral-200 bg-[#f3efea] shadow-xl" style={{ width: width * scale, height: height * scale }}>
+        <div className="absolute top-0 left-0 origin-top-left overflow-y-auto overflow-x-hidden" style={{ width, height, transform: `scale(${scale})` }}>{children}</div>
+      </div>
+    </div>
+  );
+}
+
+function SettingsPreview({ t, settings, messages, wallId }) {
+  const languages = getLanguages(settings);
+  const palette = getPalette(settings);
+  const lang = languages[0];
+  const visitorT = translator(lang);
+  const approved = useMemo(() => messages.filter(isApproved), [messages]);
+  return (
+    <div className="md:col-span-3 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl flex flex-wrap gap-10 items-start">
+      <PreviewFrame label={t('settings.previewVisitor')} width={390} height={780} scale={0.6}>
+        <VisitorInput settings={localize(settings.input, lang, languages)} languages={languages} lang={lang} onLanguage={noop} t={visitorT} moderation={settings.moderation} limits={settings.limits} paths={null} recentMessages={[]} phase="open" messages={(settings.input?.featuredOnTop ? featuredFirst(approved) : approved).slice(0, 10)} user={null} palette={palette} reactions={getReactions(settings)} myReactions={PREVIEW_REACTIONS} outboxState={PREVIEW_OUTBOX} onToggleReaction={noop} onViolation={noop} onSuccess={noop} />
+      </PreviewFrame>
+      <PreviewFrame label={t('settings.previewWall')} width={1600} height={900} scale={0.45}>
+        <DisplayWall preview settings={settings.display} languages={languages} palette={palette} messages={approved} joinUrl={wallUrl(wallId, { view: 'input' })} />
+      </PreviewFrame>
+    </div>
+  );
+}
+
+// --- Component: 게시 이력 (lib/settings.js) ---
+function SettingsHistory({ t, versions, current, onLoad, onRollback }) {
+  return (
+    <div className="md:col-span-3 bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+      <h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><History size={14}/> {t('settings.versions')}</h2>
+      <div className="divide-y divide-neutral-100">{versions.map(v => {
+        const live = isSameSettings(v.settings, current);
+        return (
+          <div key={v.id} className="flex flex-wrap items-center justify-between gap-4 py-4 text-xs font-bold text-neutral-600">
+            <div className="flex items-center gap-4">
+              <span className="font-mono text-[10px] text-neutral-400">{v.publishedAt?.seconds ? new Date(v.publishedAt.seconds * 1000).toLocaleString() : '…'}</span>
+              <span className="text-[#004aad]">{v.baseline ? t('settings.version.baseline') : (v.byName || v.by)}</span>
+              {v.rollbackOf && <span className="text-[10px] text-neutral-400">{t('settings.version.rollbackOf', { id: v.rollbackOf.slice(0, 6) })}</span>}
+              {live && <span className="px-2 py-0.5 rounded-full bg-emerald-50 text-emerald-500 text-[9px] uppercase tracking-widest">{t('settings.version.current')}</span>}
+            </div>
+            <div className="flex gap-2">
+              <button onClick={() => onLoad(v)} className="px-4 py-2 rounded-full text-[10px] uppercase tracking-widest border border-neutral-200 hover:text-[#004aad] transition-all">{t('settings.version.load')}</button>
+              <button disabled={live} onClick={() => onRollback(v)} className="flex items-center gap-2 px-4 py-2 rounded-full text-[10px] uppercase tracking-widest border border-neutral-200 hover:text-amber-500 disabled:opacity-30 transition-all"><Undo2 size={12} /> {t('settings.version.rollback')}</button>
+            </div>
+          </div>
+        );
+      })}</div>
+      {versions.length === 0 && <p className="text-center text-neutral-400 text-xs font-bold">{t('settings.noVersions')}</p>}
+    </div>
+  );
+}
+
+// --- Component: 분석 대시보드 ---
+function AnalyticsDashboard({ t, messages, wallId, palette }) {
+  const reportRef = useRef(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [granularity, setGranularity] = useState('hour');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const report = useMemo(() => {
+    const scoped = filterByRange(messages, range);
+    const keys = paletteKeys(palette);
+    const series = buildTimeSeries(scoped, granularity, keys);
+    return {
+      scoped,
+      series,
+      hours: peakHours(scoped),
+      top: topLiked(scoped),
+      terms: frequentTerms(scoped),
+      mood: averageScores(scoped, keys),
+      reactions: scoped.reduce((sum, m) => sum + (m.likes || 0), 0),
+      maxCount: Math.max(1, ...series.buckets.map(b => b.count))
+    };
+  }, [messages, range, granularity, palette]);
+  const maxHour = Math.max(1, ...report.hours);
+  const peak = report.hours.indexOf(Math.max(...report.hours));
+  const maxTerm = report.terms[0]?.count || 1;
+  const fileName = `Unframe-Report-${wallId}-${range.from || 'start'}-${range.to || 'now'}`;
+
+  const exportCSV = () => {
+    const csv = reportToCSV({ wallId, range, granularity, palette, series: report.series, hours: report.hours, top: report.top, terms: report.terms, total: report.scoped.length });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob(["\ufeff" + csv], { type: 'text/csv;charset=utf-8;' }));
+    link.download = `${fileName}.csv`;
+    link.click();
+  };
+
+  const exportPNG = async () => {
+    if (!reportRef.current || !window.htmlToImage) return;
+    setIsSaving(true);
+    try {
+      const dataUrl = await window.htmlToImage.toPng(reportRef.current, { pixelRatio: 2, backgroundColor: '#f3efea' });
+      const link = document.createElement('a');
+      link.download = `${fileName}.png`;
+      link.href = dataUrl;
+      link.click();
+    } catch (e) {
+      console.error("Capture Failed:", e);
+      alert(t('analytics.saveFailed'));
+    } finally { setIsSaving(false); }
+  };
+
+  const panel = "bg-white/80 p-8 rounded-[2.5rem] border border-neutral-100 shadow-xl space-y-5";
+  const heading = "text-[10px] font-bold uppercase tracking-widest text-[#004aad] flex items-center gap-2";
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-end gap-4">
+        <h2 className="text-xl font-black text-[#004aad] flex items-center gap-3"><BarChart3 size={20} /> {t('analytics.title')} ({report.scoped.length})</h2>
+        <div className="flex flex-wrap items-center gap-3 font-bold">
+          {['from', 'to'].map(k => <input key={k} type="date" value={range[k]} onChange={e => setRange(r => ({ ...r, [k]: e.target.value }))} className="px-4 py-2 rounded-full border border-neutral-200 bg-white text-xs text-[#004aad] outline-none focus:border-[#004aad]" />)}
+          {(range.from || range.to) && <button onClick={() => setRange({ from: '', to: '' })} className="p-2 text-neutral-300 hover:text-neutral-500"><X size={14} /></button>}
+          <div className="flex bg-white rounded-full p-1 border border-neutral-200">{Object.keys(GRANULARITIES).map(id => (<button key={id} onClick={() => setGranularity(id)} className={`px-5 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold transition-all ${granularity === id ? 'bg-neutral-800 text-white' : 'text-neutral-400'}`}>{t(`analytics.${id}`)}</button>))}</div>
+          <button onClick={exportCSV} className="flex items-center gap-2 px-5 py-2.5 bg-neutral-800 text-white rounded-full text-xs font-bold hover:bg-neutral-900 transition-all"><Download size={14} /> CSV</button>
+          <button onClick={exportPNG} disabled={isSaving} className="flex items-center gap-2 px-5 py-2.5 bg-[#004aad] text-white rounded-full text-xs font-bold hover:brightness-110 disabled:opacity-50 transition-all"><Download size={14} /> {isSaving ? '...' : 'PNG'}</button>
+        </div>
+      </div>
+
+      <div ref={reportRef} className="space-y-6 p-2">
+        <div className="grid grid-cols-4 gap-4">
+          {[[t('analytics.traces'), report.scoped.length], [t('analytics.reactions'), report.reactions], [t('analytics.peakHour'), report.scoped.length > 0 ? `${String(peak).padStart(2, '0')}:00` : '—'], [t('analytics.dominant'), report.scoped.length > 0 ? themeFor(dominantTheme(report.mood), palette).label : '—']].map(([label, value]) => (
+            <div key={label} className="bg-white/80 p-6 rounded-3xl border border-neutral-100 shadow-sm"><p className="text-[9px] uppercase tracking-widest text-neutral-400 font-bold">{label}</p><p className="text-3xl font-black text-[#004aad] mt-2">{value}</p></div>
+          ))}
+        </div>
+
+        <div className={panel}>
+          <h3 className={heading}><History size={14} /> {t(`analytics.perBucket.${granularity}`)}{report.series.truncated && <span className="text-amber-500 normal-case tracking-normal">{t('analytics.truncated', { count: report.series.buckets.length })}</span>}</h3>
+          <div className="flex items-end gap-px h-40">{report.series.buckets.map(b => <div key={b.start} title={`${formatBucket(b.start, granularity)} · ${b.count}`} className="flex-1 bg-[#004aad]/70 rounded-t-sm min-w-px hover:bg-[#004aad]" style={{ height: `${(b.count / report.maxCount) * 100}%` }}></div>)}</div>
+          <h3 className={heading}><Sparkles size={14} /> {t('analytics.moodMix')}</h3>
+          <div className="flex items-stretch gap-px h-24">{report.series.buckets.map(b => (
+            <div key={b.start} title={formatBucket(b.start, granularity)} className="flex-1 min-w-px flex flex-col-reverse rounded-sm overflow-hidden bg-neutral-100/60">
+              {b.mood && palette.map(theme => <div key={theme.key} style={{ height: `${b.mood[theme.key]}%`, backgroundColor: theme.color }}></div>)}
+            </div>
+          ))}</div>
+          {report.series.buckets.length > 0 && <div className="flex justify-between text-[9px] font-mono font-bold text-neutral-400"><span>{formatBucket(report.series.buckets[0].start, granularity)}</span><span className="flex gap-4">{palette.map(theme => <span key={theme.key} className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: theme.color }}></span>{theme.label} {Math.round(report.mood[theme.key])}%</span>)}</span><span>{formatBucket(report.series.buckets[report.series.buckets.length - 1].start, granularity)}</span></div>}
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className={panel}>
+            <h3 className={heading}><BarChart3 size={14} /> {t('analytics.peakHours')}</h3>
+            <div className="flex items-end gap-1 h-32">{report.hours.map((n, h) => <div key={h} title={`${h}:00 · ${n}`} className={`flex-1 rounded-t-sm ${h === peak && n > 0 ? 'bg-amber-400' : 'bg-[#004aad]/40'}`} style={{ height: `${(n / maxHour) * 100}%` }}></div>)}</div>
+            <div className="flex justify-between text-[9px] font-mono font-bold text-neutral-400">{[0, 6, 12, 18, 23].map(h => <span key={h}>{String(h).padStart(2, '0')}</span>)}</div>
+          </div>
+          <div className={panel}>
+            <h3 className={heading}><MessageSquare size={14} /> {t('analytics.terms')}</h3>
+            {report.terms.length === 0 ? <p className="text-xs text-neutral-300 font-bold">—</p> : (
+              <div className="flex flex-wrap gap-x-4 gap-y-2 items-baseline">{report.terms.map(term => <span key={term.term} title={`${term.count}`} className="font-bold text-[#004aad] leading-none" style={{ fontSize: `${11 + (term.count / maxTerm) * 17}px`, opacity: 0.45 + (term.count / maxTerm) * 0.55 }}>{term.term}</span>)}</div>
+            )}
+          </div>
+        </div>
+
+        <div className={panel}>
+          <h3 className={heading}><Heart size={14} /> {t('analytics.mostLiked')}</h3>
+          {report.top.length === 0 ? <p className="text-xs text-neutral-300 font-bold">—</p> : (
+            <ol className="divide-y divide-neutral-50">{report.top.map((m, i) => (
+              <li key={m.id} className="flex items-center justify-between gap-6 py-3 text-sm font-bold text-neutral-600"><span className="flex gap-4"><span className="font-mono text-neutral-300 w-5">{i + 1}</span>{m.text}</span><ReactionCounts msg={m} className="gap-2 text-xs shrink-0" /></li>
+            ))}</ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 아카이브 가져오기 ---
+function ArchiveImport({ t, wallId, messages, onImport, onClose }) {
+  const [archive, setArchive] = useState(null);
+  const [check, setCheck] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState(messages.length === 0 ? 'restore' : 'merge');
+  const [isBusy, setIsBusy] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const existingIds = useMemo(() => new Set(messages.map(m => m.id)), [messages]);
+  const plan = archive && check?.errors.length === 0 ? planImport(archive, { existingIds, mode }) : null;
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name);
+    setResult(null);
+    try {
+      const data = JSON.parse(await file.text());
+      setArchive(data);
+      setCheck(validateArchive(data, t));
+    } catch {
+      setArchive(null);
+      setCheck({ errors: [t('archive.unreadable')], warnings: [] });
+    }
+  };
+
+  const run = async () => {
+    setIsBusy(true);
+    try {
+      setResult(await onImport(archive, mode));
+    } catch (e) {
+      console.error(e);
+      setResult({ error: true });
+    } finally { setIsBusy(false); }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-8 bg-[#f3efea]/80 backdrop-blur-md animate-in fade-in">
+      <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white p-10 rounded-[3rem] border border-neutral-100 shadow-2xl space-y-6 text-neutral-600">
+        <div className="flex justify-between items-start"><div><h2 className="text-2xl font-black italic text-[#004aad] flex items-center gap-3"><FileJson size={22} /> {t('archive.title')}</h2><p className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold mt-2">{t('archive.target', { wallId, count: messages.length })}</p></div><button onClick={onClose} className="p-2 text-neutral-300 hover:text-neutral-500"><X size={20} /></button></div>
+        <label className="block w-full p-8 border-2 border-dashed border-neutral-200 rounded-3xl text-center cursor-pointer hover:border-[#004aad] transition-all"><input type="file" accept="application/json,.json" className="hidden" onChange={e => readFile(e.target.files[0])} /><span className="text-xs font-bold text-neutral-400">{fileName || t('archive.choose')}</span></label>
+        {check && check.errors.length > 0 && <ul className="space-y-1 text-xs font-bold text-red-400">{check.errors.map(e => <li key={e} className="flex gap-2"><AlertCircle size={14} className="shrink-0" /> {e}</li>)}</ul>}
+        {plan && (
+          <>
+            <div className="grid grid-cols-3 gap-3 text-center font-bold">{[[t('archive.traces'), archive.messages.length], [t('archive.reactions'), archive.likes.length], [t('archive.source'), `${archive.source?.appId || '?'} /${archive.source?.wallId || '?'}`]].map(([k, v]) => <div key={k} className="bg-neutral-50 rounded-2xl p-4"><p className="text-[9px] uppercase tracking-widest text-neutral-400">{k}</p><p className="text-[#004aad] text-sm mt-1 truncate">{v}</p></div>)}</div>
+            <div className="grid grid-cols-2 gap-3">{IMPORT_MODES.map(id => <button key={id} onClick={() => setMode(id)} className={`p-5 rounded-2xl border text-left transition-all ${mode === id ? 'border-[#004aad] bg-[#004aad]/5' : 'border-neutral-100'}`}><p className="text-xs font-black uppercase tracking-widest text-[#004aad]">{t(`archive.mode.${id}`)}</p><p className="text-[11px] mt-1 text-neutral-400 font-bold">{t(`archive.mode.${id}.description`)}</p></button>)}</div>
+            <div className="text-xs font-bold space-y-1">
+              {plan.blocked && <p className="text-red-400 flex gap-2"><AlertCircle size={14} /> {t('archive.blocked')}</p>}
+              {!plan.blocked && <p className="text-emerald-600">{t('archive.willWrite', { messages: plan.messages.length, likes: plan.likes.length, settings: plan.settings ? t('archive.withSettings') : '' })}</p>}
+              {plan.conflicts.length > 0 && <p className="text-amber-500">{t('archive.conflicts', { count: plan.conflicts.length })} <span className="font-mono text-[10px]">{plan.conflicts.slice(0, 5).join(', ')}{plan.conflicts.length > 5 ? ' …' : ''}</span></p>}
+              {check.warnings.map(w => <p key={w} className="text-neutral-400">{w}</p>)}
+              {check.totalWarnings > check.warnings.length && <p className="text-neutral-400">{t('archive.moreWarnings', { count: check.totalWarnings - check.warnings.length })}</p>}
+            </div>
+          </>
+        )}
+        {result && (result.error ? <p className="text-xs font-bold text-red-400">{t('archive.failed')}</p> : result.blocked ? <p className="text-xs font-bold text-red-400">{t('archive.serverBlocked')}</p> : <p className="text-xs font-bold text-emerald-600 flex gap-2"><CheckCircle2 size={14} /> {t('archive.done', { count: result.messages.length, skipped: result.conflicts.length > 0 ? t('archive.skipped', { count: result.conflicts.length }) : '' })}</p>)}
+        <button disabled={!plan || plan.blocked || isBusy || Boolean(result && !result.error)} onClick={run} className="w-full bg-[#004aad] text-white py-5 rounded-[2rem] font-bold uppercase tracking-widest disabled:opacity-40 transition-all">{isBusy ? t('common.processing') : t('archive.import')}</button>
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 운영자 로그인 ---
+function OperatorLogin({ t, local, onSignIn, onBack }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError('');
+    try {
+      await onSignIn(email.trim(), password);
+    } catch (err) {
+      if (err.message === 'not-operator') setError(t('login.notOperator'));
+      else setError(t(local && err.code === 'auth/operation-not-allowed' ? 'login.noPasscode' : 'login.failed'));
+    } finally { setIsBusy(false); }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-8 font-sans">
+      <form onSubmit={submit} className="w-full max-w-sm bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+        <div className="text-[#004aad]"><Lock className="mb-4" size={28} /><h1 className="text-2xl font-black tracking-tight italic">{t('login.title')}</h1><p className="text-neutral-400 text-[10px] tracking-widest uppercase mt-2 font-bold">Unframe Control Hub</p></div>
+        <input type="email" autoComplete="username" value={email} onChange={e => setEmail(e.target.value)} placeholder={t('login.email')} className="w-full bg-neutral-50 border border-neutral-100 p-5 rounded-2xl outline-none focus:border-[#004aad] transition-all font-bold text-[#004aad]" />
+        <input type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} placeholder={t('login.password')} className="w-full bg-neutral-50 border border-neutral-100 p-5 rounded-2xl outline-none focus:border-[#004aad] transition-all font-bold text-[#004aad]" />
+        {local && <p className="text-neutral-400 text-[11px] leading-relaxed">{t('login.localHint')}</p>}
+        {error && <p className="text-red-400 text-xs font-bold flex items-center gap-2"><AlertCircle size={14} /> {error}</p>}
+        <button disabled={isBusy || !email || !password} className="w-full bg-[#004aad] text-white py-5 rounded-2xl font-bold active:scale-95 disabled:opacity-50 transition-all shadow-xl shadow-blue-200">{isBusy ? t('common.processing') : t('login.submit')}</button>
+        <button type="button" onClick={onBack} className="w-full text-[10px] text-neutral-400 uppercase tracking-widest font-bold">{t('login.back')}</button>
+      </form>
+    </div>
+  );
+}
+
+// --- Component: 진행 중인 질문 전환과 결과 (lib/prompts.js) ---
+function LivePrompts({ t, prompts, activePrompt, messages, palette, onActivate }) {
+  const approved = useMemo(() => messages.filter(isApproved), [messages]);
+  return (
+    <div className="space-y-6">
+      <h2 className="text-xl font-black text-[#004aad] flex items-center gap-3"><ListChecks size={20} /> {t('prompts.title')}</h2>
+      <p className="text-[10px] text-neutral-400 font-bold">{t('prompts.note')}</p>
+      <div className="grid md:grid-cols-2 gap-6">
+        {prompts.map(prompt => {
+          const active = prompt.id === activePrompt.id;
+          const results = tallyResponses(prompt, approved);
+          return (
+            <div key={prompt.id} className={`bg-white/60 p-8 rounded-[2.5rem] border shadow-xl space-y-6 transition-all ${active ? 'border-[#004aad] ring-4 ring-[#004aad]/10' : 'border-neutral-100'}`}>
+              <div className="flex justify-between items-start gap-4">
+                <div className="space-y-1">
+                  <p className="text-[10px] uppercase tracking-widest font-bold text-neutral-400">{t(`prompts.type.${prompt.type}`)}</p>
+                  <h3 className="text-lg font-bold text-[#004aad] leading-snug">{prompt.question || t('prompts.defaultQuestion')}</h3>
+                </div>
+                {active
+                  ? <span className="shrink-0 inline-flex items-center gap-2 px-4 py-2 rounded-full bg-[#004aad] text-white text-[10px] uppercase tracking-widest font-bold"><Radio size={12} className="animate-pulse" /> {t('prompts.live')}</span>
+                  : <button onClick={() => onActivate(prompt.id)} className="shrink-0 px-4 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold border border-neutral-200 hover:text-[#004aad] transition-all">{t('prompts.activate')}</button>}
+              </div>
+              {prompt.type === 'text'
+                ? <p className="text-sm font-bold text-neutral-500">{t('prompts.textCount', { count: results.total })}</p>
+                : <PromptResults compact prompt={prompt} results={results} palette={palette} t={t} />}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 원격 제어 (lib/screens.js) ---
+const SCREEN_BUTTONS = [
+  { type: 'pause', icon: Pause },
+  { type: 'resume', icon: Play },
+  { type: 'confetti', icon: PartyPopper },
+  { type: 'clear', icon: Eraser, confirm: 'screens.confirmClear' },
+  { type: 'reload', icon: RotateCw, confirm: 'screens.confirmReload' }
+];
+
+function ScreenManager({ t, screens, messages, onCommand, onForget }) {
+  const [target, setTarget] = useState(ALL_SCREENS);
+  const [spotlightId, setSpotlightId] = useState('');
+  const [announcement, setAnnouncement] = useState('');
+  const [seconds, setSeconds] = useState(ANNOUNCE_SECONDS.fallback);
+  // 온라인 표시와 가동 시간이 흘러가도록 주기적으로 다시 그립니다.
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(timer);
+  }, []);
+  const rows = useMemo(() => [...screens].sort((a, b) => Number(isOnline(b, now)) - Number(isOnline(a, now)) || (a.name || a.id).localeCompare(b.name || b.id)), [screens, now]);
+  const approved = useMemo(() => messages.filter(isApproved).slice(0, 100), [messages]);
+
+  const send = (type, payload) => onCommand(type, target, payload);
+  const press = ({ type, confirm }) => {
+    if (confirm && !window.confirm(t(confirm))) return;
+    send(type);
+  };
+  return (
+    <div className="grid md:grid-cols-3 gap-10">
+      <div className="md:col-span-2 bg-white/80 rounded-[2.5rem] border border-neutral-100 shadow-xl overflow-hidden backdrop-blur-md">
+        <table className="w-full text-left text-sm border-collapse"><thead className="bg-neutral-50 text-neutral-400 text-[10px] uppercase font-bold border-b border-neutral-100"><tr><th className="p-6">{t('screens.name')}</th><th className="p-6">{t('screens.status')}</th><th className="p-6">{t('screens.traces')}</th><th className="p-6">{t('screens.uptime')}</th><th className="p-6">{t('screens.lastSync')}</th><th className="p-6 text-center">{t('exhibitions.manage')}</th></tr></thead>
+          <tbody className="divide-y divide-neutral-50 font-medium">{rows.map(s => {
+            const online = isOnline(s, now);
+            return (
+              <tr key={s.id} className={`transition-colors text-neutral-600 font-bold ${s.id === target ? 'bg-[#004aad]/[0.04]' : ''} ${online ? '' : 'opacity-50'}`}>
+                <td className="p-6"><p className="text-[#004aad]">{s.name || s.id}</p>{s.announcement && <p className="text-[10px] text-neutral-400 truncate max-w-[180px]">“{s.announcement}”</p>}</td>
+                <td className="p-6"><span className={`inline-flex items-center gap-2 text-[10px] uppercase tracking-widest ${online ? 'text-emerald-500' : 'text-neutral-400'}`}><span className={`w-2 h-2 rounded-full ${online ? 'bg-emerald-400' : 'bg-neutral-300'}`}></span>{t(online ? (s.paused ? 'screens.paused' : 'screens.online') : 'screens.offline')}</span></td>
+                <td className="p-6 font-mono">{s.messageCount ?? '—'}</td>
+                <td className="p-6 font-mono text-[10px] text-neutral-400">{online && s.startedAt ? formatDuration(now - s.startedAt) : '—'}</td>
+                <td className="p-6 font-mono text-[10px] text-neutral-400">{s.lastSyncAt ? new Date(s.lastSyncAt).toLocaleTimeString() : '—'}</td>
+                <td className="p-6"><div className="flex justify-center gap-2">
+                  <button onClick={() => setTarget(s.id === target ? ALL_SCREENS : s.id)} className="px-4 py-2 rounded-full text-[10px] uppercase tracking-widest border border-neutral-200 hover:text-[#004aad] transition-all">{t(s.id === target ? 'screens.targeted' : 'screens.target')}</button>
+                  {!online && <button onClick={() => onForget(s.id)} title={t('screens.forget')} className="p-2.5 text-neutral-300 hover:text-red-500 hover:bg-red-50 rounded-xl transition-all"><Trash2 size={16} /></button>}
+                </div></td>
+              </tr>
+            );
+          })}</tbody>
+        </table>
+        {rows.length === 0 && <p className="p-10 text-center text-neutral-400 text-xs font-bold">{t('screens.empty')}</p>}
+      </div>
+      <div className="bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+        <h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><Tv size={14}/> {t('screens.control')}</h2>
+        <AdminSelect label={t('screens.sendTo')} value={target} options={[{ value: ALL_SCREENS, label: t('screens.all') }, ...rows.map(s => ({ value: s.id, label: s.name || s.id }))]} onChange={setTarget} />
+        <div className="grid grid-cols-2 gap-3">{SCREEN_BUTTONS.map(button => (
+          <button key={button.type} onClick={() => press(button)} className="flex items-center justify-center gap-2 py-4 rounded-2xl bg-neutral-50 border border-neutral-100 text-[10px] uppercase tracking-widest font-bold text-neutral-500 hover:text-[#004aad] hover:border-[#004aad]/30 transition-all"><button.icon size={14} /> {t(`screens.command.${button.type}`)}</button>
+        ))}</div>
+        <div className="space-y-3 pt-4 border-t border-neutral-100">
+          <AdminSelect label={t('screens.command.spotlight')} value={spotlightId} options={[{ value: '', label: '—' }, ...approved.map(m => ({ value: m.id, label: m.text.length > 40 ? `${m.text.slice(0, 40)}…` : m.text }))]} onChange={setSpotlightId} />
+          <button disabled={!spotlightId} onClick={() => send('spotlight', { messageId: spotlightId })} className="w-full bg-[#004aad] text-white py-4 rounded-[2rem] font-bold flex items-center justify-center gap-2 disabled:opacity-40 transition-all"><Sparkles size={16} /> {t('screens.command.spotlight')}</button>
+        </div>
+        <div className="space-y-3 pt-4 border-t border-neutral-100">
+          <AdminField label={t('screens.announcement')} value={announcement} onChange={setAnnouncement} />
+          <AdminField label={t('screens.announceSeconds')} type="number" value={seconds} onChange={v => setSeconds(Math.min(ANNOUNCE_SECONDS.max, Math.max(1, Number(v) || ANNOUNCE_SECONDS.fallback)))} />
+          <div className="flex gap-3">
+            <button disabled={!announcement.trim()} onClick={() => send('announce', { text: announcement.trim(), seconds })} className="flex-1 bg-[#004aad] text-white py-4 rounded-[2rem] font-bold flex items-center justify-center gap-2 disabled:opacity-40 transition-all"><Megaphone size={16} /> {t('screens.command.announce')}</button>
+            <button onClick={() => send('announce', { text: '' })} className="px-6 rounded-[2rem] border border-neutral-200 text-[10px] uppercase tracking-widest font-bold text-neutral-400 hover:text-red-500 transition-all">{t('screens.hideAnnouncement')}</button>
+          </div>
+        </div>
+        <p className="text-[10px] text-neutral-400 font-bold">{t('screens.note')}</p>
+      </div>
+    </div>
+  );
+}
+
+// --- Component: 작업 기록과 보관된 세션 (lib/audit.js) ---
+const describeTarget = (t, target) => {
+  if (!target) return '—';
+  if (Array.isArray(target.ids)) return t('history.items', { count: target.count });
+  return Object.entries(target).map(([k, v]) => `${k}: ${v}`).join(' · ');
+};
+
+function AuditLog({ t, role, entries, snapshots, onRestoreSnapshot }) {
+  const [action, setAction] = useState('all');
+  const rows = action === 'all' ? entries : entries.filter(e => e.action === action);
+  const json = (value) => JSON.stringify(value, null, 2);
+  return (
+    <div className="space-y-10">
+      <div className="space-y-4">
+        <div className="flex justify-between items-end">
+          <h2 className="text-xl font-black text-[#004aad] flex items-center gap-3"><History size={20} /> {t('history.title')}</h2>
+          <select value={action} onChange={e => setAction(e.target.value)} className="px-4 py-2 rounded-full border border-neutral-200 bg-white text-xs text-[#004aad] font-bold outline-none focus:border-[#004aad]"><option value="all">{t('history.allActions')}</option>{AUDIT_ACTIONS.map(a => <option key={a} value={a}>{t(`history.action.${a}`)}</option>)}</select>
+        </div>
+        <div className="bg-white/80 rounded-[2.5rem] border border-neutral-100 shadow-xl overflow-hidden backdrop-blur-md">
+          <table className="w-full text-left text-sm border-collapse"><thead className="bg-neutral-50 text-neutral-400 text-[10px] uppercase font-bold border-b border-neutral-100"><tr><th className="p-6">{t('history.time')}</th><th className="p-6">{t('history.actor')}</th><th className="p-6">{t('history.action')}</th><th className="p-6">{t('history.target')}</th><th className="p-6">{t('history.changes')}</th></tr></thead>
+            <tbody className="divide-y divide-neutral-50 font-medium">{rows.map(e => (
+              <tr key={e.id} className="align-top text-neutral-600 font-bold">
+                <td className="p-6 font-mono text-[10px] text-neutral-400 whitespace-nowrap">{e.at?.seconds ? new Date(e.at.seconds * 1000).toLocaleString() : '…'}</td>
+                <td className="p-6 text-[#004aad] text-xs">{e.actorName || <span className="font-mono text-[10px]">{e.actorId}</span>}</td>
+                <td className="p-6 text-xs">{t(`history.action.${e.action}`)}</td>
+                <td className="p-6 font-mono text-[10px] text-neutral-400">{describeTarget(t, e.target)}</td>
+                <td className="p-6">{(e.before || e.after) ? (
+                  <details className="text-[10px]"><summary className="cursor-pointer text-neutral-400 hover:text-[#004aad] uppercase tracking-widest">{t('history.details')}</summary>
+                    <div className="grid grid-cols-2 gap-3 mt-3">{[['before', e.before], ['after', e.after]].map(([k, v]) => (
+                      <div key={k} className="space-y-1"><p className="uppercase tracking-widest text-neutral-300">{t(`history.${k}`)}</p><pre className="bg-neutral-50 border border-neutral-100 rounded-xl p-3 font-mono text-neutral-500 whitespace-pre-wrap break-all max-h-64 overflow-y-auto">{v ? json(v) : '—'}</pre></div>
+                    ))}</div>
+                  </details>
+                ) : <span className="text-neutral-300">—</span>}</td>
+              </tr>
+            ))}</tbody>
+          </table>
+          {rows.length === 0 && <p className="p-16 text-center text-neutral-300 text-xs font-bold uppercase tracking-widest">{t('history.empty')}</p>}
+        </div>
+        <p className="text-[10px] text-neutral-400 font-bold px-2">{t('history.note', { count: AUDIT_LIMIT })}</p>
+      </div>
+      {can(role, 'wipe') && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-black text-[#004aad] flex items-center gap-3"><Archive size={20} /> {t('history.snapshots')}</h2>
           <div className="bg-white/80 rounded-[2.5rem] border border-neutral-100 shadow-xl overflow-hidden backdrop-blur-md">
-            <table className="w-full text-left text-sm border-collapse"><thead className="bg-neutral-50 text-neutral-400 text-[10px] uppercase font-bold border-b border-neutral-100"><tr><th className="p-6">Content</th><th className="p-6">Identity (UID / Ticket)</th><th className="p-6">Aura Status</th><th className="p-6">Engagement</th><th className="p-6 text-center">Manage</th></tr></thead>
-              <tbody className="divide-y divide-neutral-50 font-medium">{messages.map(msg => (<tr key={msg.id} className="hover:bg-[#004aad]/[0.02] transition-colors group text-neutral-600 font-bold"><td className="p-6 leading-relaxed max-w-sm">{msg.text}</td><td className="p-6 font-mono text-[10px]"><div className="flex flex-col gap-1 font-bold"><span className="text-[#004aad]">UID: {msg.userId}</span><span className="text-neutral-300">Ticket: #{msg.id.toUpperCase()}</span></div></td><td className="p-6"><div className="flex flex-wrap gap-1.5">{msg.scores && Object.entries(msg.scores).sort((a,b)=>b[1]-a[1]).slice(0,1).map(([k, v]) => (<span key={k} className="text-[9px] px-2.5 py-1 rounded-full border border-neutral-100 bg-white shadow-sm uppercase text-neutral-400">{k} {v}%</span>))}</div></td><td className="p-6 text-neutral-400 font-mono flex items-center gap-1.5"><Heart size={12} className="text-red-300" /> {msg.likes || 0}</td><td className="p-6 text-center"><button onClick={() => onDelete(msg.id)} className="p-2.5 text-neutral-200 hover:text-red-400 hover:bg-red-50 rounded-xl transition-all"><Trash2 size={16} /></button></td></tr>))}</tbody>
+            <table className="w-full text-left text-sm border-collapse"><thead className="bg-neutral-50 text-neutral-400 text-[10px] uppercase font-bold border-b border-neutral-100"><tr><th className="p-6">{t('history.snapshotName')}</th><th className="p-6">{t('history.time')}</th><th className="p-6">{t('screens.traces')}</th><th className="p-6 text-center">{t('exhibitions.manage')}</th></tr></thead>
+              <tbody className="divide-y divide-neutral-50 font-medium">{snapshots.map(s => (
+                <tr key={s.id} className="text-neutral-600 font-bold">
+                  <td className="p-6 text-[#004aad]">{s.name}{!s.complete && <span className="ml-2 px-2 py-0.5 rounded-full bg-amber-50 text-amber-500 text-[9px] uppercase tracking-widest">{t('history.incomplete')}</span>}</td>
+                  <td className="p-6 font-mono text-[10px] text-neutral-400">{s.createdAt?.seconds ? new Date(s.createdAt.seconds * 1000).toLocaleString() : '…'}</td>
+                  <td className="p-6 font-mono">{s.count}</td>
+                  <td className="p-6"><div className="flex justify-center"><button onClick={() => onRestoreSnapshot(s)} className="flex items-center gap-2 px-4 py-2 rounded-full text-[10px] uppercase tracking-widest border border-neutral-200 hover:text-[#004aad] transition-all"><Undo2 size={12} /> {t('history.restoreSnapshot')}</button></div></td>
+                </tr>
+              ))}</tbody>
             </table>
+            {snapshots.length === 0 && <p className="p-10 text-center text-neutral-400 text-xs font-bold">{t('history.noSnapshots')}</p>}
           </div>
         </div>
       )}
@@ -536,11 +2490,236 @@ function AdminPanel({ settings, messages, onUpdate, onDelete, onClearAll, onBack
   );
 }
 
-function AdminField({ label, value, onChange }) {
+// --- Component: 전시 관리 ---
+function ExhibitionManager({ t, wallId, exhibitions, onSwitch, onCreate, onUpdate }) {
+  const [draft, setDraft] = useState({ title: '', slug: '', startsAt: '', endsAt: '' });
+  const [error, setError] = useState('');
+  // 기본 월은 목록 문서가 없어도 항상 맨 앞에 보여 줍니다.
+  const rows = useMemo(() => {
+    const list = [...exhibitions].sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+    return list.some(e => e.id === DEFAULT_WALL) ? list : [{ id: DEFAULT_WALL, title: t('exhibitions.main'), status: EXHIBITION_STATUS.ACTIVE }, ...list];
+  }, [exhibitions, t]);
+
+  const create = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const id = await onCreate(draft);
+      if (id) {
+        setDraft({ title: '', slug: '', startsAt: '', endsAt: '' });
+        onSwitch(id);
+      }
+    } catch (err) {
+      setError(t(err.message === 'slug-taken' ? 'exhibitions.slugTaken' : 'exhibitions.createFailed'));
+    }
+  };
+  return (
+    <div className="grid md:grid-cols-3 gap-10">
+      <div className="md:col-span-2 bg-white/80 rounded-[2.5rem] border border-neutral-100 shadow-xl overflow-hidden backdrop-blur-md">
+        <table className="w-full text-left text-sm border-collapse"><thead className="bg-neutral-50 text-neutral-400 text-[10px] uppercase font-bold border-b border-neutral-100"><tr><th className="p-6">{t('exhibitions.name')}</th><th className="p-6">{t('exhibitions.period')}</th><th className="p-6">{t('exhibitions.links')}</th><th className="p-6 text-center">{t('exhibitions.manage')}</th></tr></thead>
+          <tbody className="divide-y divide-neutral-50 font-medium">{rows.map(ex => (
+            <tr key={ex.id} className={`transition-colors text-neutral-600 font-bold ${ex.id === wallId ? 'bg-[#004aad]/[0.04]' : ''} ${ex.status === EXHIBITION_STATUS.ARCHIVED ? 'opacity-50' : ''}`}>
+              <td className="p-6"><p className="text-[#004aad]">{ex.title || ex.id}</p><p className="font-mono text-[10px] text-neutral-300">/{ex.id} · {ex.status || EXHIBITION_STATUS.ACTIVE}</p></td>
+              <td className="p-6 font-mono text-[10px] text-neutral-400">{ex.startsAt ? ex.startsAt.replace('T', ' ') : '—'}<br />{ex.endsAt ? ex.endsAt.replace('T', ' ') : '—'}</td>
+              <td className="p-6 font-mono text-[10px]"><div className="flex flex-col gap-1">{['input', 'display'].map(v => <a key={v} href={wallUrl(ex.id, { view: v })} target="_blank" rel="noreferrer" className="text-[#004aad] hover:underline">{v}</a>)}</div></td>
+              <td className="p-6"><div className="flex justify-center gap-2">
+                <button disabled={ex.id === wallId} onClick={() => onSwitch(ex.id)} className="px-4 py-2 rounded-full text-[10px] uppercase tracking-widest border border-neutral-200 hover:text-[#004aad] disabled:opacity-30 transition-all">{t(ex.id === wallId ? 'exhibitions.current' : 'exhibitions.switch')}</button>
+                {ex.id !== DEFAULT_WALL && <button onClick={() => onUpdate(ex.id, { status: ex.status === EXHIBITION_STATUS.ARCHIVED ? EXHIBITION_STATUS.ACTIVE : EXHIBITION_STATUS.ARCHIVED })} title={t(ex.status === EXHIBITION_STATUS.ARCHIVED ? 'exhibitions.restore' : 'exhibitions.archive')} className="p-2.5 text-neutral-300 hover:text-amber-500 hover:bg-amber-50 rounded-xl transition-all"><Archive size={16} /></button>}
+              </div></td>
+            </tr>
+          ))}</tbody>
+        </table>
+      </div>
+      <form onSubmit={create} className="bg-white/60 p-10 rounded-[3rem] border border-neutral-100 shadow-xl space-y-6">
+        <h2 className="text-[#004aad] text-xs font-black uppercase tracking-widest border-b border-neutral-100 pb-4 flex items-center gap-2"><Layers size={14}/> {t('exhibitions.new')}</h2>
+        <AdminField label={t('exhibitions.title')} value={draft.title} onChange={v => setDraft(d => ({ ...d, title: v }))} />
+        <AdminField label={t('exhibitions.slug', { slug: slugify(draft.slug || draft.title) || '...' })} value={draft.slug} onChange={v => setDraft(d => ({ ...d, slug: v }))} />
+        <AdminField label={t('exhibitions.opens')} type="datetime-local" value={draft.startsAt} onChange={v => setDraft(d => ({ ...d, startsAt: v }))} />
+        <AdminField label={t('exhibitions.closes')} type="datetime-local" value={draft.endsAt} onChange={v => setDraft(d => ({ ...d, endsAt: v }))} />
+        <p className="text-[10px] text-neutral-400 font-bold">{t('exhibitions.note')}</p>
+        {error && <p className="text-red-400 text-xs font-bold">{error}</p>}
+        <button disabled={!slugify(draft.slug || draft.title)} className="w-full bg-[#004aad] text-white py-5 rounded-[2rem] font-bold flex items-center justify-center gap-2 disabled:opacity-40 transition-all"><Plus size={16} /> {t('exhibitions.create')}</button>
+      </form>
+    </div>
+  );
+}
+
+// --- Component: 메시지 테이블 (lib/messageQuery.js) ---
+// 휴지통으로 옮긴 직후 되돌리기 안내를 띄워 두는 시간
+const UNDO_SECONDS = 10;
+
+function MessageTable({ t, role, messages, trash, palette, onDelete, onRestore, onPurge, onSetStatus, onSetFeatured, onExport }) {
+  const [query, setQuery] = useState(EMPTY_QUERY);
+  const [page, setPage] = useState(0);
+  const [selected, setSelected] = useState(new Set());
+  const [featureHours, setFeatureHours] = useState(null);
+  const [inTrash, setInTrash] = useState(false);
+  const [undo, setUndo] = useState(null);
+  const results = useMemo(() => queryMessages(inTrash ? trash : messages, query), [inTrash, trash, messages, query]);
+  const { items, page: current, pages } = paginate(results, page);
+  // 지워졌거나 필터에서 빠진 메시지는 선택에서도 빠집니다.
+  const selectedMsgs = results.filter(m => selected.has(m.id));
+  const selectedIds = selectedMsgs.map(m => m.id);
+  const pageSelected = items.length > 0 && items.every(m => selected.has(m.id));
+  const filtered = JSON.stringify(query) !== JSON.stringify(EMPTY_QUERY);
+
+  const update = (field, value) => {
+    setQuery(q => ({ ...q, [field]: value }));
+    setPage(0);
+  };
+  const toggle = (id) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+  const togglePage = (on) => setSelected(prev => {
+    const next = new Set(prev);
+    items.forEach(m => (on ? next.add(m.id) : next.delete(m.id)));
+    return next;
+  });
+  const deselect = (ids) => setSelected(prev => new Set([...prev].filter(id => !ids.includes(id))));
+  const remove = async (ids) => {
+    if (!(await onDelete(ids))) return;
+    deselect(ids);
+    setUndo(ids);
+  };
+  const restore = async (ids) => {
+    if (await onRestore(ids)) deselect(ids);
+  };
+  const purge = async (ids) => {
+    if (await onPurge(ids)) deselect(ids);
+  };
+  const switchMode = (trashMode) => {
+    setInTrash(trashMode);
+    setSelected(new Set());
+    setPage(0);
+  };
+
+  useEffect(() => {
+    if (!undo) return;
+    const timer = setTimeout(() => setUndo(null), UNDO_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [undo]);
+  const bulk = async (action) => {
+    await action(selectedIds);
+    setSelected(new Set());
+  };
+
+  const input = "px-4 py-2 rounded-full border border-neutral-200 bg-white text-xs text-[#004aad] font-bold outline-none focus:border-[#004aad]";
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex-1 min-w-[220px] flex items-center gap-2 px-4 py-2 rounded-full border border-neutral-200 bg-white text-[#004aad] focus-within:border-[#004aad]"><Search size={14} className="text-neutral-300" /><input value={query.search} onChange={e => update('search', e.target.value)} placeholder={t('messages.search')} className="flex-1 bg-transparent outline-none text-xs font-bold" /></label>
+        <select value={query.emotion} onChange={e => update('emotion', e.target.value)} className={input}><option value="all">{t('messages.allEmotions')}</option>{palette.map(theme => <option key={theme.key} value={theme.key}>{theme.label}</option>)}</select>
+        <select value={query.status} onChange={e => update('status', e.target.value)} className={input}><option value="all">{t('messages.allStatuses')}</option>{Object.values(MESSAGE_STATUS).map(st => <option key={st} value={st}>{t(`status.${st}`)}</option>)}</select>
+        <select value={query.featured} onChange={e => update('featured', e.target.value)} className={input}>{['all', 'yes', 'no'].map(v => <option key={v} value={v}>{t(`messages.featuredFilter.${v}`)}</option>)}</select>
+        {['from', 'to'].map(k => <input key={k} type="date" value={query[k]} onChange={e => update(k, e.target.value)} className={input} />)}
+        <input type="number" min="0" value={query.minLikes} onChange={e => update('minLikes', e.target.value)} placeholder={t('messages.minLikes')} className={`${input} w-28`} />
+        <input value={query.uid} onChange={e => update('uid', e.target.value)} placeholder="UID" className={`${input} w-32 font-mono`} />
+        <select value={query.sort} onChange={e => update('sort', e.target.value)} className={input}>{Object.keys(MESSAGE_SORTS).map(s => <option key={s} value={s}>{t(`messages.sort.${s}`)}</option>)}</select>
+        {filtered && <button onClick={() => { setQuery(EMPTY_QUERY); setPage(0); }} className="p-2 text-neutral-300 hover:text-neutral-500"><X size={14} /></button>}
+        {can(role, 'delete') && <button onClick={() => switchMode(!inTrash)} className={`flex items-center gap-2 px-4 py-2 rounded-full border text-xs font-bold transition-all ${inTrash ? 'bg-red-500 border-red-500 text-white' : 'border-neutral-200 bg-white text-neutral-400 hover:text-red-400'}`}><Trash2 size={14} /> {t('messages.trash', { count: trash.length })}</button>}
+      </div>
+      {undo && (
+        <div className="flex items-center justify-between gap-4 px-6 py-3 rounded-full bg-neutral-800 text-white text-xs font-bold animate-in fade-in">
+          <span>{t('messages.trashed', { count: undo.length })}</span>
+          <div className="flex items-center gap-2"><button onClick={async () => { await onRestore(undo); setUndo(null); }} className="flex items-center gap-2 px-4 py-1.5 rounded-full bg-white text-neutral-800 hover:bg-neutral-100 transition-all"><Undo2 size={14} /> {t('messages.undo')}</button><button onClick={() => setUndo(null)} className="p-1.5 text-neutral-400 hover:text-white"><X size={14} /></button></div>
+        </div>
+      )}
+      <div className="flex flex-wrap items-center justify-between gap-3 px-2 text-xs font-bold">
+        <span className="text-neutral-400">{t('messages.matching', { count: results.length })}{selectedIds.length > 0 && <> · <span className="text-[#004aad]">{t('messages.selected', { count: selectedIds.length })}</span></>}{selectedIds.length < results.length && results.length > items.length && <button onClick={() => setSelected(new Set(results.map(m => m.id)))} className="ml-3 text-[#004aad] hover:underline">{t('messages.selectAll', { count: results.length })}</button>}</span>
+        {inTrash ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <button disabled={selectedIds.length === 0} onClick={() => restore(selectedIds)} className="flex items-center gap-2 px-4 py-2 bg-[#004aad] text-white rounded-full hover:brightness-110 disabled:opacity-30 transition-all"><Undo2 size={14} /> {t('messages.restore')}</button>
+          <button disabled={selectedIds.length === 0} onClick={() => purge(selectedIds)} className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-full hover:bg-red-600 disabled:opacity-30 transition-all"><Trash2 size={14} /> {t('messages.purge')}</button>
+        </div>
+        ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-2 px-4 py-2 border border-amber-200 bg-amber-50 text-amber-600 rounded-full"><Star size={14} /> {t('messages.featureFor')}<select value={featureHours ?? ''} onChange={e => setFeatureHours(e.target.value ? Number(e.target.value) : null)} className="bg-transparent outline-none font-bold">{FEATURE_DURATIONS.map(h => <option key={h ?? 'none'} value={h ?? ''}>{h ? t('messages.hours', { count: h }) : t('messages.noExpiry')}</option>)}</select></label>
+          <button disabled={selectedIds.length === 0} onClick={() => bulk(ids => onSetFeatured(ids, featureHours))} className="flex items-center gap-2 px-4 py-2 bg-amber-400 text-white rounded-full hover:bg-amber-500 disabled:opacity-30 transition-all"><Star size={14} /> {t('messages.feature')}</button>
+          <button disabled={selectedIds.length === 0} onClick={() => bulk(ids => onSetFeatured(ids, false))} className="px-4 py-2 border border-neutral-200 bg-white text-neutral-500 rounded-full hover:text-amber-500 disabled:opacity-30 transition-all">{t('messages.unfeature')}</button>
+          <button disabled={selectedIds.length === 0} onClick={() => bulk(ids => onSetStatus(ids, MESSAGE_STATUS.REJECTED))} className="flex items-center gap-2 px-4 py-2 border border-neutral-200 bg-white text-neutral-500 rounded-full hover:text-red-400 disabled:opacity-30 transition-all"><Ban size={14} /> {t('messages.hide')}</button>
+          <button disabled={selectedIds.length === 0} onClick={() => onExport(selectedMsgs)} className="flex items-center gap-2 px-4 py-2 border border-neutral-200 bg-white text-neutral-500 rounded-full hover:text-[#004aad] disabled:opacity-30 transition-all"><Download size={14} /> {t('messages.exportSelection')}</button>
+          {can(role, 'delete') && <button disabled={selectedIds.length === 0} onClick={() => remove(selectedIds)} className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-full hover:bg-red-600 disabled:opacity-30 transition-all"><Trash2 size={14} /> {t('messages.delete')}</button>}
+        </div>
+        )}
+      </div>
+      <div className="bg-white/80 rounded-[2.5rem] border border-neutral-100 shadow-xl overflow-hidden backdrop-blur-md">
+        <table className="w-full text-left text-sm border-collapse"><thead className="bg-neutral-50 text-neutral-400 text-[10px] uppercase font-bold border-b border-neutral-100"><tr><th className="p-6 w-12"><input type="checkbox" checked={pageSelected} onChange={e => togglePage(e.target.checked)} className="accent-[#004aad]" /></th><th className="p-6">{t('messages.content')}</th><th className="p-6">{t('messages.identity')}</th><th className="p-6">{t('messages.aura')}</th><th className="p-6">{t('messages.review')}</th><th className="p-6">{t('messages.engagement')}</th><th className="p-6 text-center">{t('messages.manage')}</th></tr></thead>
+          <tbody className="divide-y divide-neutral-50 font-medium">{items.map(msg => (<tr key={msg.id} className={`hover:bg-[#004aad]/[0.02] transition-colors group text-neutral-600 font-bold ${selected.has(msg.id) ? 'bg-[#004aad]/[0.03]' : ''}`}><td className="p-6"><input type="checkbox" checked={selected.has(msg.id)} onChange={() => toggle(msg.id)} className="accent-[#004aad]" /></td><td className="p-6 leading-relaxed max-w-sm">{msg.text}{isFeatured(msg) && <span className="mt-2 flex items-center gap-1.5 text-[10px] text-amber-500 font-mono"><Star size={10} className="fill-amber-400" /> {featuredUntilMillis(msg) ? t('messages.featuredUntil', { time: new Date(featuredUntilMillis(msg)).toLocaleString() }) : t('messages.featured')}</span>}{inTrash && msg.deletedAt?.seconds && <span className="mt-2 flex items-center gap-1.5 text-[10px] text-red-400 font-mono"><Trash2 size={10} /> {t('messages.deletedAt', { time: new Date(msg.deletedAt.seconds * 1000).toLocaleString() })}</span>}</td><td className="p-6 font-mono text-[10px]"><div className="flex flex-col gap-1 font-bold"><span className="text-[#004aad]">UID: {msg.userId}</span><span className="text-neutral-300">{t('messages.ticket')}: #{msg.id.toUpperCase()}</span></div></td><td className="p-6"><div className="flex flex-wrap gap-1.5">{msg.scores && Object.entries(msg.scores).sort((a,b)=>b[1]-a[1]).slice(0,1).map(([k, v]) => (<span key={k} className="text-[9px] px-2.5 py-1 rounded-full border border-neutral-100 bg-white shadow-sm uppercase text-neutral-400">{k} {v}%</span>))}</div></td><td className="p-6"><StatusBadge t={t} status={getStatus(msg)} /></td><td className="p-6 text-neutral-400"><ReactionCounts msg={msg} className="gap-2 text-xs text-neutral-400" /></td><td className="p-6 text-center">{inTrash ? <div className="flex justify-center gap-1"><button onClick={() => restore([msg.id])} title={t('messages.restore')} className="p-2.5 text-neutral-300 hover:text-[#004aad] hover:bg-[#004aad]/5 rounded-xl transition-all"><Undo2 size={16} /></button><button onClick={() => purge([msg.id])} title={t('messages.purge')} className="p-2.5 text-neutral-200 hover:text-red-400 hover:bg-red-50 rounded-xl transition-all"><Trash2 size={16} /></button></div> : <div className="flex justify-center gap-1"><button onClick={() => onSetFeatured([msg.id], isFeatured(msg) ? false : featureHours)} title={t(isFeatured(msg) ? 'messages.unfeature' : 'messages.feature')} className={`p-2.5 rounded-xl transition-all ${isFeatured(msg) ? 'text-amber-500 bg-amber-50' : 'text-neutral-200 hover:text-amber-500 hover:bg-amber-50'}`}><Star size={16} className={isFeatured(msg) ? 'fill-amber-400' : ''} /></button><button onClick={() => remove([msg.id])} className="p-2.5 text-neutral-200 hover:text-red-400 hover:bg-red-50 rounded-xl transition-all"><Trash2 size={16} /></button></div>}</td></tr>))}</tbody>
+        </table>
+        {items.length === 0 && <p className="p-16 text-center text-neutral-300 text-xs font-bold uppercase tracking-widest">{t('messages.noMatches')}</p>}
+      </div>
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-4 text-xs font-bold text-neutral-400">
+          <button disabled={current === 0} onClick={() => setPage(current - 1)} className="p-2 rounded-full border border-neutral-200 bg-white hover:text-[#004aad] disabled:opacity-30 transition-all"><ChevronLeft size={14} /></button>
+          <span className="font-mono">{current + 1} / {pages}</span>
+          <button disabled={current >= pages - 1} onClick={() => setPage(current + 1)} className="p-2 rounded-full border border-neutral-200 bg-white hover:text-[#004aad] disabled:opacity-30 transition-all"><ChevronRight size={14} /></button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Component: 검토 대기열 ---
+function ReviewQueue({ t, messages, onSetStatus }) {
+  const [filter, setFilter] = useState(MESSAGE_STATUS.PENDING);
+  const [selected, setSelected] = useState(new Set());
+  const queue = useMemo(() => messages.filter(m => getStatus(m) === filter), [messages, filter]);
+  const selectedIds = queue.filter(m => selected.has(m.id)).map(m => m.id);
+
+  const toggle = (id) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+  const apply = async (ids, status) => {
+    await onSetStatus(ids, status);
+    setSelected(new Set());
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-end">
+        <h2 className="text-xl font-black text-[#004aad] flex items-center gap-3"><ShieldCheck size={20} /> {t('review.title')} ({queue.length})</h2>
+        <div className="flex gap-3 font-bold">
+          <div className="flex bg-white rounded-full p-1 border border-neutral-200">{[MESSAGE_STATUS.PENDING, MESSAGE_STATUS.REJECTED].map(st => (<button key={st} onClick={() => { setFilter(st); setSelected(new Set()); }} className={`px-5 py-2 rounded-full text-[10px] uppercase tracking-widest font-bold transition-all ${filter === st ? 'bg-neutral-800 text-white' : 'text-neutral-400'}`}>{t(`status.${st}`)}</button>))}</div>
+          <button disabled={selectedIds.length === 0} onClick={() => apply(selectedIds, MESSAGE_STATUS.APPROVED)} className="flex items-center gap-2 px-5 py-2.5 bg-emerald-500 text-white rounded-full text-xs font-bold hover:bg-emerald-600 disabled:opacity-30 transition-all"><Check size={14} /> {t('review.approve', { count: selectedIds.length })}</button>
+          {filter === MESSAGE_STATUS.PENDING && <button disabled={selectedIds.length === 0} onClick={() => apply(selectedIds, MESSAGE_STATUS.REJECTED)} className="flex items-center gap-2 px-5 py-2.5 bg-red-500 text-white rounded-full text-xs font-bold hover:bg-red-600 disabled:opacity-30 transition-all"><Ban size={14} /> {t('review.reject', { count: selectedIds.length })}</button>}
+        </div>
+      </div>
+      <div className="bg-white/80 rounded-[2.5rem] border border-neutral-100 shadow-xl overflow-hidden backdrop-blur-md">
+        {queue.length === 0 ? (
+          <p className="p-16 text-center text-neutral-300 text-xs font-bold uppercase tracking-widest">{t('review.empty')}</p>
+        ) : (
+          <table className="w-full text-left text-sm border-collapse"><thead className="bg-neutral-50 text-neutral-400 text-[10px] uppercase font-bold border-b border-neutral-100"><tr><th className="p-6 w-12"><input type="checkbox" checked={selectedIds.length === queue.length} onChange={e => setSelected(e.target.checked ? new Set(queue.map(m => m.id)) : new Set())} className="accent-[#004aad]" /></th><th className="p-6">{t('messages.content')}</th><th className="p-6">{t('review.prefilter')}</th><th className="p-6 text-center">{t('review.decide')}</th></tr></thead>
+            <tbody className="divide-y divide-neutral-50 font-medium">{queue.map(msg => (<tr key={msg.id} className="hover:bg-[#004aad]/[0.02] transition-colors text-neutral-600 font-bold"><td className="p-6"><input type="checkbox" checked={selected.has(msg.id)} onChange={() => toggle(msg.id)} className="accent-[#004aad]" /></td><td className="p-6 leading-relaxed max-w-lg">{msg.text}</td><td className="p-6 text-[10px] font-mono text-red-400">{(msg.moderation?.matches || []).join(', ') || '-'}</td><td className="p-6"><div className="flex justify-center gap-2"><button onClick={() => apply([msg.id], MESSAGE_STATUS.APPROVED)} className="p-2.5 text-emerald-400 hover:bg-emerald-50 rounded-xl transition-all"><Check size={16} /></button>{filter === MESSAGE_STATUS.PENDING && <button onClick={() => apply([msg.id], MESSAGE_STATUS.REJECTED)} className="p-2.5 text-red-300 hover:bg-red-50 rounded-xl transition-all"><Ban size={16} /></button>}</div></td></tr>))}</tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function StatusBadge({ t, status }) {
+  const tone = { pending: 'text-amber-500 border-amber-100', approved: 'text-emerald-500 border-emerald-100', rejected: 'text-red-400 border-red-100' }[status];
+  return <span className={`text-[9px] px-2.5 py-1 rounded-full border bg-white uppercase ${tone}`}>{t(`status.${status}`)}</span>;
+}
+
+function AdminToggle({ label, value, onChange }) {
+  return (
+    <button type="button" onClick={() => onChange(!value)} className="w-full flex items-center justify-between bg-neutral-50 border border-neutral-100 p-5 rounded-2xl transition-all font-sans">
+      <span className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold">{label}</span>
+      <span className={`w-10 h-6 rounded-full p-1 transition-all ${value ? 'bg-[#004aad]' : 'bg-neutral-200'}`}><span className={`block w-4 h-4 rounded-full bg-white transition-all ${value ? 'translate-x-4' : ''}`}></span></span>
+    </button>
+  );
+}
+
+function AdminField({ label, value, onChange, type = 'text' }) {
   return (
     <div className="space-y-2">
       <label className="text-[10px] text-neutral-400 uppercase tracking-widest font-bold ml-1 font-sans">{label}</label>
-      <input value={value} onChange={e => onChange(e.target.value)} className="w-full bg-neutral-50 border border-neutral-100 p-5 rounded-2xl outline-none focus:border-[#004aad] transition-all font-bold text-[#004aad] font-sans" />
+      <input type={type} value={value} onChange={e => onChange(e.target.value)} className="w-full bg-neutral-50 border border-neutral-100 p-5 rounded-2xl outline-none focus:border-[#004aad] transition-all font-bold text-[#004aad] font-sans" />
     </div>
   );
 }
@@ -0,0 +1,112 @@
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import {
+  getFirestore,
+  collection,
+  collectionGroup,
+  onSnapshot,
+  serverTimestamp,
+  doc,
+  getDoc,
+  setDoc,
+  addDoc,
+  updateDoc,
+  increment,
+  query,
+  orderBy,
+  limit,
+  deleteDoc,
+  deleteField,
+  writeBatch,
+  runTransaction,
+  getDocs,
+  getDocFromServer,
+  connectFirestoreEmulator,
+  Timestamp
+} from 'firebase/firestore';
+import {
+  getAuth,
+  signInAnonymously,
+  signInWithCustomToken,
+  signInWithEmailAndPassword,
+  linkWithCredential,
+  EmailAuthProvider,
+  signOut,
+  onAuthStateChanged,
+  connectAuthEmulator
+} from 'firebase/auth';
+
+/**
+ * [Firestore 백엔드]
+ * 배포용 백엔드입니다. 권한은 firestore.rules 가 강제합니다.
+ * 경로 배열을 문서/컬렉션 참조로 바꿔 SDK 를 그대로 부를 뿐, 스냅샷은 SDK 것을 그대로 넘깁니다.
+ */
+export const createFirestoreBackend = (config, { emulators = false } = {}) => {
+  const app = getApps().length === 0 ? initializeApp(config) : getApp();
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  // 로컬 에뮬레이터(npm run emulators)에 붙어 보안 규칙을 시험할 때 사용합니다.
+  if (emulators) {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  }
+
+  const ref = (path) => doc(db, ...path);
+  const col = (path) => collection(db, ...path);
+  const toQuery = (path, options = {}) => {
+    const constraints = [
+      ...(options.orderBy ? [orderBy(...options.orderBy)] : []),
+      ...(options.limit ? [limit(options.limit)] : [])
+    ];
+    return constraints.length > 0 ? query(col(path), ...constraints) : col(path);
+  };
+
+  return {
+    kind: 'firestore',
+    networked: true,
+
+    watchDoc: (path, onNext, onError) => onSnapshot(ref(path), onNext, onError),
+    watchCollection: (path, options, onNext, onError) =>
+      onSnapshot(toQuery(path, options), { includeMetadataChanges: Boolean(options?.includeMetadataChanges) }, onNext, onError),
+    getDoc: (path, { fromServer = false } = {}) => (fromServer ? getDocFromServer(ref(path)) : getDoc(ref(path))),
+    getCollection: (path) => getDocs(col(path)),
+    getCollectionGroup: (collectionId) => getDocs(collectionGroup(db, collectionId)),
+
+    newId: (path) => doc(col(path)).id,
+    setDoc: (path, data, options = {}) => setDoc(ref(path), data, options),
+    addDoc: (path, data) => addDoc(col(path), data).then(r => r.id),
+    updateDoc: (path, changes) => updateDoc(ref(path), changes),
+    deleteDoc: (path) => deleteDoc(ref(path)),
+    batch: () => {
+      const batch = writeBatch(db);
+      const api = {
+        set: (path, data, options = {}) => { batch.set(ref(path), data, options); return api; },
+        update: (path, changes) => { batch.update(ref(path), changes); return api; },
+        delete: (path) => { batch.delete(ref(path)); return api; },
+        commit: () => batch.commit()
+      };
+      return api;
+    },
+    transaction: (fn) => runTransaction(db, (tx) => fn({
+      get: (path) => tx.get(ref(path)),
+      set: (path, data, options = {}) => tx.set(ref(path), data, options),
+      update: (path, changes) => tx.update(ref(path), changes),
+      delete: (path) => tx.delete(ref(path))
+    })),
+
+    serverTimestamp,
+    increment,
+    deleteField,
+    timestampFromMillis: (ms) => Timestamp.fromMillis(ms),
+    timestampFromDate: (date) => Timestamp.fromDate(date),
+
+    auth: {
+      onChange: (listener) => onAuthStateChanged(auth, listener),
+      signInAnonymously: () => signInAnonymously(auth),
+      signInWithToken: (token) => signInWithCustomToken(auth, token),
+      signInWithPassword: (email, password) => signInWithEmailAndPassword(auth, email, password).then(cred => cred.user),
+      // 익명 계정에 이메일을 붙입니다. uid 가 그대로라 남긴 흔적도 그대로 따라옵니다.
+      linkWithPassword: (email, password) => linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password)).then(cred => cred.user),
+      signOut: () => signOut(auth)
+    }
+  };
+};
@@ -0,0 +1,77 @@
+import { createFirestoreBackend } from './firestore';
+import { createLocalBackend } from './local';
+
+/**
+ * [데이터 접근 계층]
+ * App 은 Firestore SDK 를 직접 부르지 않고 아래 인터페이스만 씁니다. 경로는 wallPaths(lib/walls.js) 같은 문자열 배열입니다.
+ *
+ *   watchDoc(path, onNext, onError) / watchCollection(path, { orderBy: [field, dir], limit, includeMetadataChanges }, onNext, onError)
+ *     → 구독 해제 함수. 스냅샷은 Firestore 와 같은 모양입니다. (exists, data, docs, docChanges, metadata.fromCache)
+ *   getDoc(path, { fromServer }) / getCollection(path) / getCollectionGroup(collectionId)
+ *   setDoc(path, data, { merge }) / addDoc(path, data) → id / updateDoc(path, changes) / deleteDoc(path) / newId(path)
+ *   batch() → { set, update, delete, commit } / transaction(fn({ get, set, update, delete }))
+ *   serverTimestamp() / increment(n) / deleteField() / timestampFromMillis(ms) / timestampFromDate(date)
+ *   auth: { onChange, signInAnonymously, signInWithToken, signInWithPassword → user, linkWithPassword → user, signOut }
+ *
+ * 백엔드는 ?backend=firestore|local (그 페이지에서만), VITE_DATA_BACKEND 순으로 고르고, 둘 다 없으면 firestore 입니다.
+ * 링크 하나로 키오스크가 다른 저장소로 옮겨 가지 않도록 주소의 값은 기기에 남기지 않습니다.
+ * Firebase 설정이 비어 있어도 local 로 바꾸지 않고 설정 안내 화면을 띄웁니다.
+ */
+export const DATA_BACKENDS = ['firestore', 'local'];
+
+/**
+ * [환경 변수 정적 맵핑]
+ * Vite의 정적 치환 기능을 활용하여 Firebase API Key 에러를 원천 차단합니다.
+ */
+export const getEnv = (key) => {
+  try {
+    const env = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env : {};
+    return env[key] || "";
+  } catch {
+    return "";
+  }
+};
+
+export const isCanvas = typeof __firebase_config !== 'undefined';
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'unframe-interactive-wall';
+export const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// 로컬 에뮬레이터(npm run emulators)에 붙어 보안 규칙을 시험할 때 사용합니다.
+const useEmulators = !isCanvas && getEnv('VITE_USE_FIREBASE_EMULATORS') === 'true';
+
+const firebaseConfig = isCanvas
+  ? JSON.parse(__firebase_config)
+  : {
+      apiKey: getEnv('VITE_FIREBASE_API_KEY') || (useEmulators ? 'demo-emulator-key' : ''),
+      authDomain: getEnv('VITE_FIREBASE_AUTH_DOMAIN'),
+      projectId: getEnv('VITE_FIREBASE_PROJECT_ID') || (useEmulators ? 'demo-unframe' : ''),
+      storageBucket: getEnv('VITE_FIREBASE_STORAGE_BUCKET'),
+      messagingSenderId: getEnv('VITE_FIREBASE_MESSAGING_SENDER_ID'),
+      appId: getEnv('VITE_FIREBASE_APP_ID')
+    };
+
+const isValidKey = isCanvas || (firebaseConfig && firebaseConfig.apiKey && firebaseConfig.apiKey.length > 10);
+
+const chooseBackend = () => {
+  if (isCanvas) return 'firestore';
+  const param = typeof window === 'undefined' ? null : new URLSearchParams(window.location.search).get('backend');
+  if (DATA_BACKENDS.includes(param)) return param;
+  const configured = getEnv('VITE_DATA_BACKEND');
+  return DATA_BACKENDS.includes(configured) ? configured : 'firestore';
+};
+
+export const backendKind = chooseBackend();
+
+const createDataLayer = () => {
+  if (backendKind === 'local') return createLocalBackend({ passcode: getEnv('VITE_LOCAL_PASSCODE') });
+  // firestore 를 지정했는데 설정이 비어 있으면 null 을 돌려 App 이 설정 안내 화면을 띄웁니다.
+  if (!isValidKey) return null;
+  try {
+    return createFirestoreBackend(firebaseConfig, { emulators: useEmulators });
+  } catch (e) {
+    console.error("Firebase Init Error:", e);
+    return null;
+  }
+};
+
+export const data = createDataLayer();
@@ -0,0 +1,356 @@
+/**
+ * [로컬 백엔드 (IndexedDB + BroadcastChannel)]
+ * 인터넷 없는 팝업 전시처럼 한 기기에서 입력/월/관리 탭을 함께 띄울 때 씁니다. (?backend=local)
+ * 문서는 이 브라우저의 IndexedDB 에 저장하고, 같은 브라우저의 다른 탭에는 BroadcastChannel 로 변경을 알립니다.
+ * 스냅샷은 Firestore 와 같은 모양(exists/data/docs/docChanges)이라 App 은 어느 백엔드인지 구분하지 않습니다.
+ *
+ * 보안 규칙(firestore.rules)은 적용되지 않습니다. 운영자 로그인은 기기 공용 암호(VITE_LOCAL_PASSCODE) 하나로 소유자 권한을 줍니다.
+ * 암호는 번들에 들어가므로 기본값을 두지 않습니다. 설정하지 않으면 운영자 로그인이 막힙니다.
+ */
+const DB_NAME = 'unframe-local';
+const STORE = 'docs';
+const CHANNEL = 'unframe-local';
+const VISITOR_KEY = 'unframe-local-visitor';
+const SESSION_KEY = 'unframe-local-session';
+
+const SENTINEL = Symbol('unframe-local-sentinel');
+const META = { fromCache: false, hasPendingWrites: false };
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Firestore Timestamp 와 같은 모양 (seconds, toMillis, toDate)
+const timestamp = (ms) => ({
+  seconds: Math.floor(ms / 1000),
+  nanoseconds: (ms % 1000) * 1e6,
+  toMillis: () => ms,
+  toDate: () => new Date(ms)
+});
+const isTimestamp = (value) => Boolean(value) && typeof value.toMillis === 'function';
+const isSentinel = (value) => Boolean(value) && typeof value === 'object' && SENTINEL in value;
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !isTimestamp(value) && !isSentinel(value) && !(value instanceof Date);
+
+const mapValues = (obj, fn) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v, k)]));
+
+// IndexedDB 와 BroadcastChannel 은 함수를 복제하지 못하므로 Timestamp 를 숫자로 바꿔 보냅니다.
+const encode = (value) => {
+  if (isTimestamp(value)) return { __ts: value.toMillis() };
+  if (Array.isArray(value)) return value.map(encode);
+  if (isPlainObject(value)) return mapValues(value, encode);
+  return value;
+};
+const decode = (value) => {
+  if (Array.isArray(value)) return value.map(decode);
+  if (isPlainObject(value)) return typeof value.__ts === 'number' ? timestamp(value.__ts) : mapValues(value, decode);
+  return value;
+};
+
+const keyOf = (path) => path.join('/');
+const makeRef = (path) => ({
+  id: path[path.length - 1],
+  path: keyOf(path),
+  get parent() { return path.length > 1 ? makeRef(path.slice(0, -1)) : null; }
+});
+const notFound = (path) => Object.assign(new Error(`No document to update: ${keyOf(path)}`), { code: 'not-found' });
+
+// 쓰기 값의 serverTimestamp/increment/deleteField 를 실제 값으로 바꿉니다. (삭제는 undefined)
+const resolve = (value, previous, now) => {
+  if (isSentinel(value)) {
+    if (value[SENTINEL] === 'serverTimestamp') return timestamp(now);
+    if (value[SENTINEL] === 'increment') return (typeof previous === 'number' ? previous : 0) + value.n;
+    return undefined;
+  }
+  if (value instanceof Date) return timestamp(value.getTime());
+  if (Array.isArray(value)) return value.map(v => resolve(v, undefined, now));
+  if (isPlainObject(value)) return assign({}, value, now, false);
+  return value;
+};
+
+// merge 이면 하위 객체까지 합치고, 아니면 최상위 필드 단위로 바꿉니다. (Firestore set/update 와 같습니다)
+const assign = (base, changes, now, merge) => Object.entries(changes).reduce((acc, [key, value]) => {
+  const next = merge && isPlainObject(value) && isPlainObject(acc[key]) ? assign(acc[key], value, now, true) : resolve(value, acc[key], now);
+  if (next === undefined) {
+    const { [key]: _removed, ...rest } = acc;
+    return rest;
+  }
+  return { ...acc, [key]: next };
+}, base);
+
+const applyOp = (current, op, now) => {
+  if (op.type === 'delete') return null;
+  if (op.type === 'update') {
+    if (!current) throw notFound(op.path);
+    return assign(current, op.data, now, false);
+  }
+  return assign(op.merge ? current || {} : {}, op.data, now, Boolean(op.merge));
+};
+
+const compareValues = (a, b) => {
+  const x = isTimestamp(a) ? a.toMillis() : a;
+  const y = isTimestamp(b) ? b.toMillis() : b;
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+};
+
+const openStore = () => new Promise((done) => {
+  if (typeof indexedDB === 'undefined') return done(null);
+  const req = indexedDB.open(DB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' });
+  req.onsuccess = () => done(req.result);
+  // 저장소를 열 수 없으면 이 탭의 메모리에서만 동작합니다.
+  req.onerror = () => done(null);
+});
+
+const run = (db, mode, fn) => new Promise((done, fail) => {
+  const t = db.transaction(STORE, mode);
+  const result = fn(t.objectStore(STORE));
+  t.oncomplete = () => done(Array.isArray(result) ? result.map(r => r.result) : result?.result);
+  t.onerror = () => fail(t.error);
+});
+
+const createLocalAuth = (passcode) => {
+  const listeners = new Set();
+  const read = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch {
+      return null;
+    }
+  };
+  // readRole(lib/roles.js) 이 그대로 동작하도록 Firebase 사용자와 같은 모양으로 만듭니다.
+  const makeUser = ({ uid, email = null, role = null }) => ({
+    uid,
+    email,
+    isAnonymous: !role,
+    getIdTokenResult: async () => ({ claims: role ? { role } : {} })
+  });
+  const restore = () => {
+    const session = read(SESSION_KEY);
+    if (session?.uid) return makeUser(session);
+    const visitor = read(VISITOR_KEY);
+    return visitor ? makeUser({ uid: visitor }) : null;
+  };
+  let current = restore();
+  const emit = () => listeners.forEach(l => l(current));
+
+  // 같은 브라우저의 다른 탭에서 로그인/로그아웃하면 따라갑니다.
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+      if (e.key !== SESSION_KEY && e.key !== VISITOR_KEY) return;
+      current = restore();
+      emit();
+    });
+  }
+
+  return {
+    onChange: (listener) => {
+      listeners.add(listener);
+      Promise.resolve().then(() => listeners.has(listener) && listener(current));
+      return () => listeners.delete(listener);
+    },
+    signInAnonymously: async () => {
+      const uid = read(VISITOR_KEY) || `local-${newId()}`;
+      localStorage.setItem(VISITOR_KEY, JSON.stringify(uid));
+      current = makeUser({ uid });
+      emit();
+      return current;
+    },
+    signInWithToken: async () => {
+      throw Object.assign(new Error('Custom tokens are not supported by the local backend'), { code: 'auth/operation-not-allowed' });
+    },
+    signInWithPassword: async (email, password) => {
+      if (!passcode) throw Object.assign(new Error('VITE_LOCAL_PASSCODE is not set'), { code: 'auth/operation-not-allowed' });
+      if (password !== passcode) throw Object.assign(new Error('Invalid passcode'), { code: 'auth/invalid-credential' });
+      const session = { uid: `operator-${String(email).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, email, role: 'owner' };
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+      current = makeUser(session);
+      emit();
+      return current;
+    },
+    // 한 기기에서만 쓰는 백엔드라 다른 기기로 옮길 계정이 없습니다.
+    linkWithPassword: async () => {
+      throw Object.assign(new Error('Account linking is not supported by the local backend'), { code: 'auth/operation-not-allowed' });
+    },
+    signOut: async () => {
+      localStorage.removeItem(SESSION_KEY);
+      current = null;
+      emit();
+    }
+  };
+};
+
+const newId = () => Array.from(crypto.getRandomValues(new Uint8Array(20)), b => ID_CHARS[b % ID_CHARS.length]).join('');
+
+export const createLocalBackend = ({ passcode = '' } = {}) => {
+  const docs = new Map(); // key -> { path, parent, data }
+  const watchers = new Set();
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL);
+  let store = null;
+
+  const ready = openStore().then(async (handle) => {
+    store = handle;
+    if (!store) return;
+    const records = await run(store, 'readonly', s => s.getAll()).catch(() => []);
+    (records || []).forEach(({ key, path, data }) => docs.set(key, { path, parent: keyOf(path.slice(0, -1)), data: decode(data) }));
+  });
+
+  // 탭 사이의 쓰기가 겹치지 않도록 Web Locks 로 묶습니다. 지원하지 않으면 이 탭 안에서만 순서를 지킵니다.
+  let queue = Promise.resolve();
+  const withLock = (fn) => {
+    if (typeof navigator !== 'undefined' && navigator.locks) return navigator.locks.request(CHANNEL, fn);
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const docSnapshot = (path, data) => ({
+    id: path[path.length - 1],
+    ref: makeRef(path),
+    exists: () => data !== null && data !== undefined,
+    data: () => (data ? decode(encode(data)) : undefined),
+    metadata: META
+  });
+
+  const querySnapshot = (entries, changes) => {
+    const list = entries.map(e => docSnapshot(e.path, e.data));
+    return { docs: list, size: list.length, empty: list.length === 0, metadata: META, forEach: (fn) => list.forEach(fn), docChanges: () => changes };
+  };
+
+  // 필드로 정렬하면 그 필드가 없는 문서는 빠집니다. (Firestore 와 같습니다) 동률은 문서 id 순입니다.
+  const runQuery = (path, { orderBy, limit } = {}) => {
+    const parent = keyOf(path);
+    const [field, direction = 'asc'] = orderBy || [];
+    const entries = [...docs.values()]
+      .filter(e => e.parent === parent && (!field || e.data[field] !== undefined && e.data[field] !== null))
+      .sort((a, b) => (field ? compareValues(a.data[field], b.data[field]) * (direction === 'desc' ? -1 : 1) : 0) || compareValues(a.path[a.path.length - 1], b.path[b.path.length - 1]));
+    return limit ? entries.slice(0, limit) : entries;
+  };
+
+  // 다른 탭이 방금 쓴 값을 놓치지 않도록 트랜잭션과 쓰기는 IndexedDB 에서 다시 읽습니다.
+  const readFresh = async (paths) => {
+    if (!store) return paths.map(p => docs.get(keyOf(p))?.data ?? null);
+    const records = await run(store, 'readonly', s => paths.map(p => s.get(keyOf(p))));
+    return records.map(r => (r ? decode(r.data) : null));
+  };
+
+  const notify = (keys) => {
+    const parents = new Set([...keys].map(k => k.slice(0, k.lastIndexOf('/'))));
+    watchers.forEach(w => (w.doc ? keys.has(w.key) : parents.has(w.key)) && w.emit());
+  };
+
+  const applyRemote = (entries) => {
+    entries.forEach(([path, data]) => {
+      if (data === null) docs.delete(keyOf(path));
+      else docs.set(keyOf(path), { path, parent: keyOf(path.slice(0, -1)), data: decode(data) });
+    });
+    notify(new Set(entries.map(([path]) => keyOf(path))));
+  };
+  if (channel) channel.onmessage = ({ data }) => ready.then(() => applyRemote(data.entries));
+
+  // 잠금을 쥔 채로 부릅니다. 하나라도 실패하면(update 대상 없음) 아무것도 쓰지 않습니다.
+  const applyWrites = async (ops) => {
+    if (ops.length === 0) return;
+    const now = Date.now();
+    const byKey = new Map(ops.map(op => [keyOf(op.path), op.path]));
+    const paths = [...byKey.values()];
+    const fresh = await readFresh(paths);
+    const next = new Map(paths.map((p, i) => [keyOf(p), fresh[i]]));
+    ops.forEach(op => next.set(keyOf(op.path), applyOp(next.get(keyOf(op.path)), op, now)));
+
+    const entries = paths.map(p => [p, next.get(keyOf(p))]);
+    entries.forEach(([path, data]) => {
+      if (data === null) docs.delete(keyOf(path));
+      else docs.set(keyOf(path), { path, parent: keyOf(path.slice(0, -1)), data });
+    });
+    notify(new Set(byKey.keys()));
+    if (store) {
+      await run(store, 'readwrite', s => entries.forEach(([path, data]) => (data === null ? s.delete(keyOf(path)) : s.put({ key: keyOf(path), path, data: encode(data) }))));
+    }
+    channel?.postMessage({ entries: entries.map(([path, data]) => [path, data === null ? null : encode(data)]) });
+  };
+
+  const commit = (ops) => ready.then(() => withLock(() => applyWrites(ops)));
+
+  const watch = (watcher) => {
+    let active = true;
+    const entry = { ...watcher, emit: () => active && watcher.emit() };
+    ready.then(() => {
+      if (!active) return;
+      watchers.add(entry);
+      entry.emit();
+    });
+    return () => {
+      active = false;
+      watchers.delete(entry);
+    };
+  };
+
+  return {
+    kind: 'local',
+    // 네트워크를 쓰지 않으므로 오프라인 대기열은 navigator.onLine 을 보지 않습니다. (lib/outbox.js)
+    networked: false,
+
+    watchDoc: (path, onNext) => watch({
+      doc: true,
+      key: keyOf(path),
+      emit: () => onNext(docSnapshot(path, docs.get(keyOf(path))?.data ?? null))
+    }),
+    watchCollection: (path, options, onNext) => {
+      let previous = new Map();
+      return watch({
+        doc: false,
+        key: keyOf(path),
+        emit: () => {
+          const entries = runQuery(path, options);
+          const current = new Map(entries.map(e => [keyOf(e.path), e]));
+          const changes = [
+            ...entries.filter(e => previous.get(keyOf(e.path))?.data !== e.data).map(e => ({ type: previous.has(keyOf(e.path)) ? 'modified' : 'added', doc: docSnapshot(e.path, e.data) })),
+            ...[...previous.values()].filter(e => !current.has(keyOf(e.path))).map(e => ({ type: 'removed', doc: docSnapshot(e.path, e.data) }))
+          ];
+          previous = current;
+          onNext(querySnapshot(entries, changes));
+        }
+      });
+    },
+    getDoc: (path) => ready.then(() => docSnapshot(path, docs.get(keyOf(path))?.data ?? null)),
+    getCollection: (path) => ready.then(() => querySnapshot(runQuery(path), [])),
+    getCollectionGroup: (collectionId) => ready.then(() => querySnapshot([...docs.values()].filter(e => e.path[e.path.length - 2] === collectionId), [])),
+
+    newId: () => newId(),
+    setDoc: (path, data, options = {}) => commit([{ type: 'set', path, data, merge: Boolean(options.merge) }]),
+    addDoc: async (path, data) => {
+      const id = newId();
+      await commit([{ type: 'set', path: [...path, id], data }]);
+      return id;
+    },
+    updateDoc: (path, changes) => commit([{ type: 'update', path, data: changes }]),
+    deleteDoc: (path) => commit([{ type: 'delete', path }]),
+    batch: () => {
+      const ops = [];
+      const api = {
+        set: (path, data, options = {}) => { ops.push({ type: 'set', path, data, merge: Boolean(options.merge) }); return api; },
+        update: (path, changes) => { ops.push({ type: 'update', path, data: changes }); return api; },
+        delete: (path) => { ops.push({ type: 'delete', path }); return api; },
+        commit: () => commit(ops)
+      };
+      return api;
+    },
+    transaction: (fn) => ready.then(() => withLock(async () => {
+      const ops = [];
+      const result = await fn({
+        get: async (path) => docSnapshot(path, (await readFresh([path]))[0]),
+        set: (path, data, options = {}) => { ops.push({ type: 'set', path, data, merge: Boolean(options.merge) }); },
+        update: (path, changes) => { ops.push({ type: 'update', path, data: changes }); },
+        delete: (path) => { ops.push({ type: 'delete', path }); }
+      });
+      await applyWrites(ops);
+      return result;
+    })),
+
+    serverTimestamp: () => ({ [SENTINEL]: 'serverTimestamp' }),
+    increment: (n) => ({ [SENTINEL]: 'increment', n }),
+    deleteField: () => ({ [SENTINEL]: 'delete' }),
+    timestampFromMillis: (ms) => timestamp(ms),
+    timestampFromDate: (date) => timestamp(date.getTime()),
+
+    auth: createLocalAuth(passcode)
+  };
+};
@@ -0,0 +1,146 @@
+import { DEFAULT_PALETTE, THEME_KEYS, averageScores } from './themes';
+
+/**
+ * [전시 분석]
+ * 모든 계산은 이미 받아 둔 메시지 목록으로 클라이언트에서 합니다.
+ * 시간 구간은 브라우저의 현지 시간 기준입니다.
+ */
+export const GRANULARITIES = {
+  hour: { label: 'Hourly' },
+  day: { label: 'Daily' }
+};
+
+// 시간별 보기에서 한 번에 그리는 최대 막대 수 (31일)
+export const MAX_BUCKETS = 24 * 31;
+
+export const messageTime = (msg) => (msg.timestamp?.seconds ? msg.timestamp.seconds * 1000 : null);
+
+const startOf = (ms, granularity) => {
+  const d = new Date(ms);
+  d.setMinutes(0, 0, 0);
+  if (granularity === 'day') d.setHours(0);
+  return d.getTime();
+};
+
+// 일 단위는 서머타임이 있는 지역에서도 자정에 맞도록 날짜로 더합니다.
+const nextStart = (ms, granularity) => {
+  const d = new Date(ms);
+  if (granularity === 'day') d.setDate(d.getDate() + 1);
+  else d.setHours(d.getHours() + 1);
+  return d.getTime();
+};
+
+// from/to 는 <input type="date"> 값(YYYY-MM-DD)이며, 비어 있으면 제한하지 않습니다. to 는 그날 끝까지 포함합니다.
+export const filterByRange = (messages, { from, to }) => {
+  const start = from ? new Date(`${from}T00:00`).getTime() : -Infinity;
+  const end = to ? nextStart(new Date(`${to}T00:00`).getTime(), 'day') : Infinity;
+  return messages.filter(m => {
+    const at = messageTime(m);
+    return at !== null && at >= start && at < end;
+  });
+};
+
+/**
+ * 구간별 제출 수와 평균 감정 점수
+ * 빈 구간도 0 으로 채워 반환합니다. 감정 평균은 keys(현재 팔레트) 기준입니다. 구간이 MAX_BUCKETS 를 넘으면 최근 것만 남기고 truncated 를 표시합니다.
+ */
+export const buildTimeSeries = (messages, granularity, keys = THEME_KEYS) => {
+  const times = messages.map(messageTime).filter(at => at !== null);
+  if (times.length === 0) return { buckets: [], truncated: false };
+  const groups = new Map();
+  messages.forEach(m => {
+    const at = messageTime(m);
+    if (at === null) return;
+    const key = startOf(at, granularity);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(m);
+  });
+  const buckets = [];
+  const last = startOf(Math.max(...times), granularity);
+  for (let t = startOf(Math.min(...times), granularity); t <= last; t = nextStart(t, granularity)) {
+    const items = groups.get(t) || [];
+    buckets.push({ start: t, count: items.length, mood: items.length > 0 ? averageScores(items, keys) : null });
+  }
+  const truncated = buckets.length > MAX_BUCKETS;
+  return { buckets: truncated ? buckets.slice(-MAX_BUCKETS) : buckets, truncated };
+};
+
+// 시간대(0~23시)별 제출 수
+export const peakHours = (messages) => {
+  const hours = Array(24).fill(0);
+  messages.forEach(m => {
+    const at = messageTime(m);
+    if (at !== null) hours[new Date(at).getHours()] += 1;
+  });
+  return hours;
+};
+
+// 월의 "오늘 N개의 흔적" 카운터 (현지 자정부터)
+export const countSince = (messages, start) => messages.filter(m => (messageTime(m) ?? -Infinity) >= start).length;
+
+export const startOfToday = (now = Date.now()) => startOf(now, 'day');
+
+export const topLiked = (messages, limit = 10) =>
+  messages.filter(m => (m.likes || 0) > 0).sort((a, b) => (b.likes || 0) - (a.likes || 0)).slice(0, limit);
+
+// --- 자주 쓰인 표현 ---
+// 한국어는 띄어쓰기 단위 어절에서 흔한 조사/어미를 한 번 떼고, 영어는 불용어를 거릅니다.
+const KO_SUFFIXES = [
+  '입니다', '습니다', '에서는', '으로는', '이라고', '에게서', '했어요', '해요', '했다', '합니다', '하는', '했던', '하고',
+  '에서', '에게', '한테', '까지', '부터', '처럼', '보다', '으로', '이랑', '이나', '이다', '라고', '이에요', '예요',
+  '은', '는', '이', '가', '을', '를', '에', '의', '도', '로', '와', '과', '만', '랑', '요'
+].sort((a, b) => b.length - a.length);
+
+const KO_STOPWORDS = new Set(['그리고', '하지만', '그래서', '그런데', '정말', '너무', '진짜', '오늘', '우리', '그냥', '조금', '많이', '이런', '그런', '저는', '제가', '내가', '나는', '있는', '없는', '같은', '있다', '없다', '모든', '지금', '항상']);
+
+const EN_STOPWORDS = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our', 'out', 'has', 'have', 'him', 'his', 'how', 'its', 'let', 'she', 'they', 'them', 'this', 'that', 'with', 'from', 'what', 'when', 'will', 'just', 'into', 'than', 'then', 'there', 'their', 'were', 'been', 'being', 'about', 'would', 'could', 'should', 'very', 'really', 'much', 'more', 'some', 'who', 'why', 'where', 'which', 'while', 'because', 'today', 'i\'m', 'it\'s', 'don\'t']);
+
+const HANGUL = /[가-힣]/;
+
+export const tokenize = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}']+/u).map(w => w.replace(/^'+|'+$/g, '')).filter(Boolean).map(word => {
+  if (!HANGUL.test(word)) return word.length >= 3 && !EN_STOPWORDS.has(word) && !/^\d+$/.test(word) ? word : null;
+  const suffix = KO_SUFFIXES.find(s => word.endsWith(s) && word.length - s.length >= 2);
+  const stem = suffix ? word.slice(0, -suffix.length) : word;
+  return stem.length >= 2 && !KO_STOPWORDS.has(stem) ? stem : null;
+}).filter(Boolean);
+
+// 한 메시지에서 같은 표현을 여러 번 써도 한 번으로 셉니다.
+export const frequentTerms = (messages, limit = 40) => {
+  const counts = new Map();
+  messages.forEach(m => new Set(tokenize(m.text)).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts.entries()]
+    .filter(([, count]) => count > 1 || messages.length < 20)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+};
+
+export const formatBucket = (ms, granularity) => {
+  const d = new Date(ms);
+  const date = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  return granularity === 'day' ? date : `${date} ${String(d.getHours()).padStart(2, '0')}:00`;
+};
+
+const csvCell = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+
+// 전시 후 보고서용 CSV: 구간별 추이, 시간대, 인기 메시지, 자주 쓰인 표현을 한 파일에 구역별로 담습니다.
+export const reportToCSV = ({ wallId, range, granularity, series, hours, top, terms, total, palette = DEFAULT_PALETTE }) => {
+  const lines = [
+    ['Unframe Analytics Report', wallId],
+    ['Range', range.from || 'start', range.to || 'now'],
+    ['Total traces', total],
+    [],
+    ['Time', 'Traces', ...palette.map(t => `${t.label} (${t.key})`)],
+    ...series.buckets.map(b => [formatBucket(b.start, granularity), b.count, ...palette.map(t => (b.mood ? Math.round(b.mood[t.key] || 0) : ''))]),
+    [],
+    ['Hour', 'Traces'],
+    ...hours.map((n, h) => [`${String(h).padStart(2, '0')}:00`, n]),
+    [],
+    ['Top message', 'Likes'],
+    ...top.map(m => [m.text, m.likes || 0]),
+    [],
+    ['Term', 'Traces'],
+    ...terms.map(t => [t.term, t.count])
+  ];
+  return lines.map(row => row.map(csvCell).join(',')).join('\n');
+};
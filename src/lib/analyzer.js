@@ -0,0 +1,152 @@
+import { DEFAULT_PALETTE, THEME_KEYS, paletteKeys } from './themes';
+import { hashText } from './hash';
+
+/**
+ * [감정 분석기 인터페이스]
+ * 분석기는 { id, isAvailable(), analyze(text, palette) } 형태의 객체입니다.
+ * analyze 는 팔레트 키별 점수 객체(형식 자유)를 돌려주고,
+ * 결과는 항상 normalizeScores 를 거쳐 저장됩니다. (lib/themes.js 의 팔레트 참고)
+ */
+
+// --- 점수 검증 및 정규화 ---
+// 모든 팔레트 키를 포함하고 합이 정확히 100 인 정수 점수로 맞춥니다.
+// 유효한 값이 하나도 없으면 null 을 돌려줍니다.
+export const normalizeScores = (raw, keys = THEME_KEYS) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const upper = {};
+  Object.entries(raw).forEach(([k, v]) => { upper[String(k).trim().toUpperCase()] = v; });
+  const values = keys.map(k => {
+    const n = Number(upper[k]);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  });
+  const total = values.reduce((a, b) => a + b, 0);
+  if (total <= 0) return null;
+
+  // 최대 잉여 방식(largest remainder)으로 반올림 오차 없이 100 을 채웁니다.
+  const exact = values.map(v => (v / total) * 100);
+  const floors = exact.map(Math.floor);
+  let remain = 100 - floors.reduce((a, b) => a + b, 0);
+  exact
+    .map((v, i) => ({ i, frac: v - floors[i] }))
+    .sort((a, b) => b.frac - a.frac || a.i - b.i)
+    .forEach(({ i }) => { if (remain > 0) { floors[i] += 1; remain -= 1; } });
+
+  return keys.reduce((acc, k, i) => ({ ...acc, [k]: floors[i] }), {});
+};
+
+// 모든 값이 같은 응답은 모델이 판단을 포기한 것으로 간주합니다.
+const isFlat = (scores) => new Set(Object.values(scores)).size === 1;
+
+// --- 로컬 어휘 사전 ---
+// 한국어는 어간 부분 일치, 영어는 단어 접두 일치로 검사합니다.
+// 기본 팔레트 키에만 사전이 있고, 관리자가 새로 만든 감정은 이름과 설명의 단어로 사전을 대신합니다.
+const LEXICON = {
+  POSITIVE: {
+    ko: ['행복', '기쁘', '기뻐', '즐거', '즐겁', '사랑', '좋', '웃', '감사', '고마', '설레', '따뜻', '희망', '신나', '반가', '예쁘', '아름다'],
+    en: ['happ', 'joy', 'love', 'glad', 'smil', 'laugh', 'thank', 'grate', 'hope', 'warm', 'beaut', 'delight', 'sweet', 'wonderf', 'good', 'nice', 'fun']
+  },
+  CALM: {
+    ko: ['평온', '평화', '고요', '차분', '편안', '편하', '쉬', '휴식', '잔잔', '느긋', '조용', '숨', '바다', '바람', '하늘', '안정', '여유'],
+    en: ['calm', 'peace', 'quiet', 'still', 'rest', 'relax', 'gentle', 'soft', 'slow', 'breath', 'sea', 'ocean', 'wind', 'sky', 'serene', 'tranquil', 'ease']
+  },
+  ENERGETIC: {
+    ko: ['열정', '신난', '짜릿', '뜨거', '힘', '달리', '뛰', '도전', '자유', '폭발', '에너지', '화이팅', '파이팅', '최고', '대박', '설렘', '두근'],
+    en: ['energ', 'excit', 'passion', 'power', 'strong', 'run', 'fire', 'wild', 'free', 'dance', 'thrill', 'bold', 'burn', 'alive', 'rush', 'amaz', 'awesome']
+  },
+  DEEP: {
+    ko: ['생각', '기억', '그리', '외로', '슬프', '슬퍼', '눈물', '아프', '아파', '꿈', '밤', '시간', '삶', '죽음', '의미', '고독', '우울', '존재', '마음'],
+    en: ['think', 'thought', 'memor', 'miss', 'lonel', 'sad', 'tear', 'pain', 'dream', 'night', 'time', 'life', 'death', 'mean', 'alone', 'soul', 'deep', 'wonder', 'heart']
+  }
+};
+
+const HANGUL = /[가-힣]/;
+
+const paletteLexicon = (entry, lexicon) => {
+  if (lexicon[entry.key]) return lexicon[entry.key];
+  const words = `${entry.label || ''} ${entry.description || ''}`.toLowerCase().split(/[^a-z가-힣]+/).filter(Boolean);
+  return {
+    ko: words.filter(w => HANGUL.test(w) && w.length >= 2).map(w => w.slice(0, Math.max(2, w.length - 1))),
+    en: words.filter(w => !HANGUL.test(w) && w.length >= 3).map(w => w.slice(0, 4))
+  };
+};
+
+export const scoreWithLexicon = (text, palette = DEFAULT_PALETTE, lexicon = LEXICON) => {
+  const source = String(text || '').toLowerCase();
+  const words = source.split(/[^a-z가-힣]+/).filter(Boolean);
+  const keys = paletteKeys(palette);
+  const weights = {};
+  let hits = 0;
+
+  palette.forEach(entry => {
+    const stems = paletteLexicon(entry, lexicon);
+    let count = 0;
+    words.forEach(w => {
+      if (HANGUL.test(w)) count += stems.ko.filter(stem => w.includes(stem)).length;
+      else if (stems.en.some(stem => w.startsWith(stem))) count += 1;
+    });
+    weights[entry.key] = count;
+    hits += count;
+  });
+
+  // 문장 부호도 약한 신호로 사용합니다. (해당 감정이 팔레트에 있을 때만)
+  if ('ENERGETIC' in weights) weights.ENERGETIC += (source.match(/!/g) || []).length * 0.5;
+  if ('DEEP' in weights) weights.DEEP += (source.match(/\?|\.\.\.|…/g) || []).length * 0.5;
+
+  // 어휘가 하나도 걸리지 않으면 텍스트 해시로 완만한 분포를 만듭니다.
+  const seed = hashText(source);
+  keys.forEach((k, i) => {
+    const jitter = ((seed >>> ((i % 4) * 8 + Math.floor(i / 4))) & 0xff) / 255;
+    weights[k] = weights[k] * 4 + 1 + (hits === 0 ? jitter * 2 : jitter * 0.2);
+  });
+
+  return weights;
+};
+
+// --- 분석기 구현 ---
+export const localAnalyzer = {
+  id: 'local-lexicon-v1',
+  isAvailable: () => true,
+  analyze: async (text, palette) => scoreWithLexicon(text, palette)
+};
+
+export const createGeminiAnalyzer = ({ apiKey, enabled, model = 'gemini-1.5-flash' }) => ({
+  id: model,
+  isAvailable: () => Boolean(enabled),
+  analyze: async (text, palette = DEFAULT_PALETTE) => {
+    const categories = palette.map(t => `- ${t.key}: ${t.label}${t.description ? ` (${t.description})` : ''}`).join('\n');
+    const systemPrompt = `Analyze mood for art exhibition. Provide contrast scores for these categories:\n${categories}\nReturn JSON: {${palette.map(t => `"${t.key}": score`).join(', ')}}. Total 100.`;
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: `${systemPrompt}\n\nUser: "${text}"` }] }],
+        generationConfig: { responseMimeType: "application/json" }
+      })
+    });
+    if (!response.ok) throw new Error(`Gemini HTTP ${response.status}`);
+    const result = await response.json();
+    const raw = result?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    return JSON.parse(raw.replace(/```json/g, "").replace(/```/g, "").trim());
+  }
+});
+
+/**
+ * [분석 체인]
+ * 사용 가능한 분석기를 순서대로 시도하고, 검증을 통과한 첫 결과를 사용합니다.
+ * 로컬 분석기는 항상 마지막 안전망으로 붙습니다.
+ * 반환값: { scores, analyzer } — scores 는 팔레트 키만 가집니다.
+ */
+export const analyzeMood = async (text, providers = [], palette = DEFAULT_PALETTE) => {
+  const keys = paletteKeys(palette);
+  const chain = [...providers.filter(p => p !== localAnalyzer), localAnalyzer];
+  for (const provider of chain) {
+    if (!provider.isAvailable()) continue;
+    try {
+      const scores = normalizeScores(await provider.analyze(text, palette), keys);
+      if (scores && !(provider !== localAnalyzer && isFlat(scores))) return { scores, analyzer: provider.id };
+    } catch (e) {
+      console.warn(`Analyzer "${provider.id}" failed:`, e);
+    }
+  }
+  return { scores: normalizeScores(scoreWithLexicon(text, palette), keys), analyzer: localAnalyzer.id };
+};
@@ -0,0 +1,92 @@
+import { DEFAULT_LANGUAGE, translator } from './i18n';
+
+/**
+ * [전시 아카이브 (JSON)]
+ * 설정, 모든 메시지(점수/시간 포함), 방문자별 반응 기록을 한 파일로 내보내고 다시 가져옵니다.
+ * 프로젝트 간 전시 이전이나 실수로 지운 월을 복구할 때 사용합니다.
+ *
+ * Firestore Timestamp 는 { __timestamp: ISO 문자열 } 로 저장되고,
+ * 가져올 때 호출하는 쪽에서 넘긴 toTimestamp 로 되돌립니다. (이 모듈은 Firebase 에 의존하지 않습니다.)
+ */
+export const ARCHIVE_FORMAT = 'unframe-wall-archive';
+export const ARCHIVE_VERSION = 1;
+
+// 화면 문구는 i18n 의 archive.mode.* 에 있습니다.
+export const IMPORT_MODES = ['restore', 'merge'];
+
+const isTimestamp = (value) => value && typeof value.toDate === 'function';
+
+export const encodeValue = (value) => {
+  if (isTimestamp(value)) return { __timestamp: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]));
+  return value;
+};
+
+export const decodeValue = (value, toTimestamp) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.__timestamp === 'string') {
+    return toTimestamp(new Date(value.__timestamp));
+  }
+  if (Array.isArray(value)) return value.map(v => decodeValue(v, toTimestamp));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v, toTimestamp)]));
+  return value;
+};
+
+export const buildArchive = ({ appId, wallId, exhibition, settings, messages, likes }) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  exportedAt: new Date().toISOString(),
+  source: { appId, wallId },
+  exhibition: exhibition ? encodeValue(exhibition) : null,
+  settings: encodeValue(settings || {}),
+  messages: messages.map(encodeValue),
+  likes: likes.map(encodeValue)
+});
+
+/**
+ * 파일 내용 검사
+ * 반환값: { errors: string[], warnings: string[] } — errors 가 있으면 가져오지 않습니다.
+ * t 는 관리자 화면 언어의 번역 함수입니다. (lib/i18n.js)
+ */
+export const validateArchive = (data, t = translator(DEFAULT_LANGUAGE)) => {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object') return { errors: [t('archive.error.notObject')], warnings };
+  if (data.format !== ARCHIVE_FORMAT) errors.push(t('archive.error.format'));
+  if (typeof data.version !== 'number' || data.version > ARCHIVE_VERSION) errors.push(t('archive.error.version', { version: String(data.version) }));
+  if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) errors.push(t('archive.error.settings'));
+  if (!Array.isArray(data.messages)) errors.push(t('archive.error.messages'));
+  if (!Array.isArray(data.likes)) errors.push(t('archive.error.likes'));
+  if (errors.length > 0) return { errors, warnings };
+
+  const ids = new Set();
+  data.messages.forEach((m, index) => {
+    if (!m || typeof m.id !== 'string' || !m.id || m.id.includes('/')) errors.push(t('archive.error.messageId', { index }));
+    else if (ids.has(m.id)) errors.push(t('archive.error.duplicateId', { index, id: m.id }));
+    else ids.add(m.id);
+    if (typeof m?.text !== 'string') errors.push(t('archive.error.text', { index }));
+    if (m && m.likes !== undefined && typeof m.likes !== 'number') errors.push(t('archive.error.likesType', { index }));
+    if (m && !m.scores) warnings.push(t('archive.warning.scores', { index }));
+  });
+  data.likes.forEach((l, index) => {
+    if (!l || typeof l.uid !== 'string' || typeof l.messageId !== 'string' || l.uid.includes('/') || l.messageId.includes('/')) errors.push(t('archive.error.likeRef', { index }));
+    else if (!ids.has(l.messageId)) warnings.push(t('archive.warning.orphanLike', { index, id: l.messageId }));
+  });
+  // 목록이 너무 길면 화면이 가려지므로 앞부분만 보여 줍니다.
+  return { errors: errors.slice(0, 20), warnings: warnings.slice(0, 20), totalWarnings: warnings.length };
+};
+
+/**
+ * 무엇을 쓰고 무엇을 건너뛸지 계산합니다.
+ * - restore: 대상 월에 메시지가 하나라도 있으면 막습니다. (blocked)
+ * - merge: id 가 이미 있는 메시지와 그 반응 기록은 건너뜁니다. (conflicts)
+ */
+export const planImport = (archive, { existingIds, mode }) => {
+  const conflicts = archive.messages.filter(m => existingIds.has(m.id)).map(m => m.id);
+  const blocked = mode === 'restore' && existingIds.size > 0;
+  const skip = new Set(conflicts);
+  const messageIds = new Set(archive.messages.map(m => m.id));
+  const messages = archive.messages.filter(m => !skip.has(m.id));
+  const likes = archive.likes.filter(l => messageIds.has(l.messageId) && !skip.has(l.messageId));
+  return { mode, blocked, conflicts, messages, likes, settings: mode === 'restore' ? archive.settings : null };
+};
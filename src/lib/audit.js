@@ -0,0 +1,63 @@
+/**
+ * [감사 기록]
+ * 관리 화면에서 한 일을 {wall}/audit 에 한 건씩 남깁니다. 기록은 만든 뒤 고치거나 지울 수 없습니다. (firestore.rules)
+ * before/after 에는 바뀐 부분만 담고, 메시지 id 목록은 앞부분과 전체 개수만 남깁니다.
+ */
+export const AUDIT_ACTIONS = [
+  'settings.draft',
+  'settings.publish',
+  'settings.rollback',
+  'messages.status',
+  'messages.feature',
+  'messages.trash',
+  'messages.restore',
+  'messages.purge',
+  'messages.clear',
+  'snapshot.restore',
+  'archive.export',
+  'archive.import',
+  'exhibition.create',
+  'exhibition.update',
+  'screen.command',
+  'screen.forget',
+  'prompt.activate'
+];
+
+export const MAX_AUDIT_IDS = 50;
+// 관리 화면에 불러오는 최근 기록 수
+export const AUDIT_LIMIT = 200;
+
+// Firestore 는 undefined 를 받지 않으므로 JSON 으로 한 번 걸러 평범한 값만 남깁니다.
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+export const summarizeIds = (ids) => ({ ids: ids.slice(0, MAX_AUDIT_IDS), count: ids.length });
+
+// 값이 다른 최상위 키만 골라 { before, after } 로 돌려줍니다.
+export const diffFields = (before = {}, after = {}) => {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]));
+  return {
+    before: Object.fromEntries(keys.map(k => [k, plain(before?.[k])])),
+    after: Object.fromEntries(keys.map(k => [k, plain(after?.[k])]))
+  };
+};
+
+// 여러 메시지의 값 분포: { approved: 3, pending: 1 }
+export const countBy = (messages, pick) => messages.reduce((acc, m) => {
+  const key = String(pick(m));
+  acc[key] = (acc[key] || 0) + 1;
+  return acc;
+}, {});
+
+// 시각(at)은 호출하는 쪽에서 serverTimestamp() 로 채웁니다.
+export const buildAuditEntry = ({ action, actor, target = null, before = null, after = null }) => ({
+  action,
+  actorId: actor.uid,
+  actorName: actor.email || null,
+  target: plain(target),
+  before: plain(before),
+  after: plain(after)
+});
+
+// 영구 삭제처럼 되돌릴 수 없는 작업은 본문까지 남겨 둡니다.
+export const messageDigest = (messages) => messages.slice(0, MAX_AUDIT_IDS).map(({ id, text, userId }) => ({ id, text: text || '', userId: userId || null }));
@@ -0,0 +1,43 @@
+import { THEME_KEYS } from './themes';
+import { normalizeScores } from './analyzer';
+
+/**
+ * [스트레스 테스트용 가짜 메시지]
+ * ?view=bench 화면에서 Firebase 없이 디스플레이 엔진을 시험할 때 사용합니다.
+ * 같은 seed 에서는 항상 같은 메시지 목록이 만들어집니다.
+ */
+const SAMPLE_TEXTS = [
+  '오늘 전시 정말 좋았어요', '바다 소리가 들리는 것 같아요', '가슴이 두근거려요!', '오래된 기억이 떠올랐다',
+  'This room feels like a quiet morning', 'So much energy here!', 'I miss someone tonight...', 'Colors of a dream',
+  '친구와 함께 와서 행복해요', '마음이 편안해졌어요', 'Thank you for this moment', '시간이 멈춘 것 같다'
+];
+
+// mulberry32 PRNG
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const createSyntheticMessage = (random, index, seconds) => ({
+  id: `bench-${index}`,
+  text: `${SAMPLE_TEXTS[Math.floor(random() * SAMPLE_TEXTS.length)]} #${index}`,
+  timestamp: { seconds },
+  likes: random() < 0.8 ? Math.floor(random() * 3) : Math.floor(random() * 60),
+  scores: normalizeScores(THEME_KEYS.reduce((acc, k) => ({ ...acc, [k]: random() ** 2 + 0.05 }), {})),
+  analyzer: 'synthetic',
+  status: 'approved'
+});
+
+// 최근 7일에 걸쳐 고르게 흩뿌린 메시지 목록 (최신순)
+export const createSyntheticMessages = (count, seed = 1) => {
+  const random = createRandom(seed);
+  const now = Math.floor(Date.now() / 1000);
+  const span = 7 * 24 * 3600;
+  return Array.from({ length: count }, (_, i) => createSyntheticMessage(random, i, now - Math.floor((i / count) * span)));
+};
@@ -0,0 +1,166 @@
+import { FEATURE_WEIGHT, isFeatured } from './featured';
+
+/**
+ * [디스플레이 엔진]
+ * 화면에는 고정된 수(size)의 카드 슬롯만 올리고, 전체 메시지 기록을 그 슬롯에 돌아가며 태웁니다.
+ * 슬롯은 한 번 낙하를 마칠 때마다 advance() 로 다음 메시지를 받습니다.
+ *
+ * 선택 기준: (마지막 노출 이후 대기 시간) x 가중치
+ *  - 한 번도 안 나온 메시지가 먼저, 오래 기다린 메시지가 다음입니다.
+ *  - 가중치는 정책(policy)에 따라 최신성/좋아요를 반영하고, 추천 메시지는 몇 배로 키웁니다. (lib/featured.js)
+ *
+ * React 와 무관한 외부 스토어이며 useSyncExternalStore 로 구독합니다.
+ */
+export const ROTATION_POLICIES = {
+  balanced: { label: 'Balanced', recency: 2, likes: 1 },
+  newest: { label: 'Newest first', recency: 6, likes: 0 },
+  popular: { label: 'Most liked', recency: 0.5, likes: 4 },
+  fair: { label: 'Strictly fair', recency: 0, likes: 0 }
+};
+
+export const DEFAULT_POOL_SIZE = 24;
+export const MAX_POOL_SIZE = 60;
+
+// 최신성 가중치의 반감 기준 (분)
+const RECENCY_MINUTES = 60;
+// 가중치는 시간에 따라 바뀌므로 주기적으로만 다시 계산합니다.
+const REWEIGHT_INTERVAL = 60 * 1000;
+
+export const getPoolOptions = (display = {}) => ({
+  size: Math.min(MAX_POOL_SIZE, Math.max(1, Number(display.poolSize) || DEFAULT_POOL_SIZE)),
+  policy: ROTATION_POLICIES[display.rotation] ? display.rotation : 'balanced'
+});
+
+const timestampOf = (msg) => (msg.timestamp?.seconds ? msg.timestamp.seconds * 1000 : 0);
+
+export const createDisplayEngine = (options = {}) => {
+  let config = getPoolOptions(options);
+  const entries = new Map(); // id -> { msg, lastShown, weight }
+  let slots = [];
+  let snapshot = slots;
+  let weighedAt = 0;
+  let maxLikes = 0;
+  const listeners = new Set();
+
+  const emit = () => {
+    snapshot = slots.slice();
+    listeners.forEach(l => l());
+  };
+
+  const weigh = (now) => {
+    const p = ROTATION_POLICIES[config.policy];
+    const likeScale = Math.log1p(maxLikes) || 1;
+    entries.forEach(entry => {
+      const ageMin = Math.max(0, now - timestampOf(entry.msg)) / 60000;
+      const recency = timestampOf(entry.msg) ? Math.exp(-ageMin / RECENCY_MINUTES) : 0;
+      const likes = Math.log1p(entry.msg.likes || 0) / likeScale;
+      // 추천 메시지는 같은 대기 시간이라도 더 자주 뽑힙니다. (만료는 다음 재계산 때 반영)
+      entry.weight = (1 + p.recency * recency + p.likes * likes) * (isFeatured(entry.msg, now) ? FEATURE_WEIGHT : 1);
+    });
+    weighedAt = now;
+  };
+
+  const pick = (now) => {
+    if (now - weighedAt > REWEIGHT_INTERVAL) weigh(now);
+    const onScreen = new Set(slots.map(s => s.msg?.id));
+    let best = null;
+    let bestScore = -Infinity;
+    entries.forEach((entry, id) => {
+      if (onScreen.has(id)) return;
+      const score = (now - entry.lastShown) * entry.weight;
+      if (score > bestScore || (score === bestScore && timestampOf(entry.msg) > timestampOf(best.msg))) {
+        best = entry;
+        bestScore = score;
+      }
+    });
+    if (best) best.lastShown = now;
+    return best ? best.msg : null;
+  };
+
+  // 슬롯마다 고정된 레인을 주어 카드끼리 겹치는 일을 줄입니다.
+  const placement = (index) => {
+    const lanes = Math.max(3, Math.min(8, Math.ceil(config.size / 3)));
+    const lane = index % lanes;
+    return { x: 5 + (lane + 0.2 + Math.random() * 0.6) * (80 / lanes), rot: Math.random() * 10 - 5 };
+  };
+
+  const layoutFor = (index) => {
+    const duration = 28 + (index % 8) * 5;
+    return {
+      key: index,
+      ...placement(index),
+      duration,
+      // 처음 채울 때 카드들이 화면 위아래로 고르게 퍼지도록 음수 지연을 줍니다.
+      delay: -((index / config.size) * duration)
+    };
+  };
+
+  const fill = (now) => {
+    const target = Math.min(config.size, entries.size);
+    slots = slots.slice(0, target);
+    // pick 이 화면 위 목록을 보고 중복을 피하므로 한 칸씩 순서대로 채웁니다.
+    slots.forEach((slot, i) => {
+      if (!slot.msg || !entries.has(slot.msg.id)) slots[i] = { ...slot, msg: pick(now) };
+    });
+    while (slots.length < target) slots.push({ ...layoutFor(slots.length), msg: pick(now) });
+  };
+
+  let cursor = -1;
+  const api = {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+
+    configure: (next) => {
+      const merged = getPoolOptions({ poolSize: next.size ?? config.size, rotation: next.policy ?? config.policy });
+      if (merged.size === config.size && merged.policy === config.policy) return;
+      config = merged;
+      weighedAt = 0;
+      fill(Date.now());
+      emit();
+    },
+
+    // 메시지 목록이 바뀔 때마다 호출합니다. (추가/삭제/좋아요 변경 반영)
+    sync: (messages, now = Date.now()) => {
+      const seen = new Set();
+      maxLikes = 0;
+      messages.forEach(msg => {
+        seen.add(msg.id);
+        maxLikes = Math.max(maxLikes, msg.likes || 0);
+        const entry = entries.get(msg.id);
+        if (entry) entry.msg = msg;
+        else entries.set(msg.id, { msg, lastShown: 0, weight: 1 });
+      });
+      entries.forEach((_, id) => { if (!seen.has(id)) entries.delete(id); });
+      weigh(now);
+      // 화면 위 카드의 최신 데이터(좋아요 수 등)를 반영합니다.
+      slots = slots.map(slot => {
+        const entry = slot.msg && entries.get(slot.msg.id);
+        return entry && entry.msg !== slot.msg ? { ...slot, msg: entry.msg } : slot;
+      });
+      fill(now);
+      emit();
+    },
+
+    // 슬롯 하나가 화면 밖으로 나갔을 때 다음 메시지로 교체합니다.
+    advance: (index, now = Date.now()) => {
+      const slot = slots[index];
+      if (!slot) return;
+      if (slot.msg && entries.has(slot.msg.id)) entries.get(slot.msg.id).lastShown = now;
+      const next = pick(now);
+      if (!next) return;
+      slots[index] = { ...slot, ...placement(index), msg: next };
+      emit();
+    },
+
+    // 낙하 애니메이션이 없는 레이아웃용: 슬롯을 돌아가며 하나씩 교체합니다.
+    rotate: (now = Date.now()) => {
+      if (slots.length === 0) return;
+      cursor = (cursor + 1) % slots.length;
+      api.advance(cursor, now);
+    }
+  };
+  return api;
+};
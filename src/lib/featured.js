@@ -0,0 +1,26 @@
+/**
+ * [추천(핀) 메시지]
+ * 큐레이터가 고른 메시지는 featured: true 와 선택적 만료 시각 featuredUntil(Timestamp) 을 가집니다.
+ * 월에서는 더 자주, 더 크게 나오고, 관객 앱의 최근 흔적 맨 위에 올릴 수 있습니다. (settings.input.featuredOnTop)
+ */
+// 추천 메시지의 순환 가중치 배수 (lib/displayEngine.js)
+export const FEATURE_WEIGHT = 4;
+
+// 관리 화면의 만료 선택지 (시간). null 은 직접 해제할 때까지 유지합니다.
+export const FEATURE_DURATIONS = [null, 1, 6, 24, 72];
+
+const millisOf = (value) => (value?.seconds ? value.seconds * 1000 : null);
+
+export const isFeatured = (msg, now = Date.now()) => {
+  if (!msg?.featured) return false;
+  const until = millisOf(msg.featuredUntil);
+  return until === null || until > now;
+};
+
+export const featuredUntilMillis = (msg) => millisOf(msg?.featuredUntil);
+
+// 추천 메시지를 앞으로 모읍니다. 각 묶음 안의 순서는 그대로 둡니다.
+export const featuredFirst = (messages, now = Date.now()) => [
+  ...messages.filter(m => isFeatured(m, now)),
+  ...messages.filter(m => !isFeatured(m, now))
+];
@@ -0,0 +1,10 @@
+// 같은 문자열에 항상 같은 값을 주는 32비트 FNV-1a 해시
+export const hashText = (text) => {
+  let h = 0x811c9dc5;
+  const s = String(text);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
@@ -0,0 +1,1140 @@
+/**
+ * [다국어]
+ * 관객 화면, 티켓, 월, 관리자 화면의 고정 문구를 언어별 사전에서 찾습니다.
+ * 사전에 없는 키는 영어 → 한국어 순으로 찾고, 그래도 없으면 키를 그대로 보여 줍니다.
+ * 관리자 화면 문구는 ko/en 만 두고, 다른 언어는 영어로 보입니다.
+ *
+ * 질문/부제처럼 전시마다 다른 문구는 설정에 저장합니다.
+ * - settings.languages: 켜 둔 언어 목록. 첫 번째 언어가 기본 필드(question 등)의 언어입니다.
+ * - settings.input.translations / settings.display.translations: { [lang]: { question, subtitle, ... } }
+ */
+export const LANGUAGES = {
+  ko: { label: '한국어' },
+  en: { label: 'English' },
+  ja: { label: '日本語' },
+  zh: { label: '中文' }
+};
+
+export const DEFAULT_LANGUAGE = 'ko';
+
+// 관리자 화면에서 고를 수 있는 언어 (사전이 모두 채워진 언어)
+export const ADMIN_LANGUAGES = ['ko', 'en'];
+
+// 설정에서 언어별로 번역할 수 있는 필드
+export const LOCALIZED_FIELDS = {
+  input: ['question', 'subtitle', 'placeholder', 'buttonText'],
+  display: ['question', 'subtitle']
+};
+
+const STRINGS = {
+  ko: {
+    'env.title': '설정이 필요합니다',
+    'env.body': 'Firebase 설정이 비어있습니다. 인터넷 없이 이 기기에서만 쓰려면 VITE_DATA_BACKEND=local 로 빌드하거나 주소에 ?backend=local 을 붙여 여세요.',
+    'common.processing': '처리 중...',
+    'common.language': '언어',
+
+    'visitor.analyzing': '아우라 분석 중...',
+    'visitor.recent': '최근의 흔적',
+    'visitor.sending': '보관된 메시지 {count}건을 전송하고 있습니다.',
+    'visitor.offline': '오프라인 상태입니다. 작성한 메시지는 기기에 저장되고, 연결되면 자동으로 전송됩니다.',
+    'visitor.offlinePending': ' (대기 {count}건)',
+    'visitor.saveFailed': '메시지를 저장하지 못했습니다. 다시 시도해 주세요.',
+    'phase.upcoming': '아직 전시가 시작되지 않았습니다.',
+    'phase.ended': '전시가 종료되었습니다. 함께해 주셔서 감사합니다.',
+    'phase.archived': '보관된 전시입니다. 더 이상 메시지를 받지 않습니다.',
+    'violation.length': '{min}자 이상 {max}자 이하로 적어 주세요.',
+    'violation.rate': '잠시 후 다시 보내 주세요. ({seconds}초 후 가능)',
+    'violation.duplicate': '방금 전시된 메시지와 너무 비슷합니다. 당신만의 이야기를 들려주세요.',
+    'reaction.heart': '사랑',
+    'reaction.spark': '영감',
+    'reaction.hug': '위로',
+    'reaction.tear': '뭉클',
+    'reaction.laugh': '웃음',
+    'reaction.fire': '최고',
+    'reaction.clap': '박수',
+
+    'ticket.title': '생각이 전달되었습니다',
+    'ticket.subtitle': '분석된 당신의 아우라 티켓을 보관하세요.',
+    'ticket.review': '운영자 검토 후 월에 게시됩니다.',
+    'ticket.queued': '저장됨 · 온라인이 되면 전송됩니다',
+    'ticket.failed': '전송이 거부되었습니다. 운영자에게 문의해 주세요.',
+    'ticket.save': '이미지로 저장',
+    'ticket.saveFailed': '이미지 저장에 실패했습니다. 브라우저 설정을 확인해 주세요.',
+    'ticket.share': '공유하기',
+    'ticket.shareTitle': '나의 Unframe 아우라 티켓',
+    'ticket.linkCopied': '링크를 복사했습니다.',
+    'ticket.shareFailed': '공유하지 못했습니다.',
+    'ticket.notFound': '티켓을 찾을 수 없습니다.',
+    'ticket.leaveTrace': '나도 남기기',
+
+    'mine.link': '내 흔적 보기',
+    'mine.title': '내 흔적',
+    'mine.subtitle': '이 계정으로 남긴 흔적 {count}개',
+    'mine.reactedTo': '반응한 흔적 {count}개',
+    'mine.empty': '아직 남긴 흔적이 없습니다.',
+    'mine.pending': '검토 중',
+    'mine.rejected': '게시되지 않음',
+    'mine.sending': '전송 중',
+    'mine.ticket': '티켓',
+    'mine.withdraw': '거두기',
+    'mine.withdrawLeft': '{minutes}분 안에 거둘 수 있습니다',
+    'mine.confirmWithdraw': '이 흔적을 거둘까요? 월과 목록에서 지워지며 되돌릴 수 없습니다.',
+    'mine.withdrawFailed': '거두지 못했습니다. 시간이 지났거나 연결을 확인해 주세요.',
+    'mine.account': '다른 기기에서도 보기',
+    'mine.accountBody': '이메일을 연결해 두면 기기를 바꿔도 같은 이메일로 로그인해 내 흔적을 볼 수 있습니다.',
+    'mine.email': '이메일',
+    'mine.password': '비밀번호 ({min}자 이상)',
+    'mine.linkSubmit': '이메일 연결',
+    'mine.linked': '{email} 에 연결되어 있습니다.',
+    'mine.signInTitle': '이미 연결한 이메일이 있나요?',
+    'mine.signInWarning': '로그인하면 이 기기에서 연결 없이 남긴 흔적은 더 이상 보이지 않습니다.',
+    'mine.signIn': '로그인',
+    'mine.signOut': '로그아웃',
+    'mine.error.emailInUse': '이미 다른 계정에 연결된 이메일입니다. 아래에서 로그인해 주세요.',
+    'mine.error.weakPassword': '비밀번호는 {min}자 이상이어야 합니다.',
+    'mine.error.invalidEmail': '이메일 주소를 확인해 주세요.',
+    'mine.error.signIn': '이메일 또는 비밀번호를 확인해 주세요.',
+    'mine.error.failed': '처리하지 못했습니다. 잠시 후 다시 시도해 주세요.',
+    'ticket.template.classic': '클래식',
+    'ticket.template.minimal': '미니멀',
+    'ticket.template.poster': '포스터 (4:5)',
+    'ticket.template.story': '스토리 (9:16)',
+
+    'wall.join': '스캔하고 당신의 흔적을 남겨 주세요',
+    'wall.today': '오늘 {count}개의 흔적',
+    'wall.new': '새로운 흔적',
+
+    'prompt.pickOne': '하나를 골라 주세요',
+    'prompt.pickMany': '해당하는 것을 모두 골라 주세요',
+    'prompt.responses': '{count}명 응답',
+    'prompt.waiting': '첫 응답을 기다리고 있어요',
+    'prompt.average': '평균 {value}',
+
+    'login.title': '운영자 로그인',
+    'login.email': '이메일',
+    'login.password': '비밀번호',
+    'login.submit': '로그인',
+    'login.back': '월로 돌아가기',
+    'login.notOperator': '운영자 권한이 없는 계정입니다.',
+    'login.failed': '이메일 또는 비밀번호를 확인해 주세요.',
+    'login.localHint': '로컬 모드입니다. 이메일은 기록용이며, 비밀번호는 이 기기의 운영 암호(VITE_LOCAL_PASSCODE)입니다.',
+    'login.noPasscode': '운영 암호(VITE_LOCAL_PASSCODE)가 설정되지 않아 로컬 모드에서는 로그인할 수 없습니다.',
+
+    'admin.title': '관리',
+    'admin.exit': '나가기',
+    'admin.signOut': '로그아웃',
+    'admin.tab.settings': '설정',
+    'admin.tab.review': '검토',
+    'admin.tab.analytics': '분석',
+    'admin.tab.messages': '데이터베이스',
+    'admin.tab.exhibitions': '전시',
+    'admin.tab.screens': '스크린',
+    'admin.tab.prompts': '질문',
+    'admin.tab.history': '기록',
+    'admin.confirmDelete': '이 메시지를 영구 삭제하시겠습니까? 되돌릴 수 없습니다.',
+    'admin.confirmDeleteMany': '메시지 {count}건을 영구 삭제하시겠습니까? 되돌릴 수 없습니다.',
+    'admin.confirmClear': '메시지 {count}건을 세션 스냅샷으로 보관하고 월을 비웁니다. 스냅샷 이름:',
+    'admin.clearFailed': '비우는 중 오류가 났습니다. 아직 옮기지 못한 메시지는 월에 그대로 남아 있습니다.',
+    'admin.confirmRestoreSnapshot': '"{name}"의 메시지 {count}건을 월로 되돌리시겠습니까? 같은 메시지가 있으면 덮어씁니다.',
+    'admin.restoreFailed': '되돌리기에 실패했습니다.',
+    'admin.exportFailed': '내보내기에 실패했습니다.',
+    'admin.updated': '저장되었습니다.',
+
+    'settings.wall': '월 디스플레이',
+    'settings.question': '메인 질문',
+    'settings.fontSize': '글자 크기',
+    'settings.subtitle': '부제',
+    'settings.visibleCards': '표시 카드 수',
+    'settings.rotation': '순환 방식',
+    'settings.layout': '레이아웃',
+    'settings.moodWindow': '무드 범위',
+    'settings.traces': '{count}건',
+    'settings.visitor': '관객 앱',
+    'settings.appTitle': '앱 제목',
+    'settings.description': '설명',
+    'settings.placeholder': '입력 안내 문구',
+    'settings.buttonText': '버튼 문구',
+    'settings.ticketTemplate': '티켓 템플릿',
+    'settings.featuredOnTop': '추천 흔적을 최근 목록 맨 위에',
+    'settings.withdrawMinutes': '관객이 거둘 수 있는 시간 (분, 0 = 끔)',
+    'settings.accountLink': '내 흔적에 이메일 연결 허용',
+    'settings.output': '무드 출력 (조명 · 사운드)',
+    'settings.outputNote': '월 화면이 최근 흔적의 감정 비율과 새 흔적 소식을 아래 주소의 WebSocket 으로 보냅니다. 형식과 OSC 브리지는 README 를 보세요.',
+    'settings.outputEnabled': '월에서 무드 보내기',
+    'settings.outputUrl': '받는 주소 (ws://)',
+    'settings.outputWindow': '무드 범위',
+    'settings.outputSmoothing': '부드럽게 (시간 상수)',
+    'settings.outputRate': '보내는 빈도',
+    'settings.seconds': '{count}초',
+    'settings.prompts': '질문 목록',
+    'settings.promptsNote': '자유 글 외에 고르기, 1~5 척도, 짧은 답을 만들 수 있습니다. 게시한 뒤 질문 탭에서 진행할 질문을 고릅니다. 모더레이션을 켜면 고르기/척도 응답도 승인한 뒤에 집계됩니다.',
+    'settings.moderation': '모더레이션',
+    'settings.reviewFirst': '게시 전 검토',
+    'settings.blocklist': '금칙어 (쉼표 / 줄바꿈)',
+    'settings.reactions': '리액션',
+    'settings.reactionsMax': '(최대 {max}개)',
+    'settings.limits': '제출 제한',
+    'settings.publish': '게시',
+    'settings.saveDraft': '초안 저장',
+    'settings.draftSaved': '초안을 저장했습니다. 게시하기 전까지 관객과 월에는 보이지 않습니다.',
+    'settings.draftFound': '{time}에 {name} 계정이 저장한 초안이 편집 중인 내용과 다릅니다.',
+    'settings.loadDraft': '초안 불러오기',
+    'settings.discardDraft': '초안 버리기',
+    'settings.revert': '게시된 설정으로',
+    'settings.unpublished': '게시하지 않은 변경 사항이 있습니다',
+    'settings.inSync': '게시된 설정과 같습니다',
+    'settings.invalid': '게시하려면 {count}개 항목을 고쳐야 합니다.',
+    'settings.preview': '미리보기',
+    'settings.previewVisitor': '관객 화면',
+    'settings.previewWall': '월',
+    'settings.versions': '게시 이력',
+    'settings.noVersions': '아직 게시한 버전이 없습니다.',
+    'settings.version.current': '현재',
+    'settings.version.baseline': '첫 게시 전 설정',
+    'settings.version.rollbackOf': '{id} 버전으로 되돌림',
+    'settings.version.load': '편집기로 불러오기',
+    'settings.version.rollback': '되돌리기',
+    'settings.confirmRollback': '{time}에 게시한 설정으로 되돌려 바로 게시하시겠습니까?',
+    'settings.error.notObject': '설정이 객체가 아닙니다.',
+    'settings.error.section': '{section} 항목이 없습니다.',
+    'settings.error.required': '{field} 을(를) 입력해 주세요.',
+    'settings.error.questionSize': '질문 글자 크기는 72px 처럼 픽셀 값이어야 합니다.',
+    'settings.error.option': '{field} 값이 허용된 선택지가 아닙니다.',
+    'settings.error.range': '{field} 는 {min}~{max} 사이여야 합니다.',
+    'settings.error.number': '{field} 는 0 이상의 숫자여야 합니다.',
+    'settings.error.integer': '{field} 는 0 이상의 정수여야 합니다.',
+    'settings.error.limitsOrder': '최소 글자 수가 최대 글자 수보다 큽니다.',
+    'settings.error.reactions': '리액션은 1~{max}개를 골라야 합니다.',
+    'settings.error.languages': '알 수 없는 언어가 있거나 언어가 비어 있습니다.',
+    'settings.error.blocklist': '금지어 목록이 올바르지 않습니다.',
+    'settings.error.outputUrl': '무드 출력 주소는 ws:// 또는 wss:// 로 시작해야 합니다.',
+    'settings.languages': '언어',
+    'settings.languagesNote': '첫 번째 언어가 위 기본 문구의 언어입니다. 번역이 비어 있으면 기본 문구를 보여 줍니다.',
+    'settings.makeDefault': '기본 언어로',
+    'settings.cycleLanguages': '월에서 질문 언어 순환',
+    'settings.cycleSeconds': '순환 간격 (초)',
+    'settings.translation': '{language} 번역',
+    'settings.joinQr': '참여 QR 코드',
+    'settings.joinQrSize': 'QR 크기',
+    'settings.overlayPosition': '안내 위치',
+    'settings.todayCount': '오늘의 흔적 수 표시',
+    'settings.highlightNew': '새 흔적 강조',
+
+    'layout.float': '낙하 카드',
+    'layout.constellation': '감정 성단',
+    'layout.masonry': '메이슨리 그리드',
+    'layout.spotlight': '스포트라이트',
+    'layout.moodfield': '무드 필드',
+    'position.bottom-right': '오른쪽 아래',
+    'position.bottom-left': '왼쪽 아래',
+    'position.top-right': '오른쪽 위',
+    'position.top-left': '왼쪽 위',
+    'rotation.balanced': '균형',
+    'rotation.newest': '최신 우선',
+    'rotation.popular': '반응 많은 순',
+    'rotation.fair': '완전 균등',
+    'limit.minLength': '최소 길이',
+    'limit.maxLength': '최대 길이',
+    'limit.maxPerWindow': '구간당 최대',
+    'limit.windowMinutes': '구간 (분)',
+    'limit.minIntervalSeconds': '간격 (초)',
+    'limit.duplicateMinutes': '중복 기간 (분)',
+    'limit.similarity': '유사도 (0-1)',
+    'violationType.length': '길이',
+    'violationType.rate': '제출 간격',
+    'violationType.duplicate': '중복',
+    'violationType.server': '서버 거부',
+
+    'palette.title': '감정 팔레트',
+    'palette.reset': '초기화',
+    'palette.add': '추가',
+    'palette.label': '이름',
+    'palette.description': '설명 (분석 힌트)',
+    'palette.note': '키를 바꾸거나 지워도 예전 메시지는 기존 점수 그대로 남고, 이전 색으로 표시됩니다.',
+    'palette.preview': '미리보기',
+    'palette.error.notList': '팔레트가 목록이 아닙니다.',
+    'palette.error.count': '감정은 {min}~{max}개여야 합니다.',
+    'palette.error.key': '{index}번: 키는 영문 대문자/숫자/_ 만 쓸 수 있습니다.',
+    'palette.error.duplicate': '{index}번: 키 "{key}" 가 중복됩니다.',
+    'palette.error.label': '{index}번: 이름이 비어 있습니다.',
+    'palette.error.color': '{index}번: 색상은 #rrggbb 형식이어야 합니다.',
+
+    'prompts.title': '진행 중인 질문',
+    'prompts.note': '누르면 관객 앱과 월이 바로 그 질문으로 바뀝니다. 질문 목록은 설정 탭에서 고치고 게시합니다.',
+    'prompts.live': '진행 중',
+    'prompts.activate': '이 질문 받기',
+    'prompts.activateFailed': '질문을 바꾸지 못했습니다.',
+    'prompts.textCount': '흔적 {count}개',
+    'prompts.defaultQuestion': '(관객 앱 · 월 설정의 질문)',
+    'prompts.question': '질문',
+    'prompts.option': '보기',
+    'prompts.add': '질문 추가',
+    'prompts.addOption': '보기 추가',
+    'prompts.addChip': '추천 답 추가',
+    'prompts.low': '1 쪽 이름 (예: 전혀 아니다)',
+    'prompts.high': '5 쪽 이름 (예: 매우 그렇다)',
+    'prompts.type.text': '자유 글',
+    'prompts.type.single': '하나 고르기',
+    'prompts.type.multiple': '여러 개 고르기',
+    'prompts.type.scale': '1~5 척도',
+    'prompts.type.short': '짧은 답 + 추천',
+    'prompts.error.count': '질문은 1~{max}개여야 합니다.',
+    'prompts.error.id': '{index}번: 질문 id 가 비었거나 중복됩니다.',
+    'prompts.error.type': '{index}번: 알 수 없는 질문 유형입니다.',
+    'prompts.error.question': '{index}번: 질문을 입력해 주세요.',
+    'prompts.error.options': '{index}번: 보기는 {min}~{max}개여야 합니다.',
+    'prompts.error.option': '{index}번: 보기 이름이 비었거나 {max}자를 넘습니다.',
+
+    'messages.title': '수집된 흔적',
+    'messages.exportCSV': 'CSV 내보내기',
+    'messages.exportJSON': 'JSON 내보내기',
+    'messages.importJSON': 'JSON 가져오기',
+    'messages.reset': '보관 후 비우기',
+    'messages.content': '내용',
+    'messages.identity': '식별 (UID / 티켓)',
+    'messages.aura': '아우라',
+    'messages.review': '검토',
+    'messages.engagement': '반응',
+    'messages.manage': '관리',
+    'messages.feature': '추천하기',
+    'messages.unfeature': '추천 해제',
+    'messages.featured': '추천',
+    'messages.featuredUntil': '추천 · {time}까지',
+    'messages.featureFor': '추천 기간',
+    'messages.noExpiry': '해제할 때까지',
+    'messages.hours': '{count}시간',
+    'messages.search': '본문 또는 티켓 번호 검색',
+    'messages.allEmotions': '모든 감정',
+    'messages.allStatuses': '모든 상태',
+    'messages.featuredFilter.all': '추천 전체',
+    'messages.featuredFilter.yes': '추천만',
+    'messages.featuredFilter.no': '추천 제외',
+    'messages.minLikes': '최소 반응',
+    'messages.sort.newest': '최신순',
+    'messages.sort.oldest': '오래된 순',
+    'messages.sort.likes': '반응 많은 순',
+    'messages.sort.length': '긴 글 순',
+    'messages.matching': '{count}건',
+    'messages.selected': '{count}건 선택',
+    'messages.selectAll': '검색 결과 {count}건 모두 선택',
+    'messages.hide': '숨기기',
+    'messages.delete': '삭제',
+    'messages.exportSelection': '선택 내보내기',
+    'messages.noMatches': '조건에 맞는 메시지가 없습니다.',
+    'messages.trash': '휴지통 {count}',
+    'messages.trashed': '{count}건을 휴지통으로 옮겼습니다.',
+    'messages.undo': '되돌리기',
+    'messages.restore': '복원',
+    'messages.purge': '영구 삭제',
+    'messages.deletedAt': '{time} 삭제',
+    'messages.ticket': '티켓',
+    'status.pending': '대기',
+    'status.approved': '승인',
+    'status.rejected': '거절',
+
+    'review.title': '검토 대기열',
+    'review.approve': '승인 ({count})',
+    'review.reject': '거절 ({count})',
+    'review.empty': '검토할 메시지가 없습니다',
+    'review.prefilter': '사전 필터',
+    'review.decide': '결정',
+
+    'analytics.title': '분석',
+    'analytics.hour': '시간별',
+    'analytics.day': '일별',
+    'analytics.traces': '흔적',
+    'analytics.reactions': '반응',
+    'analytics.peakHour': '최다 시간대',
+    'analytics.dominant': '주된 아우라',
+    'analytics.perBucket.hour': '시간별 흔적',
+    'analytics.perBucket.day': '일별 흔적',
+    'analytics.truncated': '· 최근 {count}개 구간만 표시',
+    'analytics.moodMix': '시간에 따른 감정 구성',
+    'analytics.peakHours': '시간대',
+    'analytics.terms': '자주 쓰인 표현',
+    'analytics.mostLiked': '반응이 많은 메시지',
+    'analytics.saveFailed': '이미지 저장에 실패했습니다.',
+
+    'archive.title': '아카이브 가져오기',
+    'archive.target': '대상 월: /{wallId} · {count}건',
+    'archive.choose': '.json 아카이브 선택',
+    'archive.unreadable': 'JSON 파일을 읽을 수 없습니다.',
+    'archive.traces': '흔적',
+    'archive.reactions': '반응',
+    'archive.source': '출처',
+    'archive.mode.restore': '복원',
+    'archive.mode.restore.description': '빈 월에 설정과 메시지를 그대로 복원합니다.',
+    'archive.mode.merge': '병합',
+    'archive.mode.merge.description': '현재 설정은 유지하고, 없는 메시지만 추가합니다.',
+    'archive.blocked': '이 월에는 이미 메시지가 있어 복원할 수 없습니다. 병합을 사용하거나 먼저 초기화하세요.',
+    'archive.willWrite': '흔적 {messages}건 · 반응 {likes}건{settings}을 씁니다.',
+    'archive.withSettings': ' · 설정',
+    'archive.conflicts': '이미 있는 흔적 {count}건은 건너뜁니다:',
+    'archive.moreWarnings': '… 경고 {count}건 더',
+    'archive.failed': '가져오기에 실패했습니다. 콘솔을 확인하세요.',
+    'archive.serverBlocked': '서버의 월이 비어 있지 않아 복원하지 않았습니다.',
+    'archive.done': '흔적 {count}건을 가져왔습니다.{skipped}',
+    'archive.skipped': ' ({count}건 건너뜀)',
+    'archive.import': '가져오기',
+    'archive.error.notObject': 'JSON 객체가 아닙니다.',
+    'archive.error.format': 'Unframe 아카이브 파일이 아닙니다.',
+    'archive.error.version': '지원하지 않는 버전입니다. ({version})',
+    'archive.error.settings': 'settings 가 없습니다.',
+    'archive.error.messages': 'messages 목록이 없습니다.',
+    'archive.error.likes': 'likes 목록이 없습니다.',
+    'archive.error.messageId': 'messages[{index}]: id 가 올바르지 않습니다.',
+    'archive.error.duplicateId': 'messages[{index}]: id "{id}" 가 중복됩니다.',
+    'archive.error.text': 'messages[{index}]: text 가 없습니다.',
+    'archive.error.likesType': 'messages[{index}]: likes 는 숫자여야 합니다.',
+    'archive.error.likeRef': 'likes[{index}]: uid/messageId 가 올바르지 않습니다.',
+    'archive.warning.scores': 'messages[{index}]: 감정 점수가 없습니다.',
+    'archive.warning.orphanLike': 'likes[{index}]: 아카이브에 없는 메시지({id})의 반응은 건너뜁니다.',
+
+    'exhibitions.name': '전시',
+    'exhibitions.period': '기간',
+    'exhibitions.links': '링크',
+    'exhibitions.manage': '관리',
+    'exhibitions.main': '메인 월',
+    'exhibitions.current': '현재',
+    'exhibitions.switch': '전환',
+    'exhibitions.restore': '복원',
+    'exhibitions.archive': '보관',
+    'exhibitions.new': '새 전시',
+    'exhibitions.title': '제목',
+    'exhibitions.slug': 'URL 주소 (?wall={slug})',
+    'exhibitions.opens': '시작',
+    'exhibitions.closes': '종료',
+    'exhibitions.note': '현재 월의 설정을 복사해 시작합니다.',
+    'exhibitions.slugTaken': '이미 사용 중인 주소입니다.',
+    'exhibitions.createFailed': '전시를 만들지 못했습니다.',
+    'exhibitions.create': '만들기',
+
+    'screens.name': '스크린',
+    'screens.status': '상태',
+    'screens.traces': '흔적',
+    'screens.uptime': '가동 시간',
+    'screens.lastSync': '마지막 동기화',
+    'screens.online': '온라인',
+    'screens.offline': '오프라인',
+    'screens.paused': '일시정지',
+    'screens.target': '선택',
+    'screens.targeted': '선택됨',
+    'screens.forget': '목록에서 지우기',
+    'screens.empty': '연결된 월이 없습니다. ?view=display 화면을 열면 여기에 나타납니다.',
+    'screens.control': '원격 제어',
+    'screens.sendTo': '보낼 곳',
+    'screens.all': '모든 스크린',
+    'screens.command.pause': '일시정지',
+    'screens.command.resume': '재개',
+    'screens.command.clear': '화면 비우기',
+    'screens.command.spotlight': '스포트라이트',
+    'screens.command.confetti': '축포',
+    'screens.command.announce': '공지 띄우기',
+    'screens.command.reload': '새로고침',
+    'screens.announcement': '공지',
+    'screens.announceSeconds': '표시 시간 (초)',
+    'screens.hideAnnouncement': '내리기',
+    'screens.confirmClear': '지금까지의 흔적을 화면에서 내리시겠습니까? (새로고침하면 돌아옵니다.)',
+    'screens.confirmReload': '선택한 스크린을 새로고침하시겠습니까?',
+    'screens.note': '주소에 &screen=이름 을 붙이면 스크린 이름을 정할 수 있습니다. 명령은 연결된 스크린에만 전달됩니다.',
+
+    'history.title': '작업 기록',
+    'history.allActions': '모든 작업',
+    'history.time': '시각',
+    'history.actor': '운영자',
+    'history.action': '작업',
+    'history.target': '대상',
+    'history.changes': '변경',
+    'history.details': '자세히',
+    'history.before': '이전',
+    'history.after': '이후',
+    'history.items': '메시지 {count}건',
+    'history.empty': '기록이 없습니다.',
+    'history.note': '최근 {count}건을 보여 줍니다. 기록은 고치거나 지울 수 없습니다.',
+    'history.snapshots': '보관된 세션',
+    'history.snapshotName': '이름',
+    'history.incomplete': '미완료',
+    'history.restoreSnapshot': '되돌리기',
+    'history.noSnapshots': '보관된 세션이 없습니다.',
+    'history.action.settings.draft': '설정 초안 저장',
+    'history.action.settings.publish': '설정 게시',
+    'history.action.settings.rollback': '설정 되돌리기',
+    'history.action.messages.status': '검토 상태 변경',
+    'history.action.messages.feature': '추천 변경',
+    'history.action.messages.trash': '휴지통으로 이동',
+    'history.action.messages.restore': '휴지통에서 복원',
+    'history.action.messages.purge': '영구 삭제',
+    'history.action.messages.clear': '보관 후 비우기',
+    'history.action.snapshot.restore': '보관된 세션 되돌리기',
+    'history.action.archive.export': '아카이브 내보내기',
+    'history.action.archive.import': '아카이브 가져오기',
+    'history.action.exhibition.create': '전시 만들기',
+    'history.action.exhibition.update': '전시 수정',
+    'history.action.screen.command': '스크린 명령',
+    'history.action.screen.forget': '스크린 삭제',
+    'history.action.prompt.activate': '질문 전환'
+  },
+
+  en: {
+    'env.title': 'Environment Required',
+    'env.body': 'Firebase configuration is empty. To run offline on this device only, build with VITE_DATA_BACKEND=local or open the page with ?backend=local.',
+    'common.processing': 'Processing...',
+    'common.language': 'Language',
+
+    'visitor.analyzing': 'ANALYZING AURA...',
+    'visitor.recent': 'Recent Traces',
+    'visitor.sending': 'Sending {count} saved message(s).',
+    'visitor.offline': 'You are offline. Your message is saved on this device and will be sent automatically once you reconnect.',
+    'visitor.offlinePending': ' ({count} waiting)',
+    'visitor.saveFailed': 'Could not save your message. Please try again.',
+    'phase.upcoming': 'The exhibition has not started yet.',
+    'phase.ended': 'The exhibition has ended. Thank you for being part of it.',
+    'phase.archived': 'This exhibition is archived and no longer accepts messages.',
+    'violation.length': 'Please write between {min} and {max} characters.',
+    'violation.rate': 'Please wait a moment before sending again. (available in {seconds}s)',
+    'violation.duplicate': 'This is very similar to a message just shared. Tell us your own story.',
+    'reaction.heart': 'Love',
+    'reaction.spark': 'Inspired',
+    'reaction.hug': 'Comfort',
+    'reaction.tear': 'Moved',
+    'reaction.laugh': 'Laugh',
+    'reaction.fire': 'Fire',
+    'reaction.clap': 'Applause',
+
+    'ticket.title': 'Your thought has been delivered',
+    'ticket.subtitle': 'Keep your analyzed aura ticket.',
+    'ticket.review': 'It will appear on the wall after review.',
+    'ticket.queued': 'Saved · will be sent when you are back online',
+    'ticket.failed': 'Your message was rejected. Please ask a staff member.',
+    'ticket.save': 'Save as image',
+    'ticket.saveFailed': 'Could not save the image. Please check your browser settings.',
+    'ticket.share': 'Share',
+    'ticket.shareTitle': 'My Unframe aura ticket',
+    'ticket.linkCopied': 'Link copied.',
+    'ticket.shareFailed': 'Could not share the ticket.',
+    'ticket.notFound': 'Ticket not found.',
+    'ticket.leaveTrace': 'Leave your own trace',
+
+    'mine.link': 'My traces',
+    'mine.title': 'My Traces',
+    'mine.subtitle': '{count} trace(s) left with this account',
+    'mine.reactedTo': 'reacted to {count}',
+    'mine.empty': 'You have not left a trace yet.',
+    'mine.pending': 'In review',
+    'mine.rejected': 'Not shown',
+    'mine.sending': 'Sending',
+    'mine.ticket': 'Ticket',
+    'mine.withdraw': 'Withdraw',
+    'mine.withdrawLeft': 'You can withdraw this for {minutes} more min',
+    'mine.confirmWithdraw': 'Withdraw this trace? It will be removed from the wall and cannot be undone.',
+    'mine.withdrawFailed': 'Could not withdraw. The time may have run out, or check your connection.',
+    'mine.account': 'Keep them on another device',
+    'mine.accountBody': 'Link an email and you can sign in with it on any device to see your traces.',
+    'mine.email': 'Email',
+    'mine.password': 'Password ({min}+ characters)',
+    'mine.linkSubmit': 'Link email',
+    'mine.linked': 'Linked to {email}.',
+    'mine.signInTitle': 'Already linked an email?',
+    'mine.signInWarning': 'After signing in, traces left on this device without a link are no longer shown.',
+    'mine.signIn': 'Sign in',
+    'mine.signOut': 'Sign out',
+    'mine.error.emailInUse': 'That email is already linked to another account. Sign in below instead.',
+    'mine.error.weakPassword': 'The password needs at least {min} characters.',
+    'mine.error.invalidEmail': 'Please check the email address.',
+    'mine.error.signIn': 'Please check your email and password.',
+    'mine.error.failed': 'Something went wrong. Please try again shortly.',
+    'ticket.template.classic': 'Classic',
+    'ticket.template.minimal': 'Minimal',
+    'ticket.template.poster': 'Poster (4:5)',
+    'ticket.template.story': 'Story (9:16)',
+
+    'wall.join': 'Scan to leave your trace',
+    'wall.today': '{count} traces today',
+    'wall.new': 'New trace',
+
+    'prompt.pickOne': 'Pick one',
+    'prompt.pickMany': 'Pick all that apply',
+    'prompt.responses': '{count} responses',
+    'prompt.waiting': 'Waiting for the first response',
+    'prompt.average': 'Average {value}',
+
+    'login.title': 'Operator Sign-in',
+    'login.email': 'Email',
+    'login.password': 'Password',
+    'login.submit': 'Sign in',
+    'login.back': 'Back to wall',
+    'login.notOperator': 'This account has no operator role.',
+    'login.failed': 'Please check your email and password.',
+    'login.localHint': 'Local mode. The email is only recorded in the log; the password is this device\'s operator passcode (VITE_LOCAL_PASSCODE).',
+    'login.noPasscode': 'No operator passcode (VITE_LOCAL_PASSCODE) is set, so sign-in is disabled in local mode.',
+
+    'admin.title': 'Management',
+    'admin.exit': 'Exit',
+    'admin.signOut': 'Sign out',
+    'admin.tab.settings': 'Settings',
+    'admin.tab.review': 'Review',
+    'admin.tab.analytics': 'Analytics',
+    'admin.tab.messages': 'Database',
+    'admin.tab.exhibitions': 'Exhibitions',
+    'admin.tab.screens': 'Screens',
+    'admin.tab.prompts': 'Prompts',
+    'admin.tab.history': 'History',
+    'admin.confirmDelete': 'Delete this message permanently? This cannot be undone.',
+    'admin.confirmDeleteMany': 'Delete {count} messages permanently? This cannot be undone.',
+    'admin.confirmClear': 'Archive {count} messages as a session snapshot and clear the wall. Snapshot name:',
+    'admin.clearFailed': 'Clearing stopped with an error. Messages not yet moved are still on the wall.',
+    'admin.confirmRestoreSnapshot': 'Bring the {count} messages of "{name}" back to the wall? Messages with the same ID are overwritten.',
+    'admin.restoreFailed': 'Restore failed.',
+    'admin.exportFailed': 'Export failed.',
+    'admin.updated': 'Updated!',
+
+    'settings.wall': 'Wall Display',
+    'settings.question': 'Main Question',
+    'settings.fontSize': 'Font Size',
+    'settings.subtitle': 'Subtitle',
+    'settings.visibleCards': 'Visible Cards',
+    'settings.rotation': 'Rotation',
+    'settings.layout': 'Layout',
+    'settings.moodWindow': 'Mood Window',
+    'settings.traces': '{count} traces',
+    'settings.visitor': 'Visitor App',
+    'settings.appTitle': 'App Title',
+    'settings.description': 'Description',
+    'settings.placeholder': 'Placeholder',
+    'settings.buttonText': 'Button Text',
+    'settings.ticketTemplate': 'Ticket Template',
+    'settings.featuredOnTop': 'Featured traces on top of Recent',
+    'settings.withdrawMinutes': 'Visitor withdraw window (min, 0 = off)',
+    'settings.accountLink': 'Allow linking an email in My Traces',
+    'settings.output': 'Mood output (light · sound)',
+    'settings.outputNote': 'The wall sends the mood of recent traces and new-trace events to the WebSocket below. See the README for the format and the OSC bridge.',
+    'settings.outputEnabled': 'Send mood from the wall',
+    'settings.outputUrl': 'Receiver URL (ws://)',
+    'settings.outputWindow': 'Mood window',
+    'settings.outputSmoothing': 'Smoothing (time constant)',
+    'settings.outputRate': 'Update rate',
+    'settings.seconds': '{count}s',
+    'settings.prompts': 'Prompts',
+    'settings.promptsNote': 'Besides free text you can ask single or multiple choice, a 1–5 scale, or a short answer. After publishing, pick the live prompt in the Prompts tab. With moderation on, choice and scale answers are counted once approved.',
+    'settings.moderation': 'Moderation',
+    'settings.reviewFirst': 'Review before display',
+    'settings.blocklist': 'Blocklist (comma / line)',
+    'settings.reactions': 'Reactions',
+    'settings.reactionsMax': '(max {max})',
+    'settings.limits': 'Submission Limits',
+    'settings.publish': 'Publish',
+    'settings.saveDraft': 'Save draft',
+    'settings.draftSaved': 'Draft saved. Visitors and walls will not see it until you publish.',
+    'settings.draftFound': 'A draft saved by {name} at {time} differs from what is in the editor.',
+    'settings.loadDraft': 'Load draft',
+    'settings.discardDraft': 'Discard draft',
+    'settings.revert': 'Back to published',
+    'settings.unpublished': 'Unpublished changes',
+    'settings.inSync': 'Matches the published settings',
+    'settings.invalid': 'Fix {count} item(s) before publishing.',
+    'settings.preview': 'Preview',
+    'settings.previewVisitor': 'Visitor app',
+    'settings.previewWall': 'Wall',
+    'settings.versions': 'Published Versions',
+    'settings.noVersions': 'Nothing has been published yet.',
+    'settings.version.current': 'Live',
+    'settings.version.baseline': 'Before first publish',
+    'settings.version.rollbackOf': 'Rollback to {id}',
+    'settings.version.load': 'Load into editor',
+    'settings.version.rollback': 'Roll back',
+    'settings.confirmRollback': 'Publish the settings from {time} again right now?',
+    'settings.error.notObject': 'Settings must be an object.',
+    'settings.error.section': 'The {section} section is missing.',
+    'settings.error.required': '{field} is required.',
+    'settings.error.questionSize': 'Question size must be a pixel value such as 72px.',
+    'settings.error.option': '{field} is not one of the allowed options.',
+    'settings.error.range': '{field} must be between {min} and {max}.',
+    'settings.error.number': '{field} must be a number of 0 or more.',
+    'settings.error.integer': '{field} must be a whole number of 0 or more.',
+    'settings.error.limitsOrder': 'Minimum length is larger than maximum length.',
+    'settings.error.reactions': 'Pick between 1 and {max} reactions.',
+    'settings.error.languages': 'The language list is empty or has an unknown language.',
+    'settings.error.blocklist': 'The blocklist is malformed.',
+    'settings.error.outputUrl': 'The mood output URL must start with ws:// or wss://.',
+    'settings.languages': 'Languages',
+    'settings.languagesNote': 'The first language is the language of the base texts above. Empty translations fall back to the base text.',
+    'settings.makeDefault': 'Make default',
+    'settings.cycleLanguages': 'Cycle question languages on wall',
+    'settings.cycleSeconds': 'Cycle every (sec)',
+    'settings.translation': '{language} translation',
+    'settings.joinQr': 'Join QR code',
+    'settings.joinQrSize': 'QR Size',
+    'settings.overlayPosition': 'Overlay Position',
+    'settings.todayCount': 'Show traces-today counter',
+    'settings.highlightNew': 'Highlight new traces',
+
+    'layout.float': 'Falling cards',
+    'layout.constellation': 'Emotion constellation',
+    'layout.masonry': 'Masonry grid',
+    'layout.spotlight': 'Spotlight',
+    'layout.moodfield': 'Mood field',
+    'position.bottom-right': 'Bottom right',
+    'position.bottom-left': 'Bottom left',
+    'position.top-right': 'Top right',
+    'position.top-left': 'Top left',
+    'rotation.balanced': 'Balanced',
+    'rotation.newest': 'Newest first',
+    'rotation.popular': 'Most liked',
+    'rotation.fair': 'Strictly fair',
+    'limit.minLength': 'Min Length',
+    'limit.maxLength': 'Max Length',
+    'limit.maxPerWindow': 'Max / Window',
+    'limit.windowMinutes': 'Window (min)',
+    'limit.minIntervalSeconds': 'Interval (sec)',
+    'limit.duplicateMinutes': 'Duplicate (min)',
+    'limit.similarity': 'Similarity (0-1)',
+    'violationType.length': 'Length',
+    'violationType.rate': 'Rate limit',
+    'violationType.duplicate': 'Duplicate',
+    'violationType.server': 'Rejected by server',
+
+    'palette.title': 'Emotion Palette',
+    'palette.reset': 'Reset',
+    'palette.add': 'Add',
+    'palette.label': 'Label',
+    'palette.description': 'Description (analyzer hint)',
+    'palette.note': 'Renaming or removing a key keeps old messages with their original scores and colors.',
+    'palette.preview': 'Preview trace',
+    'palette.error.notList': 'The palette is not a list.',
+    'palette.error.count': 'Use between {min} and {max} emotions.',
+    'palette.error.key': '#{index}: keys may only use A-Z, 0-9 and _.',
+    'palette.error.duplicate': '#{index}: key "{key}" is used twice.',
+    'palette.error.label': '#{index}: label is empty.',
+    'palette.error.color': '#{index}: color must be #rrggbb.',
+
+    'prompts.title': 'Live prompt',
+    'prompts.note': 'The visitor app and the wall switch to a prompt as soon as you pick it. Edit and publish the list in the Settings tab.',
+    'prompts.live': 'Live',
+    'prompts.activate': 'Make live',
+    'prompts.activateFailed': 'Could not switch the prompt.',
+    'prompts.textCount': '{count} traces',
+    'prompts.defaultQuestion': '(question from the visitor app / wall settings)',
+    'prompts.question': 'Question',
+    'prompts.option': 'Option',
+    'prompts.add': 'Add prompt',
+    'prompts.addOption': 'Add option',
+    'prompts.addChip': 'Add suggestion',
+    'prompts.low': 'Label for 1 (e.g. Not at all)',
+    'prompts.high': 'Label for 5 (e.g. Very much)',
+    'prompts.type.text': 'Free text',
+    'prompts.type.single': 'Single choice',
+    'prompts.type.multiple': 'Multiple choice',
+    'prompts.type.scale': '1–5 scale',
+    'prompts.type.short': 'Short answer + chips',
+    'prompts.error.count': 'Use between 1 and {max} prompts.',
+    'prompts.error.id': '#{index}: prompt id is empty or used twice.',
+    'prompts.error.type': '#{index}: unknown prompt type.',
+    'prompts.error.question': '#{index}: enter a question.',
+    'prompts.error.options': '#{index}: use between {min} and {max} options.',
+    'prompts.error.option': '#{index}: an option is empty or longer than {max} characters.',
+
+    'messages.title': 'Collected Traces',
+    'messages.exportCSV': 'Export CSV',
+    'messages.exportJSON': 'Export JSON',
+    'messages.importJSON': 'Import JSON',
+    'messages.reset': 'Archive & clear',
+    'messages.content': 'Content',
+    'messages.identity': 'Identity (UID / Ticket)',
+    'messages.aura': 'Aura Status',
+    'messages.review': 'Review',
+    'messages.engagement': 'Engagement',
+    'messages.manage': 'Manage',
+    'messages.feature': 'Feature',
+    'messages.unfeature': 'Unfeature',
+    'messages.featured': 'Featured',
+    'messages.featuredUntil': 'Featured until {time}',
+    'messages.featureFor': 'Feature for',
+    'messages.noExpiry': 'No expiry',
+    'messages.hours': '{count}h',
+    'messages.search': 'Search text or ticket number',
+    'messages.allEmotions': 'All emotions',
+    'messages.allStatuses': 'All statuses',
+    'messages.featuredFilter.all': 'Featured: any',
+    'messages.featuredFilter.yes': 'Featured only',
+    'messages.featuredFilter.no': 'Not featured',
+    'messages.minLikes': 'Min reactions',
+    'messages.sort.newest': 'Newest',
+    'messages.sort.oldest': 'Oldest',
+    'messages.sort.likes': 'Most reactions',
+    'messages.sort.length': 'Longest',
+    'messages.matching': '{count} traces',
+    'messages.selected': '{count} selected',
+    'messages.selectAll': 'Select all {count} results',
+    'messages.hide': 'Hide',
+    'messages.delete': 'Delete',
+    'messages.exportSelection': 'Export selection',
+    'messages.noMatches': 'No messages match these filters.',
+    'messages.trash': 'Trash {count}',
+    'messages.trashed': 'Moved {count} to the trash.',
+    'messages.undo': 'Undo',
+    'messages.restore': 'Restore',
+    'messages.purge': 'Delete forever',
+    'messages.deletedAt': 'Deleted {time}',
+    'messages.ticket': 'Ticket',
+    'status.pending': 'pending',
+    'status.approved': 'approved',
+    'status.rejected': 'rejected',
+
+    'review.title': 'Review Queue',
+    'review.approve': 'Approve ({count})',
+    'review.reject': 'Reject ({count})',
+    'review.empty': 'Nothing to review',
+    'review.prefilter': 'Pre-filter',
+    'review.decide': 'Decide',
+
+    'analytics.title': 'Analytics',
+    'analytics.hour': 'Hourly',
+    'analytics.day': 'Daily',
+    'analytics.traces': 'Traces',
+    'analytics.reactions': 'Reactions',
+    'analytics.peakHour': 'Peak hour',
+    'analytics.dominant': 'Dominant aura',
+    'analytics.perBucket.hour': 'Traces per hour',
+    'analytics.perBucket.day': 'Traces per day',
+    'analytics.truncated': '· showing the latest {count} buckets',
+    'analytics.moodMix': 'Mood mix over time',
+    'analytics.peakHours': 'Peak hours',
+    'analytics.terms': 'Frequent terms',
+    'analytics.mostLiked': 'Most liked',
+    'analytics.saveFailed': 'Could not save the image.',
+
+    'archive.title': 'Import Archive',
+    'archive.target': 'Target wall: /{wallId} · {count} traces',
+    'archive.choose': 'Choose a .json archive',
+    'archive.unreadable': 'Could not read the JSON file.',
+    'archive.traces': 'Traces',
+    'archive.reactions': 'Reactions',
+    'archive.source': 'Source',
+    'archive.mode.restore': 'Restore',
+    'archive.mode.restore.description': 'Restore settings and messages into an empty wall.',
+    'archive.mode.merge': 'Merge',
+    'archive.mode.merge.description': 'Keep current settings and add only missing messages.',
+    'archive.blocked': 'This wall already has messages and cannot be restored. Use Merge or reset it first.',
+    'archive.willWrite': '{messages} traces · {likes} reactions{settings} will be written.',
+    'archive.withSettings': ' · settings',
+    'archive.conflicts': '{count} traces already exist and will be skipped:',
+    'archive.moreWarnings': '… +{count} warnings',
+    'archive.failed': 'Import failed. Check the console.',
+    'archive.serverBlocked': 'The wall on the server is not empty, so nothing was restored.',
+    'archive.done': '{count} traces imported{skipped}.',
+    'archive.skipped': ', {count} skipped',
+    'archive.import': 'Import',
+    'archive.error.notObject': 'Not a JSON object.',
+    'archive.error.format': 'Not an Unframe archive file.',
+    'archive.error.version': 'Unsupported version. ({version})',
+    'archive.error.settings': 'settings is missing.',
+    'archive.error.messages': 'messages list is missing.',
+    'archive.error.likes': 'likes list is missing.',
+    'archive.error.messageId': 'messages[{index}]: invalid id.',
+    'archive.error.duplicateId': 'messages[{index}]: id "{id}" is duplicated.',
+    'archive.error.text': 'messages[{index}]: text is missing.',
+    'archive.error.likesType': 'messages[{index}]: likes must be a number.',
+    'archive.error.likeRef': 'likes[{index}]: invalid uid/messageId.',
+    'archive.warning.scores': 'messages[{index}]: no mood scores.',
+    'archive.warning.orphanLike': 'likes[{index}]: skipping reactions to a message not in the archive ({id}).',
+
+    'exhibitions.name': 'Exhibition',
+    'exhibitions.period': 'Period',
+    'exhibitions.links': 'Links',
+    'exhibitions.manage': 'Manage',
+    'exhibitions.main': 'Main Wall',
+    'exhibitions.current': 'Current',
+    'exhibitions.switch': 'Switch',
+    'exhibitions.restore': 'Restore',
+    'exhibitions.archive': 'Archive',
+    'exhibitions.new': 'New Exhibition',
+    'exhibitions.title': 'Title',
+    'exhibitions.slug': 'URL Slug (?wall={slug})',
+    'exhibitions.opens': 'Opens',
+    'exhibitions.closes': 'Closes',
+    'exhibitions.note': 'Starts with a copy of the current wall settings.',
+    'exhibitions.slugTaken': 'This slug is already in use.',
+    'exhibitions.createFailed': 'Could not create the exhibition.',
+    'exhibitions.create': 'Create',
+
+    'screens.name': 'Screen',
+    'screens.status': 'Status',
+    'screens.traces': 'Traces',
+    'screens.uptime': 'Uptime',
+    'screens.lastSync': 'Last Sync',
+    'screens.online': 'Online',
+    'screens.offline': 'Offline',
+    'screens.paused': 'Paused',
+    'screens.target': 'Select',
+    'screens.targeted': 'Selected',
+    'screens.forget': 'Remove from list',
+    'screens.empty': 'No walls connected. Open ?view=display and it will appear here.',
+    'screens.control': 'Remote Control',
+    'screens.sendTo': 'Send To',
+    'screens.all': 'All screens',
+    'screens.command.pause': 'Pause',
+    'screens.command.resume': 'Resume',
+    'screens.command.clear': 'Clear screen',
+    'screens.command.spotlight': 'Spotlight',
+    'screens.command.confetti': 'Confetti',
+    'screens.command.announce': 'Announce',
+    'screens.command.reload': 'Reload',
+    'screens.announcement': 'Announcement',
+    'screens.announceSeconds': 'Show for (sec)',
+    'screens.hideAnnouncement': 'Hide',
+    'screens.confirmClear': 'Take all current traces off the screen? (A reload brings them back.)',
+    'screens.confirmReload': 'Reload the selected screens?',
+    'screens.note': 'Add &screen=name to a display URL to name that screen. Commands reach connected screens only.',
+
+    'history.title': 'Activity Log',
+    'history.allActions': 'All actions',
+    'history.time': 'Time',
+    'history.actor': 'Operator',
+    'history.action': 'Action',
+    'history.target': 'Target',
+    'history.changes': 'Changes',
+    'history.details': 'Details',
+    'history.before': 'Before',
+    'history.after': 'After',
+    'history.items': '{count} messages',
+    'history.empty': 'No activity yet.',
+    'history.note': 'Showing the latest {count} entries. Entries cannot be edited or deleted.',
+    'history.snapshots': 'Archived Sessions',
+    'history.snapshotName': 'Name',
+    'history.incomplete': 'Incomplete',
+    'history.restoreSnapshot': 'Restore',
+    'history.noSnapshots': 'No archived sessions yet.',
+    'history.action.settings.draft': 'Settings draft saved',
+    'history.action.settings.publish': 'Settings published',
+    'history.action.settings.rollback': 'Settings rolled back',
+    'history.action.messages.status': 'Review status changed',
+    'history.action.messages.feature': 'Featured changed',
+    'history.action.messages.trash': 'Moved to trash',
+    'history.action.messages.restore': 'Restored from trash',
+    'history.action.messages.purge': 'Deleted permanently',
+    'history.action.messages.clear': 'Archived & cleared',
+    'history.action.snapshot.restore': 'Session restored',
+    'history.action.archive.export': 'Archive exported',
+    'history.action.archive.import': 'Archive imported',
+    'history.action.exhibition.create': 'Exhibition created',
+    'history.action.exhibition.update': 'Exhibition updated',
+    'history.action.screen.command': 'Screen command',
+    'history.action.screen.forget': 'Screen removed',
+    'history.action.prompt.activate': 'Prompt switched'
+  },
+
+  ja: {
+    'common.processing': '処理中...',
+    'common.language': '言語',
+
+    'visitor.analyzing': 'オーラを分析中...',
+    'visitor.recent': '最近の痕跡',
+    'visitor.sending': '保存されたメッセージ{count}件を送信しています。',
+    'visitor.offline': 'オフラインです。メッセージはこの端末に保存され、接続が戻ると自動で送信されます。',
+    'visitor.offlinePending': '（待機 {count}件）',
+    'visitor.saveFailed': 'メッセージを保存できませんでした。もう一度お試しください。',
+    'phase.upcoming': '展示はまだ始まっていません。',
+    'phase.ended': '展示は終了しました。ご参加ありがとうございました。',
+    'phase.archived': 'アーカイブされた展示です。メッセージの受付は終了しました。',
+    'violation.length': '{min}文字以上{max}文字以内で入力してください。',
+    'violation.rate': 'しばらくしてから再度送信してください。（{seconds}秒後に可能）',
+    'violation.duplicate': '先ほどのメッセージとよく似ています。あなた自身の言葉を聞かせてください。',
+    'reaction.heart': '好き',
+    'reaction.spark': 'ひらめき',
+    'reaction.hug': 'なぐさめ',
+    'reaction.tear': '感動',
+    'reaction.laugh': '笑い',
+    'reaction.fire': '最高',
+    'reaction.clap': '拍手',
+
+    'ticket.title': '想いが届きました',
+    'ticket.subtitle': '分析されたあなたのオーラチケットを保存してください。',
+    'ticket.review': 'スタッフの確認後、ウォールに表示されます。',
+    'ticket.queued': '保存済み · オンラインになると送信されます',
+    'ticket.failed': '送信が拒否されました。スタッフにお問い合わせください。',
+    'ticket.save': '画像で保存',
+    'ticket.saveFailed': '画像を保存できませんでした。ブラウザの設定を確認してください。',
+    'ticket.share': '共有',
+    'ticket.shareTitle': 'わたしの Unframe オーラチケット',
+    'ticket.linkCopied': 'リンクをコピーしました。',
+    'ticket.shareFailed': '共有できませんでした。',
+    'ticket.notFound': 'チケットが見つかりません。',
+    'ticket.leaveTrace': '自分も残す',
+
+    'mine.link': 'わたしの痕跡を見る',
+    'mine.title': 'わたしの痕跡',
+    'mine.subtitle': 'このアカウントで残した痕跡 {count}件',
+    'mine.reactedTo': 'リアクションした痕跡 {count}件',
+    'mine.empty': 'まだ痕跡はありません。',
+    'mine.pending': '確認中',
+    'mine.rejected': '非表示',
+    'mine.sending': '送信中',
+    'mine.ticket': 'チケット',
+    'mine.withdraw': '取り下げる',
+    'mine.withdrawLeft': 'あと{minutes}分、取り下げられます',
+    'mine.confirmWithdraw': 'この痕跡を取り下げますか？ウォールから消え、元に戻せません。',
+    'mine.withdrawFailed': '取り下げられませんでした。時間が過ぎたか、接続を確認してください。',
+    'mine.account': 'ほかの端末でも見る',
+    'mine.accountBody': 'メールアドレスを連携すると、端末を変えても同じメールでログインして痕跡を見られます。',
+    'mine.email': 'メールアドレス',
+    'mine.password': 'パスワード（{min}文字以上）',
+    'mine.linkSubmit': 'メールを連携',
+    'mine.linked': '{email} と連携しています。',
+    'mine.signInTitle': '連携済みのメールがありますか？',
+    'mine.signInWarning': 'ログインすると、この端末で連携せずに残した痕跡は表示されなくなります。',
+    'mine.signIn': 'ログイン',
+    'mine.signOut': 'ログアウト',
+    'mine.error.emailInUse': 'このメールは別のアカウントに連携済みです。下からログインしてください。',
+    'mine.error.weakPassword': 'パスワードは{min}文字以上にしてください。',
+    'mine.error.invalidEmail': 'メールアドレスを確認してください。',
+    'mine.error.signIn': 'メールアドレスまたはパスワードを確認してください。',
+    'mine.error.failed': '処理できませんでした。しばらくしてからもう一度お試しください。',
+
+    'wall.join': 'スキャンしてあなたの痕跡を残そう',
+    'wall.today': '今日の痕跡 {count}件',
+    'wall.new': '新しい痕跡',
+
+    'prompt.pickOne': 'ひとつ選んでください',
+    'prompt.pickMany': '当てはまるものをすべて選んでください',
+    'prompt.responses': '{count}人が回答',
+    'prompt.waiting': '最初の回答を待っています',
+    'prompt.average': '平均 {value}'
+  },
+
+  zh: {
+    'common.processing': '处理中...',
+    'common.language': '语言',
+
+    'visitor.analyzing': '正在分析光环...',
+    'visitor.recent': '最近的痕迹',
+    'visitor.sending': '正在发送已保存的 {count} 条留言。',
+    'visitor.offline': '当前处于离线状态。留言已保存在本设备上，恢复连接后会自动发送。',
+    'visitor.offlinePending': '（等待 {count} 条）',
+    'visitor.saveFailed': '留言保存失败，请重试。',
+    'phase.upcoming': '展览尚未开始。',
+    'phase.ended': '展览已结束，感谢您的参与。',
+    'phase.archived': '该展览已归档，不再接收留言。',
+    'violation.length': '请输入 {min} 到 {max} 个字。',
+    'violation.rate': '请稍后再发送。（{seconds} 秒后可发送）',
+    'violation.duplicate': '与刚展示的留言太相似了。请分享属于你自己的故事。',
+    'reaction.heart': '喜欢',
+    'reaction.spark': '启发',
+    'reaction.hug': '安慰',
+    'reaction.tear': '感动',
+    'reaction.laugh': '大笑',
+    'reaction.fire': '超赞',
+    'reaction.clap': '鼓掌',
+
+    'ticket.title': '你的想法已送达',
+    'ticket.subtitle': '请保存为你分析的光环票。',
+    'ticket.review': '经工作人员审核后将显示在墙上。',
+    'ticket.queued': '已保存 · 联网后发送',
+    'ticket.failed': '发送被拒绝，请联系工作人员。',
+    'ticket.save': '保存为图片',
+    'ticket.saveFailed': '图片保存失败，请检查浏览器设置。',
+    'ticket.share': '分享',
+    'ticket.shareTitle': '我的 Unframe 光环票',
+    'ticket.linkCopied': '链接已复制。',
+    'ticket.shareFailed': '分享失败。',
+    'ticket.notFound': '找不到这张票。',
+    'ticket.leaveTrace': '我也来留言',
+
+    'mine.link': '查看我的痕迹',
+    'mine.title': '我的痕迹',
+    'mine.subtitle': '此账户留下的痕迹 {count} 条',
+    'mine.reactedTo': '回应过 {count} 条',
+    'mine.empty': '还没有留下痕迹。',
+    'mine.pending': '审核中',
+    'mine.rejected': '未展示',
+    'mine.sending': '发送中',
+    'mine.ticket': '票券',
+    'mine.withdraw': '撤回',
+    'mine.withdrawLeft': '还可在 {minutes} 分钟内撤回',
+    'mine.confirmWithdraw': '要撤回这条痕迹吗？它将从展墙上移除且无法恢复。',
+    'mine.withdrawFailed': '无法撤回。可能已超过时间，或请检查网络连接。',
+    'mine.account': '在其他设备上查看',
+    'mine.accountBody': '绑定邮箱后，换设备也能用同一邮箱登录查看你的痕迹。',
+    'mine.email': '邮箱',
+    'mine.password': '密码（至少 {min} 位）',
+    'mine.linkSubmit': '绑定邮箱',
+    'mine.linked': '已绑定 {email}。',
+    'mine.signInTitle': '已经绑定过邮箱？',
+    'mine.signInWarning': '登录后，此设备上未绑定时留下的痕迹将不再显示。',
+    'mine.signIn': '登录',
+    'mine.signOut': '退出登录',
+    'mine.error.emailInUse': '该邮箱已绑定其他账户，请在下方登录。',
+    'mine.error.weakPassword': '密码至少需要 {min} 位。',
+    'mine.error.invalidEmail': '请检查邮箱地址。',
+    'mine.error.signIn': '请检查邮箱和密码。',
+    'mine.error.failed': '操作失败，请稍后再试。',
+
+    'wall.join': '扫码留下你的痕迹',
+    'wall.today': '今天已有 {count} 条痕迹',
+    'wall.new': '新的痕迹',
+
+    'prompt.pickOne': '请选择一项',
+    'prompt.pickMany': '请选择所有符合的选项',
+    'prompt.responses': '{count} 人已回答',
+    'prompt.waiting': '正在等待第一个回答',
+    'prompt.average': '平均 {value}'
+  }
+};
+
+const lookup = (lang, key) => [lang, 'en', DEFAULT_LANGUAGE].map(l => STRINGS[l]?.[key]).find(s => s !== undefined);
+
+// {name} 자리에 vars.name 을 넣습니다. 값이 없으면 자리 표시를 그대로 둡니다.
+export const translate = (lang, key, vars = {}) =>
+  (lookup(lang, key) ?? key).replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+
+export const translator = (lang) => (key, vars) => translate(lang, key, vars);
+
+// 설정에 켜 둔 언어 목록 (알 수 없는 코드와 중복 제거)
+export const getLanguages = (settings) => {
+  const langs = [...new Set((settings?.languages || []).filter(l => LANGUAGES[l]))];
+  return langs.length > 0 ? langs : [DEFAULT_LANGUAGE];
+};
+
+const browserLanguages = () => (typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]).filter(Boolean);
+
+// 직접 고른 언어 → 브라우저 언어 (ko-KR 은 ko 로) → 목록의 첫 언어
+export const pickLanguage = (available, preferred, browser = browserLanguages()) => {
+  if (preferred && available.includes(preferred)) return preferred;
+  return browser.map(l => l.toLowerCase().split('-')[0]).find(l => available.includes(l)) || available[0];
+};
+
+// 기본 언어가 아니면 번역 중 비어 있지 않은 필드만 덮어씁니다.
+export const localize = (section = {}, lang, languages = [DEFAULT_LANGUAGE]) => {
+  if (lang === languages[0]) return section;
+  const translated = section.translations?.[lang] || {};
+  return Object.entries(translated).reduce((acc, [field, value]) => (String(value || '').trim() ? { ...acc, [field]: value } : acc), section);
+};
+
+/**
+ * 방문자가 고른 언어 (새로고침해도 유지)
+ * useSyncExternalStore 로 구독합니다. 고른 적이 없으면 null 입니다.
+ */
+export const createLanguageStore = (storageKey) => {
+  const listeners = new Set();
+  let current = null;
+  try {
+    current = localStorage.getItem(storageKey);
+  } catch {
+    current = null;
+  }
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => current,
+    set: (lang) => {
+      current = lang;
+      try {
+        localStorage.setItem(storageKey, lang);
+      } catch (e) {
+        console.warn("Language preference unavailable:", e);
+      }
+      listeners.forEach(l => l());
+    }
+  };
+};
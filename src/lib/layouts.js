@@ -0,0 +1,53 @@
+import { THEME_KEYS } from './themes';
+import { hashText } from './hash';
+
+/**
+ * [디스플레이 레이아웃]
+ * 모든 레이아웃은 디스플레이 엔진의 슬롯을 그대로 사용합니다.
+ * rotateEvery: 낙하 애니메이션이 없는 레이아웃에서 슬롯을 교체하는 주기 (ms)
+ */
+export const DISPLAY_LAYOUTS = {
+  float: { label: 'Falling cards', rotateEvery: 0 },
+  constellation: { label: 'Emotion constellation', rotateEvery: 4000 },
+  masonry: { label: 'Masonry grid', rotateEvery: 5000 },
+  spotlight: { label: 'Spotlight', rotateEvery: 9000 },
+  moodfield: { label: 'Mood field', rotateEvery: 0 }
+};
+
+export const getLayout = (display = {}) => (DISPLAY_LAYOUTS[display.layout] ? display.layout : 'float');
+
+/**
+ * [참여 안내 오버레이]
+ * 월 한쪽 모서리에 입력 페이지 QR 코드와 오늘의 흔적 수를 띄웁니다.
+ * settings.display 의 joinQr, joinQrSize, overlayPosition, showTodayCount, highlightNew 로 제어하며 기본값은 모두 꺼짐입니다.
+ */
+export const OVERLAY_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+export const JOIN_QR_SIZE = { min: 96, max: 360, fallback: 180 };
+
+export const getOverlayOptions = (display = {}) => ({
+  joinQr: Boolean(display.joinQr),
+  qrSize: Math.min(JOIN_QR_SIZE.max, Math.max(JOIN_QR_SIZE.min, Number(display.joinQrSize) || JOIN_QR_SIZE.fallback)),
+  position: OVERLAY_POSITIONS.includes(display.overlayPosition) ? display.overlayPosition : OVERLAY_POSITIONS[0],
+  todayCount: Boolean(display.showTodayCount),
+  highlightNew: Boolean(display.highlightNew)
+});
+
+// 감정별 성단 중심: 화면 가운데(질문 영역)를 둘러싼 타원 위에 고르게 배치합니다.
+export const clusterCenter = (key, keys = THEME_KEYS) => {
+  const i = Math.max(0, keys.indexOf(key));
+  const angle = (i / keys.length) * Math.PI * 2 - Math.PI * 3 / 4;
+  return { x: 50 + Math.cos(angle) * 34, y: 50 + Math.sin(angle) * 32 };
+};
+
+// 메시지 id 로 정해지는 성단 내부 위치 (렌더링마다 흔들리지 않도록 난수 대신 해시 사용)
+export const constellationPosition = (msgId, key, keys = THEME_KEYS) => {
+  const center = clusterCenter(key, keys);
+  const h = hashText(msgId);
+  const angle = ((h & 0xffff) / 0xffff) * Math.PI * 2;
+  const radius = 4 + (((h >>> 16) & 0xff) / 255) * 12;
+  return {
+    x: Math.min(92, Math.max(8, center.x + Math.cos(angle) * radius)),
+    y: Math.min(90, Math.max(10, center.y + Math.sin(angle) * radius * 0.8)),
+    drift: 6 + ((h >>> 24) % 6)
+  };
+};
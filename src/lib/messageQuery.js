@@ -0,0 +1,51 @@
+import { filterByRange, messageTime } from './analytics';
+import { dominantTheme } from './themes';
+import { getStatus } from './moderation';
+import { isFeatured } from './featured';
+
+/**
+ * [관리 화면 메시지 검색]
+ * 수천 건을 한 번에 그리지 않도록 검색/필터/정렬한 뒤 페이지 단위로 잘라 보여 줍니다.
+ * 모든 계산은 이미 받아 둔 메시지 목록으로 클라이언트에서 합니다.
+ */
+export const PAGE_SIZE = 50;
+
+export const MESSAGE_SORTS = {
+  newest: (a, b) => (messageTime(b) ?? Infinity) - (messageTime(a) ?? Infinity),
+  oldest: (a, b) => (messageTime(a) ?? Infinity) - (messageTime(b) ?? Infinity),
+  likes: (a, b) => (b.likes || 0) - (a.likes || 0),
+  length: (a, b) => String(b.text || '').length - String(a.text || '').length
+};
+
+// 비어 있는 항목은 제한하지 않습니다. emotion/status/featured 의 'all' 도 마찬가지입니다.
+export const EMPTY_QUERY = { search: '', emotion: 'all', status: 'all', featured: 'all', from: '', to: '', minLikes: '', uid: '', sort: 'newest' };
+
+// 검색어는 공백으로 나눈 모든 낱말이 본문이나 티켓 번호에 들어 있어야 합니다. (대소문자 무시)
+const matchesSearch = (msg, words) => {
+  if (words.length === 0) return true;
+  const haystack = `${msg.text || ''} ${msg.id}`.toLowerCase();
+  return words.every(w => haystack.includes(w));
+};
+
+export const queryMessages = (messages, query = EMPTY_QUERY, now = Date.now()) => {
+  const q = { ...EMPTY_QUERY, ...query };
+  const words = q.search.toLowerCase().split(/\s+/).filter(Boolean);
+  const minLikes = Number(q.minLikes) || 0;
+  const uid = q.uid.trim();
+  const ranged = q.from || q.to ? filterByRange(messages, { from: q.from, to: q.to }) : messages;
+  const result = ranged.filter(m =>
+    matchesSearch(m, words)
+    && (q.emotion === 'all' || dominantTheme(m.scores) === q.emotion)
+    && (q.status === 'all' || getStatus(m) === q.status)
+    && (q.featured === 'all' || isFeatured(m, now) === (q.featured === 'yes'))
+    && (m.likes || 0) >= minLikes
+    && (!uid || String(m.userId || '').startsWith(uid))
+  );
+  return result.sort(MESSAGE_SORTS[q.sort] || MESSAGE_SORTS.newest);
+};
+
+export const paginate = (list, page, size = PAGE_SIZE) => {
+  const pages = Math.max(1, Math.ceil(list.length / size));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  return { items: list.slice(current * size, (current + 1) * size), page: current, pages };
+};
@@ -0,0 +1,43 @@
+/**
+ * [모더레이션]
+ * 메시지 상태: pending(검토 대기) / approved(공개) / rejected(거절)
+ * status 필드가 없는 기존 메시지는 approved 로 취급합니다.
+ * 삭제는 deletedAt 을 남기는 소프트 삭제이며, 휴지통에서 되살리거나 영구 삭제합니다.
+ */
+export const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const DEFAULT_MODERATION = { enabled: false, blocklist: [] };
+
+export const getStatus = (msg) => msg?.status || MESSAGE_STATUS.APPROVED;
+export const isDeleted = (msg) => Boolean(msg?.deletedAt);
+export const isApproved = (msg) => !isDeleted(msg) && getStatus(msg) === MESSAGE_STATUS.APPROVED;
+
+// 관리자 입력(쉼표/줄바꿈 구분)을 금칙어 배열로 변환합니다.
+export const parseBlocklist = (input) =>
+  String(input || '').split(/[,\n]/).map(w => w.trim().toLowerCase()).filter(Boolean);
+
+// 공백과 기호를 걷어낸 뒤 비교해 "바 보" 같은 우회 입력도 잡아냅니다.
+const compact = (text) => String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+
+export const prefilter = (text, blocklist = []) => {
+  const plain = compact(text);
+  const matches = blocklist.filter(word => {
+    const w = compact(word);
+    return w && plain.includes(w);
+  });
+  return { flagged: matches.length > 0, matches };
+};
+
+/**
+ * 제출 시점의 초기 상태를 결정합니다.
+ * 금칙어에 걸리면 모드와 관계없이 rejected, 그 외에는 모더레이션 모드일 때만 pending 입니다.
+ */
+export const resolveInitialStatus = (text, moderation = DEFAULT_MODERATION) => {
+  const { flagged, matches } = prefilter(text, moderation.blocklist || []);
+  if (flagged) return { status: MESSAGE_STATUS.REJECTED, moderation: { auto: true, matches } };
+  return { status: moderation.enabled ? MESSAGE_STATUS.PENDING : MESSAGE_STATUS.APPROVED, moderation: { auto: true, matches: [] } };
+};
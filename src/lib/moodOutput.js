@@ -0,0 +1,209 @@
+import { THEME_KEYS, themeFor } from './themes';
+import { messageTime } from './analytics';
+import { isFeatured } from './featured';
+import { backoffDelay } from './outbox';
+
+/**
+ * [무드 출력 (조명/사운드 연동)]
+ * 월(?view=display)이 settings.output.url 의 로컬 WebSocket 으로 JSON 텍스트 메시지를 보냅니다.
+ * 받는 쪽 예시: scripts/mood-mock-receiver.js (확인용), scripts/mood-osc-bridge.js (OSC 로 전달)
+ *
+ *   hello    연결될 때마다: { type, v, wall, screen, themes: [{ key, label, color }] }
+ *   mood     rate(Hz) 마다: { type, v, wall, at, vector: { [key]: 0~1 }, dominant, color: { r, g, b }, count }
+ *   message  새 흔적이 월에 올라올 때: { type, v, wall, at, id, scores: { [key]: 0~1 }, dominant, color, featured, length }
+ *
+ * vector 는 최근 window 개 흔적의 점수 평균(합 1)을 smoothing 초의 시간 상수로 부드럽게 따라갑니다.
+ * BASE_THEMES 의 키는 팔레트와 상관없이 항상 들어 있고(없으면 0), 전시 팔레트의 다른 키가 더해집니다.
+ * 흔적 본문은 보내지 않습니다. 형식을 바꾸면 MOOD_FORMAT_VERSION 을 올리고 scripts/ 의 수신기도 고치세요.
+ */
+export const MOOD_FORMAT_VERSION = 1;
+
+export const DEFAULT_OUTPUT = { enabled: false, url: 'ws://localhost:8765', window: 30, smoothing: 2, rate: 5 };
+
+// 관리 화면 입력 범위 (window: 흔적 수, smoothing: 초, rate: Hz)
+export const OUTPUT_RANGES = {
+  window: { min: 1, max: 300 },
+  smoothing: { min: 0, max: 30 },
+  rate: { min: 1, max: 30 }
+};
+
+const clamp = (value, { min, max }, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+export const getOutputOptions = (settings) => {
+  const output = { ...DEFAULT_OUTPUT, ...settings?.output };
+  return {
+    enabled: Boolean(output.enabled),
+    url: String(output.url || DEFAULT_OUTPUT.url).trim(),
+    window: Math.round(clamp(output.window, OUTPUT_RANGES.window, DEFAULT_OUTPUT.window)),
+    smoothing: clamp(output.smoothing, OUTPUT_RANGES.smoothing, DEFAULT_OUTPUT.smoothing),
+    rate: clamp(output.rate, OUTPUT_RANGES.rate, DEFAULT_OUTPUT.rate)
+  };
+};
+
+export const isOutputUrl = (url) => /^wss?:\/\/[^\s/]+/i.test(String(url || '').trim());
+
+// 출력 채널: BASE_THEMES 키를 먼저, 그다음 팔레트에만 있는 키
+export const outputKeys = (palette = []) => [...new Set([...THEME_KEYS, ...palette.map(t => t.key)])];
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// 점수를 합이 1 인 벡터로 바꿉니다. 점수가 없으면 모든 채널이 같습니다.
+export const normalizeScores = (scores, keys) => {
+  const values = keys.map(k => Math.max(0, Number(scores?.[k]) || 0));
+  const total = values.reduce((sum, v) => sum + v, 0);
+  return Object.fromEntries(keys.map((k, i) => [k, total > 0 ? values[i] / total : 1 / keys.length]));
+};
+
+// 월 메시지는 최신순이므로 앞에서부터 window 개를 씁니다.
+export const targetMood = (messages, keys, window = DEFAULT_OUTPUT.window) => {
+  const scored = messages.filter(m => m.scores).slice(0, window);
+  if (scored.length === 0) return { vector: normalizeScores(null, keys), count: 0 };
+  const sums = scored.reduce((acc, m) => {
+    const v = normalizeScores(m.scores, keys);
+    return Object.fromEntries(keys.map(k => [k, acc[k] + v[k]]));
+  }, Object.fromEntries(keys.map(k => [k, 0])));
+  return { vector: normalizeScores(sums, keys), count: scored.length };
+};
+
+// 지수 평활: dt 초 동안 목표값 쪽으로 1 - e^(-dt/smoothing) 만큼 다가갑니다.
+export const easeMood = (current, target, dt, smoothing) => {
+  if (!current || smoothing <= 0) return target;
+  const alpha = 1 - Math.exp(-dt / smoothing);
+  return Object.fromEntries(Object.keys(target).map(k => [k, (current[k] ?? target[k]) + (target[k] - (current[k] ?? target[k])) * alpha]));
+};
+
+const dominantOf = (vector) => Object.keys(vector).reduce((best, k) => (vector[k] > vector[best] ? k : best), Object.keys(vector)[0]);
+
+export const moodColor = (vector, palette) => {
+  const channel = (c) => Math.round(Object.entries(vector).reduce((sum, [k, v]) => sum + v * themeFor(k, palette)[c], 0));
+  return { r: channel('r'), g: channel('g'), b: channel('b') };
+};
+
+const rounded = (vector) => Object.fromEntries(Object.entries(vector).map(([k, v]) => [k, round(v)]));
+
+export const helloEvent = ({ wallId, screen, palette }) => ({
+  type: 'hello',
+  v: MOOD_FORMAT_VERSION,
+  wall: wallId,
+  screen: screen || null,
+  themes: outputKeys(palette).map(key => {
+    const { label, color } = themeFor(key, palette);
+    return { key, label, color };
+  })
+});
+
+export const moodEvent = ({ wallId, vector, count, palette, now = Date.now() }) => ({
+  type: 'mood',
+  v: MOOD_FORMAT_VERSION,
+  wall: wallId,
+  at: now,
+  vector: rounded(vector),
+  dominant: dominantOf(vector),
+  color: moodColor(vector, palette),
+  count
+});
+
+export const messageEvent = ({ wallId, msg, palette, now = Date.now() }) => {
+  const scores = normalizeScores(msg.scores, outputKeys(palette));
+  return {
+    type: 'message',
+    v: MOOD_FORMAT_VERSION,
+    wall: wallId,
+    at: messageTime(msg) ?? now,
+    id: msg.id,
+    scores: rounded(scores),
+    dominant: dominantOf(scores),
+    color: moodColor(scores, palette),
+    featured: isFeatured(msg, now),
+    length: String(msg.text || '').length
+  };
+};
+
+/**
+ * 월 화면이 만들어 쓰는 출력기입니다. update() 로 최신 메시지/팔레트/옵션을 넘기면
+ * rate 마다 mood 를, 새로 올라온 흔적마다 message 를 보냅니다. 연결이 끊기면 백오프로 다시 붙습니다.
+ * 처음 받은 메시지 목록은 기준으로만 삼고 message 이벤트를 보내지 않습니다.
+ */
+export const createMoodStream = ({ url, wallId, screen = null, WebSocketImpl = globalThis.WebSocket }) => {
+  let socket = null;
+  let closed = false;
+  let attempts = 0;
+  let retryTimer = null;
+  let tickTimer = null;
+  let input = { messages: [], palette: [], ...DEFAULT_OUTPUT };
+  let seen = null;
+  let target = null;
+  let current = null;
+  let lastTick = 0;
+
+  const send = (event) => {
+    if (socket?.readyState === 1) socket.send(JSON.stringify(event));
+  };
+
+  const connect = () => {
+    if (closed || !WebSocketImpl) return;
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (e) {
+      console.warn("Mood output connect failed:", e);
+      retry();
+      return;
+    }
+    socket.onopen = () => {
+      attempts = 0;
+      send(helloEvent({ wallId, screen, palette: input.palette }));
+    };
+    // 오류 뒤에는 항상 close 가 오므로 재연결은 close 에서만 합니다.
+    socket.onclose = () => {
+      socket = null;
+      retry();
+    };
+  };
+
+  const retry = () => {
+    if (closed) return;
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(connect, backoffDelay(attempts++));
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    current = easeMood(current, target.vector, lastTick ? (now - lastTick) / 1000 : 0, input.smoothing);
+    lastTick = now;
+    send(moodEvent({ wallId, vector: current, count: target.count, palette: input.palette, now }));
+  };
+
+  const restartTicks = () => {
+    clearInterval(tickTimer);
+    tickTimer = setInterval(tick, 1000 / input.rate);
+  };
+
+  connect();
+
+  return {
+    update: (next) => {
+      const rateChanged = next.rate !== input.rate || !tickTimer;
+      input = { ...input, ...next };
+      const keys = outputKeys(input.palette);
+      target = targetMood(input.messages, keys, input.window);
+      // 팔레트가 바뀌어 채널이 달라지면 이전 값에서 이어 가지 않습니다.
+      if (current && Object.keys(current).join() !== keys.join()) current = null;
+
+      const ids = input.messages.map(m => m.id);
+      if (seen) {
+        input.messages.filter(m => !seen.has(m.id)).reverse().forEach(msg => send(messageEvent({ wallId, msg, palette: input.palette })));
+      }
+      seen = new Set(ids);
+      if (rateChanged) restartTicks();
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearInterval(tickTimer);
+      socket?.close();
+    }
+  };
+};
@@ -0,0 +1,144 @@
+/**
+ * [오프라인 전송 대기열 (Outbox)]
+ * 제출/좋아요 같은 쓰기 작업을 IndexedDB 에 먼저 저장한 뒤, 온라인일 때 순서대로 보냅니다.
+ * 실패하면 지수 백오프로 다시 시도하고, 새로고침해도 대기열은 남아 있습니다.
+ *
+ * 작업(job): { id, type, payload, dedupeKey?, attempts, nextAttemptAt, createdAt }
+ * 핸들러:   handlers[type](payload, job) => Promise<result>
+ *           err.permanent = true 로 던지면 재시도하지 않고 버립니다.
+ *
+ * 같은 dedupeKey 의 작업을 다시 넣으면 이전 작업을 대체합니다. (예: 좋아요 연타)
+ * networked: false 면 (로컬 백엔드) 브라우저의 온라인 여부와 상관없이 항상 보냅니다.
+ */
+const DB_NAME = 'unframe-outbox';
+const STORE = 'jobs';
+const MAX_BACKOFF = 60 * 1000;
+
+const openStore = () => new Promise((resolve) => {
+  if (typeof indexedDB === 'undefined') return resolve(null);
+  const req = indexedDB.open(DB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+  req.onsuccess = () => resolve(req.result);
+  // 사파리 사생활 보호 모드 등에서는 메모리 대기열로 동작합니다.
+  req.onerror = () => resolve(null);
+});
+
+const tx = (db, mode, fn) => new Promise((resolve, reject) => {
+  const t = db.transaction(STORE, mode);
+  const result = fn(t.objectStore(STORE));
+  t.oncomplete = () => resolve(result?.result);
+  t.onerror = () => reject(t.error);
+});
+
+export const backoffDelay = (attempts) => Math.min(MAX_BACKOFF, 1000 * 2 ** attempts) + Math.floor(Math.random() * 500);
+
+export const createOutbox = (handlers, { networked = true } = {}) => {
+  const jobs = new Map();
+  const results = new Map(); // 완료된 작업 id -> 핸들러 결과
+  const listeners = new Set();
+  let db = null;
+  let flushing = false;
+  let timer = null;
+  let snapshot = { jobs: [], results, online: !networked || typeof navigator === 'undefined' ? true : navigator.onLine };
+
+  const emit = () => {
+    snapshot = { jobs: [...jobs.values()].sort((a, b) => a.createdAt - b.createdAt), results, online: snapshot.online };
+    listeners.forEach(l => l());
+  };
+  const persist = (job) => (db ? tx(db, 'readwrite', s => s.put(job)).catch(e => console.error("Outbox persist failed:", e)) : Promise.resolve());
+  const remove = (id) => (db ? tx(db, 'readwrite', s => s.delete(id)).catch(e => console.error("Outbox delete failed:", e)) : Promise.resolve());
+
+  const schedule = () => {
+    clearTimeout(timer);
+    const next = Math.min(...[...jobs.values()].map(j => j.nextAttemptAt));
+    if (Number.isFinite(next)) timer = setTimeout(flush, Math.max(0, next - Date.now()));
+  };
+
+  async function flush() {
+    // 확실히 오프라인이면 시도하지 않고 online 이벤트를 기다립니다.
+    if (flushing || !snapshot.online) return;
+    flushing = true;
+    try {
+      for (const job of snapshot.jobs) {
+        if (!jobs.has(job.id) || job.nextAttemptAt > Date.now()) continue;
+        const handler = handlers[job.type];
+        try {
+          if (!handler) throw permanentError(`Unknown job type "${job.type}"`);
+          const result = await handler(job.payload, job);
+          results.set(job.id, result);
+          jobs.delete(job.id);
+          await remove(job.id);
+        } catch (err) {
+          if (err?.permanent) {
+            console.error(`Outbox job "${job.type}" dropped:`, err);
+            results.set(job.id, { error: err?.message || 'dropped' });
+            jobs.delete(job.id);
+            await remove(job.id);
+          } else {
+            const retry = { ...job, attempts: job.attempts + 1, nextAttemptAt: Date.now() + backoffDelay(job.attempts) };
+            jobs.set(job.id, retry);
+            await persist(retry);
+          }
+        }
+        emit();
+      }
+    } finally {
+      flushing = false;
+      schedule();
+    }
+  }
+
+  const ready = openStore().then(async (handle) => {
+    db = handle;
+    if (!db) return;
+    const stored = await tx(db, 'readonly', s => s.getAll()).catch(() => []);
+    (stored || []).forEach(job => jobs.set(job.id, { ...job, nextAttemptAt: Date.now() }));
+    emit();
+    flush();
+  });
+
+  if (networked && typeof window !== 'undefined') {
+    const setOnline = (online) => {
+      snapshot = { ...snapshot, online };
+      if (online) jobs.forEach((job, id) => jobs.set(id, { ...job, nextAttemptAt: Date.now() }));
+      emit();
+      if (online) flush();
+    };
+    window.addEventListener('online', () => setOnline(true));
+    window.addEventListener('offline', () => setOnline(false));
+  }
+
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+
+    enqueue: async ({ id, type, payload, dedupeKey }) => {
+      await ready;
+      const previous = dedupeKey && [...jobs.values()].find(j => j.dedupeKey === dedupeKey);
+      if (previous) {
+        jobs.delete(previous.id);
+        await remove(previous.id);
+      }
+      const job = { id: id || `${type}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, type, payload, dedupeKey: dedupeKey || null, attempts: 0, nextAttemptAt: Date.now(), createdAt: Date.now() };
+      jobs.set(job.id, job);
+      await persist(job);
+      emit();
+      flush();
+      return job.id;
+    },
+
+    flush
+  };
+};
+
+// 핸들러에서 재시도하지 않을 오류를 만들 때 사용합니다.
+export const permanentError = (message, cause) => Object.assign(new Error(message), { permanent: true, cause });
+
+// 네트워크가 끊기면 Firestore 쓰기 Promise 가 끝나지 않으므로 시간 제한을 둡니다.
+export const withTimeout = (promise, ms, label = 'timeout') => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(label)), ms))
+]);
@@ -0,0 +1,183 @@
+import { messageTime } from './analytics';
+import { DEFAULT_LANGUAGE, translator } from './i18n';
+
+/**
+ * [질문 유형]
+ * settings.prompts 에 질문 목록을, {wall}/settings/livePrompt 에 지금 받는 질문(id, 유형, 보기 id)을 둡니다.
+ * 목록은 다른 설정처럼 초안 → 게시로 고치고, 진행 중인 질문은 행사 중에 운영자가 바로 바꿉니다.
+ *
+ *   text      자유 글 (기존 방식). question 이 비어 있으면 관객 앱/월 설정의 질문을 씁니다.
+ *   single    하나 고르기          options: [{ id, label }]
+ *   multiple  여러 개 고르기       options: [{ id, label }]
+ *   scale     1~5 척도             low / high: 양 끝 이름
+ *   short     짧은 답 + 추천 칩    options 가 누르면 채워지는 칩이 됩니다.
+ *
+ * 응답 메시지에는 promptId, promptType 을, 고르기/척도는 answer(옵션 id 목록 또는 숫자)도 함께 저장합니다.
+ * text 에는 고른 항목 이름을 넣으므로 티켓, 목록, 내보내기는 그대로 동작합니다.
+ * text 는 방문자가 보내는 값이므로 고른 응답도 자유 글과 같이 모더레이션을 거칩니다.
+ * 응답 모양 검사는 firestore.rules 의 validAnswer 와 같아야 하고, 규칙은 answer 를 livePrompt 의 보기 id 와 대조합니다.
+ */
+export const PROMPT_TYPES = ['text', 'single', 'multiple', 'scale', 'short'];
+const CHOICE_TYPES = ['single', 'multiple'];
+
+export const SCALE = { min: 1, max: 5 };
+export const SCALE_VALUES = [...Array(SCALE.max - SCALE.min + 1).keys()].map(i => SCALE.min + i);
+export const MAX_PROMPTS = 12;
+export const MAX_OPTIONS = 8;
+export const MIN_CHOICES = 2;
+export const OPTION_MAX_LENGTH = 40;
+export const SHORT_MAX_LENGTH = 40;
+// 짧은 답 모아 보기에 보여 줄 답 수
+export const TOP_ANSWERS = 12;
+
+export const DEFAULT_PROMPT_ID = 'free';
+export const DEFAULT_PROMPTS = [{ id: DEFAULT_PROMPT_ID, type: 'text', question: '', options: [] }];
+
+export const isChoice = (type) => CHOICE_TYPES.includes(type);
+
+// 글을 직접 쓰지 않고 고르는 응답입니다. 보기 이름이 한 글자일 수 있어 최소 길이와 중복 검사를 건너뜁니다.
+export const isPicked = (type) => isChoice(type) || type === 'scale';
+
+// promptType 이 없는 예전 메시지는 자유 글입니다.
+export const promptTypeOf = (msg) => (PROMPT_TYPES.includes(msg?.promptType) ? msg.promptType : 'text');
+
+const promptIdOf = (msg) => msg?.promptId || DEFAULT_PROMPT_ID;
+
+// 월의 카드와 관객 앱의 최근 목록에는 자유 글만 띄웁니다. 나머지는 결과 화면에 모입니다.
+export const isFreeText = (msg) => promptTypeOf(msg) === 'text';
+
+export const validatePrompts = (prompts, t = translator(DEFAULT_LANGUAGE)) => {
+  if (!Array.isArray(prompts) || prompts.length === 0 || prompts.length > MAX_PROMPTS) return [t('prompts.error.count', { max: MAX_PROMPTS })];
+  const errors = [];
+  const ids = new Set();
+  prompts.forEach((prompt, i) => {
+    const index = i + 1;
+    if (!prompt?.id || ids.has(prompt.id)) errors.push(t('prompts.error.id', { index }));
+    ids.add(prompt?.id);
+    if (!PROMPT_TYPES.includes(prompt?.type)) {
+      errors.push(t('prompts.error.type', { index }));
+      return;
+    }
+    if (prompt.type !== 'text' && !String(prompt.question || '').trim()) errors.push(t('prompts.error.question', { index }));
+    const options = prompt.options ?? [];
+    if (!Array.isArray(options) || options.length > MAX_OPTIONS) {
+      errors.push(t('prompts.error.options', { index, min: isChoice(prompt.type) ? MIN_CHOICES : 0, max: MAX_OPTIONS }));
+      return;
+    }
+    if (isChoice(prompt.type) && options.length < MIN_CHOICES) errors.push(t('prompts.error.options', { index, min: MIN_CHOICES, max: MAX_OPTIONS }));
+    const optionIds = new Set(options.map(o => o?.id));
+    const labelsOk = options.every(o => o?.id && String(o.label || '').trim() && String(o.label).length <= OPTION_MAX_LENGTH);
+    if (!labelsOk || optionIds.size !== options.length) errors.push(t('prompts.error.option', { index, max: OPTION_MAX_LENGTH }));
+  });
+  return errors;
+};
+
+// 저장된 목록이 올바르지 않으면 자유 글 하나로 돌아갑니다.
+export const getPrompts = (settings) => {
+  const prompts = settings?.prompts;
+  if (!prompts || validatePrompts(prompts).length > 0) return DEFAULT_PROMPTS;
+  return prompts.map(p => ({
+    id: p.id,
+    type: p.type,
+    question: String(p.question || '').trim(),
+    options: (p.options || []).map(o => ({ id: o.id, label: String(o.label).trim() })),
+    ...(p.type === 'scale' && { low: String(p.low || '').trim(), high: String(p.high || '').trim() })
+  }));
+};
+
+// livePrompt 가 없거나 목록에서 지워진 질문을 가리키면 첫 번째 질문을 받습니다.
+export const getActivePrompt = (prompts, live) => prompts.find(p => p.id === live?.promptId) || prompts[0];
+
+// settings/livePrompt 에 적는 값입니다. 질문을 바꾸거나 목록을 게시할 때마다 다시 적어 보기 id 를 맞춥니다.
+export const livePromptFields = (prompt) => ({
+  promptId: prompt.id,
+  promptType: prompt.type,
+  optionIds: isChoice(prompt.type) ? prompt.options.map(o => o.id) : []
+});
+
+const nextId = (prefix, taken) => {
+  let n = taken.length + 1;
+  while (taken.includes(`${prefix}${n}`)) n += 1;
+  return `${prefix}${n}`;
+};
+
+export const newPrompt = (prompts, type = 'single') => ({
+  id: nextId('p', prompts.map(p => p.id)),
+  type,
+  question: '',
+  options: []
+});
+
+export const newOption = (options, label = '') => ({ id: nextId('o', options.map(o => o.id)), label });
+
+/**
+ * 입력값을 저장할 응답으로 바꿉니다. 올바르지 않으면 null 입니다.
+ * value: 자유 글/짧은 답은 문자열, 고르기는 옵션 id 배열, 척도는 숫자
+ */
+export const buildResponse = (prompt, value) => {
+  const fields = { promptId: prompt.id, promptType: prompt.type };
+  if (isChoice(prompt.type)) {
+    const picked = prompt.options.filter(o => (value || []).includes(o.id));
+    if (picked.length === 0 || (prompt.type === 'single' && picked.length !== 1)) return null;
+    return { ...fields, text: picked.map(o => o.label).join(', '), answer: picked.map(o => o.id) };
+  }
+  if (prompt.type === 'scale') {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < SCALE.min || n > SCALE.max) return null;
+    return { ...fields, text: `${n} / ${SCALE.max}`, answer: n };
+  }
+  const text = String(value || '').trim();
+  if (!text || (prompt.type === 'short' && text.length > SHORT_MAX_LENGTH)) return null;
+  return { ...fields, text };
+};
+
+// 한 방문자가 여러 번 답하면 마지막 답만 셉니다. 서버 시각이 아직 없는 답이 가장 최근입니다.
+export const latestPerVisitor = (responses) => {
+  const sorted = [...responses].sort((a, b) => (messageTime(b) ?? Infinity) - (messageTime(a) ?? Infinity));
+  const seen = new Set();
+  return sorted.filter(m => {
+    const key = m.userId || m.id;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const normalizeAnswer = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * 질문 하나의 결과를 집계합니다. messages 는 월에 보이는(승인된) 메시지입니다.
+ *   자유 글: { total }  방문자당 하나로 줄이지 않은 글 수
+ *   고르기: { total, options: [{ id, label, count, share }] }  share 는 응답자 대비 비율
+ *   척도:   { total, buckets: [{ value, count, share }], average }
+ *   짧은 답: { total, answers: [{ text, count }] }  많은 순으로 TOP_ANSWERS 개
+ */
+export const tallyResponses = (prompt, messages) => {
+  const answered = messages.filter(m => promptIdOf(m) === prompt.id && promptTypeOf(m) === prompt.type);
+  if (prompt.type === 'text') return { total: answered.length };
+  const responses = latestPerVisitor(answered);
+  const total = responses.length;
+  const share = (count) => (total > 0 ? count / total : 0);
+
+  if (isChoice(prompt.type)) {
+    const counts = new Map();
+    responses.forEach(m => (Array.isArray(m.answer) ? m.answer : []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1)));
+    return { total, options: prompt.options.map(o => ({ ...o, count: counts.get(o.id) || 0, share: share(counts.get(o.id) || 0) })) };
+  }
+  if (prompt.type === 'scale') {
+    const values = responses.map(m => Number(m.answer)).filter(n => Number.isInteger(n) && n >= SCALE.min && n <= SCALE.max);
+    const buckets = SCALE_VALUES.map(value => {
+      const count = values.filter(n => n === value).length;
+      return { value, count, share: share(count) };
+    });
+    return { total, buckets, average: values.length ? values.reduce((sum, n) => sum + n, 0) / values.length : null };
+  }
+  const groups = new Map();
+  responses.forEach(m => {
+    const key = normalizeAnswer(m.text);
+    if (!key) return;
+    const group = groups.get(key) || { text: String(m.text).trim(), count: 0 };
+    groups.set(key, { ...group, count: group.count + 1 });
+  });
+  return { total, answers: [...groups.values()].sort((a, b) => b.count - a.count || a.text.localeCompare(b.text)).slice(0, TOP_ANSWERS) };
+};
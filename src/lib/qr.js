@@ -0,0 +1,234 @@
+/**
+ * [QR 코드 생성]
+ * 외부 서비스나 라이브러리 없이 월과 티켓에서 직접 QR 을 그립니다.
+ * 바이트(UTF-8) 모드, 오류 정정 M 단계만 지원합니다. (URL 용으로 충분합니다.)
+ * 반환값: { size, dark(x, y) } — 가장자리 여백(quiet zone)은 그리는 쪽에서 둡니다.
+ */
+// 버전(1~40)별 블록당 오류 정정 코드어 수와 블록 수 (M 단계, ISO/IEC 18004 표 9)
+const ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const NUM_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const FORMAT_BITS_M = 0;
+
+const getBit = (x, i) => ((x >>> i) & 1) !== 0;
+
+const rawDataModules = (ver) => {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (ver) => Math.floor(rawDataModules(ver) / 8) - ECC_PER_BLOCK[ver] * NUM_BLOCKS[ver];
+
+// --- 리드-솔로몬 (GF(256), 다항식 0x11D) ---
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const rsDivisor = (degree) => {
+  const result = Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const rsRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+};
+
+// 데이터 코드어를 블록으로 나눠 오류 정정 코드어를 붙이고, 블록을 번갈아 섞습니다.
+const addEccAndInterleave = (data, ver) => {
+  const numBlocks = NUM_BLOCKS[ver];
+  const eccLen = ECC_PER_BLOCK[ver];
+  const raw = Math.floor(rawDataModules(ver) / 8);
+  const numShort = numBlocks - (raw % numBlocks);
+  const shortLen = Math.floor(raw / numBlocks);
+  const divisor = rsDivisor(eccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i += 1) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShort) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLen - eccLen || j >= numShort) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+const encodeData = (bytes, ver) => {
+  const bits = [];
+  const push = (value, len) => { for (let i = len - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1); };
+  push(0x4, 4);
+  push(bytes.length, ver <= 9 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  const capacity = dataCodewords(ver) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const result = [];
+  for (let i = 0; i < bits.length; i += 8) result.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  return result;
+};
+
+// --- 모듈 배치 ---
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+const buildMatrix = (ver, codewords, mask) => {
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  if (ver > 1) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < numAlign; pos -= step) positions.splice(1, 0, pos);
+    positions.forEach((ax, i) => positions.forEach((ay, j) => {
+      // 찾기 패턴과 겹치는 세 모서리는 건너뜁니다.
+      if ((i === 0 && j === 0) || (i === 0 && j === numAlign - 1) || (i === numAlign - 1 && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy += 1) for (let dx = -2; dx <= 2; dx += 1) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }));
+  }
+
+  const format = (FORMAT_BITS_M << 3) | mask;
+  let rem = format;
+  for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const formatBits = ((format << 10) | rem) ^ 0x5412;
+  for (let i = 0; i <= 5; i += 1) set(8, i, getBit(formatBits, i));
+  set(8, 7, getBit(formatBits, 6));
+  set(8, 8, getBit(formatBits, 7));
+  set(7, 8, getBit(formatBits, 8));
+  for (let i = 9; i < 15; i += 1) set(14 - i, 8, getBit(formatBits, i));
+  for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, getBit(formatBits, i));
+  for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, getBit(formatBits, i));
+  set(8, size - 8, true);
+
+  if (ver >= 7) {
+    let vrem = ver;
+    for (let i = 0; i < 12; i += 1) vrem = (vrem << 1) ^ ((vrem >>> 11) * 0x1f25);
+    const versionBits = (ver << 12) | vrem;
+    for (let i = 0; i < 18; i += 1) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(versionBits, i));
+      set(b, a, getBit(versionBits, i));
+    }
+  }
+
+  // 오른쪽 아래에서 시작해 두 열씩 지그재그로 채웁니다.
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (reserved[y][x]) continue;
+        if (bit < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+          bit += 1;
+        }
+        if (MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+  return modules;
+};
+
+// 표준의 네 가지 감점 규칙: 같은 색 연속, 2x2 블록, 찾기 패턴 닮은꼴, 어두운 모듈 비율
+const penalty = (modules) => {
+  const size = modules.length;
+  const lines = [...modules, ...modules.map((_, x) => modules.map(row => row[x]))];
+  let score = 0;
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i += 1) {
+      if (i < size && line[i] === line[i - 1]) run += 1;
+      else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    const text = line.map(d => (d ? '1' : '0')).join('');
+    for (let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)) {
+      const before = text.slice(Math.max(0, i - 4), i);
+      const after = text.slice(i + 7, i + 11);
+      if ((i < 4 || before === '0000') || (i + 11 > size || after === '0000')) score += 40;
+    }
+  });
+  for (let y = 0; y < size - 1; y += 1) {
+    for (let x = 0; x < size - 1; x += 1) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs((dark * 20) / (size * size) - 10)) * 10;
+  return score;
+};
+
+export const encodeQR = (text) => {
+  const bytes = [...new TextEncoder().encode(String(text))];
+  let ver = 1;
+  while (ver <= 40 && bytes.length + (ver <= 9 ? 2 : 3) > dataCodewords(ver)) ver += 1;
+  if (ver > 40) throw new Error('QR data too long');
+  const codewords = addEccAndInterleave(encodeData(bytes, ver), ver);
+  const candidates = MASKS.map((_, mask) => buildMatrix(ver, codewords, mask));
+  const scores = candidates.map(penalty);
+  const modules = candidates[scores.indexOf(Math.min(...scores))];
+  return { size: modules.length, dark: (x, y) => modules[y][x] };
+};
@@ -0,0 +1,49 @@
+/**
+ * [리액션]
+ * 메시지마다 관리자가 고른 몇 가지 이모지로 반응할 수 있습니다.
+ * - 메시지 문서: reactions: { [id]: count }, likes: 전체 반응 수 (회전 가중치/정렬용)
+ * - 방문자 문서: users/{uid}/user_likes/{messageId} = { messageId, wallId, types: [id, ...] }
+ * reactions/types 필드가 없는 예전 데이터는 모두 하트로 간주합니다.
+ * 목록을 바꿀 때는 firestore.rules 의 REACTION_IDS 도 함께 수정하세요.
+ */
+export const REACTION_CATALOG = {
+  heart: { emoji: '❤️', label: 'Love' },
+  spark: { emoji: '✨', label: 'Inspired' },
+  hug: { emoji: '🫂', label: 'Comfort' },
+  tear: { emoji: '🥲', label: 'Moved' },
+  laugh: { emoji: '😄', label: 'Laugh' },
+  fire: { emoji: '🔥', label: 'Fire' },
+  clap: { emoji: '👏', label: 'Applause' }
+};
+
+export const LEGACY_REACTION = 'heart';
+export const DEFAULT_REACTIONS = [LEGACY_REACTION];
+export const MAX_REACTIONS = 4;
+
+// 설정에 저장된 목록을 정리합니다. (알 수 없는 id 제거, 중복 제거, 최대 개수 제한)
+export const getReactions = (settings) => {
+  const ids = [...new Set((settings?.reactions || []).filter(id => REACTION_CATALOG[id]))].slice(0, MAX_REACTIONS);
+  return ids.length > 0 ? ids : DEFAULT_REACTIONS;
+};
+
+export const reactionCounts = (msg) => {
+  if (msg?.reactions && typeof msg.reactions === 'object') return msg.reactions;
+  return { [LEGACY_REACTION]: msg?.likes || 0 };
+};
+
+// 방문자 문서에 기록된 반응 종류
+export const reactionTypesOf = (likeDoc) => (Array.isArray(likeDoc?.types) ? likeDoc.types : [LEGACY_REACTION]);
+
+/**
+ * 반응 하나를 켜거나 끈 뒤의 메시지/방문자 문서 값을 계산합니다.
+ * 이미 원하는 상태면 null 을 돌려주므로 같은 작업을 여러 번 실행해도 결과가 같습니다.
+ */
+export const applyReaction = ({ message, types, reaction, on }) => {
+  if (types.includes(reaction) === on) return null;
+  const delta = on ? 1 : -1;
+  const counts = reactionCounts(message);
+  return {
+    message: { likes: (message.likes || 0) + delta, reactions: { ...counts, [reaction]: (counts[reaction] || 0) + delta } },
+    types: on ? [...types, reaction] : types.filter(t => t !== reaction)
+  };
+};
@@ -0,0 +1,30 @@
+/**
+ * [운영자 권한]
+ * 역할은 Firebase Auth 커스텀 클레임 `role` 로 부여됩니다. (scripts/set-operator-role.js)
+ * 같은 규칙이 firestore.rules 에도 정의되어 있으므로 한쪽만 고치지 마세요.
+ */
+export const ROLES = {
+  MODERATOR: 'moderator',
+  OWNER: 'owner'
+};
+
+const PERMISSIONS = {
+  [ROLES.MODERATOR]: ['moderate', 'delete', 'screens', 'prompts'],
+  [ROLES.OWNER]: ['moderate', 'delete', 'screens', 'prompts', 'settings', 'wipe', 'archive']
+};
+
+export const isOperator = (role) => Boolean(PERMISSIONS[role]);
+
+export const can = (role, action) => (PERMISSIONS[role] || []).includes(action);
+
+// 토큰을 강제로 새로 받아야 방금 부여된 클레임이 반영됩니다.
+export const readRole = async (user, forceRefresh = false) => {
+  if (!user || user.isAnonymous) return null;
+  try {
+    const { claims } = await user.getIdTokenResult(forceRefresh);
+    return isOperator(claims.role) ? claims.role : null;
+  } catch (e) {
+    console.error("Role lookup failed:", e);
+    return null;
+  }
+};
@@ -0,0 +1,98 @@
+import { slugify } from './walls';
+
+/**
+ * [월 원격 제어]
+ * 관리 화면이 {wall}/commands 에 명령 문서를 추가하면, 실행 중인 월(?view=display)이 구독해 적용합니다.
+ * 각 월은 {wall}/screens/{screenId} 에 주기적으로 상태(하트비트)를 남기고, 관리 화면의 Screens 탭이 이를 보여 줍니다.
+ * 화면 이름은 주소의 screen 파라미터(?view=display&screen=lobby)로 정하며, 없으면 기기마다 임의로 만듭니다.
+ */
+export const SCREEN_COMMANDS = ['pause', 'resume', 'clear', 'spotlight', 'confetti', 'announce', 'reload'];
+
+export const ALL_SCREENS = 'all';
+
+export const HEARTBEAT_INTERVAL = 20 * 1000;
+// 하트비트가 이 시간 안에 있었으면 온라인으로 봅니다.
+export const ONLINE_WINDOW = 60 * 1000;
+// 오프라인이던 월이 다시 연결될 때 오래된 명령(특히 reload)을 실행하지 않도록 합니다.
+export const COMMAND_TTL = 2 * 60 * 1000;
+
+export const SPOTLIGHT_SECONDS = 20;
+export const ANNOUNCE_SECONDS = { fallback: 30, max: 3600 };
+
+const SCREEN_KEY = 'unframe-screen';
+
+export const getScreen = () => {
+  const named = slugify(new URLSearchParams(window.location.search).get('screen'));
+  if (named) return { id: named, name: named };
+  let id = null;
+  try {
+    id = localStorage.getItem(SCREEN_KEY);
+    if (!id) {
+      id = `screen-${Math.random().toString(36).slice(2, 8)}`;
+      localStorage.setItem(SCREEN_KEY, id);
+    }
+  } catch (e) {
+    console.warn("Screen id storage unavailable:", e);
+    id = id || `screen-${Math.random().toString(36).slice(2, 8)}`;
+  }
+  return { id, name: id };
+};
+
+const millisOf = (value) => (value?.seconds ? value.seconds * 1000 : null);
+
+export const isOnline = (screen, now = Date.now()) => {
+  const seen = millisOf(screen.lastSeen);
+  return seen !== null && now - seen < ONLINE_WINDOW;
+};
+
+export const isForScreen = (command, screenId) => command.target === ALL_SCREENS || command.target === screenId;
+
+export const isStale = (command, now = Date.now()) => {
+  const at = millisOf(command.createdAt);
+  return at !== null && now - at > COMMAND_TTL;
+};
+
+// 월 화면에 남아 있는 원격 제어 상태. until 은 이 기기의 시계 기준(ms)입니다.
+export const INITIAL_CONTROL = { paused: false, clearedAt: null, spotlight: null, announcement: null };
+
+/**
+ * 명령 하나를 상태에 반영합니다. confetti, reload 처럼 상태가 없는 명령은 호출하는 쪽이 처리합니다.
+ * clear 는 지금까지의 흔적을 화면에서 내리고 이후 도착한 흔적만 보여 줍니다. (새로고침하면 되돌아옵니다.)
+ */
+export const applyCommand = (control, command, now = Date.now()) => {
+  const payload = command.payload || {};
+  switch (command.type) {
+    case 'pause': return { ...control, paused: true };
+    case 'resume': return { ...control, paused: false };
+    case 'clear': return { ...control, clearedAt: now, spotlight: null };
+    case 'spotlight':
+      return payload.messageId ? { ...control, spotlight: { messageId: payload.messageId, until: now + SPOTLIGHT_SECONDS * 1000 } } : { ...control, spotlight: null };
+    case 'announce': {
+      const text = String(payload.text || '').trim();
+      const seconds = Math.min(ANNOUNCE_SECONDS.max, Math.max(1, Number(payload.seconds) || ANNOUNCE_SECONDS.fallback));
+      return { ...control, announcement: text ? { text, until: now + seconds * 1000 } : null };
+    }
+    default: return control;
+  }
+};
+
+// 시간이 지난 스포트라이트와 공지를 내립니다. 바뀐 것이 없으면 같은 객체를 돌려줍니다.
+export const expireControl = (control, now = Date.now()) => {
+  const spotlight = control.spotlight && control.spotlight.until > now ? control.spotlight : null;
+  const announcement = control.announcement && control.announcement.until > now ? control.announcement : null;
+  return spotlight === control.spotlight && announcement === control.announcement ? control : { ...control, spotlight, announcement };
+};
+
+export const nextExpiry = (control) => {
+  const times = [control.spotlight?.until, control.announcement?.until].filter(Boolean);
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+// 가동 시간 표시용: 3d 2h, 2h 13m, 5m
+export const formatDuration = (ms) => {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
@@ -0,0 +1,132 @@
+import { DEFAULT_LIMITS, HARD_MAX_LENGTH } from './spam';
+import { DEFAULT_REACTIONS, MAX_REACTIONS, REACTION_CATALOG } from './reactions';
+import { DISPLAY_LAYOUTS, OVERLAY_POSITIONS } from './layouts';
+import { MAX_POOL_SIZE, ROTATION_POLICIES } from './displayEngine';
+import { DEFAULT_TICKET_TEMPLATE, TICKET_TEMPLATES } from './tickets';
+import { DEFAULT_LANGUAGE, LANGUAGES, translator } from './i18n';
+import { validatePalette } from './themes';
+import { DEFAULT_WITHDRAW_MINUTES, MAX_WITHDRAW_MINUTES } from './traces';
+import { DEFAULT_OUTPUT, OUTPUT_RANGES, isOutputUrl } from './moodOutput';
+import { DEFAULT_PROMPTS, validatePrompts } from './prompts';
+
+/**
+ * [전시 설정: 초안 → 게시]
+ * 관객과 월이 읽는 공개 설정은 settings/appSettings, 관리 화면에서 고치는 중인 초안은 settings/draft 에 둡니다.
+ * 게시할 때마다 {wall}/settingsVersions 에 설정 전체를 한 벌씩 남기므로 예전 버전으로 되돌릴 수 있습니다.
+ * 설정 문서가 없는 첫 실행에는 DEFAULT_SETTINGS 로 동작하고, 소유자가 접속하면 그 값을 저장합니다.
+ */
+export const DEFAULT_SETTINGS = {
+  display: {
+    question: '지금, 당신의 마음은 어떤 색인가요?',
+    subtitle: 'Leave your trace',
+    questionSize: '72px',
+    layout: 'float'
+  },
+  input: {
+    question: '지금, 당신의 마음은 어떤 색인가요?',
+    subtitle: '당신의 흔적을 남겨 주세요',
+    placeholder: '떠오르는 생각을 자유롭게 적어 주세요.',
+    buttonText: '흔적 남기기',
+    withdrawMinutes: DEFAULT_WITHDRAW_MINUTES,
+    accountLink: false
+  },
+  moderation: { enabled: false, blocklist: [] },
+  limits: { ...DEFAULT_LIMITS },
+  reactions: [...DEFAULT_REACTIONS],
+  languages: [DEFAULT_LANGUAGE],
+  ticket: { template: DEFAULT_TICKET_TEMPLATE },
+  output: { ...DEFAULT_OUTPUT },
+  prompts: DEFAULT_PROMPTS
+};
+
+// 관리 화면에 불러오는 최근 게시 버전 수
+export const SETTINGS_VERSION_LIMIT = 30;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// 예전에 손으로 만든 설정처럼 빠진 항목이 있으면 기본값으로 채웁니다. (섹션은 한 단계만 합칩니다.)
+export const withDefaults = (settings = {}) => Object.entries(DEFAULT_SETTINGS).reduce((acc, [key, fallback]) => {
+  if (acc[key] === undefined) return { ...acc, [key]: fallback };
+  if (isPlainObject(fallback) && isPlainObject(acc[key])) return { ...acc, [key]: { ...fallback, ...acc[key] } };
+  return acc;
+}, settings);
+
+// Firestore 가 돌려주는 키 순서와 편집 중인 객체의 키 순서가 달라도 같은 설정으로 봅니다.
+const stable = (value) => {
+  if (Array.isArray(value)) return value.map(stable);
+  if (isPlainObject(value)) return Object.fromEntries(Object.keys(value).sort().map(k => [k, stable(value[k])]));
+  return value;
+};
+
+export const isSameSettings = (a, b) => JSON.stringify(stable(a ?? null)) === JSON.stringify(stable(b ?? null));
+
+const LIMIT_KEYS = Object.keys(DEFAULT_LIMITS);
+// similarity 만 소수이고 나머지 제한(글자 수, 횟수, 분/초)은 정수여야 합니다. firestore.rules 의 duration.value 는 정수만 받습니다.
+const FRACTION_LIMIT_KEYS = ['similarity'];
+
+// 게시하기 전에 확인합니다. 오류 문구 목록을 돌려주며, 비어 있으면 게시할 수 있습니다.
+export const validateSettings = (settings, t = translator(DEFAULT_LANGUAGE)) => {
+  if (!isPlainObject(settings)) return [t('settings.error.notObject')];
+  const errors = [];
+  const option = (field, value, allowed) => {
+    if (value !== undefined && !allowed.includes(value)) errors.push(t('settings.error.option', { field }));
+  };
+
+  ['display', 'input'].forEach(section => {
+    if (!isPlainObject(settings[section])) errors.push(t('settings.error.section', { section }));
+  });
+  const display = isPlainObject(settings.display) ? settings.display : {};
+  const input = isPlainObject(settings.input) ? settings.input : {};
+  [['display.question', display.question], ['input.question', input.question], ['input.buttonText', input.buttonText]].forEach(([field, value]) => {
+    if (!String(value ?? '').trim()) errors.push(t('settings.error.required', { field }));
+  });
+
+  if (display.questionSize !== undefined && !/^\d{2,3}px$/.test(display.questionSize)) errors.push(t('settings.error.questionSize'));
+  if (input.withdrawMinutes !== undefined) {
+    const n = Number(input.withdrawMinutes);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_WITHDRAW_MINUTES) errors.push(t('settings.error.range', { field: 'input.withdrawMinutes', min: 0, max: MAX_WITHDRAW_MINUTES }));
+  }
+  if (display.poolSize !== undefined) {
+    const n = Number(display.poolSize);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_POOL_SIZE) errors.push(t('settings.error.range', { field: 'display.poolSize', min: 1, max: MAX_POOL_SIZE }));
+  }
+  if (isPlainObject(settings.output)) {
+    const output = settings.output;
+    Object.entries(OUTPUT_RANGES).forEach(([key, { min, max }]) => {
+      const n = Number(output[key]);
+      if (output[key] !== undefined && (!Number.isFinite(n) || n < min || n > max)) errors.push(t('settings.error.range', { field: `output.${key}`, min, max }));
+    });
+    if (output.enabled && !isOutputUrl(output.url)) errors.push(t('settings.error.outputUrl'));
+  }
+  option('display.layout', display.layout, Object.keys(DISPLAY_LAYOUTS));
+  option('display.rotation', display.rotation, Object.keys(ROTATION_POLICIES));
+  option('display.overlayPosition', display.overlayPosition, OVERLAY_POSITIONS);
+  option('ticket.template', settings.ticket?.template, Object.keys(TICKET_TEMPLATES));
+
+  if (settings.limits !== undefined) {
+    const limits = isPlainObject(settings.limits) ? settings.limits : {};
+    LIMIT_KEYS.forEach(key => {
+      const n = Number(limits[key]);
+      const valid = FRACTION_LIMIT_KEYS.includes(key) ? Number.isFinite(n) : Number.isInteger(n);
+      if (limits[key] !== undefined && (!valid || n < 0)) errors.push(t(FRACTION_LIMIT_KEYS.includes(key) ? 'settings.error.number' : 'settings.error.integer', { field: `limits.${key}` }));
+    });
+    const min = Number(limits.minLength ?? DEFAULT_LIMITS.minLength);
+    const max = Number(limits.maxLength ?? DEFAULT_LIMITS.maxLength);
+    if (max > HARD_MAX_LENGTH) errors.push(t('settings.error.range', { field: 'limits.maxLength', min: 1, max: HARD_MAX_LENGTH }));
+    if (min > max) errors.push(t('settings.error.limitsOrder'));
+  }
+
+  if (settings.reactions !== undefined) {
+    const ids = settings.reactions;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REACTIONS || !ids.every(id => REACTION_CATALOG[id])) errors.push(t('settings.error.reactions', { max: MAX_REACTIONS }));
+  }
+  if (settings.languages !== undefined) {
+    const langs = settings.languages;
+    if (!Array.isArray(langs) || langs.length === 0 || !langs.every(l => LANGUAGES[l])) errors.push(t('settings.error.languages'));
+  }
+  const blocklist = settings.moderation?.blocklist;
+  if (blocklist !== undefined && (!Array.isArray(blocklist) || !blocklist.every(w => typeof w === 'string'))) errors.push(t('settings.error.blocklist'));
+  if (settings.palette !== undefined) errors.push(...validatePalette(settings.palette, t));
+  if (settings.prompts !== undefined) errors.push(...validatePrompts(settings.prompts, t));
+  return errors;
+};
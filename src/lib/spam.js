@@ -0,0 +1,119 @@
+/**
+ * [도배 방지]
+ * 클라이언트 검사(길이, 시간당 제출 수, 유사 문장)는 여기서,
+ * 서버 검사(최소 제출 간격, 길이, 좋아요 1인 1회)는 firestore.rules 에서 합니다.
+ * 두 쪽 모두 settings.limits 를 읽으므로 기본값을 바꿀 때는 규칙도 함께 확인하세요.
+ */
+export const DEFAULT_LIMITS = {
+  minLength: 2,
+  maxLength: 150,
+  maxPerWindow: 3,          // windowMinutes 동안 한 방문자가 보낼 수 있는 메시지 수
+  windowMinutes: 10,
+  minIntervalSeconds: 15,   // 서버에서 강제하는 최소 간격
+  duplicateMinutes: 30,     // 이 시간 안의 비슷한 문장은 중복으로 봅니다
+  similarity: 0.85
+};
+
+export const HARD_MAX_LENGTH = 500;
+
+export const VIOLATION_TYPES = {
+  length: 'Length',
+  rate: 'Rate limit',
+  duplicate: 'Duplicate',
+  server: 'Rejected by server'
+};
+
+export const getLimits = (limits = {}) => {
+  const merged = { ...DEFAULT_LIMITS };
+  Object.keys(DEFAULT_LIMITS).forEach(k => {
+    const n = Number(limits[k]);
+    if (Number.isFinite(n) && n >= 0) merged[k] = n;
+  });
+  merged.maxLength = Math.min(HARD_MAX_LENGTH, Math.max(1, merged.maxLength));
+  merged.minLength = Math.min(merged.maxLength, merged.minLength);
+  return merged;
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+
+// 글자 2-gram 다이스 계수: 한글처럼 띄어쓰기가 일정하지 않은 문장에도 쓸 수 있습니다.
+export const similarity = (a, b) => {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const grams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const g = x.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const g = y.slice(i, i + 2);
+    const n = grams.get(g) || 0;
+    if (n > 0) {
+      overlap += 1;
+      grams.set(g, n - 1);
+    }
+  }
+  return (2 * overlap) / (x.length - 1 + y.length - 1);
+};
+
+// --- 이 기기의 제출 기록 (대기열에 있는 메시지까지 포함하기 위해 로컬에 보관) ---
+const HISTORY_KEY = 'unframe-submissions';
+
+export const readHistory = () => {
+  try {
+    return JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+  } catch {
+    return [];
+  }
+};
+
+export const recordSubmission = (text, now = Date.now()) => {
+  const keep = readHistory().filter(h => now - h.at < 24 * 3600 * 1000);
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify([...keep, { text, at: now }].slice(-50)));
+  } catch (e) {
+    console.warn("Submission history unavailable:", e);
+  }
+};
+
+const millisOf = (msg) => (msg.timestamp?.seconds ? msg.timestamp.seconds * 1000 : null);
+
+/**
+ * 제출 전 검사
+ * 반환값: { ok: true } 또는 { ok: false, reason: 'length' | 'rate' | 'duplicate', retryInSeconds? }
+ * 고르기 응답은 길이를, 고르기/짧은 답은 여러 사람이 같은 답을 내므로 중복을 검사하지 않습니다. (lib/prompts.js)
+ */
+export const checkSubmission = (text, { limits, uid, messages = [], history = readHistory(), now = Date.now(), checkLength = true, checkDuplicate = true }) => {
+  const l = getLimits(limits);
+  const length = String(text || '').trim().length;
+  if (checkLength && (length < l.minLength || length > l.maxLength)) return { ok: false, reason: 'length' };
+
+  const windowMs = l.windowMinutes * 60 * 1000;
+  const mine = [
+    ...history.map(h => h.at),
+    ...messages.filter(m => m.userId === uid).map(millisOf).filter(Boolean)
+  ].filter(at => now - at < windowMs);
+  // 대기열 기록과 서버 메시지가 같은 제출을 가리킬 수 있으므로 1초 단위로 합칩니다.
+  const recent = [...new Set(mine.map(at => Math.round(at / 1000)))].sort((a, b) => a - b);
+  if (recent.length >= l.maxPerWindow) {
+    return { ok: false, reason: 'rate', retryInSeconds: Math.max(1, Math.ceil((recent[recent.length - l.maxPerWindow] * 1000 + windowMs - now) / 1000)) };
+  }
+  const last = recent[recent.length - 1];
+  if (last && now - last * 1000 < l.minIntervalSeconds * 1000) {
+    return { ok: false, reason: 'rate', retryInSeconds: Math.ceil((last * 1000 + l.minIntervalSeconds * 1000 - now) / 1000) };
+  }
+
+  if (!checkDuplicate) return { ok: true };
+  const dupWindow = l.duplicateMinutes * 60 * 1000;
+  const candidates = [
+    ...history.filter(h => now - h.at < dupWindow).map(h => h.text),
+    ...messages.filter(m => { const at = millisOf(m); return !at || now - at < dupWindow; }).map(m => m.text)
+  ];
+  if (candidates.some(c => similarity(c, text) >= l.similarity)) return { ok: false, reason: 'duplicate' };
+
+  return { ok: true };
+};
@@ -0,0 +1,102 @@
+import { hashText } from './hash';
+import { DEFAULT_LANGUAGE, translator } from './i18n';
+
+/**
+ * [감정 팔레트]
+ * 분석기, 카드 색상 혼합, 관리자 통계가 모두 이 목록을 공유합니다.
+ * 전시마다 appSettings.palette 에 2~8 개의 감정 { key, label, color, description } 을 정의할 수 있고,
+ * 없으면 아래 기본 팔레트를 사용합니다.
+ * 팔레트가 바뀌기 전에 다른 키로 분석된 메시지도 그 키의 색(기본 팔레트 또는 해시 색)으로 그려집니다.
+ */
+export const BASE_THEMES = {
+  POSITIVE: { r: 0, g: 74, b: 173, label: 'Joy', color: '#004aad', description: 'Happiness, gratitude, love, warmth' },
+  CALM: { r: 45, g: 212, b: 191, label: 'Calm', color: '#2dd4bf', description: 'Peace, rest, quiet, relief' },
+  ENERGETIC: { r: 245, g: 158, b: 11, label: 'Power', color: '#f59e0b', description: 'Excitement, passion, drive, thrill' },
+  DEEP: { r: 139, g: 92, b: 246, label: 'Deep', color: '#8b5cf6', description: 'Reflection, longing, sadness, memory' }
+};
+
+export const THEME_KEYS = Object.keys(BASE_THEMES);
+
+export const MIN_THEMES = 2;
+export const MAX_THEMES = 8;
+
+export const hexToRgb = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return { r: (n >> 16) & 0xff, g: (n >> 8) & 0xff, b: n & 0xff };
+};
+
+const withRgb = (entry) => ({ ...entry, ...hexToRgb(entry.color) });
+
+export const DEFAULT_PALETTE = THEME_KEYS.map(key => {
+  const { label, color, description } = BASE_THEMES[key];
+  return withRgb({ key, label, color, description });
+});
+
+export const normalizeThemeKey = (value) => String(value || '').trim().toUpperCase().replace(/[^A-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 20);
+
+/**
+ * 팔레트 검사
+ * 반환값: 오류 문자열 목록 (비어 있으면 저장 가능). t 는 관리자 화면 언어의 번역 함수입니다. (lib/i18n.js)
+ */
+export const validatePalette = (palette, t = translator(DEFAULT_LANGUAGE)) => {
+  if (!Array.isArray(palette)) return [t('palette.error.notList')];
+  const errors = [];
+  if (palette.length < MIN_THEMES || palette.length > MAX_THEMES) errors.push(t('palette.error.count', { min: MIN_THEMES, max: MAX_THEMES }));
+  const seen = new Set();
+  palette.forEach((theme, i) => {
+    const key = theme?.key;
+    const index = i + 1;
+    if (!key || key !== normalizeThemeKey(key)) errors.push(t('palette.error.key', { index }));
+    else if (seen.has(key)) errors.push(t('palette.error.duplicate', { index, key }));
+    seen.add(key);
+    if (!String(theme?.label || '').trim()) errors.push(t('palette.error.label', { index }));
+    if (!hexToRgb(theme?.color)) errors.push(t('palette.error.color', { index }));
+  });
+  return errors;
+};
+
+// 설정에 저장된 팔레트가 올바르지 않으면 기본 팔레트로 돌아갑니다.
+export const getPalette = (settings) => {
+  const palette = settings?.palette;
+  if (!palette || validatePalette(palette).length > 0) return DEFAULT_PALETTE;
+  return palette.map(t => withRgb({ key: t.key, label: String(t.label).trim(), color: t.color, description: String(t.description || '').trim() }));
+};
+
+export const paletteKeys = (palette = DEFAULT_PALETTE) => palette.map(t => t.key);
+
+// 현재 팔레트에 없는 키(예전 메시지)는 기본 팔레트, 그것도 없으면 키 해시로 색을 정합니다.
+export const themeFor = (key, palette = DEFAULT_PALETTE) => {
+  const found = palette.find(t => t.key === key);
+  if (found) return found;
+  if (BASE_THEMES[key]) return { key, ...BASE_THEMES[key] };
+  const h = hashText(String(key));
+  const rgb = { r: 70 + (h & 0x7f), g: 70 + ((h >>> 8) & 0x7f), b: 70 + ((h >>> 16) & 0x7f) };
+  const color = `#${[rgb.r, rgb.g, rgb.b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+  return { key, label: String(key), color, description: '', ...rgb };
+};
+
+// 점수 비율대로 테마 색을 섞은 rgb() 문자열 (점수가 없으면 팔레트 평균색)
+export const mixColor = (scores, palette = DEFAULT_PALETTE) => {
+  const s = scores || Object.fromEntries(palette.map(t => [t.key, 1]));
+  const keys = Object.keys(s);
+  const total = keys.reduce((sum, k) => sum + (Number(s[k]) || 0), 0) || 1;
+  const channel = (c) => Math.round(keys.reduce((sum, k) => sum + (Number(s[k]) || 0) * themeFor(k, palette)[c], 0) / total);
+  return `rgb(${channel('r')}, ${channel('g')}, ${channel('b')})`;
+};
+
+// 메시지 점수에 들어 있는 키 중 가장 높은 것 (현재 팔레트에 없는 키일 수도 있습니다)
+export const dominantTheme = (scores) => {
+  if (!scores) return null;
+  const keys = Object.keys(scores);
+  if (keys.length === 0) return null;
+  return keys.reduce((best, k) => ((scores[k] || 0) > (scores[best] || 0) ? k : best), keys[0]);
+};
+
+// 메시지 목록의 테마별 평균 점수 (점수가 없는 메시지는 제외)
+export const averageScores = (messages, keys = THEME_KEYS) => {
+  const scored = messages.filter(m => m.scores);
+  if (scored.length === 0) return keys.reduce((acc, k) => ({ ...acc, [k]: 100 / keys.length }), {});
+  return keys.reduce((acc, k) => ({ ...acc, [k]: scored.reduce((sum, m) => sum + (m.scores[k] || 0), 0) / scored.length }), {});
+};
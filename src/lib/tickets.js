@@ -0,0 +1,26 @@
+import { wallUrl } from './walls';
+
+/**
+ * [아우라 티켓]
+ * 제출 직후 팝업과 ?view=ticket&id=... 공유 페이지가 같은 템플릿을 사용합니다.
+ * 관리자가 settings.ticket.template 으로 고르며, 이미지는 html-to-image 로 캡처합니다.
+ * aspect: 캡처 이미지의 가로:세로 비율 (null 이면 내용 높이)
+ */
+export const TICKET_TEMPLATES = {
+  classic: { aspect: null },
+  minimal: { aspect: null },
+  poster: { aspect: '4 / 5' },
+  story: { aspect: '9 / 16' }
+};
+
+export const DEFAULT_TICKET_TEMPLATE = 'classic';
+
+export const getTicketTemplate = (settings) => {
+  const id = settings?.ticket?.template;
+  return TICKET_TEMPLATES[id] ? id : DEFAULT_TICKET_TEMPLATE;
+};
+
+// QR 코드와 공유에 쓰는 고정 주소
+export const ticketUrl = (wallId, id) => wallUrl(wallId, { view: 'ticket', id });
+
+export const ticketFileName = (id) => `Unframe-Ticket-${String(id).slice(0, 5).toUpperCase()}.png`;
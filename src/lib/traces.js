@@ -0,0 +1,36 @@
+import { messageTime } from './analytics';
+import { isDeleted } from './moderation';
+
+/**
+ * [내 흔적 (?view=mine)]
+ * 익명 uid 가 곧 방문자이므로, 메시지의 userId 로 이 기기에서 남긴 흔적을 모아 보여 줍니다.
+ * 남긴 뒤 settings.input.withdrawMinutes 분 안에는 본인이 거둘(삭제) 수 있고, 0 이면 거두기를 끕니다.
+ * settings.input.accountLink 를 켜면 익명 계정에 이메일을 연결해 다른 기기에서도 이어 볼 수 있습니다.
+ * 거두기 기본값은 firestore.rules 의 canWithdraw 와 같아야 합니다.
+ */
+export const DEFAULT_WITHDRAW_MINUTES = 10;
+export const MAX_WITHDRAW_MINUTES = 24 * 60;
+
+// 이메일 연결 비밀번호 최소 길이 (Firebase Auth 와 같습니다)
+export const MIN_PASSWORD_LENGTH = 6;
+
+export const getWithdrawMinutes = (settings) => {
+  const n = Number(settings?.input?.withdrawMinutes ?? DEFAULT_WITHDRAW_MINUTES);
+  return Number.isInteger(n) && n >= 0 ? Math.min(n, MAX_WITHDRAW_MINUTES) : DEFAULT_WITHDRAW_MINUTES;
+};
+
+// 관리자가 휴지통으로 옮긴 메시지는 목록에서 뺍니다. 최신순입니다.
+export const myTraces = (messages, uid) => (uid
+  ? messages.filter(m => m.userId === uid && !isDeleted(m)).sort((a, b) => (messageTime(b) ?? Infinity) - (messageTime(a) ?? Infinity))
+  : []);
+
+// 서버 시각이 아직 없는(전송 중인) 메시지는 거둘 수 없습니다.
+export const withdrawDeadline = (msg, minutes) => {
+  const at = messageTime(msg);
+  return at !== null && minutes > 0 ? at + minutes * 60 * 1000 : null;
+};
+
+export const canWithdraw = (msg, minutes, now = Date.now()) => {
+  const deadline = withdrawDeadline(msg, minutes);
+  return deadline !== null && now < deadline;
+};
@@ -0,0 +1,83 @@
+/**
+ * [전시(월) 단위 데이터 경로]
+ * 기본 월('main')은 기존 데이터와의 호환을 위해 예전 경로를 그대로 사용하고,
+ * 새 전시는 artifacts/{appId}/walls/{slug}/ 아래에 설정과 메시지를 따로 가집니다.
+ * 전시 목록(제목, 기간, 보관 여부)은 public/data/exhibitions/{slug} 에 있습니다.
+ */
+export const DEFAULT_WALL = 'main';
+
+export const EXHIBITION_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+export const slugify = (value) =>
+  String(value || '').toLowerCase().trim().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+export const getWallFromUrl = () => slugify(new URLSearchParams(window.location.search).get('wall')) || DEFAULT_WALL;
+
+// 새로고침 없이 주소창만 바꿔 현재 월/화면을 북마크할 수 있게 합니다.
+export const updateUrl = (changes) => {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(changes).forEach(([k, v]) => {
+    if (v === null || v === undefined || (k === 'wall' && v === DEFAULT_WALL)) params.delete(k);
+    else params.set(k, v);
+  });
+  const qs = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${qs ? `?${qs}` : ''}`);
+};
+
+// 다른 기기에서 열 고정 주소 (QR 코드, 공유 링크). 기본 월은 wall 파라미터를 생략합니다.
+export const wallUrl = (wallId, params = {}, base = `${window.location.origin}${window.location.pathname}`) => {
+  const query = new URLSearchParams(wallId === DEFAULT_WALL ? {} : { wall: wallId });
+  Object.entries(params).forEach(([k, v]) => query.set(k, v));
+  const qs = query.toString();
+  return qs ? `${base}?${qs}` : base;
+};
+
+export const wallPaths = (appId, wallId) => {
+  const base = wallId === DEFAULT_WALL ? ['artifacts', appId, 'public', 'data'] : ['artifacts', appId, 'walls', wallId];
+  return {
+    wallId,
+    settings: [...base, 'settings', 'appSettings'],
+    // 게시 전 초안과 게시 이력 (lib/settings.js)
+    draft: [...base, 'settings', 'draft'],
+    // 진행 중인 질문 (lib/prompts.js)
+    livePrompt: [...base, 'settings', 'livePrompt'],
+    settingsVersions: [...base, 'settingsVersions'],
+    messages: [...base, 'messages'],
+    violations: [...base, 'stats', 'violations'],
+    // 원격 제어 (lib/screens.js)
+    screens: [...base, 'screens'],
+    commands: [...base, 'commands'],
+    // 감사 기록과 "전체 비우기" 스냅샷 (lib/audit.js)
+    audit: [...base, 'audit'],
+    snapshots: [...base, 'snapshots']
+  };
+};
+
+export const exhibitionsPath = (appId) => ['artifacts', appId, 'public', 'data', 'exhibitions'];
+
+// 서버 측 최소 제출 간격 검사용 문서 (firestore.rules 참고)
+export const rateLimitPath = (appId, uid, wallId) => ['artifacts', appId, 'users', uid, 'rate_limits', wallId];
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+};
+
+/**
+ * 관객 입력을 받을 수 있는지 판단합니다.
+ * 반환값: 'open' | 'archived' | 'upcoming' | 'ended'
+ */
+export const getExhibitionPhase = (exhibition, now = Date.now()) => {
+  if (!exhibition) return 'open';
+  if (exhibition.status === EXHIBITION_STATUS.ARCHIVED) return 'archived';
+  const start = toMillis(exhibition.startsAt);
+  const end = toMillis(exhibition.endsAt);
+  if (start && now < start) return 'upcoming';
+  if (end && now > end) return 'ended';
+  return 'open';
+};
@@ -0,0 +1,414 @@
+/**
+ * [보안 규칙 테스트]
+ * 사용법: npm test  (firebase emulators:exec 가 Firestore 에뮬레이터를 띄운 뒤 이 파일을 node --test 로 돌립니다.)
+ *
+ * firestore.rules 를 그대로 읽어 기본 월('main', public/data 경로)에서 확인합니다.
+ * 규칙을 고치면 여기에 허용/거부 사례를 함께 추가하세요.
+ */
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collectionGroup, deleteDoc, doc, getDoc, getDocs, serverTimestamp, setDoc, Timestamp, updateDoc, writeBatch } from 'firebase/firestore';
+
+const APP = 'unframe-interactive-wall';
+const WALL = `artifacts/${APP}/public/data`;
+const VISITOR = 'visitor-1';
+const OTHER = 'visitor-2';
+
+const wallBase = (wallId) => (wallId === 'main' ? WALL : `artifacts/${APP}/walls/${wallId}`);
+const messagePath = (id, wallId = 'main') => `${wallBase(wallId)}/messages/${id}`;
+const ratePath = (uid, wallId = 'main') => `artifacts/${APP}/users/${uid}/rate_limits/${wallId}`;
+const likePath = (uid, id) => `artifacts/${APP}/users/${uid}/user_likes/${id}`;
+
+let env;
+
+const visitor = (uid = VISITOR) => env.authenticatedContext(uid).firestore();
+const moderator = () => env.authenticatedContext('mod-1', { role: 'moderator' }).firestore();
+const owner = () => env.authenticatedContext('owner-1', { role: 'owner' }).firestore();
+
+// 규칙을 끈 상태로 미리 문서를 넣습니다. docs: { 경로: 데이터 }
+const seed = (docs) => env.withSecurityRulesDisabled(async (ctx) => {
+  const db = ctx.firestore();
+  await Promise.all(Object.entries(docs).map(([path, value]) => setDoc(doc(db, path), value)));
+});
+
+const minutesAgo = (n) => Timestamp.fromMillis(Date.now() - n * 60 * 1000);
+const storedMessage = (fields = {}) => ({ text: '오늘 전시 좋았어요', userId: VISITOR, likes: 0, status: 'approved', timestamp: minutesAgo(1), ...fields });
+const newMessage = (fields = {}) => ({ text: '오늘 전시 좋았어요', userId: VISITOR, likes: 0, status: 'approved', timestamp: serverTimestamp(), ...fields });
+
+// 앱과 같은 모양의 방문자 제출: 메시지와 rate_limits 를 한 배치로 씁니다.
+const submit = (db, id, fields = {}, { withRate = true, wallId = 'main' } = {}) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, messagePath(id, wallId)), newMessage(fields));
+  if (withRate) batch.set(doc(db, ratePath(VISITOR, wallId)), { lastSubmitAt: serverTimestamp() });
+  return batch.commit();
+};
+
+// 메시지 카운터와 내 반응 문서를 함께 바꿉니다. (App.jsx 의 sendReaction)
+const react = (db, uid, id, { likes, reactions, types }) => {
+  const batch = writeBatch(db);
+  batch.update(doc(db, messagePath(id)), { likes, reactions });
+  if (types) batch.set(doc(db, likePath(uid, id)), { messageId: id, wallId: 'main', types, timestamp: serverTimestamp() });
+  return batch.commit();
+};
+
+// 최상위 훅은 describe 마다 다시 돌기 때문에 하나로 묶어 에뮬레이터 연결을 한 번만 만듭니다.
+describe('firestore.rules', () => {
+  before(async () => {
+    env = await initializeTestEnvironment({
+      projectId: 'demo-unframe',
+      firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+    });
+  });
+
+  beforeEach(() => env.clearFirestore());
+
+  after(() => env?.cleanup());
+
+  describe('방문자 제출', () => {
+    test('rate_limits 를 함께 쓰면 만들 수 있다', async () => {
+      await assertSucceeds(submit(visitor(), 'm1'));
+    });
+
+    test('rate_limits 없이는 만들 수 없다', async () => {
+      await assertFails(submit(visitor(), 'm1', {}, { withRate: false }));
+    });
+
+    test('다른 사람 uid 나 좋아요가 있는 메시지는 만들 수 없다', async () => {
+      await assertFails(submit(visitor(), 'm1', { userId: OTHER }));
+      await assertFails(submit(visitor(), 'm2', { likes: 5 }));
+    });
+
+    test('추천이나 검토/삭제 표시를 달아 만들 수 없다', async () => {
+      const later = Timestamp.fromMillis(Date.now() + 24 * 60 * 60 * 1000);
+      await assertFails(submit(visitor(), 'm1', { featured: true, featuredUntil: later }));
+      await assertFails(submit(visitor(), 'm2', { reviewedAt: minutesAgo(1) }));
+      await assertFails(submit(visitor(), 'm3', { deletedAt: minutesAgo(1) }));
+      await assertSucceeds(submit(visitor(), 'm4', { promptId: 'free', promptType: 'text', scores: { joy: 1 }, analyzer: 'lexicon', moderation: { auto: true, matches: [] } }));
+    });
+
+    test('반응 수를 미리 채운 메시지는 만들 수 없다', async () => {
+      await assertFails(submit(visitor(), 'm1', { reactions: { heart: 50 } }));
+      await assertSucceeds(submit(visitor(), 'm2', { reactions: {} }));
+    });
+
+    test('로그인하지 않았거나 너무 긴 글은 거부된다', async () => {
+      await assertFails(submit(env.unauthenticatedContext().firestore(), 'm1'));
+      await assertFails(submit(visitor(), 'm2', { text: '가'.repeat(151) }));
+    });
+
+    test('설정된 글자 수 범위를 벗어나면 거부된다', async () => {
+      await seed({ [`${WALL}/settings/appSettings`]: { limits: { minLength: 5, maxLength: 20 } } });
+      await assertFails(submit(visitor(), 'm1', { text: '짧음' }));
+      await assertFails(submit(visitor(), 'm2', { text: '가'.repeat(21) }));
+      await assertSucceeds(submit(visitor(), 'm3', { text: '다섯 글자 이상' }));
+    });
+
+    test('최소 간격 안의 두 번째 제출은 거부된다', async () => {
+      await seed({ [ratePath(VISITOR)]: { lastSubmitAt: Timestamp.now() } });
+      await assertFails(submit(visitor(), 'm1'));
+    });
+
+    test('간격이 지나면 다시 제출할 수 있다', async () => {
+      await seed({ [ratePath(VISITOR)]: { lastSubmitAt: minutesAgo(5) } });
+      await assertSucceeds(submit(visitor(), 'm1'));
+    });
+
+    test('minIntervalSeconds 가 정수가 아니면 기본 간격을 쓴다', async () => {
+      await seed({
+        [`${WALL}/settings/appSettings`]: { limits: { minIntervalSeconds: 1.5 } },
+        [ratePath(VISITOR)]: { lastSubmitAt: minutesAgo(5) }
+      });
+      await assertSucceeds(submit(visitor(), 'm1'));
+    });
+
+    test('rate_limits 는 서버 시각으로만 남길 수 있다', async () => {
+      await assertFails(setDoc(doc(visitor(), ratePath(VISITOR)), { lastSubmitAt: minutesAgo(60) }));
+      await assertFails(setDoc(doc(visitor(), ratePath(OTHER)), { lastSubmitAt: serverTimestamp() }));
+    });
+
+    test('모더레이션 모드에서는 pending 으로만 올릴 수 있다', async () => {
+      await seed({ [`${WALL}/settings/appSettings`]: { moderation: { enabled: true } } });
+      await assertFails(submit(visitor(), 'm1'));
+      await assertSucceeds(submit(visitor(), 'm2', { status: 'pending' }));
+    });
+  });
+
+  describe('질문 유형별 응답', () => {
+    const livePrompt = (fields) => seed({ [`${WALL}/settings/livePrompt`]: { by: 'mod-1', changedAt: minutesAgo(1), ...fields } });
+    const choice = (answer, fields = {}) => ({ text: '예', promptId: 'p2', promptType: 'single', answer, ...fields });
+
+    test('척도 응답은 1~5 정수만 받는다', async () => {
+      await livePrompt({ promptId: 'p1', promptType: 'scale', optionIds: [] });
+      await assertFails(submit(visitor(), 'm1', { text: '9 / 5', promptId: 'p1', promptType: 'scale', answer: 9 }));
+      await assertSucceeds(submit(visitor(), 'm2', { text: '4 / 5', promptId: 'p1', promptType: 'scale', answer: 4 }));
+    });
+
+    test('고르기 응답은 진행 중인 질문의 보기 id 로만 낼 수 있다', async () => {
+      await livePrompt({ promptId: 'p2', promptType: 'single', optionIds: ['o1', 'o2'] });
+      await assertFails(submit(visitor(), 'm1', choice(['o9'])));
+      await assertFails(submit(visitor(), 'm2', choice(['o1'], { promptId: 'p3' })));
+      await assertFails(submit(visitor(), 'm3', choice(['o1'], { promptType: 'multiple' })));
+      await assertSucceeds(submit(visitor(), 'm4', choice(['o1'])));
+    });
+
+    test('진행 중인 질문이 없으면 고른 응답을 받지 않는다', async () => {
+      await assertFails(submit(visitor(), 'm1', choice(['o1'])));
+    });
+
+    test('모더레이션 모드에서는 고른 응답도 pending 으로만 올릴 수 있다', async () => {
+      await seed({ [`${WALL}/settings/appSettings`]: { moderation: { enabled: true } } });
+      await livePrompt({ promptId: 'p2', promptType: 'single', optionIds: ['o1', 'o2'] });
+      await assertFails(submit(visitor(), 'm1', choice(['o1'], { text: '보기에 없는 아무 글' })));
+      await assertSucceeds(submit(visitor(), 'm2', choice(['o1'], { status: 'pending' })));
+    });
+
+    test('자유 글에는 answer 를 붙일 수 없다', async () => {
+      await assertFails(submit(visitor(), 'm1', { promptType: 'text', answer: ['a'] }));
+    });
+
+    test('단답은 40 자까지다', async () => {
+      await assertFails(submit(visitor(), 'm1', { text: '가'.repeat(41), promptType: 'short' }));
+      await assertSucceeds(submit(visitor(), 'm2', { text: '가'.repeat(40), promptType: 'short' }));
+    });
+  });
+
+  describe('메시지 상태와 추천', () => {
+    beforeEach(() => seed({ [messagePath('m1')]: storedMessage({ status: 'pending' }) }));
+
+    test('운영자가 아니면 상태나 추천을 바꿀 수 없다', async () => {
+      await assertFails(updateDoc(doc(visitor(), messagePath('m1')), { status: 'approved' }));
+      await assertFails(updateDoc(doc(visitor(OTHER), messagePath('m1')), { featured: true }));
+      await assertFails(updateDoc(doc(env.unauthenticatedContext().firestore(), messagePath('m1')), { status: 'approved' }));
+    });
+
+    test('모더레이터는 상태와 추천을 바꿀 수 있다', async () => {
+      await assertSucceeds(updateDoc(doc(moderator(), messagePath('m1')), { status: 'approved', reviewedAt: serverTimestamp() }));
+      await assertSucceeds(updateDoc(doc(moderator(), messagePath('m1')), { featured: true, featuredUntil: null }));
+    });
+  });
+
+  describe('반응 카운터', () => {
+    beforeEach(() => seed({ [messagePath('m1')]: storedMessage() }));
+
+    test('반응 문서와 함께 1 씩 움직일 수 있다', async () => {
+      await assertSucceeds(react(visitor(OTHER), OTHER, 'm1', { likes: 1, reactions: { heart: 1 }, types: ['heart'] }));
+      await assertSucceeds(react(visitor(OTHER), OTHER, 'm1', { likes: 2, reactions: { heart: 1, spark: 1 }, types: ['heart', 'spark'] }));
+    });
+
+    test('반응 문서 없이 카운터만 올릴 수 없다', async () => {
+      await assertFails(react(visitor(OTHER), OTHER, 'm1', { likes: 1, reactions: { heart: 1 } }));
+    });
+
+    test('한 번에 2 이상 올리거나 모르는 종류는 거부된다', async () => {
+      await assertFails(react(visitor(OTHER), OTHER, 'm1', { likes: 2, reactions: { heart: 2 }, types: ['heart'] }));
+      await assertFails(react(visitor(OTHER), OTHER, 'm1', { likes: 1, reactions: { boo: 1 }, types: ['boo'] }));
+    });
+
+    test('카운터 없이 반응 문서만 만들 수 없다', async () => {
+      const db = visitor(OTHER);
+      await assertFails(setDoc(doc(db, likePath(OTHER, 'm1')), { messageId: 'm1', wallId: 'main', types: ['heart'], timestamp: serverTimestamp() }));
+    });
+
+    test('반응을 끄면 카운터와 문서가 함께 내려간다', async () => {
+      await seed({
+        [messagePath('m1')]: storedMessage({ likes: 1, reactions: { heart: 1 } }),
+        [likePath(OTHER, 'm1')]: { messageId: 'm1', wallId: 'main', types: ['heart'] }
+      });
+      const db = visitor(OTHER);
+      const batch = writeBatch(db);
+      batch.update(doc(db, messagePath('m1')), { likes: 0, reactions: { heart: 0 } });
+      batch.delete(doc(db, likePath(OTHER, 'm1')));
+      await assertSucceeds(batch.commit());
+    });
+  });
+
+  describe('거두기', () => {
+    beforeEach(() => seed({ [messagePath('m1')]: storedMessage() }));
+
+    test('제출 시각을 미래로 적어 거둘 시간을 늘릴 수 없다', async () => {
+      const later = Timestamp.fromMillis(Date.now() + 24 * 60 * 60 * 1000);
+      await assertFails(submit(visitor(), 'm2', { timestamp: later }));
+      await assertFails(submit(visitor(), 'm3', { timestamp: minutesAgo(1) }));
+    });
+
+    test('방문자는 정해진 시간 안에 자기 메시지를 거둘 수 있다', async () => {
+      await assertSucceeds(deleteDoc(doc(visitor(), messagePath('m1'))));
+    });
+
+    test('다른 방문자의 메시지는 거둘 수 없다', async () => {
+      await assertFails(deleteDoc(doc(visitor(OTHER), messagePath('m1'))));
+    });
+
+    test('거둘 시간이 지나면 지울 수 없다', async () => {
+      await seed({ [messagePath('m1')]: storedMessage({ timestamp: minutesAgo(60) }) });
+      await assertFails(deleteDoc(doc(visitor(), messagePath('m1'))));
+    });
+
+    test('withdrawMinutes 가 0 이면 거두기가 꺼진다', async () => {
+      await seed({ [`${WALL}/settings/appSettings`]: { input: { withdrawMinutes: 0 } } });
+      await assertFails(deleteDoc(doc(visitor(), messagePath('m1'))));
+    });
+  });
+
+  describe('반응 기록 정리', () => {
+    beforeEach(() => seed({
+      [messagePath('m1')]: storedMessage({ likes: 2, reactions: { heart: 2 } }),
+      [likePath(VISITOR, 'm1')]: { messageId: 'm1', wallId: 'main', types: ['heart'] },
+      [likePath(OTHER, 'm1')]: { messageId: 'm1', wallId: 'main', types: ['heart'] }
+    }));
+
+    test('방문자는 자기 메시지를 거두며 자기 반응 기록만 지울 수 있다', async () => {
+      const db = visitor();
+      const batch = writeBatch(db);
+      batch.delete(doc(db, messagePath('m1')));
+      batch.delete(doc(db, likePath(VISITOR, 'm1')));
+      await assertSucceeds(batch.commit());
+      await assertFails(deleteDoc(doc(visitor(), likePath(OTHER, 'm1'))));
+    });
+
+    test('모더레이터는 영구 삭제하며 방문자들의 반응 기록을 지울 수 있다', async () => {
+      const db = moderator();
+      const batch = writeBatch(db);
+      batch.delete(doc(db, messagePath('m1')));
+      batch.delete(doc(db, likePath(VISITOR, 'm1')));
+      batch.delete(doc(db, likePath(OTHER, 'm1')));
+      await assertSucceeds(batch.commit());
+    });
+
+    test('메시지가 남아 있으면 반응 기록만 지울 수 없다', async () => {
+      await assertFails(deleteDoc(doc(moderator(), likePath(OTHER, 'm1'))));
+    });
+  });
+
+  describe('위반 카운터', () => {
+    const violations = `${WALL}/stats/violations`;
+
+    test('한 항목만 1 씩 올릴 수 있다', async () => {
+      await assertSucceeds(setDoc(doc(visitor(), violations), { rate: 1 }));
+      await assertSucceeds(updateDoc(doc(visitor(), violations), { rate: 2 }));
+      await assertFails(updateDoc(doc(visitor(), violations), { rate: 4 }));
+      await assertFails(updateDoc(doc(visitor(), violations), { length: 1, duplicate: 1 }));
+    });
+
+    test('운영자만 읽는다', async () => {
+      await assertSucceeds(getDoc(doc(moderator(), violations)));
+      await assertFails(getDoc(doc(visitor(), violations)));
+    });
+  });
+
+  describe('아카이브', () => {
+    test('소유자는 rate_limits 없이 다른 사람 메시지를 복원할 수 있다', async () => {
+      await assertSucceeds(setDoc(doc(owner(), messagePath('m1')), storedMessage({ likes: 3, reactions: { heart: 3 } })));
+      await assertFails(setDoc(doc(moderator(), messagePath('m2')), storedMessage()));
+    });
+
+    test('소유자는 카운터와 따로 반응 기록을 복원할 수 있다', async () => {
+      const restored = { messageId: 'm1', wallId: 'main', types: ['heart'] };
+      await assertSucceeds(setDoc(doc(owner(), likePath(OTHER, 'm1')), restored));
+      await assertFails(setDoc(doc(owner(), likePath(OTHER, 'm2')), { ...restored, messageId: 'm2', types: ['boo'] }));
+    });
+
+    test('반응 기록 모아 읽기는 운영자만 할 수 있다', async () => {
+      await assertSucceeds(getDocs(collectionGroup(moderator(), 'user_likes')));
+      await assertFails(getDocs(collectionGroup(visitor(), 'user_likes')));
+    });
+  });
+
+  describe('원격 제어', () => {
+    const screen = `${WALL}/screens/s1`;
+    const heartbeat = (fields = {}) => ({ name: '로비', wallId: 'main', messageCount: 12, paused: false, lastSeen: serverTimestamp(), ...fields });
+    const command = (uid, fields = {}) => ({ type: 'pause', target: 'all', by: uid, createdAt: serverTimestamp(), ...fields });
+
+    test('월은 자기 하트비트를 남기고, 목록은 모더레이터만 읽는다', async () => {
+      await assertSucceeds(setDoc(doc(visitor(), screen), heartbeat()));
+      await assertFails(setDoc(doc(visitor(), screen), heartbeat({ wallId: 'expo' })));
+      await assertFails(setDoc(doc(visitor(), screen), heartbeat({ admin: true })));
+      await assertSucceeds(getDoc(doc(moderator(), screen)));
+      await assertFails(getDoc(doc(visitor(), screen)));
+    });
+
+    test('명령은 모더레이터가 본인 이름으로만 보낸다', async () => {
+      await assertSucceeds(setDoc(doc(moderator(), `${WALL}/commands/c1`), command('mod-1')));
+      await assertFails(setDoc(doc(moderator(), `${WALL}/commands/c2`), command('owner-1')));
+      await assertFails(setDoc(doc(moderator(), `${WALL}/commands/c3`), command('mod-1', { type: 'format' })));
+      await assertFails(setDoc(doc(visitor(), `${WALL}/commands/c4`), command(VISITOR)));
+    });
+  });
+
+  describe('전시별 월', () => {
+    const expo = `artifacts/${APP}/walls/expo`;
+
+    test('전시 목록은 누구나 읽고 소유자만 바꾼다', async () => {
+      const entry = `${WALL}/exhibitions/expo`;
+      await assertSucceeds(setDoc(doc(owner(), entry), { title: 'Expo' }));
+      await assertFails(setDoc(doc(moderator(), entry), { title: 'Expo' }));
+      await assertSucceeds(getDoc(doc(visitor(), entry)));
+    });
+
+    test('전시 월에는 그 전시의 모더레이션 설정이 적용된다', async () => {
+      await seed({ [`${expo}/settings/appSettings`]: { moderation: { enabled: true } } });
+      await assertFails(submit(visitor(), 'm1', {}, { wallId: 'expo' }));
+      await assertSucceeds(submit(visitor(), 'm2', { status: 'pending' }, { wallId: 'expo' }));
+      await assertSucceeds(submit(visitor(), 'm3'));
+    });
+
+    test('전시 설정도 소유자만 바꾼다', async () => {
+      await assertSucceeds(setDoc(doc(owner(), `${expo}/settings/appSettings`), {}));
+      await assertFails(setDoc(doc(moderator(), `${expo}/settings/appSettings`), {}));
+    });
+  });
+
+  describe('운영자 역할', () => {
+    const settings = `${WALL}/settings/appSettings`;
+
+    test('설정은 소유자만 바꾸고, 초안은 소유자만 읽는다', async () => {
+      await assertSucceeds(setDoc(doc(owner(), settings), { moderation: { enabled: true } }));
+      await assertFails(setDoc(doc(moderator(), settings), { moderation: { enabled: false } }));
+      await assertFails(setDoc(doc(visitor(), settings), { moderation: { enabled: false } }));
+      await assertSucceeds(getDoc(doc(visitor(), settings)));
+      await assertFails(getDoc(doc(moderator(), `${WALL}/settings/draft`)));
+      await assertSucceeds(getDoc(doc(owner(), `${WALL}/settings/draft`)));
+    });
+
+    test('진행 중인 질문은 모더레이터가 본인 이름으로 바꿀 수 있다', async () => {
+      const livePrompt = `${WALL}/settings/livePrompt`;
+      const prompt = (uid) => ({ promptId: 'p1', promptType: 'single', optionIds: ['o1', 'o2'], by: uid, changedAt: serverTimestamp() });
+      await assertSucceeds(setDoc(doc(moderator(), livePrompt), prompt('mod-1')));
+      await assertFails(setDoc(doc(moderator(), livePrompt), prompt('owner-1')));
+      await assertFails(setDoc(doc(moderator(), livePrompt), { promptId: 'p1', by: 'mod-1', changedAt: serverTimestamp() }));
+      await assertFails(setDoc(doc(visitor(), livePrompt), prompt(VISITOR)));
+      await assertSucceeds(getDoc(doc(visitor(), livePrompt)));
+    });
+
+    test('설정 이력은 소유자만 남기고 읽는다', async () => {
+      const version = `${WALL}/settingsVersions/v1`;
+      await assertSucceeds(setDoc(doc(owner(), version), { settings: {}, savedAt: serverTimestamp() }));
+      await assertFails(setDoc(doc(moderator(), `${WALL}/settingsVersions/v2`), { settings: {} }));
+      await assertFails(getDoc(doc(moderator(), version)));
+      await assertFails(updateDoc(doc(owner(), version), { settings: { x: 1 } }));
+    });
+
+    test('메시지 삭제는 모더레이터 이상만 할 수 있다', async () => {
+      await seed({ [messagePath('m1')]: storedMessage() });
+      await assertFails(deleteDoc(doc(visitor(OTHER), messagePath('m1'))));
+      await assertSucceeds(deleteDoc(doc(moderator(), messagePath('m1'))));
+    });
+
+    test('감사 기록은 운영자가 본인 이름으로 남기고 고칠 수 없다', async () => {
+      const entry = (uid) => ({ action: 'message.delete', actorId: uid, target: 'm1', at: serverTimestamp() });
+      await assertSucceeds(setDoc(doc(moderator(), `${WALL}/audit/a1`), entry('mod-1')));
+      await assertFails(setDoc(doc(moderator(), `${WALL}/audit/a2`), entry('owner-1')));
+      await assertFails(setDoc(doc(visitor(), `${WALL}/audit/a3`), entry(VISITOR)));
+      await assertFails(updateDoc(doc(owner(), `${WALL}/audit/a1`), { action: 'noop' }));
+      await assertSucceeds(getDoc(doc(moderator(), `${WALL}/audit/a1`)));
+      await assertFails(getDoc(doc(visitor(), `${WALL}/audit/a1`)));
+    });
+
+    test('스냅샷은 소유자만 다룬다', async () => {
+      await assertSucceeds(setDoc(doc(owner(), `${WALL}/snapshots/s1`), { name: 'test', count: 0 }));
+      await assertSucceeds(setDoc(doc(owner(), `${WALL}/snapshots/s1/messages/m1`), storedMessage()));
+      await assertFails(getDoc(doc(moderator(), `${WALL}/snapshots/s1`)));
+    });
+  });
+});